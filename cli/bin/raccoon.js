@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+const { main } = require('../src/index');
+
+main(process.argv.slice(2)).then((exitCode) => {
+  process.exitCode = exitCode;
+});
@@ -0,0 +1,78 @@
+const { ApiError } = require('./errors');
+
+/**
+ * Sends one request to the server and parses the JSON answer.
+ * @returns {Promise<{ data: any, res: Response }>}
+ * @throws {ApiError} if the server cannot be reached or answers with an error.
+ */
+async function send(apiUrl, method, path, { body, headers = {} } = {}) {
+  let res;
+  try {
+    res = await fetch(`${apiUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+  } catch (error) {
+    throw new ApiError(`cannot reach ${apiUrl} (${error.cause?.message ?? error.message})`, 0);
+  }
+
+  const text = await res.text();
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch {
+    data = { error: text };
+  }
+
+  if (!res.ok) {
+    throw new ApiError(data?.message || data?.error || res.statusText, res.status, data);
+  }
+  return { data, res };
+}
+
+/**
+ * Creates the client of the REST API, see GET /api/openapi.json on the server.
+ * @param {{ apiUrl: string, accessToken?: string, sessionCookie?: string }} config - Where the server is, and how to authenticate.
+ */
+function createApi(config) {
+  const headers = {};
+  if (config.accessToken) {
+    headers.Authorization = `Bearer ${config.accessToken}`;
+  } else if (config.sessionCookie) {
+    headers.Cookie = `token=${config.sessionCookie}`;
+  }
+
+  const request = async (method, path, body) => {
+    try {
+      return (await send(config.apiUrl, method, path, { body, headers })).data;
+    } catch (error) {
+      if (error.status === 401) {
+        throw new ApiError(`${error.message}, run \`raccoon login\` first`, error.status, error.body);
+      }
+      throw error;
+    }
+  };
+  return {
+    get: (path) => request('GET', path),
+    post: (path, body) => request('POST', path, body ?? {}),
+    patch: (path, body) => request('PATCH', path, body),
+    delete: (path) => request('DELETE', path),
+  };
+}
+
+/**
+ * Logs in with an email and password, like the login page of the web-client.
+ * @returns {Promise<string>} the session token from the `token` cookie, valid for 14 days.
+ */
+async function login(apiUrl, email, password) {
+  const { res } = await send(apiUrl, 'POST', '/api/login', { body: { email, password } });
+  const cookies = res.headers.getSetCookie?.() ?? [res.headers.get('set-cookie') ?? ''];
+  const sessionCookie = cookies.map(cookie => /^token=([^;]+)/.exec(cookie)?.[1]).find(Boolean);
+  if (!sessionCookie) {
+    throw new ApiError('the server did not start a session', res.status);
+  }
+  return sessionCookie;
+}
+
+module.exports = { createApi, login };
@@ -0,0 +1,423 @@
+const { createApi, login } = require('./api');
+const { CONFIG_FILE, saveConfig } = require('./config');
+const { CliError } = require('./errors');
+const { formatTable, formatDate, shortId, printJson } = require('./format');
+const { ask, askHidden } = require('./prompt');
+
+/**
+ * The commands of the CLI. Each one gets the context built by `main`:
+ * `config` (see config.js), `api` (see api.js), `args` (the positional arguments after the command name)
+ * and `options` (the parsed --options).
+ *
+ * Projects, statuses and tasks can be named by id, by a unique prefix of their id (tables show the first 8 characters)
+ * or by their title, case insensitive. Completed and trashed tasks are in the virtual statuses
+ * `<projectId>-completed` and `<projectId>-deleted`, like in the web-client.
+ */
+
+const VIRTUAL_STATUSES = { completed: 'Completed', deleted: 'Trash' };
+
+const VIRTUAL_STATUS = /^(.+)-(completed|deleted)$/;
+
+/**
+ * Finds an item by id, unique id prefix or title.
+ * @param {{ id: string, title: string }[]} items - The candidates.
+ * @param {string} ref - What the user typed.
+ * @param {string} type - What the items are, for the error messages.
+ * @throws {CliError} if nothing or several items match.
+ */
+function pick(items, ref, type) {
+  const exact = items.find(item => item.id === ref);
+  if (exact) {
+    return exact;
+  }
+
+  const lowerRef = ref.toLowerCase();
+  for (const matches of [
+    items.filter(item => item.id.startsWith(ref)),
+    items.filter(item => item.title.toLowerCase() === lowerRef),
+  ]) {
+    if (matches.length === 1) {
+      return matches[0];
+    }
+    if (matches.length > 1) {
+      throw new CliError(`"${ref}" matches ${matches.length} ${type}s, use the id instead: `
+        + matches.map(item => `${shortId(item.id)} (${item.title})`).join(', '));
+    }
+  }
+  throw new CliError(`no ${type} "${ref}"`);
+}
+
+/**
+ * Finds a project. Without a ref, the project open last in the web-client (`lastProjectId` of the profile),
+ * or the first project if it has none.
+ */
+async function resolveProject(api, ref) {
+  const { projects } = await api.get('/api/projects');
+  if (ref) {
+    return pick(projects, ref, 'project');
+  }
+  if (!projects.length) {
+    throw new CliError('you have no projects yet');
+  }
+  const { profile } = await api.get('/api/profile');
+  return projects.find(project => project.id === profile.lastProjectId) ?? projects[0];
+}
+
+/**
+ * Tells which virtual status a status ref names: "completed" or "done", "deleted" or "trash".
+ * @returns {'completed' | 'deleted' | null}
+ */
+function virtualStatusOf(ref) {
+  const lowerRef = ref?.toLowerCase();
+  if (lowerRef === 'completed' || lowerRef === 'done') {
+    return 'completed';
+  }
+  if (lowerRef === 'deleted' || lowerRef === 'trash') {
+    return 'deleted';
+  }
+  return null;
+}
+
+/**
+ * Finds a status of a project, the first one if no ref is given.
+ * "completed" and "deleted" (or "trash") name the virtual statuses of the project.
+ * @returns {Promise<{ id: string, title: string }>}
+ */
+async function resolveStatus(api, project, ref) {
+  const virtual = virtualStatusOf(ref);
+  if (virtual) {
+    return { id: `${project.id}-${virtual}`, title: VIRTUAL_STATUSES[virtual] };
+  }
+
+  const { statuses } = await api.get(`/api/statuses?project=${encodeURIComponent(project.id)}`);
+  if (ref) {
+    return pick(statuses, ref, 'status');
+  }
+  if (!statuses.length) {
+    throw new CliError(`the project "${project.title}" has no statuses`);
+  }
+  return statuses[0];
+}
+
+/**
+ * Finds a status in the statuses of every project, for a --status given without --project.
+ * @throws {CliError} if the ref names a status of several projects, e.g. the default "Now", or a virtual status
+ *   while there are several projects: --project tells which one.
+ */
+async function resolveStatusInAnyProject(api, ref) {
+  const { projects } = await api.get('/api/projects');
+  if (projects.length === 1) {
+    return resolveStatus(api, projects[0], ref);
+  }
+  if (virtualStatusOf(ref)) {
+    throw new CliError(`every project has a "${ref}" status, add --project <project>`);
+  }
+
+  const { statuses } = await api.get('/api/statuses');
+  try {
+    return pick(statuses, ref, 'status');
+  } catch (error) {
+    const named = statuses.filter(status => status.title.toLowerCase() === ref.toLowerCase());
+    if (new Set(named.map(status => status.project)).size > 1) {
+      throw new CliError(`${named.length} projects have a "${ref}" status, add --project <project>`);
+    }
+    throw error;
+  }
+}
+
+async function resolveTask(api, ref) {
+  const { tasks } = await api.get('/api/tasks');
+  return pick(tasks, ref, 'task');
+}
+
+/**
+ * Finds the project a task is in, from its status.
+ */
+async function projectOfTask(api, task) {
+  const virtual = VIRTUAL_STATUS.exec(task.status);
+  const projectId = virtual ? virtual[1] : (await api.get(`/api/statuses/${encodeURIComponent(task.status)}`)).status.project;
+  return (await api.get(`/api/projects/${encodeURIComponent(projectId)}`)).project;
+}
+
+/**
+ * Names every status, the virtual ones included, by id.
+ */
+async function statusTitles(api) {
+  const [{ statuses }, { projects }] = await Promise.all([api.get('/api/statuses'), api.get('/api/projects')]);
+  const titles = new Map(statuses.map(status => [status.id, status.title]));
+  for (const project of projects) {
+    for (const [suffix, title] of Object.entries(VIRTUAL_STATUSES)) {
+      titles.set(`${project.id}-${suffix}`, `${title} (${project.title})`);
+    }
+  }
+  return titles;
+}
+
+/**
+ * Parses a due date: a whole day, YYYY-MM-DD, "today" or "tomorrow", or a time `Date` understands, e.g. 2024-01-31T09:30.
+ * A whole day is stored as UTC midnight, like the date picker of the web-client does.
+ * @returns {{ dueDate: string, dueHasTime: boolean }} the date as ISO string, and whether it has a time.
+ */
+function parseDueDate(value) {
+  if (value === 'today' || value === 'tomorrow') {
+    const now = new Date();
+    const dueDate = new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate() + (value === 'tomorrow' ? 1 : 0)));
+    return { dueDate: dueDate.toISOString(), dueHasTime: false };
+  }
+
+  const day = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  const date = day ? new Date(Date.UTC(Number(day[1]), Number(day[2]) - 1, Number(day[3]))) : new Date(value);
+  if (isNaN(date)) {
+    throw new CliError(`"${value}" is not a date, use YYYY-MM-DD`);
+  }
+  return { dueDate: date.toISOString(), dueHasTime: !day };
+}
+
+/**
+ * Parses --index: a position from 0, "start" or "end".
+ */
+function parseIndex(value) {
+  if (value === undefined || value === 'start' || value === 'end') {
+    return value ?? 'end';
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new CliError('--index must be a position from 0, "start" or "end"');
+  }
+  return Number(value);
+}
+
+function requireArgs(args, count, usage) {
+  if (args.length < count) {
+    throw new CliError(`usage: raccoon ${usage}`);
+  }
+}
+
+const printTask = (verb, task, statusTitle) => {
+  console.log(`${verb} ${shortId(task.id)} "${task.title}"${statusTitle ? ` in ${statusTitle}` : ''}`);
+};
+
+/**
+ * Moves a task to the end of a status, and prints it.
+ */
+async function moveTaskTo(api, task, status, verb) {
+  const { task: moved } = await api.post(`/api/tasks/${encodeURIComponent(task.id)}/move`, { status: status.id, index: 'end' });
+  printTask(verb, moved, status.title);
+}
+
+const commands = {
+  login: {
+    usage: 'login [--email <email>] [--token <token>] [--api <url>]',
+    summary: 'Log in with your email and password, or with a personal access token from the settings page',
+    run: async ({ config, options }) => {
+      const saved = { apiUrl: config.apiUrl };
+      if (options.token) {
+        saved.accessToken = options.token;
+      } else {
+        const email = options.email || await ask('Email: ');
+        const password = await askHidden('Password: ');
+        saved.sessionCookie = await login(config.apiUrl, email, password);
+      }
+
+      // checks the credentials, and that the server is the one of this app
+      const { user } = await createApi(saved).get('/api/me');
+      saveConfig(saved);
+      console.log(`Logged in to ${config.apiUrl}${user.scope ? ` with a ${user.scope} token` : ''}, saved in ${CONFIG_FILE}`);
+    },
+  },
+
+  logout: {
+    usage: 'logout',
+    summary: 'End the session and forget the saved credentials',
+    run: async ({ api, config }) => {
+      if (config.sessionCookie) {
+        await api.post('/api/logout').catch(() => {}); // the session may have expired already
+      }
+      saveConfig({ apiUrl: config.apiUrl });
+      console.log('Logged out');
+    },
+  },
+
+  projects: {
+    usage: 'projects [--json]',
+    summary: 'List your projects',
+    run: async ({ api, options }) => {
+      const { projects } = await api.get('/api/projects');
+      if (options.json) {
+        return printJson(projects);
+      }
+      console.log(formatTable(['ID', 'Project', 'Description'], projects.map(p => [shortId(p.id), p.title, p.description])));
+    },
+  },
+
+  statuses: {
+    usage: 'statuses [--project <project>] [--json]',
+    summary: 'List the statuses of a project, the one open last in the web-client by default',
+    run: async ({ api, options }) => {
+      const project = await resolveProject(api, options.project);
+      const { statuses } = await api.get(`/api/statuses?project=${encodeURIComponent(project.id)}`);
+      if (options.json) {
+        return printJson(statuses);
+      }
+      console.log(formatTable(['ID', 'Status', 'Description'], statuses.map(s => [shortId(s.id), s.title, s.description])));
+    },
+  },
+
+  tasks: {
+    usage: 'tasks [--project <project>] [--status <status>] [--due-before <date>] [--text <text>] [--json]',
+    summary: 'List tasks, by default every task of every project',
+    run: async ({ api, options }) => {
+      const query = new URLSearchParams();
+      const project = options.project ? await resolveProject(api, options.project) : null;
+      if (project && !options.status) {
+        query.set('project', project.id);
+      }
+      if (options.status) {
+        const status = project ? await resolveStatus(api, project, options.status) : await resolveStatusInAnyProject(api, options.status);
+        query.set('status', status.id);
+      }
+      if (options['due-before']) {
+        query.set('dueBefore', parseDueDate(options['due-before']).dueDate);
+      }
+      if (options.text) {
+        query.set('text', options.text);
+      }
+
+      const [{ tasks }, titles] = await Promise.all([api.get(`/api/tasks?${query}`), statusTitles(api)]);
+      if (options.json) {
+        return printJson(tasks);
+      }
+      console.log(formatTable(['ID', 'Task', 'Status', 'Due'],
+        tasks.map(t => [shortId(t.id), t.title, titles.get(t.status) ?? t.status, formatDate(t.dueDate, t.dueHasTime)])));
+    },
+  },
+
+  board: {
+    usage: 'board [--project <project>] [--completed] [--deleted] [--json]',
+    summary: 'Print the board of a project, one column per status',
+    run: async ({ api, options }) => {
+      const project = await resolveProject(api, options.project);
+      const [{ statuses }, { tasks }] = await Promise.all([
+        api.get(`/api/statuses?project=${encodeURIComponent(project.id)}`),
+        api.get(`/api/tasks?project=${encodeURIComponent(project.id)}`),
+      ]);
+      const columns = statuses.map(status => ({ id: status.id, title: status.title }));
+      for (const suffix of Object.keys(VIRTUAL_STATUSES)) {
+        if (options[suffix]) {
+          columns.push({ id: `${project.id}-${suffix}`, title: VIRTUAL_STATUSES[suffix] });
+        }
+      }
+      for (const column of columns) {
+        column.tasks = tasks.filter(task => task.status === column.id); // already in list order
+      }
+
+      if (options.json) {
+        return printJson({ project, columns });
+      }
+      console.log(`${project.title}\n`);
+      const height = Math.max(0, ...columns.map(column => column.tasks.length));
+      const rows = Array.from({ length: height }, (_, i) => columns.map(column => {
+        const task = column.tasks[i];
+        return task ? `${shortId(task.id)} ${task.title}` : '';
+      }));
+      console.log(formatTable(columns.map(column => `${column.title} (${column.tasks.length})`), rows));
+    },
+  },
+
+  add: {
+    usage: 'add <title> [--project <project>] [--status <status>] [--due <date>] [--description <text>] [--index <position>]',
+    summary: 'Add a task, to the end of the first status of the project open last in the web-client by default',
+    run: async ({ api, args, options }) => {
+      requireArgs(args, 1, commands.add.usage);
+      const project = await resolveProject(api, options.project);
+      const status = await resolveStatus(api, project, options.status);
+      const { task } = await api.post('/api/tasks', {
+        title: args.join(' '),
+        description: options.description ?? '',
+        status: status.id,
+        ...(options.due ? parseDueDate(options.due) : { dueDate: null }),
+        index: parseIndex(options.index),
+      });
+      printTask('Added', task, status.title);
+    },
+  },
+
+  move: {
+    usage: 'move <task> <status> [--index <position>]',
+    summary: 'Move a task to a status of its project, to the end by default',
+    run: async ({ api, args, options }) => {
+      requireArgs(args, 2, commands.move.usage);
+      const task = await resolveTask(api, args[0]);
+      const status = await resolveStatus(api, await projectOfTask(api, task), args.slice(1).join(' '));
+      const { task: moved } = await api.post(`/api/tasks/${encodeURIComponent(task.id)}/move`, {
+        status: status.id,
+        index: parseIndex(options.index),
+      });
+      printTask('Moved', moved, status.title);
+    },
+  },
+
+  complete: {
+    usage: 'complete <task>',
+    summary: 'Mark a task as completed',
+    run: async ({ api, args }) => {
+      requireArgs(args, 1, commands.complete.usage);
+      const task = await resolveTask(api, args.join(' '));
+      await moveTaskTo(api, task, await resolveStatus(api, await projectOfTask(api, task), 'completed'), 'Completed');
+    },
+  },
+
+  delete: {
+    usage: 'delete <task> [--hard]',
+    summary: 'Move a task to the trash, or delete it for good with --hard',
+    run: async ({ api, args, options }) => {
+      requireArgs(args, 1, commands.delete.usage);
+      const task = await resolveTask(api, args.join(' '));
+      if (options.hard) {
+        await api.delete(`/api/tasks/${encodeURIComponent(task.id)}`);
+        return printTask('Deleted', task);
+      }
+      await moveTaskTo(api, task, await resolveStatus(api, await projectOfTask(api, task), 'deleted'), 'Trashed');
+    },
+  },
+
+  restore: {
+    usage: 'restore <task>',
+    summary: 'Move a completed or trashed task back to the status it was in',
+    run: async ({ api, args }) => {
+      requireArgs(args, 1, commands.restore.usage);
+      const task = await resolveTask(api, args.join(' '));
+      if (!VIRTUAL_STATUS.test(task.status)) {
+        throw new CliError(`"${task.title}" is neither completed nor in the trash`);
+      }
+      const project = await projectOfTask(api, task);
+      const { statuses } = await api.get(`/api/statuses?project=${encodeURIComponent(project.id)}`);
+      // the previous status may have been deleted since, the first one is used then
+      const status = statuses.find(s => s.id === task.previousStatus) ?? statuses[0];
+      if (!status) {
+        throw new CliError(`the project "${project.title}" has no statuses`);
+      }
+      await moveTaskTo(api, task, status, 'Restored');
+    },
+  },
+
+  ask: {
+    usage: 'ask <message>',
+    summary: 'Ask the AI assistant, e.g. to suggest a task',
+    run: async ({ api, args, options }) => {
+      requireArgs(args, 1, commands.ask.usage);
+      const answer = await api.post('/api/ai-chat', { message: args.join(' ') });
+      if (options.json) {
+        return printJson(answer);
+      }
+      console.log(answer.reply);
+      if (answer.task) {
+        console.log(`\nSuggested task: ${answer.task.title}${answer.task.description ? `\n  ${answer.task.description}` : ''}`);
+        console.log(`Add it with: raccoon add ${JSON.stringify(answer.task.title)}`);
+      } else if (answer.note) {
+        console.log(`\n${answer.note}`);
+      }
+    },
+  },
+};
+
+module.exports = commands;
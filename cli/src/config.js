@@ -0,0 +1,48 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Where the CLI keeps the server URL and the credentials between runs:
+ * $XDG_CONFIG_HOME/raccoon/config.json, or ~/.config/raccoon/config.json.
+ * RACCOON_API_URL and RACCOON_TOKEN override the file, e.g. for cron jobs.
+ */
+
+const DEFAULT_API_URL = 'http://localhost:3001';
+
+const CONFIG_DIR = path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'raccoon');
+const CONFIG_FILE = path.join(CONFIG_DIR, 'config.json');
+
+/**
+ * Reads the saved config, with the environment variables on top.
+ * @returns {{ apiUrl: string, accessToken?: string, sessionCookie?: string }}
+ *   `accessToken` is a personal access token, `sessionCookie` the `token` cookie of `raccoon login`.
+ */
+function loadConfig() {
+  let saved = {};
+  try {
+    saved = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`raccoon: ignoring unreadable ${CONFIG_FILE}: ${error.message}`);
+    }
+  }
+
+  const config = { ...saved, apiUrl: process.env.RACCOON_API_URL || saved.apiUrl || DEFAULT_API_URL };
+  if (process.env.RACCOON_TOKEN) {
+    config.accessToken = process.env.RACCOON_TOKEN;
+    delete config.sessionCookie;
+  }
+  return config;
+}
+
+/**
+ * Saves the config, readable by the current user only since it holds credentials.
+ * @param {{ apiUrl: string, accessToken?: string, sessionCookie?: string }} config
+ */
+function saveConfig(config) {
+  fs.mkdirSync(CONFIG_DIR, { recursive: true, mode: 0o700 });
+  fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2) + '\n', { mode: 0o600 });
+}
+
+module.exports = { CONFIG_FILE, DEFAULT_API_URL, loadConfig, saveConfig };
@@ -0,0 +1,23 @@
+/**
+ * Thrown for anything the user can fix, e.g. an unknown project name. Printed without a stack trace.
+ */
+class CliError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CliError';
+  }
+}
+
+/**
+ * Thrown when the server answers with an error, or cannot be reached (`status` 0).
+ */
+class ApiError extends CliError {
+  constructor(message, status, body) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+module.exports = { CliError, ApiError };
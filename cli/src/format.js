@@ -0,0 +1,85 @@
+/**
+ * Plain-text output of the CLI: fixed-width tables, readable in any terminal and in `less`.
+ */
+
+const MAX_CELL_WIDTH = 40;
+
+// The length of the ids printed in tables, commands accept any unique prefix of an id
+const SHORT_ID_LENGTH = 8;
+
+// East Asian wide characters and emoji take two columns in a terminal
+const WIDE_CHAR = /[ᄀ-ᅟ⺀-꓏가-힣豈-﫿︰-﹏＀-｠￠-￦\u{1f300}-\u{1faff}\u{20000}-\u{3fffd}]/u;
+
+const charWidth = (char) => (WIDE_CHAR.test(char) ? 2 : 1);
+
+const displayWidth = (text) => Array.from(text).reduce((width, char) => width + charWidth(char), 0);
+
+/**
+ * Cuts the text to the width, ending it with '…' if it was cut, and pads it with spaces to the width.
+ */
+function fit(text, width) {
+  let result = '';
+  let resultWidth = 0;
+  const chars = Array.from(text);
+  const isCut = displayWidth(text) > width;
+  for (const char of chars) {
+    if (resultWidth + charWidth(char) > width - (isCut ? 1 : 0)) {
+      break;
+    }
+    result += char;
+    resultWidth += charWidth(char);
+  }
+  if (isCut) {
+    result += '…';
+    resultWidth += 1;
+  }
+  return result + ' '.repeat(width - resultWidth);
+}
+
+/**
+ * Formats rows as a table with a header, each column as wide as its widest cell, up to MAX_CELL_WIDTH.
+ * @param {string[]} headers - The title of each column.
+ * @param {string[][]} rows - The cells, line breaks are printed as spaces.
+ * @returns {string}
+ */
+function formatTable(headers, rows) {
+  const clean = (cell) => String(cell ?? '').replace(/\s+/g, ' ').trim();
+  const cells = rows.map(row => headers.map((_, i) => clean(row[i])));
+  const widths = headers.map((header, i) => Math.min(
+    MAX_CELL_WIDTH,
+    Math.max(displayWidth(header), ...cells.map(row => displayWidth(row[i]))),
+  ));
+
+  const line = (row) => row.map((cell, i) => fit(cell, widths[i])).join('  ').trimEnd();
+  return [
+    line(headers),
+    widths.map(width => '─'.repeat(width)).join('  '),
+    ...cells.map(line),
+  ].join('\n');
+}
+
+const shortId = (id) => id.slice(0, SHORT_ID_LENGTH);
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Formats a due date, '' if there is none: YYYY-MM-DD for a whole day, stored as UTC midnight,
+ * and YYYY-MM-DD HH:MM in the local time zone for a time.
+ * @param hasTime - The `dueHasTime` of the task. Tasks saved before it existed have none, their days are at UTC midnight.
+ */
+function formatDate(date, hasTime) {
+  if (!date) {
+    return '';
+  }
+  const due = new Date(date);
+  if (!(hasTime ?? due.getTime() % DAY !== 0)) {
+    return due.toISOString().slice(0, 10);
+  }
+  return `${due.getFullYear()}-${pad(due.getMonth() + 1)}-${pad(due.getDate())} ${pad(due.getHours())}:${pad(due.getMinutes())}`;
+}
+
+const printJson = (data) => console.log(JSON.stringify(data, null, 2));
+
+module.exports = { formatTable, formatDate, shortId, printJson };
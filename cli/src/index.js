@@ -0,0 +1,83 @@
+const { parseArgs } = require('util');
+const { createApi } = require('./api');
+const commands = require('./commands');
+const { loadConfig } = require('./config');
+const { CliError } = require('./errors');
+
+// the options of every command, commands ignore the ones they do not use
+const OPTIONS = {
+  api: { type: 'string' },
+  email: { type: 'string' },
+  token: { type: 'string' },
+  project: { type: 'string', short: 'p' },
+  status: { type: 'string', short: 's' },
+  due: { type: 'string' },
+  'due-before': { type: 'string' },
+  description: { type: 'string', short: 'd' },
+  text: { type: 'string' },
+  index: { type: 'string' },
+  completed: { type: 'boolean' },
+  deleted: { type: 'boolean' },
+  hard: { type: 'boolean' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+function usage() {
+  const width = Math.max(...Object.keys(commands).map(name => name.length));
+  return [
+    'Usage: raccoon <command> [options]',
+    '',
+    'Commands:',
+    ...Object.entries(commands).map(([name, command]) => `  ${name.padEnd(width)}  ${command.summary}`),
+    '',
+    'Projects, statuses and tasks can be named by title or by id (a unique prefix is enough).',
+    '--api <url> sets the server, --json prints the raw data. Run `raccoon help <command>` for the options of a command.',
+    'RACCOON_API_URL and RACCOON_TOKEN override the saved server and credentials.',
+  ].join('\n');
+}
+
+/**
+ * Runs the CLI.
+ * @param {string[]} argv - The arguments, without `node` and the script.
+ * @returns {Promise<number>} the exit code: 0 on success, 1 if the command failed, 2 if it was misused.
+ */
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    console.error(`raccoon: ${error.message}\n\n${usage()}`);
+    return 2;
+  }
+
+  const { values: options, positionals: [name, ...args] } = parsed;
+  if (!name || name === 'help' || options.help) {
+    const topic = name === 'help' ? args[0] : name;
+    console.log(commands[topic] ? `Usage: raccoon ${commands[topic].usage}\n\n${commands[topic].summary}` : usage());
+    return 0;
+  }
+
+  const command = commands[name];
+  if (!command) {
+    console.error(`raccoon: unknown command "${name}"\n\n${usage()}`);
+    return 2;
+  }
+
+  const config = loadConfig();
+  if (options.api) {
+    config.apiUrl = options.api.replace(/\/+$/, '');
+  }
+  try {
+    await command.run({ config, api: createApi(config), args, options });
+    return 0;
+  } catch (error) {
+    if (error instanceof CliError) {
+      console.error(`raccoon: ${error.message}`);
+      return 1;
+    }
+    throw error;
+  }
+}
+
+module.exports = { main };
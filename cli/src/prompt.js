@@ -0,0 +1,70 @@
+const readline = require('readline');
+const { CliError } = require('./errors');
+
+/**
+ * Asks a question on the terminal.
+ * @returns {Promise<string>} the answer, trimmed.
+ */
+function ask(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer.trim());
+    });
+  });
+}
+
+/**
+ * Asks for a secret without echoing it, e.g. a password.
+ * Reads a line from stdin when it is not a terminal, so `echo $PASSWORD | raccoon login` works.
+ * @returns {Promise<string>} the answer, not trimmed.
+ */
+function askHidden(question) {
+  const { stdin } = process;
+  if (!stdin.isTTY) {
+    return new Promise((resolve) => {
+      const rl = readline.createInterface({ input: stdin });
+      rl.once('line', (line) => {
+        rl.close();
+        resolve(line);
+      });
+      rl.once('close', () => resolve(''));
+    });
+  }
+
+  process.stderr.write(question);
+  return new Promise((resolve, reject) => {
+    let answer = '';
+    const finish = () => {
+      stdin.setRawMode(false);
+      stdin.pause();
+      stdin.removeListener('data', onData);
+      process.stderr.write('\n');
+    };
+    const onData = (chunk) => {
+      for (const char of chunk.toString('utf8')) {
+        if (char === '\r' || char === '\n' || char === '\u0004') { // Enter or Ctrl+D
+          finish();
+          resolve(answer);
+          return;
+        }
+        if (char === '\u0003') { // Ctrl+C
+          finish();
+          reject(new CliError('cancelled'));
+          return;
+        }
+        if (char === '\u007f' || char === '\b') { // Backspace
+          answer = answer.slice(0, -1);
+        } else {
+          answer += char;
+        }
+      }
+    };
+    stdin.setRawMode(true);
+    stdin.resume();
+    stdin.on('data', onData);
+  });
+}
+
+module.exports = { ask, askHidden };
@@ -0,0 +1,144 @@
+const User = require('../database/models/userAuths');
+const UserProfile = require('../database/models/userProfiles');
+const AccessToken = require('../database/models/accessTokens');
+const CalendarFeed = require('../database/models/calendarFeeds');
+const { sendMail } = require('../mail');
+const { verifyEmailTemplate, resetPasswordTemplate } = require('../mail/templates');
+const { createAuthToken, consumeAuthToken, findValidAuthToken } = require('../utils/authTokens');
+const { checkPasswordStrength, hashPassword, nextPwVersion } = require('../utils/password');
+const { normalizeEmail } = require('../utils/email');
+const { disconnectUser } = require('../services/liveUpdates');
+
+// Where the links in the mails point to, the web-client
+const APP_URL = process.env.APP_URL || 'http://localhost:5173';
+
+const getNickname = async (user) => {
+  const profile = await UserProfile.findOne({ userAuthId: user.id }, { nickname: 1 });
+  return profile?.nickname || user.email.split('@')[0];
+};
+
+/**
+ * Creates a verification token for the user and mails the link to the user's email.
+ * @param user - The UserAuth document of the user.
+ */
+const sendVerificationEmail = async (user) => {
+  const token = await createAuthToken(user.id, 'verifyEmail');
+  const link = `${APP_URL}/verify-email?token=${encodeURIComponent(token)}`;
+  await sendMail({ to: user.email, ...verifyEmailTemplate({ nickname: await getNickname(user), link }) });
+};
+
+/**
+ * POST /api/verify-email/request
+ * Send (again) the verification mail to the logged in user.
+ */
+const requestEmailVerification = async (req, res) => {
+  try {
+    const user = await User.findOne({ id: req.user.userId });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (user.isVerified) {
+      return res.status(200).json({ message: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(user);
+    res.status(200).json({ message: 'Verification mail sent' });
+  } catch (error) {
+    console.error('Email verification request error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * POST /api/verify-email/confirm
+ * Mark the email as verified, using the token from the verification mail.
+ */
+const confirmEmailVerification = async (req, res) => {
+  try {
+    const authToken = await consumeAuthToken(req.body.token, 'verifyEmail');
+    if (!authToken) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    await User.updateOne({ id: authToken.userId }, { $set: { isVerified: true } });
+    res.status(200).json({ message: 'Email verified' });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * POST /api/password-reset/request
+ * Mail a password reset link. Always answers the same way, so it cannot be used to find registered emails.
+ */
+const requestPasswordReset = async (req, res) => {
+  const email = normalizeEmail(req.body.email);
+  if (!email) {
+    return res.status(400).json({ message: 'Email is required' });
+  }
+
+  try {
+    const user = await User.findOne({ email });
+    if (user) {
+      const token = await createAuthToken(user.id, 'resetPassword');
+      const link = `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+      await sendMail({ to: user.email, ...resetPasswordTemplate({ nickname: await getNickname(user), link }) });
+    }
+    res.status(200).json({ message: 'If the email is registered, a reset link has been sent' });
+  } catch (error) {
+    console.error('Password reset request error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * POST /api/password-reset/confirm
+ * Set a new password, using the token from the reset mail.
+ * Bumps `pwVersion`, so every existing session is signed out, and revokes the personal access tokens.
+ */
+const confirmPasswordReset = async (req, res) => {
+  const { token, password } = req.body;
+
+  try {
+    // validate the new password before using up the token, so a weak password can be corrected
+    const pendingToken = await findValidAuthToken(token, 'resetPassword');
+    const user = pendingToken ? await User.findOne({ id: pendingToken.userId }) : null;
+    if (!user) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    const strength = checkPasswordStrength(password, { email: user.email, phoneNumber: user.phoneNumber });
+    if (!strength.isStrong) {
+      return res.status(400).json({ message: 'Password is too weak', problems: strength.problems });
+    }
+
+    const authToken = await consumeAuthToken(token, 'resetPassword');
+    if (!authToken) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    const { pwHash, salt } = await hashPassword(password);
+    user.pwHash = pwHash;
+    user.salt = salt;
+    user.pwVersion = nextPwVersion(user.pwVersion);
+    user.isVerified = true; // the user proved to own the email by opening the mail
+    await user.save();
+    await AccessToken.deleteMany({ userId: user.id }); // tokens created by whoever knew the old password stop working too
+    await CalendarFeed.deleteOne({ userId: user.id }); // and so does the calendar feed link
+    disconnectUser(user.id);
+
+    res.status(200).json({ message: 'Password has been reset, please log in again' });
+  } catch (error) {
+    console.error('Password reset error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  sendVerificationEmail,
+  requestEmailVerification,
+  confirmEmailVerification,
+  requestPasswordReset,
+  confirmPasswordReset
+};
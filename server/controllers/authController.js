@@ -1,7 +1,52 @@
 const { req, res } = require('express');
+const crypto = require('crypto');
 const User = require('../database/models/userAuths'); // Import the User model
+const UserProfile = require('../database/models/userProfiles');
+const Project = require('../database/models/projects');
+const Status = require('../database/models/statuses');
+const AccessToken = require('../database/models/accessTokens');
+const CalendarFeed = require('../database/models/calendarFeeds');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { checkPasswordStrength, hashPassword, nextPwVersion } = require('../utils/password');
+const { normalizeEmail } = require('../utils/email');
+const { rankBetween, evenlySpacedRanks } = require('../utils/rank');
+const { sendVerificationEmail } = require('./accountController');
+const { disconnectUser } = require('../services/liveUpdates');
+const { DEFAULT_STATUSES } = require('../services/resources');
+
+
+const cookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production', // Use secure cookies in production
+  sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax', // 'none' for cross-site in production
+};
+
+/**
+ * Signs a JWT for the user and stores it in the `token` cookie.
+ * The token carries the user's `pwVersion`, so bumping it revokes every token issued before.
+ * @param res - The express response.
+ * @param user - The UserAuth document of the user.
+ */
+const issueSessionCookie = (res, user) => {
+  const token = jwt.sign({ userId: user.id, pwVersion: user.pwVersion }, process.env.JWT_SECRET,
+    { expiresIn: '14d' }
+  );
+
+  res.cookie('token', token, {
+    ...cookieOptions,
+    maxAge: 14 * 24 * 60 * 60 * 1000 // 14 days
+  });
+};
+
+/**
+ * Removes the `token` cookie. The options must match the ones used in `issueSessionCookie`,
+ * otherwise the browser keeps the cookie.
+ * @param res - The express response.
+ */
+const clearSessionCookie = (res) => {
+  res.clearCookie('token', cookieOptions);
+};
 
 const loginUser = async (req, res) => {
   const { email, phoneNumber, password } = req.body;
@@ -10,7 +55,7 @@ const loginUser = async (req, res) => {
   let user = undefined;
   try {
     if (email) {
-      user = await User.findOne({ email });
+      user = await User.findOne({ email: normalizeEmail(email) });
       if (!user) {
         return res.status(401).json({ message: 'Invalid email or password' });
       }
@@ -29,17 +74,7 @@ const loginUser = async (req, res) => {
       return res.status(401).json({ message: 'Invalid email or password' });
     }
 
-    // Generate JWT token
-    const token = jwt.sign({ userId: user.id }, process.env.JWT_SECRET,
-      { expiresIn: '14d' }
-    );
-
-    res.cookie('token', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production', // Use secure cookies in production
-      sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax', // 'none' for cross-site in production
-      maxAge: 14 * 24 * 60 * 60 * 1000 // 14 days
-    });
+    issueSessionCookie(res, user);
 
     res.status(200).json({
       message: 'Login successful',
@@ -53,4 +88,184 @@ const loginUser = async (req, res) => {
   }
 };
 
-module.exports = loginUser;
\ No newline at end of file
+/**
+ * Creates the starter project, with the default "Now", "Next" and "Later" statuses, for a new user.
+ * @param userId - The ID of the new user.
+ * @returns The ID of the starter project.
+ */
+const createStarterProject = async (userId) => {
+  const projectId = crypto.randomUUID();
+  await Project.create({
+    id: projectId,
+    title: 'My First Project',
+    description: 'Your first project, rename it or add more from the menu bar.',
+    rank: rankBetween(null, null),
+    userId
+  });
+
+  const ranks = evenlySpacedRanks(DEFAULT_STATUSES.length);
+  await Status.insertMany(DEFAULT_STATUSES.map((status, i) => ({
+    id: crypto.randomUUID(),
+    title: status.title,
+    description: status.description,
+    color: status.color,
+    project: projectId,
+    rank: ranks[i],
+    userId
+  })));
+
+  return projectId;
+};
+
+/**
+ * POST /api/signup
+ * Register a new user: creates the UserAuth record, a matching UserProfile and a starter project.
+ * The user is logged in right away.
+ */
+const registerUser = async (req, res) => {
+  const { phoneNumber, password, nickname } = req.body;
+  const email = normalizeEmail(req.body.email);
+
+  if (!email || !/.+@.+\..+/.test(email)) {
+    return res.status(400).json({ message: 'A valid email is required' });
+  }
+  if (!phoneNumber || typeof phoneNumber !== 'string') {
+    return res.status(400).json({ message: 'Phone number is required' });
+  }
+  const strength = checkPasswordStrength(password, { email, phoneNumber });
+  if (!strength.isStrong) {
+    return res.status(400).json({ message: 'Password is too weak', problems: strength.problems });
+  }
+
+  let userId = null;
+  try {
+    // reject duplicate emails or phone numbers
+    const existingUser = await User.findOne({ $or: [{ email }, { phoneNumber }] });
+    if (existingUser) {
+      const field = existingUser.email.toLowerCase() === email ? 'email' : 'phoneNumber';
+      return res.status(409).json({
+        message: field === 'email' ? 'Email is already registered' : 'Phone number is already registered',
+        field
+      });
+    }
+
+    const { pwHash, salt } = await hashPassword(password);
+    const now = new Date();
+    userId = crypto.randomUUID();
+
+    const user = await User.create({
+      id: userId,
+      email,
+      phoneNumber,
+      pwHash,
+      pwVersion: 'v1',
+      salt,
+      createdIP: req.ip,
+      createdAt: now,
+      lastLoginIP: req.ip,
+      lastLoginAt: now,
+      isVerified: false
+    });
+
+    const projectId = await createStarterProject(userId);
+
+    await UserProfile.create({
+      id: userId,
+      userAuthId: userId,
+      nickname: (typeof nickname === 'string' && nickname.trim()) || email.split('@')[0],
+      lastProjectId: projectId
+    });
+
+    issueSessionCookie(res, user);
+
+    // the account works without a verified email, so a failed mail does not fail the signup
+    sendVerificationEmail(user).catch((mailError) => console.error('Verification mail error:', mailError));
+
+    res.status(201).json({
+      message: 'Signup successful',
+      user: {
+        id: user.id,
+      }
+    });
+  } catch (error) {
+    console.error('Signup error:', error);
+    // remove what was already created, so the email and phone number can be used again
+    if (userId) {
+      await Promise.all([
+        User.deleteOne({ id: userId }),
+        UserProfile.deleteOne({ id: userId }),
+        Project.deleteMany({ userId }),
+        Status.deleteMany({ userId })
+      ]).catch((cleanupError) => console.error('Signup cleanup error:', cleanupError));
+    }
+    if (error.code === 11000) { // duplicate key, another signup won the race
+      return res.status(409).json({ message: 'Email or phone number is already registered' });
+    }
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * GET /api/signup/availability?email=...&phoneNumber=...
+ * Tells the signup page whether an email or phone number is still free.
+ */
+const checkAvailability = async (req, res) => {
+  const email = normalizeEmail(req.query.email) || null;
+  const phoneNumber = typeof req.query.phoneNumber === 'string' ? req.query.phoneNumber : null;
+
+  if (!email && !phoneNumber) {
+    return res.status(400).json({ message: 'Email or phone number is required' });
+  }
+
+  try {
+    const [emailTaken, phoneNumberTaken] = await Promise.all([
+      email ? User.exists({ email }) : null,
+      phoneNumber ? User.exists({ phoneNumber }) : null
+    ]);
+    res.status(200).json({
+      emailAvailable: email ? !emailTaken : undefined,
+      phoneNumberAvailable: phoneNumber ? !phoneNumberTaken : undefined
+    });
+  } catch (error) {
+    console.error('Availability check error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * POST /api/logout
+ * Log out of this browser only, other sessions stay valid.
+ */
+const logoutUser = (req, res) => {
+  clearSessionCookie(res);
+  res.status(200).json({ message: 'Logout successful' });
+};
+
+/**
+ * POST /api/logout/all
+ * Sign out everywhere: bumps `pwVersion`, so every token issued before is rejected by `authMW`,
+ * and deletes the personal access tokens and the calendar feed link, like a password reset does.
+ */
+const logoutEverywhere = async (req, res) => {
+  try {
+    const user = await User.findOne({ id: req.user.userId });
+    if (!user) {
+      clearSessionCookie(res);
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    user.pwVersion = nextPwVersion(user.pwVersion);
+    await user.save();
+    await AccessToken.deleteMany({ userId: user.id });
+    await CalendarFeed.deleteOne({ userId: user.id });
+    disconnectUser(user.id);
+
+    clearSessionCookie(res);
+    res.status(200).json({ message: 'Signed out from all sessions, access tokens and the calendar feed link' });
+  } catch (error) {
+    console.error('Logout everywhere error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+module.exports = { loginUser, registerUser, checkAvailability, logoutUser, logoutEverywhere, issueSessionCookie, clearSessionCookie };
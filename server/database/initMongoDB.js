@@ -7,15 +7,34 @@ const UserProfile = require('./models/userProfiles');
 const Status = require('./models/statuses');
 const Project = require('./models/projects');
 const Task = require('./models/tasks');
+const { ranksFromLinks } = require('../utils/rank');
 
 const rawData = fs.readFileSync(path.join(__dirname, '../../web-client/src/data/testListChain.json'), 'utf8');
 const data = JSON.parse(rawData);
 
 const userAuthData = Object.values(data.userAuth);
 const userProfileData = Object.values(data.userProfile);
-const statusData = Object.values(data.status);
-const projectData = Object.values(data.projectList);
-const taskData = Object.values(data.taskList);
+
+/**
+ * The fixture still orders items with `prev`/`next` pointers, convert them to ranks.
+ * @param items - The items of one type.
+ * @param groupBy - The field that splits the items into lists.
+ */
+function withRanks(items, groupBy) {
+    const groups = {};
+    items.forEach(item => {
+        (groups[`${item.userId}/${item[groupBy]}`] ??= []).push(item);
+    });
+    const ranks = new Map();
+    Object.values(groups).forEach(groupItems => {
+        ranksFromLinks(groupItems).forEach((rank, id) => ranks.set(id, rank));
+    });
+    return items.map(({ prev, next, ...item }) => ({ ...item, rank: ranks.get(item.id) }));
+}
+
+const statusData = withRanks(Object.values(data.status), 'project');
+const projectData = withRanks(Object.values(data.projectList), 'userId');
+const taskData = withRanks(Object.values(data.taskList), 'status');
 
 async function main() {
     await mongoose.connect('mongodb://localhost:27017/reccoon-study-db')
@@ -0,0 +1,62 @@
+/**
+ * One-off migration of the emails of the accounts created before signup lowercased them.
+ * Stores every email lower case, as signup does now. Emails that only differ in case from the email of another
+ * account are reported and left as they are, to be sorted out by hand. Safe to run twice.
+ *
+ * Usage (from server/):
+ *   npm run migrate-emails
+ *   npm run migrate-emails -- --dry-run   # only report, write nothing
+ *
+ * Connects to MONGODB_URI from server/.env, or the local database used by initMongoDB.js.
+ */
+const path = require('path');
+const { parseArgs } = require('util');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+const mongoose = require('mongoose');
+
+const User = require('./models/userAuths');
+
+const { values: args } = parseArgs({
+    options: {
+        'dry-run': { type: 'boolean', default: false },
+    },
+});
+const dryRun = args['dry-run'];
+
+async function main() {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/reccoon-study-db');
+    console.log("connected!");
+
+    const users = await User.collection.find({}, { projection: { id: 1, email: 1 } }).toArray();
+    const byEmail = {};
+    users.forEach(user => {
+        (byEmail[user.email.toLowerCase()] ??= []).push(user);
+    });
+
+    const writes = [];
+    for (const [email, sameEmail] of Object.entries(byEmail)) {
+        if (sameEmail.length > 1) {
+            console.warn(`skipped ${email}: used by ${sameEmail.length} accounts (${sameEmail.map(user => user.id).join(', ')})`);
+            continue;
+        }
+        if (sameEmail[0].email !== email) {
+            writes.push({ updateOne: { filter: { _id: sameEmail[0]._id }, update: { $set: { email } } } });
+        }
+    }
+
+    console.log(`${writes.length} email(s) to lowercase`);
+    if (!dryRun && writes.length > 0) {
+        await User.collection.bulkWrite(writes);
+        console.log('done');
+    }
+
+    if (dryRun) console.log('dry run, nothing written');
+    await mongoose.disconnect();
+    console.log("disconnected");
+}
+
+main().catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+    mongoose.disconnect();
+});
@@ -0,0 +1,81 @@
+/**
+ * One-off migration from the `prev`/`next` linked lists to fractional `rank` ordering.
+ * Walks the old chains of every task, status and project list, writes evenly spaced ranks in the same order,
+ * and drops the `prev`/`next` fields. Lists that already have ranks are left as they are, so it is safe to run twice.
+ *
+ * Usage (from server/):
+ *   npm run migrate-ranks
+ *   npm run migrate-ranks -- --dry-run   # only report, write nothing
+ *
+ * Connects to MONGODB_URI from server/.env, or the local database used by initMongoDB.js.
+ */
+const path = require('path');
+const { parseArgs } = require('util');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+const mongoose = require('mongoose');
+
+const { ORDERED_LISTS } = require('../utils/rankIntegrity');
+const { ranksFromLinks } = require('../utils/rank');
+
+const { values: args } = parseArgs({
+    options: {
+        'dry-run': { type: 'boolean', default: false },
+    },
+});
+const dryRun = args['dry-run'];
+
+async function main() {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/reccoon-study-db');
+    console.log("connected!");
+
+    for (const [type, { model, groupBy }] of Object.entries(ORDERED_LISTS)) {
+        // read the raw documents, the models no longer know `prev` and `next`
+        const items = await model.collection.find({}, {
+            projection: { id: 1, prev: 1, next: 1, rank: 1, createdAt: 1, userId: 1, [groupBy]: 1 }
+        }).toArray();
+
+        const groups = {};
+        items.forEach(item => {
+            (groups[`${item.userId}/${item[groupBy]}`] ??= []).push(item);
+        });
+
+        const writes = [];
+        let migratedLists = 0;
+        for (const groupItems of Object.values(groups)) {
+            if (groupItems.every(item => item.rank)) {
+                // already migrated, only drop leftover pointers
+                groupItems
+                    .filter(item => 'prev' in item || 'next' in item)
+                    .forEach(item => writes.push({
+                        updateOne: { filter: { _id: item._id }, update: { $unset: { prev: '', next: '' } } }
+                    }));
+                continue;
+            }
+
+            migratedLists++;
+            const ranks = ranksFromLinks(groupItems);
+            groupItems.forEach(item => writes.push({
+                updateOne: {
+                    filter: { _id: item._id },
+                    update: { $set: { rank: ranks.get(item.id) }, $unset: { prev: '', next: '' } }
+                }
+            }));
+        }
+
+        console.log(`${type}: ${migratedLists} list(s) to rank, ${writes.length} document(s) to update`);
+        if (!dryRun && writes.length > 0) {
+            await model.collection.bulkWrite(writes);
+            console.log(`${type}: done`);
+        }
+    }
+
+    if (dryRun) console.log('dry run, nothing written');
+    await mongoose.disconnect();
+    console.log("disconnected");
+}
+
+main().catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+    mongoose.disconnect();
+});
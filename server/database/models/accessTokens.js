@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// a personal access token, sent by scripts and integrations as `Authorization: Bearer <token>`, see utils/accessTokens.js
+const accessTokenSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  userId: { type: String, ref: 'UserAuth', required: true },
+  name: { type: String, required: true }, // what the user created it for, e.g. "backup script"
+  tokenHash: { type: String, required: true, unique: true }, // sha256 of the token, the token itself is only shown once
+  prefix: { type: String, required: true }, // the start of the token, to tell tokens apart in the settings
+  scope: { type: String, enum: ['read', 'write'], required: true },
+  expiresAt: { type: Date, default: null }, // null for a token that does not expire
+  lastUsedAt: { type: Date, default: null },
+  lastUsedIp: { type: String, default: null },
+}, { timestamps: true, strict: 'throw' });
+
+accessTokenSchema.index({ userId: 1 });
+// let MongoDB remove expired tokens, tokens without expiry are kept
+accessTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AccessToken', accessTokenSchema);
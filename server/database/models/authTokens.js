@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+const authTokenSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  userId: { type: String, ref: 'UserAuth', required: true },
+  purpose: { type: String, enum: ['verifyEmail', 'resetPassword'], required: true },
+  tokenHash: { type: String, required: true, unique: true }, // sha256 of the token, the token itself is only sent by mail
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+}, { timestamps: true, strict: 'throw' });
+
+// let MongoDB remove expired tokens
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthToken', authTokenSchema);
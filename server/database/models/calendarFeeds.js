@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// the secret link of a user's calendar feed, read by calendar apps without logging in, see services/calendarFeed.js
+const calendarFeedSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  userId: { type: String, ref: 'UserAuth', required: true, unique: true }, // one feed per user, resetting it replaces the link
+  tokenHash: { type: String, required: true, unique: true }, // sha256 of the token, the link itself is only shown once
+  prefix: { type: String, required: true }, // the start of the token, to recognize the link in the settings
+  lastFetchedAt: { type: Date, default: null },
+}, { timestamps: true, strict: 'throw' });
+
+module.exports = mongoose.model('CalendarFeed', calendarFeedSchema);
@@ -0,0 +1,9 @@
+const mongoose = require('mongoose');
+
+// the last change sequence number of a user, see services/changeLog.js
+const changeCounterSchema = new mongoose.Schema({
+  userId: { type: String, ref: 'UserAuth', required: true, unique: true },
+  seq: { type: Number, required: true, default: 0 },
+}, { timestamps: true, strict: 'throw' });
+
+module.exports = mongoose.model('ChangeCounter', changeCounterSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// how long notifications are kept, read or not
+const RETENTION_DAYS = 30;
+
+// an in-app notification, e.g. the reminder of a task, see services/reminderScheduler.js and routes/notifications.js
+const notificationSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  userId: { type: String, ref: 'UserAuth', required: true },
+  type: { type: String, enum: ['reminder'], required: true },
+  key: { type: String, required: true, unique: true }, // what it is about, so it is only ever created once
+  title: { type: String, required: true },
+  body: { type: String, default: '' },
+  taskId: { type: String, ref: 'Task', default: null },
+  projectId: { type: String, ref: 'Project', default: null },
+  readAt: { type: Date, default: null },
+}, { timestamps: true, strict: 'throw' });
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+// let MongoDB remove old notifications
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
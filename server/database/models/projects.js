@@ -4,9 +4,13 @@ const projectSchema = new mongoose.Schema({
   id: { type: String, required: true, unique: true },
   title: { type: String, required: true },
   description: { type: String },
-  prev: { type: String, ref: 'Project' },
-  next: { type: String, ref: 'Project' },
+  rank: { type: String, required: true }, // fractional rank, see utils/rank.js
+  rev: { type: Number, default: 0 }, // revision, bumped by every bulk payload that updates it
+  changeSeq: { type: Number }, // the change of the user that last wrote it, see services/changeLog.js
   userId: { type: String, ref: 'UserAuth', required: true }
 }, { timestamps: true, strict: 'throw' });
 
+// GET /api/changes reads the documents a user changed since a cursor
+projectSchema.index({ userId: 1, changeSeq: 1 });
+
 module.exports = mongoose.model('Project', projectSchema);
\ No newline at end of file
@@ -6,9 +6,13 @@ const statusesSchema = new mongoose.Schema({
   description: { type: String },
   color: { type: String },
   project: { type: String, ref: 'Project', required: true },
-  prev: { type: String, ref: 'Status' },
-  next: { type: String, ref: 'Status' },
+  rank: { type: String, required: true }, // fractional rank, see utils/rank.js
+  rev: { type: Number, default: 0 }, // revision, bumped by every bulk payload that updates it
+  changeSeq: { type: Number }, // the change of the user that last wrote it, see services/changeLog.js
   userId: { type: String, ref: 'UserAuth', required: true }
 }, { timestamps: true, strict: 'throw' });
 
+// GET /api/changes reads the documents a user changed since a cursor
+statusesSchema.index({ userId: 1, changeSeq: 1 });
+
 module.exports = mongoose.model('Status', statusesSchema);
\ No newline at end of file
@@ -1,16 +1,39 @@
 const mongoose = require('mongoose');
 
+// a sub-item of the checklist of a task, see utils/subtasks.js
+const subtaskSchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  title: { type: String, required: true },
+  done: { type: Boolean, default: false }
+}, { _id: false, strict: 'throw' });
+
 const taskSchema = new mongoose.Schema({
   id: { type: String, required: true, unique: true },
   title: { type: String, required: true },
-  dueDate: { type: Date },
+  dueDate: { type: Date }, // midnight UTC for a whole day, see utils/timeZone.js
+  dueHasTime: { type: Boolean }, // whether the task is due at the time of `dueDate` rather than on its day
+  reminders: { type: [Number], default: [] }, // minutes before the due time, see utils/reminders.js
+  recurrence: { type: String, default: null }, // the repeat rule, e.g. FREQ=WEEKLY;BYDAY=MO, see utils/recurrence.js
   description: { type: String },
+  subtasks: { type: [subtaskSchema], default: [] }, // the checklist, in list order
+  priority: { type: String, default: null }, // 'low', 'medium' or 'high', see utils/taskDetails.js
+  tags: { type: [String], default: [] },
+  category: { type: String, default: null },
+  estimatedDuration: { type: Number, default: null }, // in minutes
   status: { type: String, ref: 'Status', required: true },
   previousStatus: { type: String, ref: 'Status' },
-  prev: { type: String, ref: 'Task' },
-  next: { type: String, ref: 'Task' },
+  rank: { type: String, required: true }, // fractional rank, see utils/rank.js
+  rev: { type: Number, default: 0 }, // revision, bumped by every bulk payload that updates it
+  changeSeq: { type: Number }, // the change of the user that last wrote it, see services/changeLog.js
   userId: { type: String, ref: 'UserAuth', required: true },
   isPending: { type: Boolean, default: false }
 }, { timestamps: true, strict: 'throw' });
 
+// GET /api/changes reads the documents a user changed since a cursor
+taskSchema.index({ userId: 1, changeSeq: 1 });
+// GET /api/search searches the titles and descriptions of the tasks of a user, see services/search.js
+taskSchema.index({ userId: 1, title: 'text', description: 'text' }, { name: 'task_text', weights: { title: 3, description: 1 } });
+// the reminder scheduler reads the tasks with reminders that are due soon, see services/reminderScheduler.js
+taskSchema.index({ dueDate: 1 }, { partialFilterExpression: { 'reminders.0': { $exists: true } } });
+
 module.exports = mongoose.model('Task', taskSchema);
\ No newline at end of file
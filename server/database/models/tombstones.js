@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// how long deletions are remembered, clients that last synced before that have to load everything again
+const RETENTION_DAYS = 90;
+
+// a deleted task, status or project, so GET /api/changes can tell clients to remove it
+const tombstoneSchema = new mongoose.Schema({
+  type: { type: String, enum: ['task', 'status', 'project'], required: true },
+  id: { type: String, required: true }, // the id of the deleted item
+  userId: { type: String, ref: 'UserAuth', required: true },
+  changeSeq: { type: Number, required: true },
+  deletedAt: { type: Date, required: true },
+}, { strict: 'throw' });
+
+tombstoneSchema.index({ userId: 1, changeSeq: 1 });
+// let MongoDB remove old tombstones
+tombstoneSchema.index({ deletedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+const Tombstone = mongoose.model('Tombstone', tombstoneSchema);
+Tombstone.RETENTION_DAYS = RETENTION_DAYS;
+
+module.exports = Tombstone;
@@ -1,5 +1,20 @@
 const mongoose = require('mongoose');
 
+// a named filter of the tasks of every project, see utils/savedViews.js
+const viewFilterSchema = new mongoose.Schema({
+  due: { type: String, default: 'any' },
+  priorities: { type: [String], default: [] },
+  tags: { type: [String], default: [] },
+  projects: { type: [String], default: [] },
+  text: { type: String, default: '' }
+}, { _id: false, strict: 'throw' });
+
+const savedViewSchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  name: { type: String, required: true },
+  filter: { type: viewFilterSchema, required: true }
+}, { _id: false, strict: 'throw' });
+
 const userProfileSchema = new mongoose.Schema({
   id: { type: String, required: true, unique: true },
   userAuthId: { type: String, ref: 'UserAuth', required: true },
@@ -7,6 +22,13 @@ const userProfileSchema = new mongoose.Schema({
   lastProjectId: { type: String, ref: 'Project' },
   avatarUrl: { type: String, default: '' },
   language: { type: String, default: 'en-US' },
+  timeZone: { type: String, default: null }, // e.g. Europe/Berlin, null for the time zone of the browser
+  savedViews: { type: [savedViewSchema], default: [] }, // in Menubar order
+  rev: { type: Number, default: 0 }, // revision, bumped by every bulk payload that updates it
+  changeSeq: { type: Number }, // the change of the user that last wrote it, see services/changeLog.js
 }, { timestamps: true, strict: 'throw' });
 
+// GET /api/changes reads the documents a user changed since a cursor
+userProfileSchema.index({ userAuthId: 1, changeSeq: 1 });
+
 module.exports = mongoose.model('UserProfile', userProfileSchema);
\ No newline at end of file
@@ -0,0 +1,88 @@
+/**
+ * Scans the order of tasks, statuses and projects and repairs the lists where items are missing a rank
+ * or share one, by giving the whole list fresh, evenly spaced ranks in its current order.
+ *
+ * Usage (from server/):
+ *   node database/repairRanks.js                 # every user
+ *   node database/repairRanks.js --user <userId> # one user
+ *   node database/repairRanks.js --dry-run       # only report, write nothing
+ *
+ * Connects to MONGODB_URI from server/.env, or the local database used by initMongoDB.js.
+ */
+const path = require('path');
+const { parseArgs } = require('util');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+const mongoose = require('mongoose');
+
+const UserAuth = require('./models/userAuths');
+const { ORDERED_LISTS, findRankProblems, repairRanks } = require('../utils/rankIntegrity');
+
+const { values: args } = parseArgs({
+    options: {
+        user: { type: 'string' },
+        'dry-run': { type: 'boolean', default: false },
+    },
+});
+const dryRun = args['dry-run'];
+
+/**
+ * Checks and repairs every list of one user.
+ * @param {string} userId - The user to be scanned.
+ * @returns {Promise<number>} the number of broken lists found.
+ */
+async function repairUser(userId) {
+    let brokenLists = 0;
+    for (const [type, { model, groupBy }] of Object.entries(ORDERED_LISTS)) {
+        const items = await model.find({ userId }, { id: 1, rank: 1, createdAt: 1, [groupBy]: 1 }).lean();
+
+        const groups = {};
+        items.forEach(item => {
+            (groups[item[groupBy]] ??= []).push(item);
+        });
+
+        for (const [group, groupItems] of Object.entries(groups)) {
+            const problems = findRankProblems(groupItems);
+            if (problems.length === 0) continue;
+            brokenLists++;
+
+            console.log(`\n${type} list ${group} of user ${userId}:`);
+            problems.forEach(({ id, problem }) => console.log(`  - ${id}: ${problem}`));
+
+            const changes = repairRanks(groupItems);
+            console.log(`  ${dryRun ? 'would rerank' : 'reranking'} ${changes.length} ${type}(s)`);
+            if (!dryRun && changes.length > 0) {
+                await model.bulkWrite(changes.map(({ id, rank }) => ({
+                    updateOne: {
+                        filter: { id, userId },
+                        update: { $set: { rank } }
+                    }
+                })));
+            }
+        }
+    }
+    return brokenLists;
+}
+
+async function main() {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/reccoon-study-db');
+    console.log("connected!");
+
+    const userIds = args.user
+        ? [args.user]
+        : (await UserAuth.find({}, { id: 1 }).lean()).map(user => user.id);
+
+    let brokenLists = 0;
+    for (const userId of userIds) {
+        brokenLists += await repairUser(userId);
+    }
+    console.log(`\nScanned ${userIds.length} user(s), found ${brokenLists} broken list(s)${dryRun ? ' (dry run, nothing written)' : ''}`);
+
+    await mongoose.disconnect();
+    console.log("disconnected");
+}
+
+main().catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+    mongoose.disconnect();
+});
@@ -0,0 +1,628 @@
+/**
+ * The OpenAPI document of the REST API, served as GET /api/openapi.json.
+ * Keep it in sync with routes/tasks.js, routes/statuses.js, routes/projects.js and services/resources.js,
+ * and with routes/export.js, routes/import.js, services/accountArchive.js, services/projectExport.js, routes/calendarFeed.js,
+ * routes/profile.js, routes/notifications.js and routes/search.js.
+ */
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const jsonContent = (schema) => ({ 'application/json': { schema } });
+
+const errorResponse = (description) => ({ description, content: jsonContent(ref('Error')) });
+
+// the responses every route may send
+const commonErrors = {
+  400: errorResponse('Invalid request, e.g. an unknown field or a reference to an item that was not found'),
+  401: errorResponse('Not logged in, or the access token is invalid or expired'),
+  500: errorResponse('Internal server error'),
+};
+
+// the responses of every write, see services/resources.js
+const writeErrors = {
+  ...commonErrors,
+  403: errorResponse('The access token is read-only'),
+  404: errorResponse('The item was not found'),
+  409: { description: 'The item was changed since the revision sent in `rev`', content: jsonContent(ref('Conflict')) },
+  422: errorResponse('The write would give two items of the same list the same rank, retry it'),
+};
+
+const idParameter = (type) => ({ name: 'id', in: 'path', required: true, schema: { type: 'string' }, description: `The id of the ${type}` });
+
+const revParameter = {
+  name: 'rev', in: 'query', required: false, schema: { type: 'integer', minimum: 0 },
+  description: 'The revision the deletion is based on, the current one by default',
+};
+
+const clientIdParameter = {
+  name: 'X-Client-Id', in: 'header', required: false, schema: { type: 'string' },
+  description: 'The id of the calling client, it is not sent the change over GET /api/events',
+};
+
+const single = (name, schema) => ({ type: 'object', required: [name], properties: { [name]: schema } });
+
+const deletedResponse = {
+  description: 'Every deleted item',
+  content: jsonContent(single('deleted', {
+    type: 'array',
+    items: { type: 'object', required: ['type', 'id'], properties: { type: { type: 'string', enum: ['task', 'status', 'project'] }, id: { type: 'string' } } },
+  })),
+};
+
+const index = {
+  description: 'Where the item goes in its list: a position from 0, "start" or "end". "end" by default',
+  oneOf: [{ type: 'integer', minimum: 0 }, { type: 'string', enum: ['start', 'end'] }],
+};
+
+const rev = {
+  type: 'integer', minimum: 0,
+  description: 'The revision the write is based on, the current one by default. Rejected with 409 if the item changed since',
+};
+
+/**
+ * Builds the paths of one resource.
+ * @param type - 'task', 'status' or 'project'.
+ * @param plural - The name of the collection, e.g. 'tasks'.
+ * @param schema - The name of the schema of the resource, e.g. 'Task'.
+ * @param listParameters - The filters of the list route.
+ * @param listDescription - What the list route returns.
+ * @param deleteDescription - What the delete route deletes.
+ */
+const resourcePaths = (type, plural, schema, listParameters, listDescription, deleteDescription) => ({
+  [`/api/${plural}`]: {
+    get: {
+      tags: [plural],
+      summary: `List the ${plural}`,
+      description: listDescription,
+      parameters: listParameters,
+      responses: {
+        200: { description: `The ${plural}`, content: jsonContent(single(plural, { type: 'array', items: ref(schema) })) },
+        ...commonErrors,
+      },
+    },
+    post: {
+      tags: [plural],
+      summary: `Create a ${type}`,
+      parameters: [clientIdParameter],
+      requestBody: { required: true, content: jsonContent(ref(`${schema}Create`)) },
+      responses: {
+        201: { description: `The created ${type}`, content: jsonContent(single(type, ref(schema))) },
+        ...writeErrors,
+      },
+    },
+  },
+  [`/api/${plural}/{id}`]: {
+    get: {
+      tags: [plural],
+      summary: `Get a ${type}`,
+      parameters: [idParameter(type)],
+      responses: {
+        200: { description: `The ${type}`, content: jsonContent(single(type, ref(schema))) },
+        404: errorResponse(`The ${type} was not found`),
+        ...commonErrors,
+      },
+    },
+    patch: {
+      tags: [plural],
+      summary: `Update a ${type}`,
+      parameters: [idParameter(type), clientIdParameter],
+      requestBody: { required: true, content: jsonContent(ref(`${schema}Update`)) },
+      responses: {
+        200: { description: `The updated ${type}`, content: jsonContent(single(type, ref(schema))) },
+        ...writeErrors,
+      },
+    },
+    delete: {
+      tags: [plural],
+      summary: `Delete a ${type}`,
+      description: deleteDescription,
+      parameters: [idParameter(type), revParameter, clientIdParameter],
+      responses: {
+        200: deletedResponse,
+        ...writeErrors,
+      },
+    },
+  },
+});
+
+// fields sent back with every item
+const storedFields = {
+  id: { type: 'string' },
+  rank: { type: 'string', description: 'Fractional rank, items of a list sorted by rank as plain strings are in list order' },
+  userId: { type: 'string' },
+  rev: { type: 'integer', description: 'Revision, bumped by every write' },
+  changeSeq: { type: 'integer', description: 'The change that last wrote the item, see GET /api/changes' },
+  createdAt: { type: 'string', format: 'date-time' },
+  updatedAt: { type: 'string', format: 'date-time' },
+};
+
+const taskFields = {
+  title: { type: 'string', minLength: 1 },
+  description: { type: 'string' },
+  dueDate: {
+    type: 'string', format: 'date-time', nullable: true,
+    description: 'When the task is due, in UTC. A whole day is midnight UTC, the day of the date',
+  },
+  dueHasTime: {
+    type: 'boolean',
+    description: 'Whether the task is due at the time of `dueDate` rather than on its whole day. Written with `dueDate`, '
+      + 'false by default',
+  },
+  reminders: {
+    type: 'array', maxItems: 5, uniqueItems: true, example: [0, 60],
+    items: { type: 'integer', minimum: 0, maximum: 40320 },
+    description: 'When to remind the user, in minutes before the task is due. A task due on a whole day is due at 9:00 that day '
+      + 'in the time zone of the user. Reminders are listed by GET /api/notifications',
+  },
+  recurrence: {
+    type: 'string', nullable: true, example: 'FREQ=WEEKLY;BYDAY=MO,TH',
+    description: 'The repeat rule, a subset of the iCalendar RRULE: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, '
+      + 'BYDAY (weekly), BYMONTHDAY (monthly and yearly, -1 for the last day), BYMONTH (yearly) and UNTIL (YYYYMMDD). '
+      + 'When a repeating task is completed, by the web-client or by giving it the `<projectId>-completed` status, '
+      + 'its next occurrence is added in its place',
+  },
+  subtasks: {
+    type: 'array',
+    maxItems: 100,
+    description: 'The checklist of the task, in list order. Written as a whole',
+    items: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['id', 'title', 'done'],
+      properties: {
+        id: { type: 'string', minLength: 1, description: 'Unique within the checklist' },
+        title: { type: 'string', minLength: 1, maxLength: 500 },
+        done: { type: 'boolean' },
+      },
+    },
+  },
+  priority: { type: 'string', enum: ['low', 'medium', 'high'], nullable: true },
+  tags: {
+    type: 'array', maxItems: 20, example: ['exam', 'biology'],
+    description: 'Distinct tags, compared without case',
+    items: { type: 'string', minLength: 1, maxLength: 50 },
+  },
+  category: { type: 'string', minLength: 1, maxLength: 50, nullable: true, example: 'research' },
+  estimatedDuration: { type: 'integer', minimum: 1, maximum: 60000, nullable: true, description: 'The estimated time the task takes, in minutes' },
+  status: {
+    type: 'string',
+    description: 'The status the task is in, or `<projectId>-completed` / `<projectId>-deleted` for completed and trashed tasks',
+  },
+};
+
+const statusFields = {
+  title: { type: 'string', minLength: 1 },
+  description: { type: 'string' },
+  color: { type: 'string', description: 'A CSS color, e.g. "#e8fdec"' },
+  project: { type: 'string', description: 'The project the status belongs to' },
+};
+
+const profileFields = {
+  nickname: { type: 'string', minLength: 1 },
+  timeZone: { type: 'string', nullable: true, example: 'Europe/Berlin', description: 'The time zone due dates are shown in, null for the one of the browser' },
+  savedViews: {
+    type: 'array', maxItems: 20,
+    description: 'Named filters of the open tasks of every project, in menu order. Written as a whole',
+    items: {
+      type: 'object', additionalProperties: false, required: ['id', 'name', 'filter'],
+      properties: {
+        id: { type: 'string', minLength: 1, description: 'Unique within the views' },
+        name: { type: 'string', minLength: 1, maxLength: 50, example: 'Exams this week' },
+        filter: {
+          type: 'object', additionalProperties: false, required: ['due', 'priorities', 'tags', 'projects', 'text'],
+          description: 'A task matches every part of the filter. An empty list matches every task',
+          properties: {
+            due: {
+              type: 'string', enum: ['any', 'today', 'overdue', 'next7', 'none'],
+              description: 'Any due date, due today, before today, from today to 7 days from now, or without a due date; in the time zone of the user',
+            },
+            priorities: { type: 'array', uniqueItems: true, items: { type: 'string', enum: ['low', 'medium', 'high'] } },
+            tags: { type: 'array', maxItems: 20, uniqueItems: true, items: { type: 'string', minLength: 1, maxLength: 50 }, description: 'Tasks with any of the tags' },
+            projects: { type: 'array', maxItems: 100, uniqueItems: true, items: { type: 'string' }, description: 'Tasks of any of the projects' },
+            text: { type: 'string', maxLength: 200, description: 'In the title or the description, case insensitive' },
+          },
+        },
+      },
+    },
+  },
+};
+
+const projectFields = {
+  title: { type: 'string', minLength: 1 },
+  description: { type: 'string' },
+};
+
+const openapi = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Raccoon Study API',
+    version: '1.0.0',
+    description: 'The tasks, statuses and projects of the logged in user. '
+      + 'Tasks are ordered within their status, statuses within their project and projects within the user; '
+      + 'the server ranks created and moved items, so clients only send positions. '
+      + 'Every write is pushed to the user\'s open web-clients.',
+  },
+  servers: [{ url: '/' }],
+  security: [{ cookieAuth: [] }, { bearerAuth: [] }],
+  tags: [{ name: 'tasks' }, { name: 'statuses' }, { name: 'projects' }, { name: 'archive' }, { name: 'calendar' }, { name: 'profile' }, { name: 'notifications' }, { name: 'search' }],
+  paths: {
+    ...resourcePaths('task', 'tasks', 'Task', [
+      { name: 'project', in: 'query', schema: { type: 'string' }, description: 'Only the tasks of this project, completed and deleted ones included' },
+      { name: 'status', in: 'query', schema: { type: 'string' }, description: 'Only the tasks in this status' },
+      { name: 'dueBefore', in: 'query', schema: { type: 'string', format: 'date-time' }, description: 'Only the tasks due before this date' },
+      { name: 'text', in: 'query', schema: { type: 'string' }, description: 'Only the tasks with this text in the title or description, case insensitive' },
+    ], 'The tasks matching every filter sent, grouped by status and in list order.',
+    'Deletes the task for good. To move it to the trash instead, move it to `<projectId>-deleted`.'),
+    '/api/tasks/{id}/move': {
+      post: {
+        tags: ['tasks'],
+        summary: 'Move a task',
+        description: 'Moves a task within its status or to another one. The server ranks it at the requested position.',
+        parameters: [idParameter('task'), clientIdParameter],
+        requestBody: {
+          required: true,
+          content: jsonContent({
+            type: 'object',
+            additionalProperties: false,
+            properties: { status: { ...taskFields.status, description: 'The target status, the current one by default' }, index, rev },
+          }),
+        },
+        responses: {
+          200: { description: 'The moved task', content: jsonContent(single('task', ref('Task'))) },
+          ...writeErrors,
+        },
+      },
+    },
+    ...resourcePaths('status', 'statuses', 'Status', [
+      { name: 'project', in: 'query', schema: { type: 'string' }, description: 'Only the statuses of this project' },
+    ], 'The statuses, grouped by project and in list order.', 'Deletes the status and its tasks.'),
+    ...resourcePaths('project', 'projects', 'Project', [], 'The projects, in list order.',
+      'Deletes the project, its statuses and its tasks. If it was the open project, the project before it is opened.'),
+    '/api/export': {
+      get: {
+        tags: ['archive'],
+        summary: 'Export the account',
+        description: 'The profile, projects, statuses, tasks and AI conversations of the user, as a file to be imported with POST /api/import.',
+        responses: {
+          200: { description: 'The archive', content: jsonContent(ref('Archive')) },
+          ...commonErrors,
+        },
+      },
+    },
+    '/api/export/project/{id}': {
+      get: {
+        tags: ['archive'],
+        summary: 'Export a project as text',
+        description: 'A heading per status and a checklist item per task (Markdown), or a line per task (todo.txt), '
+          + 'in list order. Trashed tasks are left out. Both can be read back with POST /api/import/board.',
+        parameters: [
+          idParameter('project'),
+          { name: 'format', in: 'query', required: false, schema: { type: 'string', enum: ['markdown', 'todotxt'], default: 'markdown' } },
+        ],
+        responses: {
+          200: { description: 'The file', content: { 'text/markdown': { schema: { type: 'string' } }, 'text/plain': { schema: { type: 'string' } } } },
+          ...commonErrors,
+          404: errorResponse('The project was not found'),
+        },
+      },
+    },
+    '/api/import': {
+      post: {
+        tags: ['archive'],
+        summary: 'Import an archive',
+        description: 'Adds the content of an archive to the account with fresh ids, the imported projects after the existing ones. '
+          + 'Items that cannot be imported, e.g. a task of a status missing from the archive, are skipped and reported.',
+        parameters: [
+          { name: 'dryRun', in: 'query', required: false, schema: { type: 'boolean' }, description: 'Only report what would be imported' },
+          clientIdParameter,
+        ],
+        requestBody: { required: true, content: jsonContent(ref('Archive')) },
+        responses: {
+          200: { description: 'What would be imported, for a dry run', content: jsonContent(ref('ImportReport')) },
+          201: { description: 'What was imported', content: jsonContent(ref('ImportReport')) },
+          ...writeErrors,
+        },
+      },
+    },
+    '/api/import/board': {
+      post: {
+        tags: ['archive'],
+        summary: 'Preview a board of another app',
+        description: 'Reads a CSV file, a Trello board export, a Todoist export, or a Markdown or todo.txt file into the project it would become. Nothing is written: '
+          + 'create the project, its statuses and tasks with POST /api/bulk, or with the projects, statuses and tasks routes.',
+        requestBody: {
+          required: true,
+          content: jsonContent({
+            type: 'object',
+            required: ['content'],
+            properties: {
+              content: { type: 'string', description: 'The file, as text' },
+              format: { type: 'string', enum: ['csv', 'trello', 'todoist-csv', 'todoist-json', 'markdown', 'todotxt'], description: 'Guessed from the content and file name by default' },
+              fileName: { type: 'string', description: 'The title of the project when the file names none' },
+            },
+          }),
+        },
+        responses: {
+          200: { description: 'The preview', content: jsonContent(ref('BoardPreview')) },
+          ...commonErrors,
+        },
+      },
+    },
+    '/api/calendar-feed/{token}.ics': {
+      get: {
+        tags: ['calendar'],
+        summary: 'The calendar feed',
+        description: 'The tasks with a due date as an iCalendar file, for calendar apps to subscribe to. The secret link is created '
+          + 'in the settings of the web-client, it needs no login. Trashed tasks are left out, completed ones are marked completed, '
+          + 'a task due on a whole day (`dueHasTime` false) is an all-day entry.',
+        security: [],
+        parameters: [
+          { name: 'token', in: 'path', required: true, schema: { type: 'string' }, description: 'The token of the secret link' },
+          { name: 'project', in: 'query', schema: { type: 'string' }, description: 'Only the tasks of this project' },
+          { name: 'kind', in: 'query', schema: { type: 'string', enum: ['event', 'todo'], default: 'event' }, description: 'List the tasks as events (VEVENT) or as to-dos (VTODO)' },
+        ],
+        responses: {
+          200: { description: 'The calendar', content: { 'text/calendar': { schema: { type: 'string' } } } },
+          400: errorResponse('Unknown `kind`'),
+          404: errorResponse('The link is unknown or was reset, or the project was not found'),
+        },
+      },
+    },
+    '/api/profile': {
+      get: {
+        tags: ['profile'],
+        summary: 'Get the profile',
+        responses: {
+          200: { description: 'The profile', content: jsonContent(single('profile', ref('Profile'))) },
+          ...commonErrors,
+          404: errorResponse('The user has no profile yet'),
+        },
+      },
+      patch: {
+        tags: ['profile'],
+        summary: 'Update the profile',
+        parameters: [clientIdParameter],
+        requestBody: { required: true, content: jsonContent({ type: 'object', additionalProperties: false, properties: { ...profileFields, rev } }) },
+        responses: {
+          200: { description: 'The updated profile', content: jsonContent(single('profile', ref('Profile'))) },
+          ...writeErrors,
+        },
+      },
+    },
+    '/api/notifications': {
+      get: {
+        tags: ['notifications'],
+        summary: 'List the notifications',
+        description: 'The latest 50 notifications, newest first, e.g. the reminders of tasks. They are kept for 30 days. '
+          + 'New ones are also pushed to the open web-clients as `event: notification` on GET /api/events.',
+        responses: {
+          200: {
+            description: 'The notifications, and how many are unread',
+            content: jsonContent({
+              type: 'object', required: ['notifications', 'unread'],
+              properties: { notifications: { type: 'array', items: ref('Notification') }, unread: { type: 'integer' } },
+            }),
+          },
+          ...commonErrors,
+        },
+      },
+    },
+    '/api/search': {
+      get: {
+        tags: ['search'],
+        summary: 'Search the tasks',
+        description: 'Searches the titles and descriptions of the tasks in every project, completed and deleted tasks included. '
+          + 'Whole words and their forms are found first, by relevance, then tasks that contain the query as part of a word.',
+        parameters: [
+          { name: 'q', in: 'query', required: true, schema: { type: 'string', minLength: 1, maxLength: 200 }, description: 'The text to search' },
+          { name: 'limit', in: 'query', required: false, schema: { type: 'integer', minimum: 1, maximum: 100, default: 50 }, description: 'How many tasks at most' },
+        ],
+        responses: {
+          200: {
+            description: 'The tasks found, grouped by project, the projects in list order',
+            content: jsonContent({
+              type: 'object', required: ['terms', 'results'],
+              properties: {
+                terms: { type: 'array', items: { type: 'string' }, description: 'The words searched, lower case, to highlight' },
+                results: { type: 'array', items: ref('SearchResult') },
+              },
+            }),
+          },
+          ...commonErrors,
+        },
+      },
+    },
+    '/api/notifications/read': {
+      post: {
+        tags: ['notifications'],
+        summary: 'Mark notifications as read',
+        parameters: [clientIdParameter],
+        requestBody: {
+          required: false,
+          content: jsonContent({
+            type: 'object', additionalProperties: false,
+            properties: { ids: { type: 'array', maxItems: 50, items: { type: 'string' }, description: 'Every unread notification by default' } },
+          }),
+        },
+        responses: {
+          200: { description: 'How many are still unread', content: jsonContent(single('unread', { type: 'integer' })) },
+          ...commonErrors,
+          403: errorResponse('The access token is read-only'),
+        },
+      },
+    },
+    '/api/openapi.json': {
+      get: {
+        summary: 'This document',
+        security: [],
+        responses: { 200: { description: 'The OpenAPI document', content: jsonContent({ type: 'object' }) } },
+      },
+    },
+  },
+  components: {
+    securitySchemes: {
+      cookieAuth: { type: 'apiKey', in: 'cookie', name: 'token', description: 'Set by POST /api/login' },
+      bearerAuth: {
+        type: 'http',
+        scheme: 'bearer',
+        description: 'A personal access token, created in the settings of the web-client. Read-only tokens can only be used with GET',
+      },
+    },
+    schemas: {
+      Task: { type: 'object', properties: { ...storedFields, ...taskFields, previousStatus: { type: 'string' } } },
+      TaskCreate: { type: 'object', required: ['title', 'status'], additionalProperties: false, properties: { ...taskFields, index } },
+      TaskUpdate: {
+        type: 'object', additionalProperties: false, properties: { ...taskFields, rev },
+        description: 'A task given another status goes to the end of it, use POST /api/tasks/{id}/move to choose the position',
+      },
+      Status: { type: 'object', properties: { ...storedFields, ...statusFields } },
+      StatusCreate: { type: 'object', required: ['title', 'project'], additionalProperties: false, properties: { ...statusFields, index } },
+      StatusUpdate: {
+        type: 'object', additionalProperties: false, properties: { ...statusFields, rev },
+        description: 'A status given another project goes to the end of it',
+      },
+      Project: { type: 'object', properties: { ...storedFields, ...projectFields } },
+      Profile: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          ...profileFields,
+          avatarUrl: { type: 'string' },
+          language: { type: 'string' },
+          lastProjectId: { type: 'string', nullable: true, description: 'The project open in the web-client' },
+          rev: storedFields.rev,
+        },
+      },
+      SearchResult: {
+        type: 'object',
+        properties: {
+          project: { type: 'object', properties: { id: { type: 'string' }, title: { type: 'string' } } },
+          tasks: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                id: { type: 'string' },
+                title: { type: 'string' },
+                snippet: { type: 'string', description: 'The part of the description around the first match' },
+                status: { type: 'string', description: 'The status id, `<projectId>-completed` or `<projectId>-deleted` for completed and deleted tasks' },
+                statusTitle: { type: 'string', example: 'Now' },
+                dueDate: taskFields.dueDate,
+                dueHasTime: taskFields.dueHasTime,
+              },
+            },
+          },
+        },
+      },
+      Notification: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          type: { type: 'string', enum: ['reminder'] },
+          title: { type: 'string', description: 'The title of the task' },
+          body: { type: 'string', example: 'Due in 15 minutes' },
+          taskId: { type: 'string', nullable: true },
+          projectId: { type: 'string', nullable: true },
+          readAt: { type: 'string', format: 'date-time', nullable: true },
+          createdAt: { type: 'string', format: 'date-time' },
+        },
+      },
+      ProjectCreate: {
+        type: 'object', required: ['title'], additionalProperties: false, properties: { ...projectFields, index },
+        description: 'The project is created with the default statuses "Now", "Next" and "Later"',
+      },
+      ProjectUpdate: { type: 'object', additionalProperties: false, properties: { ...projectFields, rev } },
+      Archive: {
+        type: 'object',
+        required: ['format', 'version'],
+        properties: {
+          format: { type: 'string', enum: ['raccoon-study-archive'] },
+          version: { type: 'integer', minimum: 1, description: 'Archives of older versions can still be imported' },
+          exportedAt: { type: 'string', format: 'date-time' },
+          profile: {
+            type: 'object', nullable: true,
+            properties: { nickname: { type: 'string' }, avatarUrl: { type: 'string' }, language: { type: 'string' }, lastProjectId: { type: 'string' } },
+          },
+          projects: { type: 'array', items: ref('Project') },
+          statuses: { type: 'array', items: ref('Status') },
+          tasks: { type: 'array', items: ref('Task') },
+          conversations: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                id: { type: 'string' },
+                title: { type: 'string' },
+                messages: {
+                  type: 'array',
+                  items: { type: 'object', properties: { content: { type: 'string' }, role: { type: 'string', enum: ['user', 'ai'] } } },
+                },
+              },
+            },
+          },
+        },
+      },
+      ImportReport: {
+        type: 'object',
+        properties: {
+          dryRun: { type: 'boolean' },
+          created: {
+            type: 'object',
+            description: 'The number of items created per type',
+            properties: Object.fromEntries(['projects', 'statuses', 'tasks', 'conversations', 'messages'].map(key => [key, { type: 'integer' }])),
+          },
+          profile: { type: 'object', description: 'The profile fields changed, as { field: { from, to } }' },
+          skipped: {
+            type: 'array',
+            items: { type: 'object', properties: { type: { type: 'string' }, id: { type: 'string', nullable: true }, reason: { type: 'string' } } },
+          },
+        },
+      },
+      BoardPreview: {
+        type: 'object',
+        properties: {
+          format: { type: 'string' },
+          title: { type: 'string', description: 'The title of the project' },
+          statuses: { type: 'array', items: { type: 'object', properties: { title: { type: 'string' }, color: { type: 'string' } } } },
+          tasks: {
+            type: 'array',
+            description: 'The tasks, in order within each status',
+            items: {
+              type: 'object',
+              properties: {
+                title: { type: 'string' },
+                description: { type: 'string' },
+                dueDate: { type: 'string', format: 'date-time', nullable: true },
+                dueHasTime: { type: 'boolean' },
+                status: { type: 'integer', description: 'The index of the status in `statuses`' },
+                completed: { type: 'boolean' },
+              },
+            },
+          },
+          warnings: { type: 'array', items: { type: 'string' }, description: 'What could not be imported as is' },
+        },
+      },
+      Error: { type: 'object', required: ['error'], properties: { error: { type: 'string' } } },
+      Conflict: {
+        type: 'object',
+        properties: {
+          error: { type: 'string' },
+          conflicts: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                type: { type: 'string' },
+                id: { type: 'string' },
+                rev: { type: 'integer', description: 'The revision sent' },
+                current: { type: 'object', nullable: true, description: 'The current item, null if it was deleted' },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+module.exports = openapi;
@@ -9,13 +9,32 @@ const cookieParser = require('cookie-parser');
 const routes = require('./routes/operations');
 const getAll = require('./routes/getAll');
 const authRoute = require('./routes/authRoute');
+const signupRoute = require('./routes/signupRoute');
+const logoutRoute = require('./routes/logoutRoute');
+const verifyEmailRoute = require('./routes/verifyEmailRoute');
+const passwordResetRoute = require('./routes/passwordResetRoute');
 const me = require('./routes/me');
+const events = require('./routes/events');
+const changes = require('./routes/changes');
+const tasks = require('./routes/tasks');
+const statuses = require('./routes/statuses');
+const projects = require('./routes/projects');
+const openapi = require('./routes/openapi');
+const accessTokens = require('./routes/accessTokens');
+const calendarFeed = require('./routes/calendarFeed');
+const exportRoute = require('./routes/export');
+const importRoute = require('./routes/import');
+const profile = require('./routes/profile');
+const notifications = require('./routes/notifications');
+const search = require('./routes/search');
 const aiChatRouter = require('./routes/ai-chat');
+const { startReminderScheduler } = require('./services/reminderScheduler');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 mongoose.connect(process.env.MONGODB_URI).then(() => {
   console.log('Connected to MongoDB');
+  startReminderScheduler(); // send the reminders of tasks when they are due
 }).catch((error) => {
   console.error('Error connecting to MongoDB:', error);
 });
@@ -42,10 +61,12 @@ app.use(cors({
     return callback(new Error(msg), false);
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Client-Id'],
   exposedHeaders: ['Set-Cookie']
 }));
+app.use('/api/import', express.json({ limit: '20mb' })); // archives are much larger than the other bodies
+app.use('/api/bulk', express.json({ limit: '5mb' })); // imported boards add a project with all its tasks at once
 app.use(express.json()); // automatically parse JSON request bodies
 app.use(cookieParser()); // parse cookies
 
@@ -53,7 +74,24 @@ app.use(cookieParser()); // parse cookies
 app.use('/api/bulk', routes);
 app.use('/api/getAll', getAll);
 app.use('/api/login', authRoute);
+app.use('/api/signup', signupRoute);
+app.use('/api/logout', logoutRoute);
+app.use('/api/verify-email', verifyEmailRoute);
+app.use('/api/password-reset', passwordResetRoute);
 app.use('/api/me', me);
+app.use('/api/events', events);
+app.use('/api/changes', changes);
+app.use('/api/tasks', tasks);
+app.use('/api/statuses', statuses);
+app.use('/api/projects', projects);
+app.use('/api/openapi.json', openapi);
+app.use('/api/access-tokens', accessTokens);
+app.use('/api/calendar-feed', calendarFeed);
+app.use('/api/export', exportRoute);
+app.use('/api/import', importRoute);
+app.use('/api/profile', profile);
+app.use('/api/notifications', notifications);
+app.use('/api/search', search);
 app.use('/api/ai-chat', aiChatRouter);
 
 // start the server
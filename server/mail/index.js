@@ -0,0 +1,59 @@
+const path = require('path');
+const createConsoleTransport = require('./transports/consoleTransport');
+const createFileTransport = require('./transports/fileTransport');
+const createSmtpTransport = require('./transports/smtpTransport');
+
+/**
+ * A mail transport has a `name` and a `send({ to, subject, text, html })` method returning a promise.
+ * Pick one with MAIL_TRANSPORT=console|file|smtp, console is the default.
+ */
+let transport = null;
+
+const createTransportFromEnv = () => {
+  switch (process.env.MAIL_TRANSPORT || 'console') {
+    case 'file':
+      return createFileTransport({
+        dir: process.env.MAIL_FILE_DIR || path.join(__dirname, '../mail-outbox')
+      });
+    case 'smtp':
+      return createSmtpTransport({
+        host: process.env.SMTP_HOST || 'localhost',
+        port: Number(process.env.SMTP_PORT || 1025),
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+        from: process.env.MAIL_FROM || 'Raccoon Study <no-reply@raccoon.study>'
+      });
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${process.env.MAIL_TRANSPORT}`);
+  }
+};
+
+/**
+ * Gets the mail transport, created from the environment on first use.
+ */
+const getMailTransport = () => {
+  if (!transport) {
+    transport = createTransportFromEnv();
+    console.log(`Mail transport: ${transport.name}`);
+  }
+  return transport;
+};
+
+/**
+ * Replaces the mail transport, e.g. with an in-memory one in scripts.
+ * @param newTransport - An object with a `name` and a `send(message)` method.
+ */
+const setMailTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+/**
+ * Sends a mail through the configured transport.
+ * @param {{ to: string, subject: string, text: string, html?: string }} message
+ */
+const sendMail = (message) => getMailTransport().send(message);
+
+module.exports = { sendMail, getMailTransport, setMailTransport };
@@ -0,0 +1,29 @@
+/**
+ * Mail templates, each returns the `subject`, `text` and `html` of a message.
+ */
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const verifyEmailTemplate = ({ nickname, link }) => ({
+  subject: 'Verify your Raccoon Study email',
+  text: `Hi ${nickname},\n\nPlease verify your email by opening the link below:\n${link}\n\nThe link expires in 24 hours. If you did not sign up, you can ignore this mail.`,
+  html: `<p>Hi ${escapeHtml(nickname)},</p><p>Please verify your email by opening the link below:</p><p><a href="${escapeHtml(link)}">${escapeHtml(link)}</a></p><p>The link expires in 24 hours. If you did not sign up, you can ignore this mail.</p>`
+});
+
+const resetPasswordTemplate = ({ nickname, link }) => ({
+  subject: 'Reset your Raccoon Study password',
+  text: `Hi ${nickname},\n\nSomeone asked to reset your password. Open the link below to choose a new one:\n${link}\n\nThe link expires in 1 hour and can be used once. If it was not you, you can ignore this mail.`,
+  html: `<p>Hi ${escapeHtml(nickname)},</p><p>Someone asked to reset your password. Open the link below to choose a new one:</p><p><a href="${escapeHtml(link)}">${escapeHtml(link)}</a></p><p>The link expires in 1 hour and can be used once. If it was not you, you can ignore this mail.</p>`
+});
+
+const notificationTemplate = ({ nickname, title, body, link }) => ({
+  subject: body ? `${body}: ${title}` : title,
+  text: `Hi ${nickname},\n\n${title}${body ? `\n${body}` : ''}\n\nOpen it in Raccoon Study:\n${link}`,
+  html: `<p>Hi ${escapeHtml(nickname)},</p><p><strong>${escapeHtml(title)}</strong>${body ? `<br>${escapeHtml(body)}` : ''}</p><p>Open it in Raccoon Study: <a href="${escapeHtml(link)}">${escapeHtml(link)}</a></p>`
+});
+
+module.exports = { verifyEmailTemplate, resetPasswordTemplate, notificationTemplate };
@@ -0,0 +1,15 @@
+/**
+ * Mail transport that prints every message to the console.
+ * The default for local development, links can be copied from the server log.
+ */
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log('📧 Mail to:', message.to);
+    console.log('📧 Subject:', message.subject);
+    console.log(message.text);
+    return { accepted: [message.to] };
+  }
+});
+
+module.exports = createConsoleTransport;
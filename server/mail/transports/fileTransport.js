@@ -0,0 +1,19 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Mail transport that writes every message as a JSON file into a directory.
+ * Useful for scripts and manual testing, the latest file holds the latest mail.
+ * @param {{ dir: string }} options - The directory the messages are written to.
+ */
+const createFileTransport = ({ dir }) => ({
+  name: 'file',
+  send: async (message) => {
+    await fs.mkdir(dir, { recursive: true });
+    const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${message.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.json`;
+    await fs.writeFile(path.join(dir, fileName), JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+    return { accepted: [message.to] };
+  }
+});
+
+module.exports = createFileTransport;
@@ -0,0 +1,23 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Mail transport that delivers messages through an SMTP server.
+ * Point it to a real provider in production, or to a local catcher such as MailHog or Mailpit
+ * (SMTP_HOST=localhost SMTP_PORT=1025) during development.
+ * @param {{ host: string, port: number, secure: boolean, user?: string, pass?: string, from: string }} options
+ */
+const createSmtpTransport = ({ host, port, secure, user, pass, from }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => transporter.sendMail({ from, ...message })
+  };
+};
+
+module.exports = createSmtpTransport;
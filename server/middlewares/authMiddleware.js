@@ -1,24 +1,89 @@
 const jwt = require('jsonwebtoken');
+const User = require('../database/models/userAuths');
+const { findAccessToken, recordAccessTokenUse } = require('../utils/accessTokens');
 const SECRET = process.env.JWT_SECRET;
 
 if (!SECRET) {
   throw new Error('JWT_SECRET is not defined in environment variables');
 }
 
-const authMW = (req, res, next) => {
+// the methods a read-only access token may use
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Authenticates a request sent with a personal access token, see utils/accessTokens.js.
+ * Read-only tokens are rejected for anything but reading.
+ * @param {string} token - The token from the `Authorization: Bearer` header.
+ */
+const authenticateAccessToken = async (req, res, next, token) => {
+    let accessToken;
+    try {
+        accessToken = await findAccessToken(token);
+    } catch (error) {
+        console.error('Error checking access token:', error);
+        return res.status(500).json({ message: 'Internal server error' });
+    }
+    if (!accessToken) {
+        return res.status(401).json({ message: 'Invalid or expired access token' });
+    }
+    if (accessToken.scope === 'read' && !READ_METHODS.includes(req.method)) {
+        return res.status(403).json({ message: 'This access token is read-only' });
+    }
+
+    recordAccessTokenUse(accessToken, req.ip).catch((error) => console.error('Error recording access token use:', error));
+    req.user = { userId: accessToken.userId, accessTokenId: accessToken.id, scope: accessToken.scope };
+    next();
+}
+
+/**
+ * Middleware that authenticates the request, with the `token` cookie set at login,
+ * or with a personal access token sent as `Authorization: Bearer <token>`.
+ * Sets `req.user`: { userId, ... }, with `accessTokenId` and `scope` when an access token was used.
+ */
+const authMW = async (req, res, next) => {
+    const bearer = req.get('Authorization')?.match(/^Bearer\s+(\S+)$/i);
+    if (bearer) {
+        return authenticateAccessToken(req, res, next, bearer[1]);
+    }
+
     const token = req.cookies.token;
     if (!token) {
         return res.status(401).json({ message: 'Authentication token is missing' });
     }
 
+    let user;
     try {
-        const user = jwt.verify(token, SECRET);
-        req.user = user; // Attach user info to request object
-        next(); // Proceed to the next middleware or route handler
+        user = jwt.verify(token, SECRET);
     } catch (error) {
         console.error('Error verifying token:', error);
         return res.status(401).json({ message: 'Invalid authentication token' });
     }
+
+    try {
+        // Reject tokens issued before the user signed out everywhere or changed the password
+        const userAuth = await User.findOne({ id: user.userId }, { pwVersion: 1 });
+        if (!userAuth || userAuth.pwVersion !== user.pwVersion) {
+            return res.status(401).json({ message: 'Session has been revoked, please log in again' });
+        }
+    } catch (error) {
+        console.error('Error checking session version:', error);
+        return res.status(500).json({ message: 'Internal server error' });
+    }
+
+    req.user = user; // Attach user info to request object
+    next(); // Proceed to the next middleware or route handler
+}
+
+/**
+ * Middleware that rejects personal access tokens, for what only the user may do in the browser,
+ * e.g. managing the access tokens themselves. Must run after `authMW`.
+ */
+const requireSession = (req, res, next) => {
+    if (req.user.accessTokenId) {
+        return res.status(403).json({ message: 'This can only be done while logged in, not with an access token' });
+    }
+    next();
 }
 
-module.exports = authMW;
\ No newline at end of file
+module.exports = authMW;
+module.exports.requireSession = requireSession;
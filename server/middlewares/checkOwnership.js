@@ -0,0 +1,161 @@
+const Task = require('../database/models/tasks');
+const Project = require('../database/models/projects');
+const Status = require('../database/models/statuses');
+const UserProfile = require('../database/models/userProfiles');
+
+// the virtual statuses of a project, `${projectId}-completed` and `${projectId}-deleted`
+const VIRTUAL_STATUS_REGEX = /^(.+)-(completed|deleted)$/;
+
+/**
+ * Collects, per type, every document id the ops touch or point to.
+ * @param ops - The ops of the bulk payload.
+ * @returns { task: Set, project: Set, status: Set, userProfile: Set }
+ */
+function collectReferencedIds(ops) {
+  const ids = { task: new Set(), project: new Set(), status: new Set(), userProfile: new Set() };
+
+  const addStatusRef = (statusId) => {
+    if (!statusId) return;
+    const virtual = VIRTUAL_STATUS_REGEX.exec(statusId);
+    if (virtual && !ids.status.has(statusId)) {
+      ids.project.add(virtual[1]);
+    }
+    ids.status.add(statusId);
+  };
+
+  for (const op of ops) {
+    const fields = op.operation === 'update' ? (op.data.updatedFields || {}) : op.data;
+    ids[op.type].add(op.data.id);
+    if (op.operation === 'delete') continue;
+
+    if (op.type === 'task') {
+      addStatusRef(fields.status);
+      addStatusRef(fields.previousStatus);
+    }
+    if (op.type === 'status' && fields.project) ids.project.add(fields.project);
+    if (op.type === 'userProfile' && fields.lastProjectId) ids.project.add(fields.lastProjectId);
+  }
+  return ids;
+}
+
+/**
+ * Checks that every op is scoped to the user.
+ * Updates and deletes must target documents the user owns, adds must use fresh ids,
+ * and every reference (status, project, ...) must point to the user's own documents.
+ * Also used by the REST routes, see services/resources.js.
+ * @param ops - The validated ops.
+ * @param {string} userId - The id of the logged in user.
+ * @returns {Promise<{ index: number, type: string, operation: string, id: string, reason: string }[]>}
+ *   the ops breaking these rules, empty if every op may be applied.
+ */
+async function findRejectedOps(ops, userId) {
+  const ids = collectReferencedIds(ops);
+
+  // documents of this user, and ids taken by anyone (for adds)
+  const [ownTasks, ownProjects, ownStatuses, ownProfiles, takenTasks, takenProjects, takenStatuses] = await Promise.all([
+    Task.find({ id: { $in: [...ids.task] }, userId }, { id: 1 }),
+    Project.find({ id: { $in: [...ids.project] }, userId }, { id: 1 }),
+    Status.find({ id: { $in: [...ids.status] }, userId }, { id: 1 }),
+    UserProfile.find({ id: { $in: [...ids.userProfile] }, userAuthId: userId }, { id: 1 }),
+    Task.find({ id: { $in: [...ids.task] } }, { id: 1 }),
+    Project.find({ id: { $in: [...ids.project] } }, { id: 1 }),
+    Status.find({ id: { $in: [...ids.status] } }, { id: 1 }),
+  ]);
+
+  const owned = {
+    task: new Set(ownTasks.map(doc => doc.id)),
+    project: new Set(ownProjects.map(doc => doc.id)),
+    status: new Set(ownStatuses.map(doc => doc.id)),
+    userProfile: new Set(ownProfiles.map(doc => doc.id)),
+  };
+  const taken = {
+    task: new Set(takenTasks.map(doc => doc.id)),
+    project: new Set(takenProjects.map(doc => doc.id)),
+    status: new Set(takenStatuses.map(doc => doc.id)),
+    userProfile: new Set(),
+  };
+
+  const isOwnedStatus = (statusId) => {
+    if (owned.status.has(statusId)) return true;
+    const virtual = VIRTUAL_STATUS_REGEX.exec(statusId);
+    return !!virtual && owned.project.has(virtual[1]);
+  };
+
+  // walk the ops in order, so a document added earlier in the payload can be updated or referenced later
+  const rejectedOps = [];
+  ops.forEach((op, index) => {
+    const reject = (reason) => rejectedOps.push({ index, type: op.type, operation: op.operation, id: op.data.id, reason });
+    const fields = op.operation === 'update' ? (op.data.updatedFields || {}) : op.data;
+
+    if (op.type === 'userProfile' && op.operation !== 'update') {
+      return reject('A user profile can only be updated');
+    }
+
+    if (op.operation === 'add') {
+      if (taken[op.type].has(op.data.id)) {
+        return reject('An item with this id already exists');
+      }
+    } else if (!owned[op.type].has(op.data.id)) {
+      return reject('Item not found');
+    }
+
+    if (op.operation === 'update' && ['id', 'userId', 'userAuthId', 'rev', 'changeSeq'].some(field => field in fields)) {
+      return reject('The id, owner, revision and change sequence of an item cannot be changed');
+    }
+
+    if (op.operation !== 'delete') {
+      if (op.type === 'task') {
+        for (const key of ['status', 'previousStatus']) {
+          if (fields[key] && !isOwnedStatus(fields[key])) {
+            return reject(`\`${key}\` points to a status that was not found`);
+          }
+        }
+      }
+      if (op.type === 'status' && fields.project && !owned.project.has(fields.project)) {
+        return reject('`project` points to a project that was not found');
+      }
+      if (op.type === 'userProfile' && fields.lastProjectId && !owned.project.has(fields.lastProjectId)) {
+        return reject('`lastProjectId` points to a project that was not found');
+      }
+    }
+
+    if (op.operation === 'add') {
+      owned[op.type].add(op.data.id);
+      taken[op.type].add(op.data.id);
+    } else if (op.operation === 'delete') {
+      owned[op.type].delete(op.data.id);
+    }
+  });
+
+  return rejectedOps;
+}
+
+/**
+ * Middleware that scopes every op of a bulk payload to the logged in user, see `findRejectedOps`.
+ * If any op breaks these rules, the whole payload is rejected with a per-op report
+ * and nothing is written.
+ * Must run after `authMW` and `validateBulkPayloadStructure`.
+ */
+async function checkBulkOwnership(req, res, next) {
+  const userId = req.user.userId;
+  const { ops } = req.body;
+
+  try {
+    const rejectedOps = await findRejectedOps(ops, userId);
+    if (rejectedOps.length > 0) {
+      console.error(`Rejected ${rejectedOps.length} bulk operations for user ${userId}:`, rejectedOps);
+      return res.status(403).json({
+        error: 'Some operations target items that do not exist or belong to another user',
+        rejectedOps
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error checking bulk ownership:', error);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+}
+
+module.exports = checkBulkOwnership;
+module.exports.findRejectedOps = findRejectedOps;
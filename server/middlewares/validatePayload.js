@@ -1,3 +1,11 @@
+const { isValidRank } = require('../utils/rank');
+const { isValidRecurrence } = require('../utils/recurrence');
+const { isValidSubtasks } = require('../utils/subtasks');
+const { findInvalidTaskDetail } = require('../utils/taskDetails');
+const { isValidReminders } = require('../utils/reminders');
+const { isValidTimeZone, isValidDueHasTime } = require('../utils/timeZone');
+const { isValidSavedViews } = require('../utils/savedViews');
+
 function validateBulkPayloadStructure(req, res, next) {
   const payload = req.body;
 
@@ -37,11 +45,69 @@ function validateBulkPayloadStructure(req, res, next) {
       typeof op !== 'object' ||
       !['task', 'project', 'status', 'userProfile'].includes(op.type) ||
       !['add', 'update', 'delete'].includes(op.operation) ||
-      !('data' in op)
+      !op.data ||
+      typeof op.data.id !== 'string' ||
+      (op.operation === 'update' && (typeof op.data.updatedFields !== 'object' || op.data.updatedFields === null))
     ) {
       console.error(`Invalid operation at index ${index}:`, op);
       return res.status(400).json({ error: `Invalid operation at index ${index}` });
     }
+
+    // the revision the client based an update or delete on, see services/bulkOperations.js
+    if ('rev' in op.data && op.operation !== 'add' && !(Number.isInteger(op.data.rev) && op.data.rev >= 0)) {
+      console.error(`Invalid revision at index ${index}:`, op);
+      return res.status(400).json({ error: `Invalid revision at index ${index}` });
+    }
+
+    // tasks, statuses and projects are ordered by rank, see utils/rank.js
+    const fields = op.operation === 'update' ? op.data.updatedFields : op.data;
+    if (op.type !== 'userProfile' && op.operation !== 'delete' && (op.operation === 'add' || 'rank' in fields) && !isValidRank(fields.rank)) {
+      console.error(`Invalid rank at index ${index}:`, op);
+      return res.status(400).json({ error: `Invalid rank at index ${index}` });
+    }
+
+    // the repeat rule of a task, see utils/recurrence.js
+    if (op.type === 'task' && op.operation !== 'delete' && fields.recurrence !== undefined && !isValidRecurrence(fields.recurrence)) {
+      console.error(`Invalid repeat rule at index ${index}:`, op);
+      return res.status(400).json({ error: `Invalid repeat rule at index ${index}` });
+    }
+
+    // whether the due date of a task has a time, see utils/timeZone.js
+    if (op.type === 'task' && op.operation !== 'delete' && !isValidDueHasTime(fields.dueDate, fields.dueHasTime)) {
+      console.error(`Invalid dueHasTime at index ${index}:`, op);
+      return res.status(400).json({ error: `Invalid dueHasTime at index ${index}` });
+    }
+
+    // the reminders of a task, see utils/reminders.js
+    if (op.type === 'task' && op.operation !== 'delete' && fields.reminders !== undefined && !isValidReminders(fields.reminders)) {
+      console.error(`Invalid reminders at index ${index}:`, op);
+      return res.status(400).json({ error: `Invalid reminders at index ${index}` });
+    }
+
+    // the time zone of the user, see utils/timeZone.js
+    if (op.type === 'userProfile' && op.operation === 'update' && fields.timeZone !== undefined && !isValidTimeZone(fields.timeZone)) {
+      console.error(`Invalid time zone at index ${index}:`, op);
+      return res.status(400).json({ error: `Invalid time zone at index ${index}` });
+    }
+
+    // the saved views of the user, see utils/savedViews.js
+    if (op.type === 'userProfile' && op.operation === 'update' && fields.savedViews !== undefined && !isValidSavedViews(fields.savedViews)) {
+      console.error(`Invalid saved views at index ${index}:`, op);
+      return res.status(400).json({ error: `Invalid saved views at index ${index}` });
+    }
+
+    // the checklist of a task, see utils/subtasks.js
+    if (op.type === 'task' && op.operation !== 'delete' && fields.subtasks !== undefined && !isValidSubtasks(fields.subtasks)) {
+      console.error(`Invalid subtasks at index ${index}:`, op);
+      return res.status(400).json({ error: `Invalid subtasks at index ${index}` });
+    }
+
+    // the priority, tags, category and estimated duration of a task, see utils/taskDetails.js
+    const invalidDetail = op.type === 'task' && op.operation !== 'delete' ? findInvalidTaskDetail(fields) : null;
+    if (invalidDetail) {
+      console.error(`Invalid ${invalidDetail} at index ${index}:`, op);
+      return res.status(400).json({ error: `Invalid ${invalidDetail} at index ${index}` });
+    }
   }
 
   next();
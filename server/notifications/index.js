@@ -0,0 +1,73 @@
+const createInAppTransport = require('./transports/inAppTransport');
+const createEmailTransport = require('./transports/emailTransport');
+
+/**
+ * Delivers notifications, e.g. the reminders of tasks, see services/reminderScheduler.js.
+ * A notification is stored first, that is the in-app inbox of GET /api/notifications, then sent through every
+ * transport. A notification transport has a `name` and a `send(notification, recipient)` method returning a promise,
+ * where `recipient` is { email, isVerified, nickname }.
+ * Pick them with NOTIFICATION_TRANSPORTS, comma-separated: inApp (live to the open web-clients) and email.
+ * inApp is the default.
+ */
+let transports = null;
+
+const APP_URL = process.env.APP_URL || 'http://localhost:5173';
+
+/**
+ * Gets the details of a notification that may be sent to the client.
+ * @param notification - The Notification document.
+ */
+const toPublicNotification = (notification) => {
+  const { id, type, title, body, taskId, projectId, readAt, createdAt } = notification;
+  return { id, type, title, body, taskId, projectId, readAt, createdAt };
+};
+
+const createTransportsFromEnv = () => (process.env.NOTIFICATION_TRANSPORTS || 'inApp')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean)
+  .map(name => {
+    switch (name) {
+      case 'inApp':
+        return createInAppTransport({ toPublicNotification });
+      case 'email':
+        return createEmailTransport({ appUrl: APP_URL });
+      default:
+        throw new Error(`Unknown notification transport: ${name}`);
+    }
+  });
+
+/**
+ * Gets the notification transports, created from the environment on first use.
+ */
+const getNotificationTransports = () => {
+  if (!transports) {
+    transports = createTransportsFromEnv();
+    console.log(`Notification transports: ${transports.map(transport => transport.name).join(', ') || 'none'}`);
+  }
+  return transports;
+};
+
+/**
+ * Replaces the notification transports, e.g. with an in-memory one in scripts.
+ * @param newTransports - Objects with a `name` and a `send(notification, recipient)` method.
+ */
+const setNotificationTransports = (newTransports) => {
+  transports = newTransports;
+};
+
+/**
+ * Sends a stored notification through every transport. A transport that fails does not stop the others.
+ * @param notification - The Notification document.
+ * @param {{ email: string, isVerified: boolean, nickname: string } | null} recipient - The user it is for.
+ */
+const deliverNotification = async (notification, recipient) => {
+  const results = await Promise.allSettled(getNotificationTransports().map(transport => transport.send(notification, recipient)));
+  results.forEach((result, i) => {
+    if (result.status === 'rejected') {
+      console.error(`Error sending notification ${notification.id} through ${getNotificationTransports()[i].name}:`, result.reason);
+    }
+  });
+};
+
+module.exports = { toPublicNotification, deliverNotification, getNotificationTransports, setNotificationTransports };
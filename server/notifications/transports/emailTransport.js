@@ -0,0 +1,26 @@
+const { sendMail } = require('../../mail');
+const { notificationTemplate } = require('../../mail/templates');
+
+/**
+ * Notification transport that mails the notification through the mail transport, see mail/index.js.
+ * Only users who verified their email get mails.
+ * @param {{ appUrl: string }} options - The web-client, the mail links back to the task there.
+ */
+const createEmailTransport = ({ appUrl }) => ({
+  name: 'email',
+  send: async (notification, recipient) => {
+    if (!recipient?.email || !recipient.isVerified) {
+      return { delivered: false };
+    }
+    const link = notification.taskId
+      ? `${appUrl}/?project=${encodeURIComponent(notification.projectId ?? '')}&task=${encodeURIComponent(notification.taskId)}`
+      : appUrl;
+    await sendMail({
+      to: recipient.email,
+      ...notificationTemplate({ nickname: recipient.nickname || 'there', title: notification.title, body: notification.body, link })
+    });
+    return { delivered: true };
+  }
+});
+
+module.exports = createEmailTransport;
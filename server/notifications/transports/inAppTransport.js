@@ -0,0 +1,16 @@
+const { publish } = require('../../services/liveUpdates');
+
+/**
+ * Notification transport that pushes the notification to the open web-clients of the user, as `event: notification`
+ * on GET /api/events. The web-client lists it under its notifications, and shows it as a browser notification
+ * if the user allowed them. Users without an open client find it there the next time they come back.
+ */
+const createInAppTransport = ({ toPublicNotification }) => ({
+  name: 'inApp',
+  send: async (notification) => {
+    publish(notification.userId, 'notification', { notification: toPublicNotification(notification) });
+    return { delivered: true };
+  }
+});
+
+module.exports = createInAppTransport;
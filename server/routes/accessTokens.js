@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const authMW = require('../middlewares/authMiddleware'); // Import the authentication middleware
+const { requireSession } = require('../middlewares/authMiddleware');
+const AccessToken = require('../database/models/accessTokens');
+const { createAccessToken, toPublicAccessToken } = require('../utils/accessTokens');
+
+const MAX_NAME_LENGTH = 100;
+const MAX_TOKENS_PER_USER = 50;
+const MAX_EXPIRY_DAYS = 366;
+
+/**
+ * GET /api/access-tokens
+ * list the personal access tokens of the logged in user, newest first, with when and from where each was last used
+ */
+router.get('/', [authMW, requireSession], async (req, res) => {
+  try {
+    const accessTokens = await AccessToken.find({ userId: req.user.userId }).sort({ createdAt: -1 }).lean();
+    res.json({ accessTokens: accessTokens.map(toPublicAccessToken) });
+  } catch (error) {
+    console.error('Error listing access tokens:', error);
+    res.status(500).json({ error: 'Internal Server Error' }); // 500 = internal server error
+  }
+});
+
+/**
+ * POST /api/access-tokens
+ * create a personal access token: { name, scope: 'read' | 'write', expiresInDays: number | null }
+ * responds with { token, accessToken }, the token is only ever sent this once
+ */
+router.post('/', [authMW, requireSession], async (req, res) => {
+  const { name, scope, expiresInDays } = req.body ?? {};
+  if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+    return res.status(400).json({ error: `The name must have 1 to ${MAX_NAME_LENGTH} characters` }); // 400 = bad request
+  }
+  if (!['read', 'write'].includes(scope)) {
+    return res.status(400).json({ error: 'The scope must be "read" or "write"' });
+  }
+  if (expiresInDays !== null && !(Number.isInteger(expiresInDays) && expiresInDays >= 1 && expiresInDays <= MAX_EXPIRY_DAYS)) {
+    return res.status(400).json({ error: `\`expiresInDays\` must be 1 to ${MAX_EXPIRY_DAYS} days, or null for no expiry` });
+  }
+
+  try {
+    const userId = req.user.userId;
+    if (await AccessToken.countDocuments({ userId }) >= MAX_TOKENS_PER_USER) {
+      return res.status(409).json({ error: `You can have up to ${MAX_TOKENS_PER_USER} access tokens, revoke one first` }); // 409 = conflict
+    }
+    const expiresAt = expiresInDays === null ? null : new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+    const created = await createAccessToken(userId, { name: name.trim(), scope, expiresAt });
+    console.log(`Access token ${created.accessToken.id} created for user ${userId}`);
+    res.status(201).json(created); // 201 = created
+  } catch (error) {
+    console.error('Error creating access token:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * DELETE /api/access-tokens/:id
+ * revoke a personal access token, it stops working right away
+ */
+router.delete('/:id', [authMW, requireSession], async (req, res) => {
+  try {
+    const result = await AccessToken.deleteOne({ id: req.params.id, userId: req.user.userId });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'Access token not found' }); // 404 = not found
+    }
+    console.log(`Access token ${req.params.id} revoked by user ${req.user.userId}`);
+    res.status(204).end(); // 204 = no content
+  } catch (error) {
+    console.error('Error revoking access token:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+module.exports = router;
@@ -1,4 +1,5 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Conversation = require('../database/models/conversations');
 const Message = require('../database/models/messages');
@@ -7,6 +8,7 @@ const Status = require('../database/models/statuses');
 const Task = require('../database/models/tasks');
 const UserProfile = require('../database/models/userProfiles');
 const authMW = require('../middlewares/authMiddleware');
+const { nextChangeSeq } = require('../services/changeLog');
 
 // AI Microservice configuration
 const AI_SERVICE_URL = process.env.AI_SERVICE_URL || 'http://localhost:3002';
@@ -340,11 +342,20 @@ router.post('/switch-project', authMW, async (req, res) => {
       });
     }
 
-    // Update user's lastProjectId
-    await UserProfile.updateOne(
-      { userAuthId: userId },
-      { lastProjectId: projectId }
-    );
+    // Update user's lastProjectId, as a change other clients pick up through GET /api/changes
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        const changeSeq = await nextChangeSeq(userId, session);
+        await UserProfile.updateOne(
+          { userAuthId: userId },
+          { $set: { lastProjectId: projectId, changeSeq }, $inc: { rev: 1 } },
+          { session }
+        );
+      });
+    } finally {
+      await session.endSession();
+    }
 
     console.log(`📂 User ${userId} switched to project: ${project.title}`);
 
@@ -0,0 +1,75 @@
+const express = require('express');
+const router = express.Router();
+const authMW = require('../middlewares/authMiddleware'); // Import the authentication middleware
+const { requireSession } = require('../middlewares/authMiddleware');
+const resourceRoute = require('../utils/resourceRoute');
+const CalendarFeed = require('../database/models/calendarFeeds');
+const { createCalendarFeed, toPublicCalendarFeed, findCalendarFeed, buildCalendar } = require('../services/calendarFeed');
+
+const FEED_FILE_REGEX = /^(.+)\.ics$/;
+
+/**
+ * GET /api/calendar-feed
+ * the calendar feed of the logged in user: { calendarFeed }, null if there is none. The link itself is not stored
+ */
+router.get('/', [authMW, requireSession], async (req, res) => {
+  try {
+    const calendarFeed = await CalendarFeed.findOne({ userId: req.user.userId }).lean();
+    res.json({ calendarFeed: calendarFeed && toPublicCalendarFeed(calendarFeed) });
+  } catch (error) {
+    console.error('Error getting calendar feed:', error);
+    res.status(500).json({ error: 'Internal Server Error' }); // 500 = internal server error
+  }
+});
+
+/**
+ * POST /api/calendar-feed
+ * create the calendar feed, or replace its link: { token, path, calendarFeed }, the link is only ever sent this once
+ */
+router.post('/', [authMW, requireSession], async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { token, calendarFeed } = await createCalendarFeed(userId);
+    console.log(`Calendar feed ${calendarFeed.id} created for user ${userId}`);
+    res.status(201).json({ token, path: `${req.baseUrl}/${token}.ics`, calendarFeed }); // 201 = created
+  } catch (error) {
+    console.error('Error creating calendar feed:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * DELETE /api/calendar-feed
+ * turn the calendar feed off, its link stops working right away
+ */
+router.delete('/', [authMW, requireSession], async (req, res) => {
+  try {
+    const result = await CalendarFeed.deleteOne({ userId: req.user.userId });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'Calendar feed not found' }); // 404 = not found
+    }
+    console.log(`Calendar feed of user ${req.user.userId} deleted`);
+    res.status(204).end(); // 204 = no content
+  } catch (error) {
+    console.error('Error deleting calendar feed:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * GET /api/calendar-feed/<token>.ics?project=<id>&kind=event|todo
+ * the tasks with a due date as an iCalendar file, for calendar apps: no login, the secret link is the key.
+ * Only the tasks of `project` if given, listed as events by default or as to-dos, see services/calendarFeed.js
+ */
+router.get('/:file', resourceRoute(async (req, res) => {
+  const token = FEED_FILE_REGEX.exec(req.params.file)?.[1];
+  const calendarFeed = await findCalendarFeed(token);
+  if (!calendarFeed) {
+    return res.status(404).json({ error: 'Calendar feed not found' });
+  }
+  const calendar = await buildCalendar(calendarFeed.userId, { project: req.query.project, kind: req.query.kind });
+  res.set('Cache-Control', 'private, no-store'); // the link is a secret, keep the feed out of shared caches
+  res.type('text/calendar; charset=utf-8').send(calendar);
+}));
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const authMW = require('../middlewares/authMiddleware'); // Import the authentication middleware
+const { parseCursor, getChangesSince } = require('../services/changeLog');
+
+/**
+ * GET /api/changes?since=<cursor>
+ * Returns the tasks, projects, statuses and user profile the user created or updated since the cursor,
+ * and the ids of the deleted ones:
+ * { cursor, reset, tasks, projects, statuses, userProfile (null if unchanged), deleted: [{ type, id }, ...] }
+ * Without `since`, or if the cursor is too old, everything is returned with `reset: true`.
+ * Send the returned `cursor` as `since` next time.
+ */
+router.get('/', authMW, async (req, res) => {
+  const userId = req.user.userId;
+  const { since } = req.query;
+
+  const cursor = since === undefined ? null : parseCursor(since);
+  if (since !== undefined && !cursor) {
+    return res.status(400).json({ error: 'Invalid cursor' }); // 400 = bad request
+  }
+
+  try {
+    const changes = await getChangesSince(userId, cursor);
+    console.log(`Changes for user ${userId} since ${since ?? 'the start'}: ${changes.tasks.length} tasks, ${changes.projects.length} projects, ${changes.statuses.length} statuses, ${changes.deleted.length} deleted`);
+    res.json(changes);
+  } catch (error) {
+    console.error('Error fetching changes:', error);
+    res.status(500).json({ error: 'Internal Server Error' }); // 500 = internal server error
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const authMW = require('../middlewares/authMiddleware'); // Import the authentication middleware
+const { subscribe } = require('../services/liveUpdates');
+
+// comment lines keep idle connections from being closed by proxies
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+/**
+ * GET /api/events?clientId=<id>
+ * Opens a Server-Sent Events stream of the changes the user makes in other tabs and on other devices.
+ * Sends `event: ops` with { ops } for every committed bulk payload, except the ones sent with the same `X-Client-Id`.
+ */
+router.get('/', authMW, (req, res) => {
+    const clientId = typeof req.query.clientId === 'string' ? req.query.clientId : undefined;
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no', // stop nginx from buffering the stream
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n'); // how long the browser waits before reconnecting
+
+    const unsubscribe = subscribe(req.user.userId, clientId, res);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+module.exports = router;
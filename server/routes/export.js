@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const authMW = require('../middlewares/authMiddleware'); // Import the authentication middleware
+const resourceRoute = require('../utils/resourceRoute');
+const { exportAccount } = require('../services/accountArchive');
+const { ResourceError } = require('../services/resources');
+const { FORMATS, exportProject } = require('../services/projectExport');
+
+/**
+ * GET /api/export
+ * download the archive of the account: profile, projects, statuses, tasks and AI conversations,
+ * see services/accountArchive.js. Restore it with POST /api/import
+ */
+router.get('/', authMW, resourceRoute(async (req, res) => {
+  const archive = await exportAccount(req.user.userId);
+  const day = archive.exportedAt.slice(0, 10);
+  res.attachment(`raccoon-study-${day}.json`); // sets Content-Disposition, so browsers save it as a file
+  res.json(archive);
+}));
+
+/**
+ * GET /api/export/project/:id?format=markdown|todotxt
+ * download a project as Markdown (the default) or todo.txt, see services/projectExport.js.
+ * Both can be imported again with POST /api/import/board
+ */
+router.get('/project/:id', authMW, resourceRoute(async (req, res) => {
+  const format = req.query.format ?? 'markdown';
+  if (!Object.hasOwn(FORMATS, format)) {
+    throw new ResourceError(`\`format\` must be one of ${Object.keys(FORMATS).join(', ')}`);
+  }
+  const { fileName, contentType, content } = await exportProject(req.user.userId, req.params.id, format);
+  res.attachment(fileName);
+  res.type(`${contentType}; charset=utf-8`).send(content);
+}));
+
+module.exports = router;
@@ -7,42 +7,16 @@ const UserProfile = require('../database/models/userProfiles'); // Assuming User
 const authMW = require('../middlewares/authMiddleware'); // Import the authentication middleware
 
 /**
- * GET /api/tasks
- * get all tasks
+ * GET /api/getAll
+ * get all tasks, projects, statuses and the user profile
+ * the web-client uses GET /api/changes instead, which can send only what changed since its last sync
+ * to read or write single items, see routes/tasks.js, routes/statuses.js and routes/projects.js
  */
 router.get('/', authMW, (req, res) => {
   try {
-    const { id, status, projectId } = req.query;
     const userId = req.user.userId; // Get user ID from the authenticated user
     console.log('User ID from request:', userId);
 
-    // if (id) {
-    //   Task.findOne({ id: id })
-    //     .then((task) => {
-    //       if (!task) {
-    //         return res.status(404).json({ error: 'Task not found' }); // 404 = not found
-    //       }
-    //       res.json(task);
-    //     });
-    //   return;
-    // }
-    // if (status && projectId) {
-    //   Task.find({ status, projectId })
-    //     .then((tasks) => {
-    //       res.json(tasks);
-    //     });
-    //   return;
-    // }
-    // if (projectId) {
-    //   Task.find({ projectId })
-    //     .then((tasks) => {
-    //       res.json(tasks);
-    //     });
-    //   return;
-    // }
-
-    // If no filters are applied, return all tasks
-
     // Fetch all tasks, projects, and statuses and user profile
     const grabAllTasks = Task.find({ userId: userId }); // Assuming Task model has a userId field
     const grabAllProjects = Project.find({ userId: userId }); // Assuming Project model has a userId field
@@ -59,10 +33,7 @@ router.get('/', authMW, (req, res) => {
           statuses: statuses,
           userProfile: userProfile
         });
-        console.log('Tasks, ', tasks);
-        console.log('Projects, ', projects);
-        console.log('Statuses, ', statuses);
-        console.log('User Profile, ', userProfile);
+        console.log(`Sent ${tasks.length} tasks, ${projects.length} projects and ${statuses.length} statuses`);
         return;
       }).catch((error) => {
         console.error('Error fetching tasks, projects, or statuses:', error);
@@ -76,23 +47,4 @@ router.get('/', authMW, (req, res) => {
   }
 });
 
-/**
- * GET /api/tasks/:id
- * get a task by ID
- */
-// router.get('/:id', authMW, (req, res) => {
-//   const { id } = req.params;
-//   Task.findOne({ id: id, userId: req.user.id })
-//     .then((task) => {
-//       if (!task) {
-//         return res.status(404).json({ error: 'Task not found' }); // 404 = not found
-//       }
-//       res.json(task);
-//     })
-//     .catch((error) => {
-//       console.error('Error fetching task by ID:', error);
-//       res.status(500).json({ error: 'Internal Server Error' }); // 500 = internal server error
-//     });
-// });
-
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const authMW = require('../middlewares/authMiddleware'); // Import the authentication middleware
+const resourceRoute = require('../utils/resourceRoute');
+const { importAccount } = require('../services/accountArchive');
+const { previewBoard } = require('../services/boardImport');
+
+/**
+ * POST /api/import?dryRun=true
+ * add the content of an archive of GET /api/export to the account, with fresh ids, see services/accountArchive.js.
+ * The body is the archive. Answers with the report: { dryRun, created, profile, skipped }.
+ * With `dryRun=true`, nothing is written and the report tells what would be imported
+ */
+router.post('/', authMW, resourceRoute(async (req, res) => {
+  const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
+  const report = await importAccount(req.user.userId, req.body, { dryRun, clientId: req.get('X-Client-Id') });
+  res.status(dryRun ? 200 : 201).json(report); // 201 = created
+}));
+
+/**
+ * POST /api/import/board
+ * read a board exported by another app into a preview of a project, see services/boardImport.js:
+ * { content: the file as text, format?: 'csv' | 'trello' | 'todoist-csv' | 'todoist-json', fileName? }.
+ * Answers with { format, title, statuses, tasks, warnings }. Nothing is written,
+ * the web-client adds the project with POST /api/bulk once the user accepts the preview
+ */
+router.post('/board', authMW, resourceRoute(async (req, res) => {
+  res.json(previewBoard(req.body));
+}));
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const { logoutUser, logoutEverywhere } = require('../controllers/authController'); // Import the logout functions from authController
+const authMW = require('../middlewares/authMiddleware'); // Import the authentication middleware
+const { requireSession } = require('../middlewares/authMiddleware');
+
+const router = express.Router();
+
+router.post('/', logoutUser);
+router.post('/all', [authMW, requireSession], logoutEverywhere);
+
+module.exports = router;
@@ -1,28 +1,13 @@
 const express = require('express');
 const router = express.Router();
+const authMW = require('../middlewares/authMiddleware'); // Import the authentication middleware
 
-const jwt = require('jsonwebtoken');
-const SECRET = process.env.JWT_SECRET;
-
-if (!SECRET) {
-    throw new Error('JWT_SECRET is not defined in environment variables');
-}
-
-router.get('/', (req, res) => {
-
-    const token = req.cookies.token;
-    if (!token) {
-        return res.status(401).json({ message: 'Authentication token is missing' });
-    }
-
-    try {
-    const user = jwt.verify(token, SECRET);
-    req.user = user; // Attach user info to request object
+/**
+ * GET /api/me
+ * get the user of the current session, rejects revoked sessions through authMW
+ */
+router.get('/', authMW, (req, res) => {
     res.json({ user: req.user });
-} catch (error) {
-    console.error('Error verifying token:', error);
-    return res.status(401).json({ message: 'Invalid authentication token' });
-}
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const authMW = require('../middlewares/authMiddleware'); // Import the authentication middleware
+const resourceRoute = require('../utils/resourceRoute');
+const Notification = require('../database/models/notifications');
+const { ResourceError } = require('../services/resources');
+const { toPublicNotification } = require('../notifications');
+const { publish } = require('../services/liveUpdates');
+
+// how many notifications are listed, the older ones are still kept until they expire
+const LIST_LIMIT = 50;
+
+/**
+ * GET /api/notifications
+ * the latest notifications of the logged in user, newest first, e.g. the reminders of tasks: { notifications, unread }
+ */
+router.get('/', authMW, resourceRoute(async (req, res) => {
+  const userId = req.user.userId;
+  const [notifications, unread] = await Promise.all([
+    Notification.find({ userId }).sort({ createdAt: -1 }).limit(LIST_LIMIT).lean(),
+    Notification.countDocuments({ userId, readAt: null }),
+  ]);
+  res.json({ notifications: notifications.map(toPublicNotification), unread });
+}));
+
+/**
+ * POST /api/notifications/read
+ * mark notifications as read: { ids? }, every unread one without `ids`. Responds with { unread },
+ * the other open clients of the user get `event: notifications-read` with { ids, readAt, unread }
+ */
+router.post('/read', authMW, resourceRoute(async (req, res) => {
+  const userId = req.user.userId;
+  const { ids } = req.body ?? {};
+  if (ids !== undefined && !(Array.isArray(ids) && ids.length <= LIST_LIMIT && ids.every(id => typeof id === 'string'))) {
+    throw new ResourceError(`\`ids\` must be an array of at most ${LIST_LIMIT} notification ids`);
+  }
+  const readAt = new Date();
+  await Notification.updateMany({ userId, readAt: null, ...(ids ? { id: { $in: ids } } : {}) }, { $set: { readAt } });
+  const unread = await Notification.countDocuments({ userId, readAt: null });
+  publish(userId, 'notifications-read', { ids: ids ?? null, readAt, unread }, req.get('X-Client-Id'));
+  res.json({ unread });
+}));
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const openapi = require('../docs/openapi');
+
+/**
+ * GET /api/openapi.json
+ * the OpenAPI document of the tasks, statuses, projects, export and import routes, no login needed
+ */
+router.get('/', (req, res) => {
+  res.json(openapi);
+});
+
+module.exports = router;
@@ -1,155 +1,59 @@
 const express = require('express');
 const router = express.Router();
-const Task = require('../database/models/tasks'); // Assuming Task model is defined in models/Task.js
-const Project = require('../database/models/projects'); // Assuming Project model is defined in models/Project.js
-const Status = require('../database/models/statuses'); // Assuming Status model is defined in models/
-const UserProfile = require('../database/models/userProfiles'); // Assuming UserProfile model is defined in models/UserProfile.js
 const validateBulkPayloadStructure = require('../middlewares/validatePayload'); // Import the validation middleware
 const authMW = require('../middlewares/authMiddleware'); // Import the authentication middleware
+const checkBulkOwnership = require('../middlewares/checkOwnership'); // Import the ownership middleware
+const { applyBulkOps, BulkOperationError, RankIntegrityError, RevisionConflictError } = require('../services/bulkOperations');
+const { publishOps } = require('../services/liveUpdates');
 
 /**
- * 
+ * POST /api/bulk
+ * Applies a bulk payload of task, project, status and userProfile ops.
+ * Every op is scoped to the logged in user: filters include the owner, and inserts are stamped with it.
+ * The ops run in order inside one transaction, so the payload is either fully applied or fully rolled back.
+ * Payloads that would give two tasks, statuses or projects of the same list the same rank are rolled back with 422.
+ * Update and delete ops may carry the `rev` the client based them on; stale revisions are rejected with 409
+ * and { conflicts: [{ type, id, rev, current }, ...] }, where `current` is the server version (null if deleted).
+ * Responds with { applied: [{ index, type, operation, id }, ...] } on success,
+ * or { error, failedOp, applied: [] } when the payload was rolled back.
+ * Committed ops are pushed to the other open clients of the user (see GET /api/events), except the one
+ * named by the `X-Client-Id` header, which already shows them.
  */
-router.post('/', [authMW, validateBulkPayloadStructure], async (req, res) => {
+router.post('/', [authMW, validateBulkPayloadStructure, checkBulkOwnership], async (req, res) => {
   console.log('receive bulk payload')
-  const taskOps = [];
-  const projectOps = [];
-  const statusOps = [];
-  const userProfileOps = [];
+  const { ops } = req.body;
+  const userId = req.user.userId; // never trust the owner sent by the client
 
-  const { ops, backup } = req.body;
   try {
-    ops.forEach(op => {
-      switch (op.type) {
-        case 'task':
-          switch (op.operation) {
-            case 'add':
-              taskOps.push({
-                insertOne: {
-                  document: op.data
-                }
-              })
-              console.log(`task added: ${op.data.id}`);
-              break;
-            case 'update':
-              taskOps.push({
-                updateOne: {
-                  filter: { id: op.data.id },
-                  update: { $set: op.data.updatedFields }
-                }
-              })
-              console.log(`task updated: ${op.data.id}`);
-              break;
-            case 'delete':
-              taskOps.push({
-                deleteOne: {
-                  filter: { id: op.data.id }
-                }
-              })
-              console.log(`task deleted: ${op.data.id}`);
-              break;
-          }
-          break;
-        case 'project':
-          switch (op.operation) {
-            case 'add':
-              projectOps.push({
-                insertOne: {
-                  document: op.data
-                }
-              })
-              console.log(`project added: ${op.data.id}`);
-              break;
-            case 'update':
-              projectOps.push({
-                updateOne: {
-                  filter: { id: op.data.id },
-                  update: { $set: op.data.updatedFields }
-                }
-              })
-              console.log(`project updated: ${op.data.id}`);
-              break;
-            case 'delete':
-              projectOps.push({
-                deleteOne: {
-                  filter: { id: op.data.id }
-                }
-              })
-              console.log(`project deleted: ${op.data.id}`);
-              break;
-          }
-          break;
-        case 'status':
-          switch (op.operation) {
-            case 'add':
-              statusOps.push({
-                insertOne: {
-                  document: op.data
-                }
-              })
-              console.log(`status added: ${op.data.id}`);
-              break;
-            case 'update':
-              statusOps.push({
-                updateOne: {
-                  filter: { id: op.data.id },
-                  update: { $set: op.data.updatedFields }
-                }
-              })
-              console.log(`status updated: ${op.data.id}`);
-              break;
-            case 'delete':
-              statusOps.push({
-                deleteOne: {
-                  filter: { id: op.data.id }
-                }
-              })
-              console.log(`status deleted: ${op.data.id}`);
-              break;
-          }
-          break;
-        case 'userProfile':
-          switch (op.operation) {
-            case 'update':
-              userProfileOps.push({
-                updateOne: {
-                  filter: { id: op.data.id },
-                  update: { $set: op.data.updatedFields }
-                }
-              })
-              console.log(`userProfile updated: ${op.data.id}`);
-              break;
-          }
-
-      }
-    });
-
-    // bulk write operations
-    const [taskResult, projectResult, statusResult, userProfileResult] = await Promise.all([
-      Task.bulkWrite(taskOps),
-      Project.bulkWrite(projectOps),
-      Status.bulkWrite(statusOps),
-      UserProfile.bulkWrite(userProfileOps)
-    ]);
-
-    console.log(`task operations: ${taskResult.modifiedCount} modified, ${taskResult.deletedCount} deleted`);
-    console.log(`project operations: ${projectResult.modifiedCount} modified, ${projectResult.deletedCount} deleted`);
-    console.log(`status operations: ${statusResult.modifiedCount} modified, ${statusResult.deletedCount} deleted`);
-    console.log(`userProfile operations: ${userProfileResult.modifiedCount} modified, ${userProfileResult.deletedCount} deleted`);
-
-    if (taskResult.ok !== 1 || projectResult.ok !== 1 || statusResult.ok !== 1) {
-      console.error('Bulk write operation failed');
-      return res.status(500).json({ error: 'Bulk write operation failed' }); // 500 = internal server error
-    } else {
-      console.log('Bulk write operation succeeded');
-      res.status(204).send(); // 204 = success, no content
-    }
-    console.log(`task operations completed`);
+    const applied = await applyBulkOps(ops, userId);
+    console.log(`Bulk write operation succeeded: ${applied.length} operations applied`);
+    res.status(200).json({ applied });
+    publishOps(userId, ops, req.get('X-Client-Id'));
   } catch (error) {
-    console.error('Error processing tasks:', error);
-    return res.status(500).json({ error: 'Internal Server Error' }); // 500 = internal server error
+    if (error instanceof RevisionConflictError) {
+      console.error(`Bulk payload rolled back, ${error.conflicts.length} stale revisions`);
+      return res.status(409).json({ error: error.message, conflicts: error.conflicts, applied: [] }); // 409 = conflict
+    }
+    if (error instanceof BulkOperationError) {
+      console.error(`Bulk payload rolled back at operation ${error.index}:`, error.message);
+      return res.status(error.httpStatus).json({
+        error: error.message,
+        failedOp: { index: error.index, ...error.op },
+        applied: []
+      });
+    }
+    if (error instanceof RankIntegrityError) {
+      console.error('Bulk payload rolled back, broken order:', error.problems);
+      return res.status(422).json({ error: error.message, problems: error.problems, applied: [] }); // 422 = unprocessable
+    }
+    if (error.name === 'ValidationError' || error.name === 'StrictModeError' || error.code === 11000) {
+      console.error('Bulk payload rolled back, invalid document:', error.message);
+      return res.status(400).json({ error: error.message, applied: [] }); // 400 = bad request
+    }
+    console.error('Error processing bulk payload:', error);
+    return res.status(500).json({ error: 'Internal Server Error', applied: [] }); // 500 = internal server error
   }
 });
 
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
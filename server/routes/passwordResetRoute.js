@@ -0,0 +1,9 @@
+const express = require('express');
+const { requestPasswordReset, confirmPasswordReset } = require('../controllers/accountController'); // Import the password reset functions from accountController
+
+const router = express.Router();
+
+router.post('/request', requestPasswordReset);
+router.post('/confirm', confirmPasswordReset);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const authMW = require('../middlewares/authMiddleware'); // Import the authentication middleware
+const resourceRoute = require('../utils/resourceRoute');
+const { getProfile, updateProfile } = require('../services/resources');
+
+// The profile of the logged in user, see services/resources.js and GET /api/openapi.json.
+// Writes are pushed to the user's open clients, except the one named by the `X-Client-Id` header.
+
+/**
+ * GET /api/profile
+ * get the profile: nickname, time zone, the project that was open last...
+ */
+router.get('/', authMW, resourceRoute(async (req, res) => {
+  res.json({ profile: await getProfile(req.user.userId) });
+}));
+
+/**
+ * PATCH /api/profile
+ * update the nickname or the time zone: { ...fields, rev? }, the time zone is null for the one of the browser
+ */
+router.patch('/', authMW, resourceRoute(async (req, res) => {
+  res.json({ profile: await updateProfile(req.user.userId, req.body, req.get('X-Client-Id')) });
+}));
+
+module.exports = router;
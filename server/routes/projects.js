@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const authMW = require('../middlewares/authMiddleware'); // Import the authentication middleware
+const resourceRoute = require('../utils/resourceRoute');
+const { getItem, listProjects, createItem, updateItem, deleteItem } = require('../services/resources');
+
+// The projects of the logged in user, see services/resources.js and GET /api/openapi.json.
+// Writes are pushed to the user's open clients, except the one named by the `X-Client-Id` header.
+
+/**
+ * GET /api/projects
+ * list the projects, in list order
+ */
+router.get('/', authMW, resourceRoute(async (req, res) => {
+  res.json({ projects: await listProjects(req.user.userId) });
+}));
+
+/**
+ * GET /api/projects/:id
+ * get a project by ID
+ */
+router.get('/:id', authMW, resourceRoute(async (req, res) => {
+  res.json({ project: await getItem('project', req.user.userId, req.params.id) });
+}));
+
+/**
+ * POST /api/projects
+ * create a project with the default statuses: { title, description?, index? }, at the end by default
+ */
+router.post('/', authMW, resourceRoute(async (req, res) => {
+  const project = await createItem('project', req.user.userId, req.body, req.get('X-Client-Id'));
+  res.status(201).json({ project }); // 201 = created
+}));
+
+/**
+ * PATCH /api/projects/:id
+ * update the title or description of a project: { ...fields, rev? }
+ */
+router.patch('/:id', authMW, resourceRoute(async (req, res) => {
+  res.json({ project: await updateItem('project', req.user.userId, req.params.id, req.body, req.get('X-Client-Id')) });
+}));
+
+/**
+ * DELETE /api/projects/:id?rev=
+ * delete a project with its statuses and tasks
+ */
+router.delete('/:id', authMW, resourceRoute(async (req, res) => {
+  res.json({ deleted: await deleteItem('project', req.user.userId, req.params.id, req.query.rev, req.get('X-Client-Id')) });
+}));
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const authMW = require('../middlewares/authMiddleware'); // Import the authentication middleware
+const resourceRoute = require('../utils/resourceRoute');
+const { searchTasks } = require('../services/search');
+
+/**
+ * GET /api/search?q=&limit=
+ * search the titles and descriptions of the tasks in every project, completed and deleted ones included:
+ * { terms, results }, the tasks found grouped by project, see services/search.js
+ */
+router.get('/', authMW, resourceRoute(async (req, res) => {
+  res.json(await searchTasks(req.user.userId, req.query));
+}));
+
+module.exports = router;
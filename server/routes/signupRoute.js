@@ -0,0 +1,9 @@
+const express = require('express');
+const { registerUser, checkAvailability } = require('../controllers/authController'); // Import the signup functions from authController
+
+const router = express.Router();
+
+router.post('/', registerUser);
+router.get('/availability', checkAvailability);
+
+module.exports = router;
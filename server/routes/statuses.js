@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const authMW = require('../middlewares/authMiddleware'); // Import the authentication middleware
+const resourceRoute = require('../utils/resourceRoute');
+const { getItem, listStatuses, createItem, updateItem, deleteItem } = require('../services/resources');
+
+// The statuses of the logged in user, see services/resources.js and GET /api/openapi.json.
+// Writes are pushed to the user's open clients, except the one named by the `X-Client-Id` header.
+
+/**
+ * GET /api/statuses?project=
+ * list the statuses, grouped by project and in list order
+ */
+router.get('/', authMW, resourceRoute(async (req, res) => {
+  res.json({ statuses: await listStatuses(req.user.userId, req.query) });
+}));
+
+/**
+ * GET /api/statuses/:id
+ * get a status by ID
+ */
+router.get('/:id', authMW, resourceRoute(async (req, res) => {
+  res.json({ status: await getItem('status', req.user.userId, req.params.id) });
+}));
+
+/**
+ * POST /api/statuses
+ * create a status: { title, project, description?, color?, index? }, at the end of its project by default
+ */
+router.post('/', authMW, resourceRoute(async (req, res) => {
+  const status = await createItem('status', req.user.userId, req.body, req.get('X-Client-Id'));
+  res.status(201).json({ status }); // 201 = created
+}));
+
+/**
+ * PATCH /api/statuses/:id
+ * update the title, description, color or project of a status: { ...fields, rev? }
+ */
+router.patch('/:id', authMW, resourceRoute(async (req, res) => {
+  res.json({ status: await updateItem('status', req.user.userId, req.params.id, req.body, req.get('X-Client-Id')) });
+}));
+
+/**
+ * DELETE /api/statuses/:id?rev=
+ * delete a status and its tasks
+ */
+router.delete('/:id', authMW, resourceRoute(async (req, res) => {
+  res.json({ deleted: await deleteItem('status', req.user.userId, req.params.id, req.query.rev, req.get('X-Client-Id')) });
+}));
+
+module.exports = router;
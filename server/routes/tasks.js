@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const authMW = require('../middlewares/authMiddleware'); // Import the authentication middleware
+const resourceRoute = require('../utils/resourceRoute');
+const { getItem, listTasks, createItem, updateItem, moveTask, deleteItem } = require('../services/resources');
+
+// The tasks of the logged in user, see services/resources.js and GET /api/openapi.json.
+// Writes are pushed to the user's open clients, except the one named by the `X-Client-Id` header.
+
+/**
+ * GET /api/tasks?project=&status=&dueBefore=&text=
+ * list the tasks, grouped by status and in list order, every filter is optional
+ */
+router.get('/', authMW, resourceRoute(async (req, res) => {
+  res.json({ tasks: await listTasks(req.user.userId, req.query) });
+}));
+
+/**
+ * GET /api/tasks/:id
+ * get a task by ID
+ */
+router.get('/:id', authMW, resourceRoute(async (req, res) => {
+  res.json({ task: await getItem('task', req.user.userId, req.params.id) });
+}));
+
+/**
+ * POST /api/tasks
+ * create a task: { title, status, description?, dueDate?, dueHasTime?, index? }, at the end of its status by default
+ */
+router.post('/', authMW, resourceRoute(async (req, res) => {
+  const task = await createItem('task', req.user.userId, req.body, req.get('X-Client-Id'));
+  res.status(201).json({ task }); // 201 = created
+}));
+
+/**
+ * PATCH /api/tasks/:id
+ * update the title, description, due date or status of a task: { ...fields, rev? }
+ */
+router.patch('/:id', authMW, resourceRoute(async (req, res) => {
+  res.json({ task: await updateItem('task', req.user.userId, req.params.id, req.body, req.get('X-Client-Id')) });
+}));
+
+/**
+ * POST /api/tasks/:id/move
+ * move a task within its status or to another one: { status?, index?, rev? }
+ */
+router.post('/:id/move', authMW, resourceRoute(async (req, res) => {
+  res.json({ task: await moveTask(req.user.userId, req.params.id, req.body, req.get('X-Client-Id')) });
+}));
+
+/**
+ * DELETE /api/tasks/:id?rev=
+ * delete a task for good, to move it to the trash instead, move it to `<projectId>-deleted`
+ */
+router.delete('/:id', authMW, resourceRoute(async (req, res) => {
+  res.json({ deleted: await deleteItem('task', req.user.userId, req.params.id, req.query.rev, req.get('X-Client-Id')) });
+}));
+
+module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const { requestEmailVerification, confirmEmailVerification } = require('../controllers/accountController'); // Import the email verification functions from accountController
+const authMW = require('../middlewares/authMiddleware'); // Import the authentication middleware
+
+const router = express.Router();
+
+router.post('/request', authMW, requestEmailVerification);
+router.post('/confirm', confirmEmailVerification);
+
+module.exports = router;
@@ -0,0 +1,395 @@
+/**
+ * Export and import of a whole account as a versioned JSON archive, see routes/export.js and routes/import.js.
+ * An archive holds the profile, projects, statuses, tasks and AI conversations of a user. Importing it adds
+ * everything to the current account with fresh ids, so an archive can be imported into another account,
+ * or twice into the same one. The lists go through `applyBulkOps` like any other write, the conversations in the same transaction.
+ */
+const crypto = require('crypto');
+const Task = require('../database/models/tasks');
+const Project = require('../database/models/projects');
+const Status = require('../database/models/statuses');
+const UserProfile = require('../database/models/userProfiles');
+const Conversation = require('../database/models/conversations');
+const Message = require('../database/models/messages');
+const { isValidRank, evenlySpacedRanks, rankAtIndex, compareByRank, ranksFromLinks } = require('../utils/rank');
+const { ResourceError, parseFields, commit } = require('./resources');
+const { isValidTimeZone, isWholeDay } = require('../utils/timeZone');
+const { MAX_VIEWS, isValidSavedViews } = require('../utils/savedViews');
+
+const ARCHIVE_FORMAT = 'raccoon-study-archive';
+
+// bump when the archive changes, and keep importing the older versions. Version 2 adds the `dueHasTime` of tasks
+const ARCHIVE_VERSION = 2;
+
+// the fields of each item kept in an archive, besides the references remapped on import
+const EXPORTED_FIELDS = {
+  project: ['id', 'title', 'description', 'rank', 'createdAt', 'updatedAt'],
+  status: ['id', 'title', 'description', 'color', 'project', 'rank', 'createdAt', 'updatedAt'],
+  task: ['id', 'title', 'description', 'dueDate', 'dueHasTime', 'reminders', 'recurrence', 'subtasks', 'priority', 'tags', 'category', 'estimatedDuration', 'status', 'previousStatus', 'rank', 'createdAt', 'updatedAt'],
+  conversation: ['id', 'title', 'createdAt', 'updatedAt'],
+  message: ['id', 'title', 'content', 'role', 'createdAt', 'updatedAt'],
+  profile: ['nickname', 'avatarUrl', 'language', 'timeZone', 'savedViews', 'lastProjectId'],
+};
+
+// the profile fields an import restores, `lastProjectId` and `savedViews` are remapped separately
+const RESTORED_PROFILE_FIELDS = ['nickname', 'avatarUrl', 'language', 'timeZone'];
+
+const VIRTUAL_STATUS_REGEX = /^(.+)-(completed|deleted)$/;
+
+const pickFields = (doc, fields) => Object.fromEntries(fields.filter(field => doc[field] != null).map(field => [field, doc[field]]));
+
+/**
+ * Builds the archive of a user.
+ * @param {string} userId - The logged in user.
+ * @returns the archive: { format, version, exportedAt, profile, projects, statuses, tasks, conversations },
+ *   lists in list order and each conversation with its `messages` in order.
+ */
+async function exportAccount(userId) {
+  const [profile, projects, statuses, tasks, conversations, messages] = await Promise.all([
+    UserProfile.findOne({ userAuthId: userId }).lean(),
+    Project.find({ userId }).lean(),
+    Status.find({ userId }).lean(),
+    Task.find({ userId }).lean(),
+    Conversation.find({ userId }).sort({ createdAt: 1 }).lean(),
+    Message.find({ userId }).sort({ createdAt: 1 }).lean(),
+  ]);
+
+  const byList = (groupBy) => (a, b) => a[groupBy] !== b[groupBy] ? (a[groupBy] < b[groupBy] ? -1 : 1) : compareByRank(a, b);
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    profile: profile ? pickFields(profile, EXPORTED_FIELDS.profile) : null,
+    projects: projects.sort(compareByRank).map(project => pickFields(project, EXPORTED_FIELDS.project)),
+    statuses: statuses.sort(byList('project')).map(status => pickFields(status, EXPORTED_FIELDS.status)),
+    // tasks saved before `dueHasTime` existed get it here, see utils/timeZone.js
+    tasks: tasks.sort(byList('status'))
+      .map(task => pickFields(task.dueDate ? { ...task, dueHasTime: !isWholeDay(task) } : task, EXPORTED_FIELDS.task)),
+    conversations: conversations.map(conversation => ({
+      ...pickFields(conversation, EXPORTED_FIELDS.conversation),
+      messages: messages
+        .filter(message => message.conversationId === conversation.id)
+        .map(message => pickFields(message, EXPORTED_FIELDS.message)),
+    })),
+  };
+}
+
+/**
+ * Checks the envelope of an archive.
+ * @throws {ResourceError} if it is not an archive, or one made by a newer version of the app.
+ */
+function checkArchive(archive) {
+  if (typeof archive !== 'object' || archive === null || archive.format !== ARCHIVE_FORMAT) {
+    throw new ResourceError(`Not an archive: \`format\` must be "${ARCHIVE_FORMAT}"`);
+  }
+  if (!Number.isInteger(archive.version) || archive.version < 1) {
+    throw new ResourceError('`version` must be a positive integer');
+  }
+  if (archive.version > ARCHIVE_VERSION) {
+    throw new ResourceError(`The archive is version ${archive.version}, this server reads up to version ${ARCHIVE_VERSION}`);
+  }
+  for (const key of ['projects', 'statuses', 'tasks', 'conversations']) {
+    if (archive[key] !== undefined && !Array.isArray(archive[key])) {
+      throw new ResourceError(`\`${key}\` must be an array`);
+    }
+  }
+  if (archive.profile != null && (typeof archive.profile !== 'object' || Array.isArray(archive.profile))) {
+    throw new ResourceError('`profile` must be an object');
+  }
+}
+
+/**
+ * Sorts the items of one archived list into list order: by rank if every item has one,
+ * otherwise by the `prev`/`next` pointers of archives written before ranks, otherwise as they come.
+ */
+function inListOrder(items) {
+  if (items.every(item => isValidRank(item.rank))) {
+    return [...items].sort(compareByRank);
+  }
+  if (items.some(item => item.prev || item.next)) {
+    const ranks = ranksFromLinks(items);
+    return [...items].sort((a, b) => compareByRank({ id: a.id, rank: ranks.get(a.id) }, { id: b.id, rank: ranks.get(b.id) }));
+  }
+  return items;
+}
+
+/**
+ * Groups the items of an archived list type by their list, in the order the lists are first seen.
+ * @returns {Map<string, object[]>}
+ */
+function groupByList(items, groupBy) {
+  const groups = new Map();
+  items.forEach(item => {
+    if (!groups.has(item[groupBy])) groups.set(item[groupBy], []);
+    groups.get(item[groupBy]).push(item);
+  });
+  return groups;
+}
+
+/**
+ * Plans the import of an archive into the account of a user, without reading or writing anything.
+ * Every item gets a fresh id, and every reference (`project`, `status`, `previousStatus`, `lastProjectId`,
+ * `conversationId`) points to the new ids; the virtual statuses `<projectId>-completed` and `-deleted` follow their project.
+ * The imported projects go after the existing ones, the other lists keep their order.
+ * Items that cannot be imported, e.g. a task of a status missing from the archive, are skipped and reported.
+ * The profile gets the archived nickname, avatar, language and time zone, and the imported version of the project that was open.
+ * The saved views of the archive are added to those of the profile, filtering the imported versions of their projects.
+ * @param {string} userId - The logged in user.
+ * @param archive - The archive, as sent by the client.
+ * @param {{ id: string, rank: string }[]} existingProjects - The projects of the user.
+ * @param profile - The profile of the user, or null if there is none.
+ * @returns {{ ops: object[], conversations: object[], messages: object[], created: object, profile: object, skipped: object[] }}
+ *   the bulk ops, the conversations and messages to insert, and the report of `importAccount`.
+ * @throws {ResourceError} if the archive is invalid.
+ */
+function planImport(userId, archive, existingProjects, profile) {
+  checkArchive(archive);
+
+  const skipped = [];
+  const skip = (type, item, reason) => skipped.push({ type, id: typeof item?.id === 'string' ? item.id : null, reason });
+  const newIds = { project: new Map(), status: new Map(), task: new Map(), conversation: new Map() };
+  const checkedFields = new Map(); // archived item => its checked content fields
+
+  /**
+   * Checks the id and content fields of an archived item, and gives it a fresh id.
+   * @returns {boolean} false if the item is skipped.
+   */
+  const checkItem = (type, item, contentFields) => {
+    if (typeof item !== 'object' || item === null || typeof item.id !== 'string' || !item.id) {
+      skip(type, item, '`id` must be a non-empty string');
+      return false;
+    }
+    if (newIds[type].has(item.id)) {
+      skip(type, item, 'Another item of the archive has this id');
+      return false;
+    }
+    try {
+      checkedFields.set(item, parseFields(type, pickFields(item, contentFields), ['title']));
+    } catch (error) {
+      if (!(error instanceof ResourceError)) throw error;
+      skip(type, item, error.message);
+      return false;
+    }
+    newIds[type].set(item.id, crypto.randomUUID());
+    return true;
+  };
+
+  const createdAt = (item) => {
+    const date = new Date(item.createdAt);
+    return typeof item.createdAt === 'string' && !isNaN(date) ? { createdAt: date } : {};
+  };
+
+  // a status of the archive, or a virtual status of one of its projects
+  const remapStatus = (statusId) => {
+    if (newIds.status.has(statusId)) return newIds.status.get(statusId);
+    const virtual = typeof statusId === 'string' && VIRTUAL_STATUS_REGEX.exec(statusId);
+    return virtual && newIds.project.has(virtual[1]) ? `${newIds.project.get(virtual[1])}-${virtual[2]}` : null;
+  };
+
+  const ops = [];
+
+  // projects, after the existing ones
+  const projects = inListOrder((archive.projects ?? []).filter(project => checkItem('project', project, ['title', 'description'])));
+  const projectList = existingProjects.map(project => ({ id: project.id, rank: project.rank })).sort(compareByRank);
+  const rebalancedProjects = new Map();
+  const projectOps = projects.map(project => {
+    const id = newIds.project.get(project.id);
+    const { rank, rebalanced } = rankAtIndex(projectList, projectList.length);
+    rebalanced.forEach(item => {
+      projectList.find(listed => listed.id === item.id).rank = item.rank;
+      rebalancedProjects.set(item.id, item.rank);
+    });
+    projectList.push({ id, rank });
+    return { type: 'project', operation: 'add', data: { ...checkedFields.get(project), ...createdAt(project), id } };
+  });
+  // the ranks of the imported projects may have been rebalanced too, read them back from the list
+  projectOps.forEach(op => { op.data.rank = projectList.find(listed => listed.id === op.data.id).rank; });
+  const imported = new Set(projectOps.map(op => op.data.id));
+  ops.push(...projectOps);
+  rebalancedProjects.forEach((rank, id) => {
+    if (!imported.has(id)) ops.push({ type: 'project', operation: 'update', data: { id, updatedFields: { rank } } });
+  });
+
+  // statuses, each project keeps the order of its statuses
+  const statuses = (archive.statuses ?? []).filter(status => {
+    if (!checkItem('status', status, ['title', 'description', 'color'])) return false;
+    if (!newIds.project.has(status.project)) {
+      newIds.status.delete(status.id);
+      skip('status', status, '`project` points to a project missing from the archive');
+      return false;
+    }
+    return true;
+  });
+  for (const list of groupByList(statuses, 'project').values()) {
+    const ranks = evenlySpacedRanks(list.length);
+    inListOrder(list).forEach((status, i) => ops.push({
+      type: 'status',
+      operation: 'add',
+      data: {
+        ...checkedFields.get(status),
+        ...createdAt(status),
+        id: newIds.status.get(status.id),
+        project: newIds.project.get(status.project),
+        rank: ranks[i],
+      },
+    }));
+  }
+
+  // tasks, each status keeps the order of its tasks. Archives before version 2 have no `dueHasTime`, see utils/timeZone.js
+  const tasks = (archive.tasks ?? [])
+    .map(task => (task?.dueDate != null && task.dueHasTime === undefined ? { ...task, dueHasTime: !isWholeDay(task) } : task))
+    .filter(task => {
+      const dueFields = task?.dueDate != null ? ['dueDate', 'dueHasTime'] : []; // `dueHasTime` is written with a due date
+      if (!checkItem('task', task, ['title', 'description', ...dueFields, 'reminders', 'recurrence', 'subtasks', 'priority', 'tags', 'category', 'estimatedDuration'])) return false;
+      if (!remapStatus(task.status)) {
+        newIds.task.delete(task.id);
+        skip('task', task, '`status` points to a status missing from the archive');
+        return false;
+      }
+      return true;
+    });
+  for (const list of groupByList(tasks, 'status').values()) {
+    const ranks = evenlySpacedRanks(list.length);
+    inListOrder(list).forEach((task, i) => {
+      const status = remapStatus(task.status);
+      ops.push({
+        type: 'task',
+        operation: 'add',
+        data: {
+          ...checkedFields.get(task),
+          ...createdAt(task),
+          id: newIds.task.get(task.id),
+          status,
+          // a previous status missing from the archive falls back to the current one, like a new task
+          previousStatus: remapStatus(task.previousStatus) ?? status,
+          rank: ranks[i],
+        },
+      });
+    });
+  }
+
+  // profile
+  const profileChanges = {};
+  if (profile && archive.profile) {
+    const updatedFields = {};
+    for (const field of RESTORED_PROFILE_FIELDS) {
+      const value = archive.profile[field];
+      const valid = typeof value === 'string' &&
+        (field !== 'nickname' || value.trim()) &&
+        (field !== 'timeZone' || isValidTimeZone(value));
+      if (valid && value !== profile[field]) {
+        updatedFields[field] = value;
+      }
+    }
+    const lastProjectId = newIds.project.get(archive.profile.lastProjectId);
+    if (lastProjectId) {
+      updatedFields.lastProjectId = lastProjectId;
+    }
+    Object.entries(updatedFields).forEach(([field, value]) => { profileChanges[field] = { from: profile[field] ?? null, to: value }; });
+
+    // a view of projects that were all skipped is dropped rather than widened to every project
+    const currentViews = profile.savedViews ?? [];
+    const importedViews = (isValidSavedViews(archive.profile.savedViews) ? archive.profile.savedViews : [])
+      .map(view => ({
+        id: crypto.randomUUID(),
+        name: view.name,
+        filter: { ...view.filter, projects: view.filter.projects.filter(id => newIds.project.has(id)).map(id => newIds.project.get(id)) },
+      }))
+      .filter((view, index) => view.filter.projects.length > 0 || archive.profile.savedViews[index].filter.projects.length === 0);
+    const savedViews = [...currentViews, ...importedViews].slice(0, MAX_VIEWS);
+    if (savedViews.length > currentViews.length) {
+      updatedFields.savedViews = savedViews;
+      profileChanges.savedViews = { from: `${currentViews.length} views`, to: `${savedViews.length} views` };
+    }
+    if (Object.keys(updatedFields).length > 0) {
+      ops.push({ type: 'userProfile', operation: 'update', data: { id: profile.id, updatedFields } });
+    }
+  }
+
+  // AI conversations and their messages
+  const conversations = [];
+  const messages = [];
+  for (const conversation of archive.conversations ?? []) {
+    if (typeof conversation !== 'object' || conversation === null || typeof conversation.id !== 'string' || !conversation.id) {
+      skip('conversation', conversation, '`id` must be a non-empty string');
+      continue;
+    }
+    if (newIds.conversation.has(conversation.id)) {
+      skip('conversation', conversation, 'Another item of the archive has this id');
+      continue;
+    }
+    const id = crypto.randomUUID();
+    newIds.conversation.set(conversation.id, id);
+    conversations.push({
+      id,
+      userId,
+      ...(typeof conversation.title === 'string' ? { title: conversation.title } : {}),
+      ...createdAt(conversation),
+    });
+    for (const message of Array.isArray(conversation.messages) ? conversation.messages : []) {
+      if (typeof message?.content !== 'string' || !message.content || !['user', 'ai'].includes(message.role)) {
+        skip('message', message, 'A message needs a `content` and a `role` of "user" or "ai"');
+        continue;
+      }
+      messages.push({
+        id: crypto.randomUUID(),
+        conversationId: id,
+        userId,
+        content: message.content,
+        role: message.role,
+        ...(typeof message.title === 'string' ? { title: message.title } : {}),
+        ...createdAt(message),
+      });
+    }
+  }
+
+  const created = {
+    projects: projectOps.length,
+    statuses: ops.filter(op => op.type === 'status').length,
+    tasks: ops.filter(op => op.type === 'task').length,
+    conversations: conversations.length,
+    messages: messages.length,
+  };
+
+  return { ops, conversations, messages, created, profile: profileChanges, skipped };
+}
+
+/**
+ * Imports an archive into the account of a user, as planned by `planImport`.
+ * @param {string} userId - The logged in user.
+ * @param archive - The archive, as sent by the client.
+ * @param {{ dryRun?: boolean, clientId?: string }} options - `dryRun` only reports what would be imported;
+ *   `clientId` is the `X-Client-Id` of the request, that client is not sent the imported items.
+ * @returns {Promise<{ dryRun: boolean, created: object, profile: object, skipped: object[] }>} the report:
+ *   the number of items created per type, the profile fields changed ({ field: { from, to } })
+ *   and the skipped items ({ type, id, reason }).
+ * @throws {ResourceError} if the archive is invalid. Errors of `applyBulkOps` are rethrown as is.
+ */
+async function importAccount(userId, archive, { dryRun = false, clientId } = {}) {
+  checkArchive(archive);
+  const [existingProjects, currentProfile] = await Promise.all([
+    Project.find({ userId }, { _id: 0, id: 1, rank: 1 }).lean(),
+    UserProfile.findOne({ userAuthId: userId }).lean(),
+  ]);
+  const { ops, conversations, messages, created, profile, skipped } = planImport(userId, archive, existingProjects, currentProfile);
+
+  if (!dryRun) {
+    // conversations are not part of the bulk ops, they are written in the same transaction, so a failed import
+    // leaves nothing behind and can be retried without duplicating the lists
+    if (ops.length > 0 || conversations.length > 0) {
+      await commit(userId, ops, clientId, async (session) => {
+        if (conversations.length > 0) {
+          await Conversation.insertMany(conversations, { session });
+        }
+        if (messages.length > 0) {
+          await Message.insertMany(messages, { session });
+        }
+      });
+    }
+  }
+
+  console.log(`Import for user ${userId}${dryRun ? ' (dry run)' : ''}: ${JSON.stringify(created)}, ${skipped.length} skipped`);
+  return { dryRun, created, profile, skipped };
+}
+
+module.exports = { ARCHIVE_FORMAT, ARCHIVE_VERSION, exportAccount, planImport, importAccount };
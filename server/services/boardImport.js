@@ -0,0 +1,564 @@
+/**
+ * Turns the boards exported by other apps into a preview of a project, see POST /api/import/board in routes/import.js.
+ * Lists, columns and sections become statuses, cards become tasks, both in their original order.
+ * Nothing is written here: the web-client shows the preview, then adds the project through POST /api/bulk.
+ *
+ * Supported formats:
+ * - 'csv': a header row, then one task per row. The columns are found by name: title, description, status and due date.
+ * - 'trello': the JSON export of a Trello board (Menu > Print, export and share > Export as JSON).
+ * - 'todoist-csv': the CSV export of a Todoist project, also found in Todoist backups.
+ * - 'todoist-json': a Todoist Sync API dump with `items`, `sections` and `projects`.
+ * - 'markdown': headings and checklists, as written by GET /api/export/project/:id, see services/projectExport.js.
+ * - 'todotxt': a todo.txt file, also as written by GET /api/export/project/:id.
+ */
+const { ResourceError } = require('./resources');
+const { MARKDOWN_DUE_REGEX, decodeTodoTxtName } = require('./projectExport');
+
+const FORMATS = ['csv', 'trello', 'todoist-csv', 'todoist-json', 'markdown', 'todotxt'];
+
+// Statuses get the colors of the default statuses in turn, see DEFAULT_STATUSES in services/resources.js
+const STATUS_COLORS = ['#e8fdec', '#f0f1fd', '#fff8e8', '#fdeaea', '#e8f6fd', '#f5e8fd'];
+
+// The status of the tasks that name none
+const DEFAULT_STATUS_TITLE = 'To do';
+
+// The names a column of a generic CSV file may have, lower-cased and without spaces, dashes or underscores
+const CSV_COLUMNS = {
+  title: ['title', 'name', 'task', 'card', 'content', 'summary', 'subject'],
+  description: ['description', 'desc', 'notes', 'note', 'details', 'body'],
+  status: ['status', 'list', 'column', 'section', 'stage', 'state'],
+  dueDate: ['duedate', 'due', 'deadline', 'date', 'dueon', 'dueat'],
+};
+
+// A preview too large to be sent in one bulk payload, or shown to the user
+const MAX_TASKS = 2000;
+const MAX_STATUSES = 100;
+
+/**
+ * Splits CSV text into rows of cells (RFC 4180): quoted cells may hold commas, quotes ("") and line breaks.
+ * @param {string} text - The file content.
+ * @returns {string[][]} the rows, blank lines left out.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const source = text.replace(/^\uFEFF/, ''); // Excel writes a byte order mark
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) {
+    throw new ResourceError('The CSV file ends inside a quoted cell');
+  }
+  row.push(cell);
+  rows.push(row);
+  return rows.filter(cells => cells.some(value => value.trim()));
+}
+
+const isObject = (value) => typeof value === 'object' && value !== null;
+
+/**
+ * Reads a list of a JSON export, e.g. the `cards` of a Trello board, a missing one is empty.
+ * @param {object} data - The object that holds the list.
+ * @param {string} field - The name of the list.
+ * @param {string} [owner] - What holds it, named in the error, e.g. 'a card'.
+ * @returns {unknown[]}
+ * @throws {ResourceError} if it is not an array.
+ */
+function listOf(data, field, owner) {
+  const value = data[field] ?? [];
+  if (!Array.isArray(value)) {
+    throw new ResourceError(`\`${field}\`${owner ? ` of ${owner}` : ''} must be an array`);
+  }
+  return value;
+}
+
+/**
+ * Parses a due date written by another app.
+ * @returns {{ dueDate: string | null, dueHasTime: boolean }} the date as ISO string, null if there is none
+ *   or it cannot be read, and whether it has a time: a plain day is a whole day, see utils/timeZone.js.
+ */
+function parseDate(value) {
+  const none = { dueDate: null, dueHasTime: false };
+  if (typeof value !== 'string' || !value.trim()) return none;
+  const day = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value.trim());
+  // a plain day is midnight in the user's time zone, which the server does not know: keep it UTC midnight like the date picker
+  const date = day ? new Date(Date.UTC(Number(day[1]), Number(day[2]) - 1, Number(day[3]))) : new Date(value);
+  if (isNaN(date) || (day && date.toISOString().slice(0, 10) !== day[0])) {
+    return none; // not a date, or a day that does not exist like 2024-02-30
+  }
+  return { dueDate: date.toISOString(), dueHasTime: !day };
+}
+
+/**
+ * Collects the statuses and tasks of a preview, keeping statuses in the order they are first met.
+ */
+function createBoard(title) {
+  const statuses = [];
+  const tasks = [];
+  const warnings = [];
+  const statusIndexes = new Map(); // key => index into `statuses`
+
+  return {
+    warnings,
+    /**
+     * Adds a status, or finds the one already added with this key.
+     * @returns {number} the index of the status.
+     */
+    status(key, statusTitle) {
+      if (!statusIndexes.has(key)) {
+        statusIndexes.set(key, statuses.length);
+        statuses.push({ title: statusTitle?.trim() || DEFAULT_STATUS_TITLE, color: STATUS_COLORS[statuses.length % STATUS_COLORS.length] });
+      }
+      return statusIndexes.get(key);
+    },
+    /**
+     * Adds a task to a status, after the tasks already in it.
+     * @param task - { title, description?, dueDate?, dueHasTime?, status: index of the status, completed? }
+     * @returns the added task, its description can still be completed.
+     */
+    task({ title: taskTitle, description = '', dueDate = null, dueHasTime = false, status, completed = false }) {
+      const task = {
+        title: taskTitle.trim(), description: description.trim(), dueDate, dueHasTime: Boolean(dueDate && dueHasTime), status, completed,
+      };
+      tasks.push(task);
+      return task;
+    },
+    build(format) {
+      if (tasks.length === 0 && statuses.length === 0) {
+        throw new ResourceError('The file holds no lists and no tasks');
+      }
+      if (tasks.length > MAX_TASKS || statuses.length > MAX_STATUSES) {
+        throw new ResourceError(`A board can be imported with up to ${MAX_STATUSES} lists and ${MAX_TASKS} tasks`);
+      }
+      return { format, title: title?.trim() || 'Imported board', statuses, tasks, warnings };
+    },
+  };
+}
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[\s_-]/g, '');
+
+/**
+ * Reads a CSV file with a header row: title, description, status and due date columns, by name.
+ * Statuses are ordered as they first appear.
+ */
+function fromCsv(text, title) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    throw new ResourceError('The CSV file is empty');
+  }
+  const columns = {};
+  const names = header.map(normalizeHeader);
+  for (const [field, aliases] of Object.entries(CSV_COLUMNS)) {
+    const index = names.findIndex(name => aliases.includes(name));
+    if (index !== -1) columns[field] = index;
+  }
+  if (columns.title === undefined) {
+    throw new ResourceError(`The CSV file needs a title column, e.g. "title"; its columns are ${header.map(h => `"${h}"`).join(', ')}`);
+  }
+
+  const board = createBoard(title);
+  let untitled = 0;
+  for (const row of rows) {
+    const cell = (field) => (columns[field] === undefined ? '' : row[columns[field]] ?? '').trim();
+    if (!cell('title')) {
+      untitled++;
+      continue;
+    }
+    const statusTitle = cell('status');
+    const { dueDate, dueHasTime } = parseDate(cell('dueDate'));
+    const description = cell('description');
+    board.task({
+      title: cell('title'),
+      description: !dueDate && cell('dueDate') ? `${description}\n\nDue: ${cell('dueDate')}` : description,
+      dueDate,
+      dueHasTime,
+      status: board.status(statusTitle.toLowerCase(), statusTitle),
+    });
+  }
+  if (untitled) board.warnings.push(`${untitled} row(s) without a title were left out`);
+  return board.build('csv');
+}
+
+/**
+ * Reads the JSON export of a Trello board. Open lists become statuses, ordered by position,
+ * and open cards become tasks, ordered by position; cards marked as done are completed.
+ * Archived lists and cards are left out.
+ * @throws {ResourceError} if `lists`, `cards`, `checklists` or a list inside them is not an array.
+ */
+function fromTrello(data) {
+  const board = createBoard(data.name);
+  const byPosition = (a, b) => (a.pos ?? 0) - (b.pos ?? 0);
+  const allLists = listOf(data, 'lists').filter(isObject);
+  const lists = allLists.filter(list => !list.closed).sort(byPosition);
+  const closedLists = new Set(allLists.filter(list => list.closed).map(list => list.id));
+  lists.forEach(list => board.status(list.id, list.name));
+
+  const cards = listOf(data, 'cards').filter(card => typeof card?.name === 'string' && card.name.trim());
+  let archived = 0;
+  let checklistItems = 0;
+  const checklists = new Map(listOf(data, 'checklists').filter(isObject).map(checklist => [checklist.id, checklist]));
+  for (const card of cards.sort(byPosition)) {
+    if (card.closed || closedLists.has(card.idList)) {
+      archived++;
+      continue;
+    }
+    // checklists are kept as a list in the description
+    const items = listOf(card, 'idChecklists', 'a card')
+      .flatMap(id => (checklists.has(id) ? listOf(checklists.get(id), 'checkItems', 'a checklist').filter(isObject) : []));
+    checklistItems += items.length;
+    const checklist = items.map(item => `- [${item.state === 'complete' ? 'x' : ' '}] ${item.name}`).join('\n');
+    board.task({
+      title: card.name,
+      description: [card.desc ?? '', checklist].filter(Boolean).join('\n\n'),
+      ...parseDate(card.due),
+      status: board.status(card.idList, lists.find(list => list.id === card.idList)?.name),
+      completed: card.dueComplete === true,
+    });
+  }
+  if (archived) board.warnings.push(`${archived} archived card(s) were left out`);
+  if (closedLists.size) board.warnings.push(`${closedLists.size} archived list(s) were left out`);
+  if (checklistItems) board.warnings.push(`${checklistItems} checklist item(s) were added to the descriptions of their cards`);
+  return board.build('trello');
+}
+
+/**
+ * Reads the CSV export of a Todoist project: rows of TYPE "section" start a status, rows of TYPE "task" go into the
+ * last section, and rows of TYPE "note" are added to the description of the task before them.
+ * Subtasks (INDENT above 1) are flattened into their section.
+ */
+function fromTodoistCsv(text, title) {
+  const [header = [], ...rows] = parseCsv(text);
+  const names = header.map(name => name.trim().toUpperCase());
+  const column = (name) => names.indexOf(name);
+  const [type, content, description, indent, date] = ['TYPE', 'CONTENT', 'DESCRIPTION', 'INDENT', 'DATE'].map(column);
+
+  const board = createBoard(title);
+  let section = null;
+  let lastTask = null;
+  let subtasks = 0;
+  let unreadDates = 0;
+  for (const row of rows) {
+    const cell = (index) => (index === -1 ? '' : row[index] ?? '').trim();
+    switch (cell(type).toLowerCase()) {
+      case 'section':
+        section = board.status(`section:${cell(content)}`, cell(content));
+        lastTask = null;
+        break;
+      case 'task': {
+        if (!cell(content)) break;
+        if (Number(cell(indent)) > 1) subtasks++;
+        const { dueDate, dueHasTime } = parseDate(cell(date));
+        if (cell(date) && !dueDate) unreadDates++;
+        lastTask = board.task({
+          title: cell(content),
+          description: [cell(description), cell(date) && !dueDate ? `Due: ${cell(date)}` : ''].filter(Boolean).join('\n\n'),
+          dueDate,
+          dueHasTime,
+          status: section ?? board.status('', DEFAULT_STATUS_TITLE),
+        });
+        break;
+      }
+      case 'note':
+        if (lastTask && cell(content)) {
+          lastTask.description = [lastTask.description, cell(content)].filter(Boolean).join('\n\n');
+        }
+        break;
+    }
+  }
+  if (subtasks) board.warnings.push(`${subtasks} subtask(s) were added as tasks of their section`);
+  if (unreadDates) board.warnings.push(`${unreadDates} due date(s) like "every monday" could not be read and were added to the descriptions`);
+  return board.build('todoist-csv');
+}
+
+/**
+ * Reads a Todoist Sync API dump. Sections become statuses, in section order; with several projects,
+ * each status is named "<project> / <section>", and the tasks of a project without a section get a status named after it.
+ * Completed tasks (`checked`) are completed.
+ * @throws {ResourceError} if `projects`, `sections` or `items` is not an array.
+ */
+function fromTodoistJson(data) {
+  const projects = listOf(data, 'projects').filter(project => isObject(project) && !project.is_deleted && !project.is_archived)
+    .sort((a, b) => (a.child_order ?? 0) - (b.child_order ?? 0));
+  const projectNames = new Map(projects.map(project => [project.id, project.name]));
+  const multiple = projects.length > 1;
+  const board = createBoard(multiple ? 'Todoist' : projects[0]?.name);
+
+  const sections = listOf(data, 'sections').filter(section => isObject(section) && !section.is_deleted && !section.is_archived)
+    .sort((a, b) => projects.findIndex(p => p.id === a.project_id) - projects.findIndex(p => p.id === b.project_id)
+      || (a.section_order ?? 0) - (b.section_order ?? 0));
+  const sectionName = (section) => (multiple ? `${projectNames.get(section.project_id) ?? 'Todoist'} / ${section.name}` : section.name);
+  sections.forEach(section => board.status(`section:${section.id}`, sectionName(section)));
+
+  const items = listOf(data, 'items').filter(item => isObject(item) && !item.is_deleted && typeof item.content === 'string' && item.content.trim())
+    .sort((a, b) => (a.child_order ?? 0) - (b.child_order ?? 0));
+  let subtasks = 0;
+  let unreadDates = 0;
+  for (const item of items) {
+    if (item.parent_id) subtasks++;
+    const dueText = item.due?.date ?? '';
+    const { dueDate, dueHasTime } = parseDate(dueText);
+    if (dueText && !dueDate) unreadDates++;
+    const status = item.section_id && sections.some(section => section.id === item.section_id)
+      ? board.status(`section:${item.section_id}`)
+      : board.status(`project:${item.project_id}`, multiple ? projectNames.get(item.project_id) : DEFAULT_STATUS_TITLE);
+    board.task({
+      title: item.content,
+      description: [item.description ?? '', item.due?.is_recurring ? `Repeats: ${item.due.string}` : ''].filter(Boolean).join('\n\n'),
+      dueDate,
+      dueHasTime,
+      status,
+      completed: item.checked === true || item.checked === 1,
+    });
+  }
+  if (subtasks) board.warnings.push(`${subtasks} subtask(s) were added as tasks of their section`);
+  if (unreadDates) board.warnings.push(`${unreadDates} due date(s) could not be read`);
+  return board.build('todoist-json');
+}
+
+// a list item of Markdown, e.g. "- [x] title", "* title"
+const MARKDOWN_ITEM_REGEX = /^[-*+]\s+(?:\[([ xX])\]\s+)?(.*)$/;
+const MARKDOWN_HEADING_REGEX = /^(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+
+/**
+ * Reads Markdown: the first top-level heading is the title of the project, the other headings are statuses,
+ * and the list items below them are tasks, completed if checked. The indented lines below an item are its description,
+ * and a due date may follow its title, e.g. `- [ ] Read chapter 3 (due 2024-01-31)`.
+ */
+function fromMarkdown(text, title) {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+  let projectTitle = null;
+  let status = null;
+  let task = null;
+  let blankLines = 0; // the blank lines inside a description are only kept if it goes on after them
+  let skipped = 0;
+  const parsed = [];
+
+  for (const line of lines) {
+    if (!line.trim()) {
+      blankLines++;
+      continue;
+    }
+    const indented = /^( {2,}|\t)/.test(line);
+    if (indented && task) {
+      task.description.push(...Array(blankLines).fill(''), line.replace(/^( {2}|\t)/, ''));
+      blankLines = 0;
+      continue;
+    }
+    blankLines = 0;
+    const heading = MARKDOWN_HEADING_REGEX.exec(line);
+    const item = !indented && MARKDOWN_ITEM_REGEX.exec(line);
+    if (heading && heading[1] === '#' && projectTitle === null && status === null) {
+      projectTitle = heading[2];
+      task = null;
+    } else if (heading) {
+      status = heading[2];
+      parsed.push({ status, tasks: [] });
+      task = null;
+    } else if (item && item[2].trim()) {
+      if (status === null) {
+        parsed.push({ status: (status = DEFAULT_STATUS_TITLE), tasks: [] });
+      }
+      task = { line: item[2], completed: item[1] !== undefined && item[1] !== ' ', description: [] };
+      parsed.at(-1).tasks.push(task);
+    } else {
+      skipped++;
+      task = null;
+    }
+  }
+
+  const board = createBoard(projectTitle ?? title);
+  let unreadDates = 0;
+  parsed.forEach(({ status: statusTitle, tasks }, index) => {
+    const statusIndex = board.status(index, statusTitle);
+    for (const { line, completed, description } of tasks) {
+      const due = MARKDOWN_DUE_REGEX.exec(line);
+      const { dueDate, dueHasTime } = parseDate(due?.[1]);
+      if (due && !dueDate) unreadDates++;
+      board.task({
+        title: dueDate ? line.slice(0, due.index) : line,
+        description: description.join('\n'),
+        dueDate,
+        dueHasTime,
+        status: statusIndex,
+        completed,
+      });
+    }
+  });
+  if (skipped) board.warnings.push(`${skipped} line(s) that are neither headings nor list items were left out`);
+  if (unreadDates) board.warnings.push(`${unreadDates} due date(s) could not be read and were kept in the titles`);
+  return board.build('markdown');
+}
+
+// the dates at the start of a todo.txt line: "x <completion date> <creation date>" or "<creation date>"
+const TODO_TXT_START_REGEX = /^(x\s+)?(?:\d{4}-\d{2}-\d{2}\s+){0,2}/;
+
+/**
+ * Reads a todo.txt file, a task per line. The `@context` and `key:value` words at the end of a line are read:
+ * the last context is the status, `due:` the due date and `desc:` the description (URI encoded). The `+project`
+ * of the first line names the project. Completed tasks start with `x `. Other words stay in the title,
+ * and statuses are ordered as they first appear.
+ * The tags are read from the end until one is met twice, or anything but the context after the `+project`,
+ * as the export writes `<title> +<project> @<status> due:<date> desc:<description>`: the `@` and `+` words of
+ * a title stay in it.
+ */
+function fromTodoTxt(text, title) {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+  let projectWord = null;
+  let unreadDates = 0;
+  const entries = [];
+
+  for (const line of lines) {
+    const start = TODO_TXT_START_REGEX.exec(line);
+    const words = line.slice(start[0].length).trim().split(/\s+/);
+    const entry = { completed: Boolean(start[1]), context: null, dueDate: null, dueHasTime: false, description: '', extra: [] };
+    const read = new Set(); // the tags read on this line
+    // read the tags from the end, until the title
+    while (words.length > 1) {
+      const word = words.at(-1);
+      const tag = /^([A-Za-z][\w-]*):(\S+)$/.exec(word);
+      const kind = /^@\S+$/.test(word) ? 'context' : /^\+\S+$/.test(word) ? 'project' : tag?.[1];
+      if (read.has(kind) || (read.has('project') && kind !== 'context')) {
+        break; // the rest is the title
+      }
+      if (kind === 'context') {
+        entry.context = word.slice(1);
+      } else if (kind === 'project' && (projectWord === null || word.slice(1) === projectWord)) {
+        projectWord = word.slice(1);
+      } else if (tag?.[1] === 'due' && parseDate(tag[2]).dueDate) {
+        Object.assign(entry, parseDate(tag[2]));
+      } else if (tag?.[1] === 'desc') {
+        try {
+          entry.description = decodeURIComponent(tag[2]);
+        } catch {
+          entry.description = tag[2];
+        }
+      } else if (/^(\+\S+|[A-Za-z][\w-]*:\S+)$/.test(word)) {
+        if (tag?.[1] === 'due') unreadDates++;
+        entry.extra.unshift(word); // kept in the title, e.g. another +project or pri:A
+      } else {
+        break;
+      }
+      if (kind === 'context' || (kind === 'project' && word.slice(1) === projectWord) || kind === 'due' || kind === 'desc') {
+        read.add(kind);
+      }
+      words.pop();
+    }
+    entry.title = [...words, ...entry.extra].join(' ');
+    entries.push(entry);
+  }
+
+  const board = createBoard(projectWord === null ? title : decodeTodoTxtName(projectWord));
+  for (const { title: taskTitle, completed, context, dueDate, dueHasTime, description } of entries) {
+    board.task({
+      title: taskTitle,
+      description,
+      dueDate,
+      dueHasTime,
+      status: context === null ? board.status('', DEFAULT_STATUS_TITLE) : board.status(`@${context}`, decodeTodoTxtName(context)),
+      completed,
+    });
+  }
+  if (unreadDates) board.warnings.push(`${unreadDates} due date(s) could not be read and were kept in the titles`);
+  return board.build('todotxt');
+}
+
+/**
+ * Guesses the format of a file from its content, and its name for Markdown and todo.txt.
+ * @returns {string} one of FORMATS.
+ */
+function detectFormat(content, fileName) {
+  if (/\.(md|markdown)$/i.test(fileName ?? '')) return 'markdown';
+  if (/(^|[\\/])todo[^\\/]*\.txt$/i.test(fileName ?? '')) return 'todotxt';
+  const trimmed = content.trimStart();
+  if (trimmed.startsWith('{')) {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch {
+      throw new ResourceError('The file is not valid JSON');
+    }
+    if (Array.isArray(data.lists) && Array.isArray(data.cards)) return 'trello';
+    if (Array.isArray(data.items)) return 'todoist-json';
+    throw new ResourceError('The JSON file is neither a Trello board nor a Todoist backup');
+  }
+  const lines = content.split(/\r?\n/).filter(line => line.trim());
+  if (lines.some(line => MARKDOWN_HEADING_REGEX.test(line) || /^[-*+]\s+\[[ xX]\]\s/.test(line))) return 'markdown';
+  if (lines.every(line => /^(x\s+)?\d{4}-\d{2}-\d{2}\s/.test(line))) return 'todotxt'; // every line starts with a date
+  const header = parseCsv(lines[0] ?? '')[0] ?? [];
+  const names = header.map(name => name.trim().toUpperCase());
+  return names.includes('TYPE') && names.includes('CONTENT') ? 'todoist-csv' : 'csv';
+}
+
+/**
+ * Builds the preview of an exported board.
+ * @param body - { content: the file as text, format?: one of FORMATS (guessed from the content by default),
+ *   fileName?: used as the title of the project when the file names none }
+ * @returns {{ format: string, title: string, statuses: { title: string, color: string }[],
+ *   tasks: { title: string, description: string, dueDate: string | null, dueHasTime: boolean, status: number, completed: boolean }[],
+ *   warnings: string[] }} the project to be created: `status` is the index of the status of a task,
+ *   statuses and the tasks of each status are in order.
+ * @throws {ResourceError} if the file cannot be read.
+ */
+function previewBoard(body) {
+  const { content, format, fileName } = body ?? {};
+  if (typeof content !== 'string' || !content.trim()) {
+    throw new ResourceError('`content` must be the content of the file');
+  }
+  if (format !== undefined && !FORMATS.includes(format)) {
+    throw new ResourceError(`\`format\` must be one of ${FORMATS.join(', ')}`);
+  }
+  const title = typeof fileName === 'string' ? fileName.replace(/\.[^.]*$/, '') : undefined;
+
+  const resolvedFormat = format ?? detectFormat(content, fileName);
+  switch (resolvedFormat) {
+    case 'trello':
+    case 'todoist-json': {
+      let data;
+      try {
+        data = JSON.parse(content);
+      } catch {
+        throw new ResourceError('The file is not valid JSON');
+      }
+      if (typeof data !== 'object' || data === null) {
+        throw new ResourceError('The file is not a JSON object');
+      }
+      return resolvedFormat === 'trello' ? fromTrello(data) : fromTodoistJson(data);
+    }
+    case 'todoist-csv':
+      return fromTodoistCsv(content, title);
+    case 'markdown':
+      return fromMarkdown(content, title);
+    case 'todotxt':
+      return fromTodoTxt(content, title);
+    default:
+      return fromCsv(content, title);
+  }
+}
+
+module.exports = { FORMATS, previewBoard, parseCsv };
@@ -0,0 +1,196 @@
+const mongoose = require('mongoose');
+const Task = require('../database/models/tasks');
+const Project = require('../database/models/projects');
+const Status = require('../database/models/statuses');
+const UserProfile = require('../database/models/userProfiles');
+const { ORDERED_LISTS, RankIntegrityError, verifyRanks } = require('../utils/rankIntegrity');
+const { nextChangeSeq, recordDeletion } = require('./changeLog');
+
+const MODELS = {
+  task: Task,
+  project: Project,
+  status: Status,
+  userProfile: UserProfile,
+};
+
+/**
+ * Thrown when one op of a bulk payload cannot be applied.
+ * The transaction is aborted, so none of the ops are kept.
+ */
+class BulkOperationError extends Error {
+  constructor(message, index, op, httpStatus = 409) {
+    super(message);
+    this.name = 'BulkOperationError';
+    this.index = index;
+    this.op = { type: op.type, operation: op.operation, id: op.data.id };
+    this.httpStatus = httpStatus;
+  }
+}
+
+/**
+ * Thrown when some ops were based on an older revision of a document than the one in the database,
+ * e.g. because another tab or device changed it first. The transaction is aborted, so none of the ops are kept.
+ */
+class RevisionConflictError extends Error {
+  constructor(conflicts) {
+    super('Some items were changed elsewhere, reload them and try again');
+    this.name = 'RevisionConflictError';
+    this.conflicts = conflicts;
+  }
+}
+
+/**
+ * Builds the filter of a document owned by the user.
+ * @param type - The type of the op.
+ * @param id - The id of the document.
+ * @param userId - The id of the logged in user.
+ */
+function ownedFilter(type, id, userId) {
+  return type === 'userProfile' ? { id, userAuthId: userId } : { id, userId };
+}
+
+/**
+ * Finds the documents whose revision moved on since the client read them.
+ * The revision of a document is taken from the first op that touches it, as the client sends the revision
+ * it started from; documents added by the payload itself and ops without `rev` are not checked.
+ * @returns {Promise<{ type: string, id: string, rev: number, current: object | null }[]>}
+ *   the stale documents, with their current version, or null if they were deleted.
+ */
+async function findRevisionConflicts(ops, userId, session) {
+  const expected = new Map();
+  for (const op of ops) {
+    const key = `${op.type}:${op.data.id}`;
+    if (expected.has(key)) continue;
+    expected.set(key, op.operation === 'add' ? null : { type: op.type, id: op.data.id, rev: op.data.rev });
+  }
+  const checks = [...expected.values()].filter(check => check && check.rev !== undefined);
+
+  const conflicts = [];
+  for (const [type, Model] of Object.entries(MODELS)) {
+    const typeChecks = checks.filter(check => check.type === type);
+    if (typeChecks.length === 0) continue;
+
+    const ownerField = type === 'userProfile' ? 'userAuthId' : 'userId';
+    const docs = await Model.find({ id: { $in: typeChecks.map(check => check.id) }, [ownerField]: userId }, { _id: 0, __v: 0 })
+      .session(session)
+      .lean();
+    for (const check of typeChecks) {
+      const current = docs.find(doc => doc.id === check.id) || null;
+      if (!current || (current.rev ?? 0) !== check.rev) {
+        conflicts.push({ ...check, current });
+      }
+    }
+  }
+  return conflicts;
+}
+
+/**
+ * Applies one op within the session.
+ * @param touchedLists - Collects, per type, the lists an item was added to or moved into. See `verifyRanks`.
+ * @param revised - The `type:id` of the documents whose revision was already bumped by this payload.
+ * @param changeSeq - The change sequence number of the payload, stamped on every written document. See services/changeLog.js.
+ * @returns the applied op, e.g. { index, type: 'task', operation: 'update', id }
+ */
+async function applyOp(op, index, userId, session, touchedLists, revised, changeSeq) {
+  const Model = MODELS[op.type];
+  const filter = ownedFilter(op.type, op.data.id, userId);
+  const groupBy = ORDERED_LISTS[op.type]?.groupBy;
+
+  switch (op.operation) {
+    case 'add': {
+      if (op.type === 'userProfile') {
+        throw new BulkOperationError('A user profile can only be updated', index, op, 400);
+      }
+      const [created] = await Model.create([{ ...op.data, userId, rev: 0, changeSeq }], { session });
+      revised.add(`${op.type}:${op.data.id}`);
+      if (groupBy) touchedLists[op.type].add(created[groupBy]);
+      break;
+    }
+    case 'update': {
+      const { updatedFields } = op.data;
+      // one payload bumps the revision of a document once, however many ops touch it
+      const key = `${op.type}:${op.data.id}`;
+      const $set = { ...updatedFields, changeSeq };
+      const update = revised.has(key) ? { $set } : { $set, $inc: { rev: 1 } };
+      revised.add(key);
+      const before = await Model.findOneAndUpdate(filter, update, { session, new: false }).lean();
+      if (!before) {
+        throw new BulkOperationError('Item not found', index, op);
+      }
+      if (groupBy && ('rank' in updatedFields || groupBy in updatedFields)) {
+        touchedLists[op.type].add(updatedFields[groupBy] ?? before[groupBy]);
+      }
+      break;
+    }
+    case 'delete': {
+      if (op.type === 'userProfile') {
+        throw new BulkOperationError('A user profile can only be updated', index, op, 400);
+      }
+      const result = await Model.deleteOne(filter, { session });
+      if (result.deletedCount === 0) {
+        throw new BulkOperationError('Item not found', index, op);
+      }
+      await recordDeletion(op.type, op.data.id, userId, changeSeq, session);
+      break;
+    }
+  }
+
+  console.log(`${op.type} ${op.operation}: ${op.data.id}`);
+  return { index, type: op.type, operation: op.operation, id: op.data.id };
+}
+
+/**
+ * Applies the ops of a bulk payload in order, inside one MongoDB transaction.
+ * Either every op is applied, or none of them is. Transactions need MongoDB to run as a replica set
+ * (a single node replica set is enough for local development, see README).
+ * Update and delete ops may carry the `rev` the client last saw; if a document has moved on since, nothing is applied.
+ * Every document updated by the payload gets its `rev` bumped by one, and every written document the payload's `changeSeq`.
+ * Before committing, the order of every list the ops added to or reordered is verified, and the payload is rolled back if two items share a rank.
+ * @param ops - The validated ops of the bulk payload.
+ * @param userId - The id of the logged in user, every op is scoped to it.
+ * @param {(session: mongoose.ClientSession) => Promise<void>} [writeAlso] - Other writes to commit with the ops,
+ *   e.g. the conversations of an imported account; run after the ops, in the same transaction.
+ * @returns {Promise<{ index: number, type: string, operation: string, id: string }[]>} the applied ops, in order.
+ * @throws {RevisionConflictError} if some ops were based on stale revisions.
+ * @throws {BulkOperationError} if an op cannot be applied.
+ * @throws {RankIntegrityError} if the ops would leave a list without a clear order.
+ * Other errors (e.g. schema validation) are rethrown as is.
+ */
+async function applyBulkOps(ops, userId, writeAlso) {
+  const session = await mongoose.startSession();
+  let applied = [];
+  try {
+    await session.withTransaction(async () => {
+      applied = []; // withTransaction retries the whole callback on transient errors
+      const conflicts = await findRevisionConflicts(ops, userId, session);
+      if (conflicts.length > 0) {
+        throw new RevisionConflictError(conflicts);
+      }
+
+      const touchedLists = { task: new Set(), status: new Set(), project: new Set() };
+      const revised = new Set();
+      const changeSeq = await nextChangeSeq(userId, session);
+      for (const [index, op] of ops.entries()) {
+        applied.push(await applyOp(op, index, userId, session, touchedLists, revised, changeSeq));
+      }
+
+      const problems = await verifyRanks(userId, touchedLists, session);
+      if (problems.length > 0) {
+        throw new RankIntegrityError(problems);
+      }
+      if (writeAlso) {
+        await writeAlso(session);
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+  return applied;
+}
+
+module.exports = {
+  applyBulkOps,
+  BulkOperationError,
+  RankIntegrityError,
+  RevisionConflictError,
+};
@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const CalendarFeed = require('../database/models/calendarFeeds');
+const Project = require('../database/models/projects');
+const Status = require('../database/models/statuses');
+const Task = require('../database/models/tasks');
+const { hashToken } = require('../utils/authTokens');
+const { ResourceError } = require('./resources');
+const { isWholeDay } = require('../utils/timeZone');
+
+// the web-client, the entries of the feed link back to their task there
+const APP_URL = process.env.APP_URL || 'http://localhost:5173';
+
+// every feed token starts with this, so leaked links are easy to recognize
+const TOKEN_PREFIX = 'rsc_';
+
+// how much of the token is kept in clear, to recognize the link in the settings
+const SHOWN_LENGTH = TOKEN_PREFIX.length + 6;
+
+// how often calendar apps are asked to fetch the feed again
+const REFRESH_INTERVAL = 'PT1H';
+
+// the feed lists tasks as events by default, many calendar apps do not show to-dos
+const KINDS = ['event', 'todo'];
+
+const VIRTUAL_STATUS_REGEX = /^(.+)-(completed|deleted)$/;
+
+/**
+ * Creates the calendar feed of a user, replacing the previous one: its link stops working.
+ * Only the hash of the token is stored, the link is shown to the user once.
+ * @param {string} userId - The owner of the feed.
+ * @returns {Promise<{ token: string, calendarFeed: object }>} the token, and the feed as shown in the settings.
+ */
+async function createCalendarFeed(userId) {
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+  await CalendarFeed.deleteOne({ userId });
+  const created = await CalendarFeed.create({
+    id: crypto.randomUUID(),
+    userId,
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, SHOWN_LENGTH),
+  });
+  return { token, calendarFeed: toPublicCalendarFeed(created) };
+}
+
+/**
+ * Gets the details of a feed that may be sent to the client, without the hash.
+ * @param calendarFeed - The CalendarFeed document.
+ */
+function toPublicCalendarFeed(calendarFeed) {
+  const { id, prefix, lastFetchedAt, createdAt } = calendarFeed;
+  return { id, prefix, lastFetchedAt, createdAt };
+}
+
+/**
+ * Looks up the feed of the token in a feed link, and remembers that it was fetched.
+ * @param {string} token - The token of the link.
+ * @returns {Promise<object | null>} the CalendarFeed document, or null if the token is unknown.
+ */
+async function findCalendarFeed(token) {
+  if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) {
+    return null;
+  }
+  return CalendarFeed.findOneAndUpdate(
+    { tokenHash: hashToken(token) },
+    { $set: { lastFetchedAt: new Date() } },
+    { new: true }
+  ).lean();
+}
+
+/**
+ * Escapes a TEXT value (RFC 5545, 3.3.11).
+ * @param {string} text
+ */
+function escapeText(text) {
+  return text
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line into lines of at most 75 octets (RFC 5545, 3.1), without splitting a character.
+ * @param {string} line
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const length = Buffer.byteLength(char);
+    // the continuation lines start with a space, which counts too
+    if (size + length > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += length;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Formats a UTC time, e.g. `20240131T093000Z`.
+ * @param {Date} date
+ */
+function formatDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Formats the due date of a task: a whole day, see utils/timeZone.js, e.g. `DUE;VALUE=DATE:20240131`,
+ * or a UTC time, e.g. `DUE:20240131T093000Z`.
+ * @param {string} name - The name of the property.
+ * @param task - The task, with a due date.
+ */
+function dueDateProperty(name, task) {
+  if (isWholeDay(task)) {
+    return `${name};VALUE=DATE:${task.dueDate.toISOString().slice(0, 10).replace(/-/g, '')}`;
+  }
+  return `${name}:${formatDateTime(task.dueDate)}`;
+}
+
+/**
+ * Builds the entry of a task.
+ * @param task - The Task document, with a due date.
+ * @param {{ project: object, status: object | undefined, completed: boolean, kind: 'event' | 'todo' }} context -
+ *   The project of the task, its status (none for a completed task), and the kind of entry.
+ * @returns {string[]} the content lines.
+ */
+function taskEntry(task, { project, status, completed, kind }) {
+  const link = `${APP_URL}/?project=${encodeURIComponent(project.id)}&task=${encodeURIComponent(task.id)}`;
+  const statusTitle = completed ? 'Completed' : status?.title;
+  const details = [`Project: ${project.title}`, statusTitle && `Status: ${statusTitle}`, link].filter(Boolean).join('\n');
+  const description = task.description ? `${task.description}\n\n${details}` : details;
+  const component = kind === 'todo' ? 'VTODO' : 'VEVENT';
+
+  const lines = [
+    `BEGIN:${component}`,
+    `UID:${task.id}@raccoon-study`,
+    `DTSTAMP:${formatDateTime(task.updatedAt)}`,
+    // a completed event cannot be marked so, its title shows it instead
+    `SUMMARY:${escapeText(completed && kind === 'event' ? `✓ ${task.title}` : task.title)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `CATEGORIES:${[project.title, statusTitle].filter(Boolean).map(escapeText).join(',')}`,
+    `URL:${link}`,
+    dueDateProperty(kind === 'todo' ? 'DUE' : 'DTSTART', task),
+  ];
+  // the repeat rules of tasks are RRULEs already, see utils/recurrence.js. A to-do would also need a DTSTART to repeat
+  if (task.recurrence && !completed && kind === 'event') {
+    lines.push(`RRULE:${isWholeDay(task) ? task.recurrence : task.recurrence.replace(/UNTIL=(\d{8})/, 'UNTIL=$1T235959Z')}`);
+  }
+  if (kind === 'todo') {
+    lines.push(completed ? 'STATUS:COMPLETED' : 'STATUS:NEEDS-ACTION');
+    if (completed) {
+      lines.push(`COMPLETED:${formatDateTime(task.updatedAt)}`, 'PERCENT-COMPLETE:100'); // moved to completed in its last write
+    }
+  } else {
+    lines.push('TRANSP:TRANSPARENT'); // a due date does not make the user busy
+  }
+  lines.push(`END:${component}`);
+  return lines;
+}
+
+/**
+ * Builds the iCalendar file of the tasks of a user that have a due date. Trashed tasks are left out,
+ * completed ones are marked completed.
+ * @param {string} userId - The owner of the tasks.
+ * @param {{ project?: string, kind?: 'event' | 'todo' }} [options] - Only the tasks of this project,
+ *   and whether the tasks are listed as events (the default) or as to-dos.
+ * @returns {Promise<string>} the content of the `.ics` file.
+ * @throws {ResourceError} if the kind is unknown (400) or the project is not found (404).
+ */
+async function buildCalendar(userId, { project: projectId, kind = 'event' } = {}) {
+  if (!KINDS.includes(kind)) {
+    throw new ResourceError(`\`kind\` must be one of ${KINDS.join(', ')}`);
+  }
+  const projectFilter = projectId === undefined ? {} : { id: String(projectId) };
+  const projects = await Project.find({ userId, ...projectFilter }).lean();
+  if (projectId !== undefined && projects.length === 0) {
+    throw new ResourceError('Project not found', 404);
+  }
+  const statuses = await Status.find({ userId, project: { $in: projects.map(p => p.id) } }).lean();
+  const tasks = await Task.find({ userId, dueDate: { $ne: null } }).sort({ dueDate: 1 }).lean();
+
+  const projectById = new Map(projects.map(p => [p.id, p]));
+  const statusById = new Map(statuses.map(s => [s.id, s]));
+
+  const entries = [];
+  for (const task of tasks) {
+    const virtual = VIRTUAL_STATUS_REGEX.exec(task.status);
+    if (virtual?.[2] === 'deleted') {
+      continue;
+    }
+    const status = virtual ? undefined : statusById.get(task.status);
+    const project = projectById.get(virtual ? virtual[1] : status?.project);
+    if (!project) {
+      continue; // in another project, or in a status that no longer exists
+    }
+    entries.push(...taskEntry(task, { project, status, completed: Boolean(virtual), kind }));
+  }
+
+  const name = projectId === undefined ? 'Raccoon Study' : `Raccoon Study: ${projects[0].title}`;
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Raccoon Study//Task due dates//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`,
+    ...entries,
+    'END:VCALENDAR',
+  ];
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = { KINDS, createCalendarFeed, toPublicCalendarFeed, findCalendarFeed, buildCalendar };
@@ -0,0 +1,89 @@
+/**
+ * Change tracking for GET /api/changes.
+ * Every write to a user's tasks, statuses, projects or profile takes the next number of the user's change sequence,
+ * stored on the written documents as `changeSeq`, and on a tombstone for deleted items.
+ * A cursor is the last sequence number a client has seen, plus the time it was issued, e.g. "42.1730000000000".
+ *
+ * The counter is incremented inside the writing transaction, so transactions of one user commit in sequence order,
+ * and the counter is read before the documents, so a cursor never skips a change that was not returned.
+ */
+const Task = require('../database/models/tasks');
+const Project = require('../database/models/projects');
+const Status = require('../database/models/statuses');
+const UserProfile = require('../database/models/userProfiles');
+const ChangeCounter = require('../database/models/changeCounters');
+const Tombstone = require('../database/models/tombstones');
+
+const CURSOR_REGEX = /^(\d+)\.(\d+)$/;
+
+// the documents are sent without these, like GET /api/getAll
+const PROJECTION = { _id: 0, __v: 0 };
+
+/**
+ * Takes the next number of the user's change sequence.
+ * @param {string} userId - The user whose data is written.
+ * @param [session] - The session of the writing transaction.
+ * @returns {Promise<number>} the sequence number, to be stored as `changeSeq` on the written documents.
+ */
+async function nextChangeSeq(userId, session) {
+  const counter = await ChangeCounter.findOneAndUpdate(
+    { userId },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true, session }
+  );
+  return counter.seq;
+}
+
+/**
+ * Remembers that an item was deleted.
+ * @param {string} type - 'task', 'status' or 'project'.
+ * @param {string} id - The id of the deleted item.
+ * @param {string} userId - The owner of the item.
+ * @param {number} changeSeq - The sequence number of the deleting change.
+ * @param [session] - The session of the deleting transaction.
+ */
+async function recordDeletion(type, id, userId, changeSeq, session) {
+  await Tombstone.create([{ type, id, userId, changeSeq, deletedAt: new Date() }], { session });
+}
+
+/**
+ * Parses a cursor sent by a client.
+ * @param {unknown} cursor - The cursor.
+ * @returns {{ seq: number, issuedAt: number } | null} the parsed cursor, or null if it is malformed.
+ */
+function parseCursor(cursor) {
+  const match = typeof cursor === 'string' && cursor.match(CURSOR_REGEX);
+  return match ? { seq: Number(match[1]), issuedAt: Number(match[2]) } : null;
+}
+
+/**
+ * Gets the items of a user that changed since a cursor.
+ * Without a cursor, or with one older than the tombstones are kept, everything is returned and `reset` is true:
+ * the client should replace its data rather than merge.
+ * @param {string} userId - The logged in user.
+ * @param {{ seq: number, issuedAt: number } | null} since - The parsed cursor, or null for everything.
+ * @returns {Promise<{ cursor: string, reset: boolean, tasks: object[], projects: object[], statuses: object[],
+ *   userProfile: object | null, deleted: { type: string, id: string }[] }>}
+ *   the changed items, the deleted ones, and the cursor to send next time.
+ */
+async function getChangesSince(userId, since) {
+  // read the counter first, changes committed after this are returned again next time
+  const counter = await ChangeCounter.findOne({ userId }, { seq: 1 }).lean();
+  const now = Date.now();
+  const cursor = `${counter?.seq ?? 0}.${now}`;
+
+  const reset = !since || since.issuedAt < now - Tombstone.RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const changed = reset ? {} : { changeSeq: { $gt: since.seq } };
+
+  const [tasks, projects, statuses, userProfile, tombstones] = await Promise.all([
+    Task.find({ userId, ...changed }, PROJECTION).lean(),
+    Project.find({ userId, ...changed }, PROJECTION).lean(),
+    Status.find({ userId, ...changed }, PROJECTION).lean(),
+    UserProfile.findOne({ userAuthId: userId, ...changed }, PROJECTION).lean(),
+    reset ? [] : Tombstone.find({ userId, ...changed }, { _id: 0, type: 1, id: 1 }).lean(),
+  ]);
+
+  return { cursor, reset, tasks, projects, statuses, userProfile, deleted: tombstones };
+}
+
+module.exports = { nextChangeSeq, recordDeletion, parseCursor, getChangesSince };
@@ -0,0 +1,71 @@
+/**
+ * Keeps the Server-Sent Events streams of the open web-clients, and pushes committed changes to them.
+ * The streams live in the memory of this process, so every client of a user must reach the same server instance.
+ */
+
+// userId -> Set of { clientId, res }
+const streams = new Map();
+
+/**
+ * Registers the SSE stream of one client.
+ * @param {string} userId - The logged in user.
+ * @param {string | undefined} clientId - The id the client also sends as `X-Client-Id` with its bulk payloads.
+ * @param res - The response of the open stream.
+ * @returns {() => void} a function that unregisters the stream.
+ */
+function subscribe(userId, clientId, res) {
+  const stream = { clientId, res };
+  if (!streams.has(userId)) streams.set(userId, new Set());
+  streams.get(userId).add(stream);
+
+  return () => {
+    const userStreams = streams.get(userId);
+    if (!userStreams) return;
+    userStreams.delete(stream);
+    if (userStreams.size === 0) streams.delete(userId);
+  };
+}
+
+/**
+ * Sends an event to every open stream of a user.
+ * @param {string} userId - The user whose clients should receive the event.
+ * @param {string} event - The event name, e.g. 'ops'.
+ * @param data - The event data, sent as JSON.
+ * @param {string} [exceptClientId] - The client that made the change, it already shows it.
+ */
+function publish(userId, event, data, exceptClientId) {
+  const userStreams = streams.get(userId);
+  if (!userStreams) return;
+
+  const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const { clientId, res } of userStreams) {
+    if (exceptClientId && clientId === exceptClientId) continue;
+    res.write(message);
+  }
+}
+
+/**
+ * Sends committed ops to the other open clients of a user, as `event: ops`.
+ * Adds are stamped like in the database, so other clients get the same documents.
+ * @param {string} userId - The owner of the changed items.
+ * @param ops - The committed ops.
+ * @param {string} [exceptClientId] - The client that made the change, it already shows it.
+ */
+function publishOps(userId, ops, exceptClientId) {
+  const committedOps = ops.map(op => op.operation === 'add' ? { ...op, data: { ...op.data, userId, rev: 0 } } : op);
+  publish(userId, 'ops', { ops: committedOps }, exceptClientId);
+}
+
+/**
+ * Closes every open stream of a user, used when all the sessions of the user are revoked.
+ * The clients reconnect, and are rejected by `authMW` until they log in again.
+ * @param {string} userId - The user to be disconnected.
+ */
+function disconnectUser(userId) {
+  const userStreams = streams.get(userId);
+  if (!userStreams) return;
+  streams.delete(userId);
+  userStreams.forEach(({ res }) => res.end());
+}
+
+module.exports = { subscribe, publish, publishOps, disconnectUser };
@@ -0,0 +1,135 @@
+/**
+ * Writes a project as text, see GET /api/export/project/:id in routes/export.js.
+ * Both formats are read back by POST /api/import/board, see services/boardImport.js.
+ *
+ * Supported formats:
+ * - 'markdown': a heading per status in list order, then a checklist item per task, e.g.
+ *   `- [ ] Read chapter 3 (due 2024-01-31)`, with the description indented below it. For pasting into docs and notes.
+ * - 'todotxt': a todo.txt file (http://todotxt.org), a line per task, e.g.
+ *   `2024-01-20 Read chapter 3 +Biology @In_progress due:2024-01-31 desc:Pages%2010-20`.
+ *   The project is the `+project`, the status the `@context`; statuses without tasks are not kept.
+ *
+ * Trashed tasks are left out, completed tasks are checked and listed under the status they were completed from.
+ */
+const { getItem, listStatuses, listTasks } = require('./resources');
+const { isWholeDay } = require('../utils/timeZone');
+
+const FORMATS = {
+  markdown: { extension: 'md', contentType: 'text/markdown' },
+  todotxt: { extension: 'txt', contentType: 'text/plain' },
+};
+
+// the due date after the title of a checklist item, e.g. "(due 2024-01-31)"
+const MARKDOWN_DUE_REGEX = /\s*\(due:? ([^()]+)\)\s*$/i;
+
+/**
+ * Formats the due date of a task: the day of a whole day, see utils/timeZone.js, else the UTC time.
+ * @param task - The task, with a due date.
+ * @returns {string} e.g. `2024-01-31` or `2024-01-31T09:30:00Z`.
+ */
+function formatDueDate(task) {
+  const iso = new Date(task.dueDate).toISOString();
+  return isWholeDay(task) ? iso.slice(0, 10) : iso.replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * Writes a name as one todo.txt word: spaces become `_`, and `_` and `%` are escaped, so `decodeTodoTxtName` gives it back.
+ * @param {string} name - A project or status title.
+ */
+function encodeTodoTxtName(name) {
+  return name.trim().replace(/%/g, '%25').replace(/_/g, '%5F').replace(/\s+/g, '_');
+}
+
+/**
+ * Reads a name written by `encodeTodoTxtName`.
+ * @param {string} word - The word after `+` or `@`.
+ */
+function decodeTodoTxtName(word) {
+  return word.replace(/_/g, ' ').replace(/%5F/gi, '_').replace(/%25/g, '%');
+}
+
+/**
+ * Groups the tasks of a project by status, in list order. A completed task goes under the status it was completed from,
+ * or the first status if that one no longer exists, after the tasks that are not completed.
+ * @returns {{ status: object, tasks: { task: object, completed: boolean }[] }[]}
+ */
+function groupTasks(project, statuses, tasks) {
+  const groups = new Map(statuses.map(status => [status.id, { status, tasks: [] }]));
+  const completed = [];
+  for (const task of tasks) {
+    if (task.status === `${project.id}-completed`) {
+      completed.push(task);
+    } else if (groups.has(task.status)) {
+      groups.get(task.status).tasks.push({ task, completed: false });
+    }
+  }
+  for (const task of completed) {
+    const group = groups.get(task.previousStatus) ?? groups.get(statuses[0]?.id);
+    group?.tasks.push({ task, completed: true });
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Writes a project as Markdown.
+ */
+function toMarkdown(project, groups) {
+  const lines = [`# ${project.title}`];
+  for (const { status, tasks } of groups) {
+    lines.push('', `## ${status.title}`);
+    if (tasks.length) lines.push('');
+    for (const { task, completed } of tasks) {
+      const due = task.dueDate ? ` (due ${formatDueDate(task)})` : '';
+      lines.push(`- [${completed ? 'x' : ' '}] ${task.title}${due}`);
+      // the description belongs to the item above it as long as it is indented, blank lines included
+      const description = task.description?.trim();
+      if (description) {
+        lines.push(...description.split(/\r?\n/).map(line => (line.trim() ? `  ${line}` : '')));
+      }
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Writes a project as todo.txt.
+ */
+function toTodoTxt(project, groups) {
+  const lines = [];
+  for (const { status, tasks } of groups) {
+    for (const { task, completed } of tasks) {
+      const words = [];
+      if (completed) {
+        words.push('x', new Date(task.updatedAt).toISOString().slice(0, 10)); // completed in its last write
+      }
+      words.push(new Date(task.createdAt).toISOString().slice(0, 10), task.title.trim());
+      words.push(`+${encodeTodoTxtName(project.title)}`, `@${encodeTodoTxtName(status.title)}`);
+      if (task.dueDate) words.push(`due:${formatDueDate(task)}`);
+      if (task.description?.trim()) words.push(`desc:${encodeURIComponent(task.description.trim())}`);
+      lines.push(words.join(' '));
+    }
+  }
+  return lines.join('\n') + (lines.length ? '\n' : '');
+}
+
+/**
+ * Writes a project of a user as text.
+ * @param {string} userId - The owner of the project.
+ * @param {string} projectId - The project.
+ * @param {string} format - One of the keys of FORMATS.
+ * @returns {Promise<{ fileName: string, contentType: string, content: string }>} the file.
+ * @throws {ResourceError} 404 if the user has no such project.
+ */
+async function exportProject(userId, projectId, format) {
+  const project = await getItem('project', userId, projectId);
+  const statuses = await listStatuses(userId, { project: projectId });
+  const tasks = await listTasks(userId, { project: projectId });
+  const groups = groupTasks(project, statuses, tasks);
+
+  const { extension, contentType } = FORMATS[format];
+  const baseName = project.title.trim().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '') || 'project';
+  const content = format === 'markdown' ? toMarkdown(project, groups) : toTodoTxt(project, groups);
+  return { fileName: `${baseName}.${extension}`, contentType, content };
+}
+
+module.exports = { FORMATS, MARKDOWN_DUE_REGEX, decodeTodoTxtName, exportProject, toTodoTxt };
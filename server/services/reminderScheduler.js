@@ -0,0 +1,114 @@
+/**
+ * Sends the reminders of tasks when they are due, see utils/reminders.js.
+ * Every minute, the reminders due since the previous run are stored as notifications and delivered through
+ * the notification transports, see notifications/index.js. The key of a notification names the task, the reminder
+ * and the time it was due, so a reminder is only sent once, even with several server instances; moving the due date
+ * of a task makes its reminders due again.
+ * Trashed, completed and pending tasks are not reminded of.
+ */
+const crypto = require('crypto');
+const Task = require('../database/models/tasks');
+const Status = require('../database/models/statuses');
+const UserAuth = require('../database/models/userAuths');
+const UserProfile = require('../database/models/userProfiles');
+const Notification = require('../database/models/notifications');
+const { MAX_OFFSET, reminderTimes, describeReminder } = require('../utils/reminders');
+const { isWholeDay } = require('../utils/timeZone');
+const { deliverNotification } = require('../notifications');
+
+const INTERVAL = 60 * 1000;
+
+// how far back the first run looks, so the reminders due while the server restarted are still sent
+const STARTUP_GRACE = 15 * 60 * 1000;
+
+const VIRTUAL_STATUS_REGEX = /-(completed|deleted)$/;
+const DUPLICATE_KEY = 11000;
+
+const DAY = 24 * 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+
+/**
+ * Stores and delivers the reminders due in a period.
+ * @param {Date} since - The start of the period, excluded.
+ * @param {Date} now - The end of the period, included.
+ * @returns {Promise<number>} how many reminders were sent.
+ */
+async function sendDueReminders(since, now) {
+  // a reminder is due at most MAX_OFFSET before the due time, which is at most a day away from a due day
+  const tasks = await Task.find({
+    'reminders.0': { $exists: true },
+    dueDate: { $gt: new Date(since.getTime() - DAY), $lte: new Date(now.getTime() + MAX_OFFSET * MINUTE + DAY) },
+    status: { $not: VIRTUAL_STATUS_REGEX },
+    isPending: { $ne: true },
+  }).lean();
+  if (tasks.length === 0) {
+    return 0;
+  }
+
+  const userIds = [...new Set(tasks.map(task => task.userId))];
+  const [profiles, users, statuses] = await Promise.all([
+    UserProfile.find({ userAuthId: { $in: userIds } }, { userAuthId: 1, nickname: 1, timeZone: 1 }).lean(),
+    UserAuth.find({ id: { $in: userIds } }, { id: 1, email: 1, isVerified: 1 }).lean(),
+    Status.find({ id: { $in: [...new Set(tasks.map(task => task.status))] } }, { id: 1, project: 1 }).lean(),
+  ]);
+  const profileByUser = new Map(profiles.map(profile => [profile.userAuthId, profile]));
+  const userById = new Map(users.map(user => [user.id, user]));
+  const projectByStatus = new Map(statuses.map(status => [status.id, status.project]));
+
+  let sent = 0;
+  for (const task of tasks) {
+    const profile = profileByUser.get(task.userId);
+    for (const { offset, remindAt } of reminderTimes(task, profile?.timeZone ?? null)) {
+      if (remindAt <= since || remindAt > now) {
+        continue;
+      }
+      let notification;
+      try {
+        notification = await Notification.create({
+          id: crypto.randomUUID(),
+          userId: task.userId,
+          type: 'reminder',
+          key: `reminder:${task.id}:${offset}:${remindAt.toISOString()}`,
+          title: task.title,
+          body: describeReminder(offset, isWholeDay(task)),
+          taskId: task.id,
+          projectId: projectByStatus.get(task.status) ?? null,
+        });
+      } catch (error) {
+        if (error.code === DUPLICATE_KEY) continue; // sent already, e.g. by another instance
+        throw error;
+      }
+      const user = userById.get(task.userId);
+      await deliverNotification(notification, user ? { email: user.email, isVerified: user.isVerified, nickname: profile?.nickname } : null);
+      sent++;
+    }
+  }
+  return sent;
+}
+
+/**
+ * Starts sending the reminders every minute, one run at a time.
+ * @returns {() => void} a function that stops the scheduler.
+ */
+function startReminderScheduler() {
+  let since = new Date(Date.now() - STARTUP_GRACE);
+  let timer = null;
+
+  const run = async () => {
+    const now = new Date();
+    try {
+      const sent = await sendDueReminders(since, now);
+      if (sent > 0) console.log(`Sent ${sent} reminder(s)`);
+      since = now;
+    } catch (error) {
+      console.error('Error sending reminders:', error); // the period is tried again in the next run
+    }
+    timer = setTimeout(run, INTERVAL);
+    timer.unref();
+  };
+  run();
+
+  return () => clearTimeout(timer);
+}
+
+module.exports = { sendDueReminders, startReminderScheduler };
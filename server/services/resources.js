@@ -0,0 +1,578 @@
+/**
+ * The tasks, statuses and projects of a user as REST resources, see routes/tasks.js, routes/statuses.js and routes/projects.js.
+ * Every write is turned into bulk ops, ranked here the way web-client/src/utils/actions.ts ranks them,
+ * and applied with `applyBulkOps`, so it gets the same ownership checks, revisions, rank checks and change log
+ * as POST /api/bulk, and is pushed to the user's open clients.
+ */
+const crypto = require('crypto');
+const Task = require('../database/models/tasks');
+const Project = require('../database/models/projects');
+const Status = require('../database/models/statuses');
+const UserProfile = require('../database/models/userProfiles');
+const { ORDERED_LISTS } = require('../utils/rankIntegrity');
+const { rankAtIndex, evenlySpacedRanks, compareByRank } = require('../utils/rank');
+const { applyBulkOps } = require('./bulkOperations');
+const { findRejectedOps } = require('../middlewares/checkOwnership');
+const { publishOps } = require('./liveUpdates');
+const { isValidRecurrence, today, dueDay, anchorRecurrence, nextDueDate } = require('../utils/recurrence');
+const { MAX_SUBTASKS, isValidSubtasks } = require('../utils/subtasks');
+const { TASK_DETAILS } = require('../utils/taskDetails');
+const { MAX_REMINDERS, MAX_OFFSET, isValidReminders } = require('../utils/reminders');
+const { isValidTimeZone, isWholeDay, isValidDueHasTime } = require('../utils/timeZone');
+const { MAX_VIEWS, isValidSavedViews } = require('../utils/savedViews');
+
+// Same defaults as `addProject` in web-client/src/utils/actions.ts
+const DEFAULT_STATUSES = [
+  { title: "Now", description: "Currently working on", color: "#e8fdec" },
+  { title: "Next", description: "Up next", color: "#f0f1fd" },
+  { title: "Later", description: "Future tasks", color: "#fff8e8" }
+];
+
+// the fields a client may write, per type: 'name' is a non-empty string, 'text' any string, 'date' a date or null,
+// 'flag' true or false,
+// 'recurrence' a repeat rule or null (see utils/recurrence.js), 'subtasks' a checklist (see utils/subtasks.js),
+// 'detail' the priority, tags, category or estimated duration of a task (see utils/taskDetails.js),
+// 'reminders' minutes before the due time (see utils/reminders.js), 'timeZone' a time zone or null (see utils/timeZone.js),
+// 'views' the saved views of the user (see utils/savedViews.js).
+// The id, owner, rank, revision and change sequence are managed here.
+const WRITABLE_FIELDS = {
+  task: { title: 'name', description: 'text', dueDate: 'date', dueHasTime: 'flag', reminders: 'reminders', recurrence: 'recurrence', subtasks: 'subtasks',
+    priority: 'detail', tags: 'detail', category: 'detail', estimatedDuration: 'detail', status: 'name' },
+  status: { title: 'name', description: 'text', color: 'text', project: 'name' },
+  project: { title: 'name', description: 'text' },
+  userProfile: { nickname: 'name', timeZone: 'timeZone', savedViews: 'views' },
+};
+
+const REQUIRED_FIELDS = {
+  task: ['title', 'status'],
+  status: ['title', 'project'],
+  project: ['title'],
+};
+
+// the documents are sent without these, like GET /api/changes
+const PROJECTION = { _id: 0, __v: 0 };
+
+/**
+ * Thrown when a request cannot be applied, e.g. an invalid field or an item that was not found.
+ * Nothing is written.
+ */
+class ResourceError extends Error {
+  constructor(message, httpStatus = 400) {
+    super(message);
+    this.name = 'ResourceError';
+    this.httpStatus = httpStatus;
+  }
+}
+
+/**
+ * Checks that a request body is a JSON object, a missing body counts as an empty one.
+ */
+function parseBody(body) {
+  if (body === undefined) return {};
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+    throw new ResourceError('The body must be a JSON object');
+  }
+  return body;
+}
+
+/**
+ * Checks the fields of a request body against `WRITABLE_FIELDS`.
+ * @param {string} type - 'task', 'status' or 'project'.
+ * @param fields - The fields sent by the client.
+ * @param {string[]} required - The fields that must be set.
+ * @returns the fields, with dates parsed.
+ * @throws {ResourceError} if a field is unknown, read-only or of the wrong type.
+ */
+function parseFields(type, fields, required) {
+  const parsed = {};
+  for (const [key, value] of Object.entries(fields)) {
+    const kind = WRITABLE_FIELDS[type][key];
+    if (!kind) {
+      throw new ResourceError(`\`${key}\` cannot be written`);
+    }
+    if (kind === 'date') {
+      const date = new Date(value);
+      if (value !== null && (typeof value !== 'string' || isNaN(date))) {
+        throw new ResourceError(`\`${key}\` must be a date or null`);
+      }
+      parsed[key] = value === null ? null : date;
+    } else if (kind === 'flag') {
+      if (typeof value !== 'boolean') {
+        throw new ResourceError(`\`${key}\` must be true or false`);
+      }
+      parsed[key] = value;
+    } else if (kind === 'recurrence') {
+      if (!isValidRecurrence(value)) {
+        throw new ResourceError(`\`${key}\` must be a repeat rule like "FREQ=WEEKLY;BYDAY=MO", or null`);
+      }
+      parsed[key] = value;
+    } else if (kind === 'subtasks') {
+      if (!isValidSubtasks(value)) {
+        throw new ResourceError(`\`${key}\` must be an array of at most ${MAX_SUBTASKS} { id, title, done } items with unique ids and non-empty titles`);
+      }
+      parsed[key] = value;
+    } else if (kind === 'reminders') {
+      if (!isValidReminders(value)) {
+        throw new ResourceError(`\`${key}\` must be an array of at most ${MAX_REMINDERS} distinct whole numbers of minutes from 0 to ${MAX_OFFSET}`);
+      }
+      parsed[key] = value;
+    } else if (kind === 'timeZone') {
+      if (!isValidTimeZone(value)) {
+        throw new ResourceError(`\`${key}\` must be a time zone like "Europe/Berlin", or null`);
+      }
+      parsed[key] = value;
+    } else if (kind === 'views') {
+      if (!isValidSavedViews(value)) {
+        throw new ResourceError(`\`${key}\` must be an array of at most ${MAX_VIEWS} { id, name, filter } views with unique ids and non-empty names`);
+      }
+      parsed[key] = value;
+    } else if (kind === 'detail') {
+      if (!TASK_DETAILS[key].isValid(value)) {
+        throw new ResourceError(`\`${key}\` must be ${TASK_DETAILS[key].expected}`);
+      }
+      parsed[key] = value;
+    } else {
+      if (typeof value !== 'string' || (kind === 'name' && !value.trim())) {
+        throw new ResourceError(`\`${key}\` must be a ${kind === 'name' ? 'non-empty ' : ''}string`);
+      }
+      parsed[key] = value;
+    }
+  }
+  // a due date is written with whether it has a time, a whole day by default, see utils/timeZone.js
+  if ('dueHasTime' in parsed && !('dueDate' in parsed)) {
+    throw new ResourceError('`dueHasTime` must be written with `dueDate`');
+  }
+  if ('dueDate' in parsed) {
+    parsed.dueHasTime = Boolean(parsed.dueDate && parsed.dueHasTime);
+    if (!isValidDueHasTime(parsed.dueDate, parsed.dueHasTime)) {
+      throw new ResourceError('`dueDate` must be midnight UTC for a whole day, or set `dueHasTime` for a time');
+    }
+  }
+  const missing = required.find(key => !(key in parsed));
+  if (missing) {
+    throw new ResourceError(`\`${missing}\` is required`);
+  }
+  return parsed;
+}
+
+/**
+ * Checks a list position sent by the client: a number, "start" or "end". Defaults to "end".
+ */
+function parseIndex(index) {
+  if (index === undefined) return 'end';
+  if (index === 'start' || index === 'end' || (Number.isInteger(index) && index >= 0)) return index;
+  throw new ResourceError('`index` must be a non-negative integer, "start" or "end"');
+}
+
+/**
+ * Checks a revision sent by the client, in a body or as a query parameter.
+ * @returns {number | undefined} the revision, or undefined if none was sent.
+ */
+function parseRev(rev) {
+  if (rev === undefined) return undefined;
+  const parsed = typeof rev === 'string' && rev !== '' ? Number(rev) : rev;
+  if (Number.isInteger(parsed) && parsed >= 0) return parsed;
+  throw new ResourceError('`rev` must be a non-negative integer');
+}
+
+/**
+ * Reads a query parameter that may be sent once at most.
+ * @returns {string | undefined}
+ */
+function queryValue(query, key) {
+  const value = query[key];
+  if (value !== undefined && typeof value !== 'string') {
+    throw new ResourceError(`\`${key}\` must be sent once`);
+  }
+  return value || undefined;
+}
+
+/**
+ * Converts an index into a list to a number. "start" is 0, "end" or an index past the end is the length.
+ * Mirrors `toListIndex` in web-client/src/utils/actions.ts.
+ */
+function toListIndex(index, length) {
+  if (index === 'start') return 0;
+  if (index === 'end') return length;
+  return Math.min(index, length);
+}
+
+/**
+ * Loads one list, e.g. the tasks of a status, sorted by rank.
+ * @returns {Promise<{ id: string, rank: string }[]>}
+ */
+async function loadList(type, userId, group) {
+  const { model, groupBy } = ORDERED_LISTS[type];
+  const items = await model.find({ userId, [groupBy]: group }, { _id: 0, id: 1, rank: 1 }).lean();
+  return items.sort(compareByRank);
+}
+
+/**
+ * Ranks an item at a position of a list, like `rankAtIndex` does for the web-client.
+ * @param {string} type - 'task', 'status' or 'project'.
+ * @param {string} userId - The owner of the list.
+ * @param {string} id - The item to be placed, new or already in a list.
+ * @param {string} group - The list, e.g. the status id for a task.
+ * @param {number | "start" | "end"} index - Where the item goes.
+ * @returns {Promise<{ rank: string, rebalancedOps: object[] } | null>} the rank of the item and the rank updates
+ *   of the other items if the list had to be rebalanced, or null if the item is already at that position.
+ */
+async function placeInList(type, userId, id, group, index) {
+  const list = await loadList(type, userId, group);
+  const others = list.filter(item => item.id !== id);
+  const targetIndex = toListIndex(index, others.length);
+  if (list.findIndex(item => item.id === id) === targetIndex) {
+    return null;
+  }
+
+  const { rank, rebalanced } = rankAtIndex(others, targetIndex);
+  const rebalancedOps = rebalanced.map(item => ({
+    type,
+    operation: 'update',
+    data: { id: item.id, updatedFields: { rank: item.rank } }
+  }));
+  return { rank, rebalancedOps };
+}
+
+/**
+ * Tells whether a move completes a task: it goes to the `<projectId>-completed` of its project from a status of the board.
+ */
+function completes(task, targetStatus) {
+  return targetStatus.endsWith('-completed') && !/-(completed|deleted)$/.test(task.status);
+}
+
+/**
+ * Builds the next occurrence of a repeating task being completed, like `completeTask` in web-client/src/utils/actions.ts:
+ * the same task with its checklist unchecked, in the place of the completed one, due on the next day of its repeat rule.
+ * @param task - The task being completed, still in its status.
+ * @param {{ id: string, rank: string }[]} list - The tasks of its status, sorted by rank, see `loadList`.
+ * @param {string} timeZone - The time zone of the user, the occurrences fall on its days and times.
+ * @param {Date} [now] - The current time.
+ * @returns {object[]} the ops adding it, none if the task does not repeat or its rule has ended.
+ */
+function nextOccurrence(task, list, timeZone, now = new Date()) {
+  if (!task.recurrence) {
+    return [];
+  }
+  const dueHasTime = Boolean(task.dueDate && !isWholeDay(task));
+  const day = task.dueDate ? dueDay(task.dueDate, dueHasTime, timeZone) : today(timeZone, now);
+  const recurrence = anchorRecurrence(task.recurrence, day); // so the day does not drift, e.g. from the 31st to the 28th
+  const dueDate = nextDueDate(recurrence, task.dueDate ?? null, dueHasTime, timeZone, now);
+  if (!dueDate) {
+    return [];
+  }
+
+  // ranked among the other tasks, as the completed one leaves the list
+  const others = list.filter(item => item.id !== task.id);
+  const { rank, rebalanced } = rankAtIndex(others, list.findIndex(item => item.id === task.id));
+  const details = Object.fromEntries(Object.keys(TASK_DETAILS).filter(key => key in task).map(key => [key, task[key]]));
+  return [
+    {
+      type: 'task',
+      operation: 'add',
+      data: {
+        ...details,
+        id: crypto.randomUUID(),
+        title: task.title,
+        description: task.description ?? '',
+        subtasks: (task.subtasks ?? []).map(subtask => ({ ...subtask, id: crypto.randomUUID(), done: false })),
+        reminders: task.reminders ?? [],
+        recurrence,
+        dueDate,
+        dueHasTime,
+        status: task.status,
+        previousStatus: task.status,
+        rank
+      }
+    },
+    ...rebalanced.map(item => ({ type: 'task', operation: 'update', data: { id: item.id, updatedFields: { rank: item.rank } } }))
+  ];
+}
+
+/**
+ * Adds the next occurrence of a repeating task being completed, see `nextOccurrence`,
+ * in the time zone of the user, UTC if the user has not chosen one.
+ * @returns {Promise<object[]>} the ops adding it.
+ */
+async function nextOccurrenceOps(userId, task) {
+  if (!task.recurrence) {
+    return [];
+  }
+  const profile = await UserProfile.findOne({ userAuthId: userId }, { timeZone: 1 }).lean();
+  return nextOccurrence(task, await loadList('task', userId, task.status), profile?.timeZone || 'UTC');
+}
+
+/**
+ * Checks the ops like POST /api/bulk does, applies them in one transaction and pushes them to the user's clients.
+ * @param {string} userId - The logged in user.
+ * @param ops - The ops built for the request.
+ * @param {string} [clientId] - The `X-Client-Id` of the request, that client is not sent the ops.
+ * @param [writeAlso] - Other writes to commit in the same transaction, see `applyBulkOps`.
+ * @throws {ResourceError} if an op targets or points to an item the user does not own.
+ * Errors of `applyBulkOps` are rethrown as is.
+ */
+async function commit(userId, ops, clientId, writeAlso) {
+  const rejectedOps = await findRejectedOps(ops, userId);
+  if (rejectedOps.length > 0) {
+    const { reason } = rejectedOps[0];
+    throw new ResourceError(reason, reason === 'Item not found' ? 404 : 400);
+  }
+  await applyBulkOps(ops, userId, writeAlso);
+  if (ops.length > 0) {
+    publishOps(userId, ops, clientId);
+  }
+}
+
+/**
+ * Gets one task, status or project of the user.
+ * @throws {ResourceError} 404 if the user has no such item.
+ */
+async function getItem(type, userId, id) {
+  const item = await ORDERED_LISTS[type].model.findOne({ id, userId }, PROJECTION).lean();
+  if (!item) {
+    throw new ResourceError(`${type[0].toUpperCase()}${type.slice(1)} not found`, 404);
+  }
+  return item;
+}
+
+/**
+ * Lists the tasks of a user, grouped by status and in list order.
+ * @param {string} userId - The logged in user.
+ * @param query - The filters, all optional:
+ *   `project` (in the project, completed and deleted tasks included), `status`, `dueBefore` (a date)
+ *   and `text` (in the title or description, case insensitive).
+ * @throws {ResourceError} if a filter is invalid.
+ */
+async function listTasks(userId, query) {
+  const project = queryValue(query, 'project');
+  const status = queryValue(query, 'status');
+  const dueBefore = queryValue(query, 'dueBefore');
+  const text = queryValue(query, 'text');
+
+  const conditions = [{ userId }];
+  if (project) {
+    const statuses = await Status.find({ userId, project }, { id: 1 }).lean();
+    conditions.push({ status: { $in: [...statuses.map(s => s.id), `${project}-completed`, `${project}-deleted`] } });
+  }
+  if (status) {
+    conditions.push({ status });
+  }
+  if (dueBefore) {
+    const date = new Date(dueBefore);
+    if (isNaN(date)) {
+      throw new ResourceError('`dueBefore` must be a date');
+    }
+    conditions.push({ dueDate: { $lt: date } });
+  }
+  if (text) {
+    const pattern = new RegExp(text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    conditions.push({ $or: [{ title: pattern }, { description: pattern }] });
+  }
+
+  const tasks = await Task.find({ $and: conditions }, PROJECTION).lean();
+  return tasks.sort((a, b) => a.status !== b.status ? (a.status < b.status ? -1 : 1) : compareByRank(a, b));
+}
+
+/**
+ * Lists the statuses of a user in list order, optionally only those of one project.
+ */
+async function listStatuses(userId, query) {
+  const project = queryValue(query, 'project');
+  const statuses = await Status.find({ userId, ...(project ? { project } : {}) }, PROJECTION).lean();
+  return statuses.sort((a, b) => a.project !== b.project ? (a.project < b.project ? -1 : 1) : compareByRank(a, b));
+}
+
+/**
+ * Lists the projects of a user in list order.
+ */
+async function listProjects(userId) {
+  const projects = await Project.find({ userId }, PROJECTION).lean();
+  return projects.sort(compareByRank);
+}
+
+/**
+ * Creates a task, status or project at a position of its list. A new project gets the default statuses.
+ * @param {string} type - 'task', 'status' or 'project'.
+ * @param {string} userId - The logged in user.
+ * @param body - The fields of the item, and `index`: where it goes in its list, "end" by default.
+ * @param {string} [clientId] - The `X-Client-Id` of the request.
+ * @returns the created item.
+ */
+async function createItem(type, userId, body, clientId) {
+  const { index, ...fields } = parseBody(body);
+  const data = parseFields(type, fields, REQUIRED_FIELDS[type]);
+  const id = crypto.randomUUID();
+  const { groupBy } = ORDERED_LISTS[type];
+
+  const { rank, rebalancedOps } = await placeInList(type, userId, id, type === 'project' ? userId : data[groupBy], parseIndex(index));
+  const ops = [{ type, operation: 'add', data: { ...data, id, rank } }, ...rebalancedOps];
+  if (type === 'project') {
+    const statusRanks = evenlySpacedRanks(DEFAULT_STATUSES.length);
+    DEFAULT_STATUSES.forEach((status, i) => ops.push({
+      type: 'status',
+      operation: 'add',
+      data: { ...status, id: crypto.randomUUID(), project: id, rank: statusRanks[i] }
+    }));
+  }
+
+  await commit(userId, ops, clientId);
+  return getItem(type, userId, id);
+}
+
+/**
+ * Updates the fields of a task, status or project.
+ * A task given another `status`, or a status given another `project`, goes to the end of its new list.
+ * A repeating task given the `<projectId>-completed` status gets its next occurrence, as when it is moved there.
+ * @param body - The fields to be updated, and optionally `rev`: the revision the update is based on.
+ *   Without it, the revision read here is used, so a concurrent write is still detected.
+ * @returns the updated item.
+ */
+async function updateItem(type, userId, id, body, clientId) {
+  const { rev, ...fields } = parseBody(body);
+  const current = await getItem(type, userId, id);
+  const updatedFields = parseFields(type, fields, []);
+  if (Object.keys(updatedFields).length === 0) {
+    throw new ResourceError('Nothing to update');
+  }
+
+  const ops = [];
+  const { groupBy } = ORDERED_LISTS[type];
+  if (groupBy in updatedFields && updatedFields[groupBy] !== current[groupBy]) {
+    const { rank, rebalancedOps } = await placeInList(type, userId, id, updatedFields[groupBy], 'end');
+    updatedFields.rank = rank;
+    if (type === 'task') {
+      updatedFields.previousStatus = current.status;
+      if (completes(current, updatedFields.status)) {
+        ops.push(...await nextOccurrenceOps(userId, current));
+      }
+    }
+    ops.push(...rebalancedOps);
+  }
+  ops.unshift({ type, operation: 'update', data: { id, rev: parseRev(rev) ?? current.rev ?? 0, updatedFields } });
+
+  await commit(userId, ops, clientId);
+  return getItem(type, userId, id);
+}
+
+/**
+ * Moves a task to a position of a status, like dragging it in the web-client.
+ * Completing a task is moving it to `<projectId>-completed`, trashing it is moving it to `<projectId>-deleted`.
+ * A repeating task that is completed gets its next occurrence, see `nextOccurrenceOps`.
+ * @param body - `status` (the current one by default), `index` ("end" by default) and optionally `rev`.
+ * @returns the moved task.
+ */
+async function moveTask(userId, id, body, clientId) {
+  const { status, index, rev, ...others } = parseBody(body);
+  const unknown = Object.keys(others)[0];
+  if (unknown) {
+    throw new ResourceError(`\`${unknown}\` cannot be written when moving a task`);
+  }
+  if (status !== undefined && (typeof status !== 'string' || !status)) {
+    throw new ResourceError('`status` must be a non-empty string');
+  }
+
+  const task = await getItem('task', userId, id);
+  const targetStatus = status ?? task.status;
+  const placed = await placeInList('task', userId, id, targetStatus, parseIndex(index));
+  if (!placed) {
+    return task; // already there
+  }
+
+  const updatedFields = targetStatus === task.status
+    ? { rank: placed.rank }
+    : { status: targetStatus, previousStatus: task.status, rank: placed.rank };
+  await commit(userId, [
+    { type: 'task', operation: 'update', data: { id, rev: parseRev(rev) ?? task.rev ?? 0, updatedFields } },
+    ...placed.rebalancedOps,
+    ...(completes(task, targetStatus) ? await nextOccurrenceOps(userId, task) : [])
+  ], clientId);
+  return getItem('task', userId, id);
+}
+
+/**
+ * Deletes a task, status or project for good, like the web-client does:
+ * a status takes its tasks with it, and a project its statuses and tasks, completed and deleted ones included.
+ * If the deleted project was the one open, the project before it is opened instead.
+ * @param {string | number} [rev] - The revision the deletion is based on, the current one by default.
+ * @returns {Promise<{ type: string, id: string }[]>} every deleted item.
+ */
+async function deleteItem(type, userId, id, rev, clientId) {
+  const item = await getItem(type, userId, id);
+  const ops = [{ type, operation: 'delete', data: { id, rev: parseRev(rev) ?? item.rev ?? 0 } }];
+  const deleteAll = (itemType, items) => items.forEach(doc => ops.push({ type: itemType, operation: 'delete', data: { id: doc.id } }));
+
+  if (type === 'status') {
+    deleteAll('task', await Task.find({ userId, status: id }, { id: 1 }).lean());
+  }
+  if (type === 'project') {
+    const statuses = await Status.find({ userId, project: id }, { id: 1 }).lean();
+    const statusIds = [...statuses.map(s => s.id), `${id}-completed`, `${id}-deleted`];
+    deleteAll('task', await Task.find({ userId, status: { $in: statusIds } }, { id: 1 }).lean());
+    deleteAll('status', statuses);
+
+    const profile = await UserProfile.findOne({ userAuthId: userId }, { id: 1, lastProjectId: 1 }).lean();
+    if (profile?.lastProjectId === id) {
+      const projects = await loadList('project', userId, userId);
+      const previousProject = projects[projects.findIndex(project => project.id === id) - 1];
+      ops.push({
+        type: 'userProfile',
+        operation: 'update',
+        data: { id: profile.id, updatedFields: { lastProjectId: previousProject?.id ?? null } }
+      });
+    }
+  }
+
+  await commit(userId, ops, clientId);
+  return ops.filter(op => op.operation === 'delete').map(op => ({ type: op.type, id: op.data.id }));
+}
+
+/**
+ * Gets the profile of a user.
+ * @throws {ResourceError} 404 if the user has no profile yet.
+ */
+async function getProfile(userId) {
+  const profile = await UserProfile.findOne({ userAuthId: userId }, PROJECTION).lean();
+  if (!profile) {
+    throw new ResourceError('Profile not found', 404);
+  }
+  return profile;
+}
+
+/**
+ * Updates the nickname or time zone of a user.
+ * @param body - The fields to be updated, and optionally `rev`, as for `updateItem`.
+ * @returns the updated profile.
+ */
+async function updateProfile(userId, body, clientId) {
+  const { rev, ...fields } = parseBody(body);
+  const current = await getProfile(userId);
+  const updatedFields = parseFields('userProfile', fields, []);
+  if (Object.keys(updatedFields).length === 0) {
+    throw new ResourceError('Nothing to update');
+  }
+
+  await commit(userId, [{
+    type: 'userProfile',
+    operation: 'update',
+    data: { id: current.id, rev: parseRev(rev) ?? current.rev ?? 0, updatedFields }
+  }], clientId);
+  return getProfile(userId);
+}
+
+module.exports = {
+  DEFAULT_STATUSES,
+  ResourceError,
+  parseFields,
+  nextOccurrence,
+  commit,
+  getItem,
+  listTasks,
+  listStatuses,
+  listProjects,
+  createItem,
+  updateItem,
+  moveTask,
+  deleteItem,
+  getProfile,
+  updateProfile,
+};
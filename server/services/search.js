@@ -0,0 +1,137 @@
+/**
+ * Full-text search of the tasks of a user, for GET /api/search.
+ * Titles and descriptions are searched with the text index of the tasks, see database/models/tasks.js, which matches
+ * whole words and their forms (e.g. "study" finds "studies"), ranked by relevance. Tasks that only contain the query
+ * as part of a word, as while it is being typed, are listed after them.
+ * Every project is searched, completed and deleted tasks included; tasks the AI assistant only suggested are not.
+ */
+const Task = require('../database/models/tasks');
+const Project = require('../database/models/projects');
+const Status = require('../database/models/statuses');
+const { ResourceError } = require('./resources');
+const { compareByRank } = require('../utils/rank');
+const { isWholeDay } = require('../utils/timeZone');
+
+const MAX_QUERY_LENGTH = 200;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+const SNIPPET_LENGTH = 120;
+
+const VIRTUAL_STATUS_REGEX = /^(.+)-(completed|deleted)$/;
+const VIRTUAL_STATUS_TITLES = { completed: 'Completed', deleted: 'Deleted' };
+
+const TASK_FIELDS = { _id: 0, id: 1, title: 1, description: 1, status: 1, dueDate: 1, dueHasTime: 1 };
+
+/**
+ * Splits a query into the words to search and highlight, lower case and without duplicates.
+ * Mirrors `searchTerms` in web-client/src/utils/search.ts.
+ * @param {string} query
+ * @returns {string[]}
+ */
+function searchTerms(query) {
+  return [...new Set(query.toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? [])];
+}
+
+/**
+ * Cuts the part of a description around the first search term, so a long description is not sent whole.
+ * @param {string | undefined} text - The description.
+ * @param {string[]} terms - The search terms.
+ * @returns {string} the part, with an ellipsis where it was cut, '' without a description.
+ */
+function snippetOf(text, terms) {
+  const flat = (text ?? '').replace(/\s+/g, ' ').trim();
+  if (flat.length <= SNIPPET_LENGTH) {
+    return flat;
+  }
+  const lower = flat.toLowerCase();
+  const found = terms.map(term => lower.indexOf(term)).filter(index => index >= 0);
+  const start = found.length > 0 ? Math.max(0, Math.min(...found) - SNIPPET_LENGTH / 3) : 0;
+  const end = Math.min(flat.length, start + SNIPPET_LENGTH);
+  return `${start > 0 ? '…' : ''}${flat.slice(start, end).trim()}${end < flat.length ? '…' : ''}`;
+}
+
+/**
+ * Reads the query parameters of GET /api/search.
+ * @throws {ResourceError} if `q` is missing or too long, or `limit` is not a number from 1 to MAX_LIMIT.
+ */
+function parseSearchQuery(query) {
+  const { q, limit } = query;
+  if (typeof q !== 'string' || !q.trim()) {
+    throw new ResourceError('`q` must be a non-empty string');
+  }
+  if (q.length > MAX_QUERY_LENGTH) {
+    throw new ResourceError(`\`q\` must be at most ${MAX_QUERY_LENGTH} characters`);
+  }
+  const parsedLimit = limit === undefined ? DEFAULT_LIMIT : Number(limit);
+  if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > MAX_LIMIT) {
+    throw new ResourceError(`\`limit\` must be an integer from 1 to ${MAX_LIMIT}`);
+  }
+  return { text: q.trim(), limit: parsedLimit };
+}
+
+/**
+ * Searches the titles and descriptions of the tasks of a user.
+ * @param {string} userId - The logged in user.
+ * @param query - The query parameters: `q`, the text to search, and `limit`, how many tasks at most (50 by default).
+ * @returns {Promise<{ terms: string[], results: object[] }>} the search terms, to highlight, and the tasks found
+ *   grouped by project, the projects in list order and the tasks of each by relevance.
+ * @throws {ResourceError} if the query is invalid.
+ */
+async function searchTasks(userId, query) {
+  const { text, limit } = parseSearchQuery(query);
+  const terms = searchTerms(text);
+  const base = { userId, isPending: { $ne: true } };
+
+  const wordMatches = terms.length === 0 ? [] : await Task.find(
+    { ...base, $text: { $search: terms.join(' ') } },
+    { ...TASK_FIELDS, score: { $meta: 'textScore' } }
+  ).sort({ score: { $meta: 'textScore' } }).limit(limit).lean();
+
+  let tasks = wordMatches;
+  if (tasks.length < limit) {
+    const pattern = new RegExp(text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    const partMatches = await Task.find(
+      { ...base, id: { $nin: wordMatches.map(task => task.id) }, $or: [{ title: pattern }, { description: pattern }] },
+      TASK_FIELDS
+    ).limit(limit - tasks.length).lean();
+    tasks = [...wordMatches, ...partMatches];
+  }
+  if (tasks.length === 0) {
+    return { terms, results: [] };
+  }
+
+  const statuses = await Status.find({ userId, id: { $in: [...new Set(tasks.map(task => task.status))] } }, { _id: 0, id: 1, title: 1, project: 1 }).lean();
+  const statusById = new Map(statuses.map(status => [status.id, status]));
+  const projectIds = new Set(statuses.map(status => status.project));
+  tasks.forEach(task => {
+    const virtual = VIRTUAL_STATUS_REGEX.exec(task.status);
+    if (virtual) projectIds.add(virtual[1]);
+  });
+  const projects = await Project.find({ userId, id: { $in: [...projectIds] } }, { _id: 0, id: 1, title: 1, rank: 1 }).lean();
+
+  const tasksByProject = new Map(projects.sort(compareByRank).map(project => [project.id, []]));
+  for (const task of tasks) {
+    const virtual = VIRTUAL_STATUS_REGEX.exec(task.status);
+    const status = virtual ? null : statusById.get(task.status);
+    const projectId = virtual ? virtual[1] : status?.project;
+    if (!tasksByProject.has(projectId)) {
+      continue; // in a status or project that no longer exists
+    }
+    tasksByProject.get(projectId).push({
+      id: task.id,
+      title: task.title,
+      snippet: snippetOf(task.description, terms),
+      status: task.status,
+      statusTitle: virtual ? VIRTUAL_STATUS_TITLES[virtual[2]] : status.title,
+      dueDate: task.dueDate ?? null,
+      dueHasTime: task.dueDate ? !isWholeDay(task) : false,
+    });
+  }
+
+  const results = projects
+    .filter(project => tasksByProject.get(project.id).length > 0)
+    .map(project => ({ project: { id: project.id, title: project.title }, tasks: tasksByProject.get(project.id) }));
+  return { terms, results };
+}
+
+module.exports = { searchTerms, searchTasks };
@@ -0,0 +1,93 @@
+/**
+ * Personal access tokens, see utils/accessTokens.js, and what their scope lets them do, see middlewares/authMiddleware.js.
+ * The AccessToken model is replaced by the tokens created in memory.
+ * Run with `npm test`.
+ */
+process.env.JWT_SECRET ||= 'test-secret'; // required by the middleware, unused by access tokens
+
+const test = require('node:test');
+const assert = require('node:assert');
+const AccessToken = require('../database/models/accessTokens');
+const { createAccessToken, recordAccessTokenUse } = require('../utils/accessTokens');
+const authMW = require('../middlewares/authMiddleware');
+const { requireSession } = require('../middlewares/authMiddleware');
+
+let stored;
+
+test.beforeEach(({ mock }) => {
+  stored = [];
+  mock.method(AccessToken, 'create', async (doc) => {
+    stored.push({ ...doc, createdAt: new Date() });
+    return stored.at(-1);
+  });
+  // matches the hash, and `expiresAt` null or in the future
+  mock.method(AccessToken, 'findOne', ({ tokenHash, $or: [, { expiresAt: { $gt: now } }] }) => ({
+    lean: async () => stored.find(doc => doc.tokenHash === tokenHash && (doc.expiresAt === null || doc.expiresAt > now)) ?? null,
+  }));
+  mock.method(AccessToken, 'updateOne', async ({ id }, { $set }) => Object.assign(stored.find(doc => doc.id === id), $set));
+});
+
+// runs a middleware with a fake request, and tells whether it let the request through or what it answered
+const run = async (middleware, { method = 'GET', token, user } = {}) => {
+  const req = { method, ip: '10.0.0.1', cookies: {}, user, get: (header) => (header === 'Authorization' && token ? `Bearer ${token}` : undefined) };
+  const outcome = {};
+  const res = {
+    status(code) { outcome.status = code; return res; },
+    json(body) { outcome.body = body; return res; },
+  };
+  await middleware(req, res, () => { outcome.user = req.user; });
+  return outcome;
+};
+
+test('shows a new token once and stores only its hash', async () => {
+  const { token, accessToken } = await createAccessToken('alice', { name: 'Backup script', scope: 'read', expiresAt: null });
+  assert.match(token, /^rst_[\w-]{43}$/);
+  assert.strictEqual(accessToken.prefix, token.slice(0, 10));
+  assert.strictEqual('tokenHash' in accessToken, false);
+  assert.notStrictEqual(stored[0].tokenHash, token);
+  assert.strictEqual(JSON.stringify(stored).includes(token), false);
+});
+
+test('lets a read-only token read, and nothing else', async () => {
+  const { token, accessToken } = await createAccessToken('alice', { name: 'Dashboard', scope: 'read', expiresAt: null });
+  for (const method of ['GET', 'HEAD']) {
+    assert.deepStrictEqual(await run(authMW, { method, token }), { user: { userId: 'alice', accessTokenId: accessToken.id, scope: 'read' } });
+  }
+  for (const method of ['POST', 'PATCH', 'DELETE']) {
+    assert.deepStrictEqual(await run(authMW, { method, token }), { status: 403, body: { message: 'This access token is read-only' } });
+  }
+});
+
+test('lets a write token read and write', async () => {
+  const { token } = await createAccessToken('alice', { name: 'CLI', scope: 'write', expiresAt: null });
+  for (const method of ['GET', 'POST', 'PATCH', 'DELETE']) {
+    assert.strictEqual((await run(authMW, { method, token })).user.scope, 'write');
+  }
+});
+
+test('rejects unknown and expired tokens', async () => {
+  const { token } = await createAccessToken('alice', { name: 'Old', scope: 'write', expiresAt: new Date(Date.now() - 1000) });
+  const rejected = { status: 401, body: { message: 'Invalid or expired access token' } };
+  assert.deepStrictEqual(await run(authMW, { token }), rejected);
+  assert.deepStrictEqual(await run(authMW, { token: 'rst_unknown' }), rejected);
+  assert.deepStrictEqual(await run(authMW, { token: 'some-jwt' }), rejected);
+  assert.strictEqual(AccessToken.findOne.mock.callCount(), 2); // a token without the prefix is not looked up
+});
+
+test('keeps the tokens out of what only the logged in user may do', async () => {
+  assert.deepStrictEqual(await run(requireSession, { user: { userId: 'alice', accessTokenId: 'token-1', scope: 'write' } }), {
+    status: 403, body: { message: 'This can only be done while logged in, not with an access token' },
+  });
+  assert.deepStrictEqual(await run(requireSession, { user: { userId: 'alice' } }), { user: { userId: 'alice' } });
+});
+
+test('writes the last use at most once a minute from the same address', async () => {
+  await createAccessToken('alice', { name: 'CLI', scope: 'write', expiresAt: null });
+  const [accessToken] = stored;
+  await recordAccessTokenUse(accessToken, '10.0.0.1');
+  await recordAccessTokenUse({ ...accessToken }, '10.0.0.1');
+  assert.strictEqual(AccessToken.updateOne.mock.callCount(), 1);
+  await recordAccessTokenUse({ ...accessToken }, '10.0.0.2');
+  assert.strictEqual(AccessToken.updateOne.mock.callCount(), 2);
+  assert.strictEqual(accessToken.lastUsedIp, '10.0.0.2');
+});
@@ -0,0 +1,101 @@
+/**
+ * Importing an account archive gives every item a fresh id and points every reference to the new ids,
+ * see `planImport` in services/accountArchive.js.
+ * Run with `npm test`.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { ARCHIVE_FORMAT, ARCHIVE_VERSION, planImport } = require('../services/accountArchive');
+
+const archive = (content, version = ARCHIVE_VERSION) => ({ format: ARCHIVE_FORMAT, version, exportedAt: '2026-10-01T00:00:00Z', ...content });
+
+const PROFILE = { id: 'profile-1', nickname: 'Alice', savedViews: [] };
+
+const ARCHIVE = archive({
+  profile: {
+    nickname: 'Ali',
+    timeZone: 'Europe/Berlin',
+    lastProjectId: 'project-1',
+    savedViews: [
+      { id: 'view-1', name: 'Urgent biology', filter: { due: 'any', priorities: ['high'], tags: [], projects: ['project-1'], text: '' } },
+      { id: 'view-2', name: 'Gone', filter: { due: 'any', priorities: [], tags: [], projects: ['project-gone'], text: '' } },
+    ],
+  },
+  projects: [{ id: 'project-1', title: 'Biology', rank: 'V' }],
+  statuses: [
+    { id: 'status-1', title: 'Now', project: 'project-1', rank: 'V' },
+    { id: 'status-2', title: 'Orphan', project: 'project-gone', rank: 'V' },
+  ],
+  tasks: [
+    { id: 'task-1', title: 'Read', status: 'status-1', previousStatus: 'project-1-completed', rank: 'k' },
+    { id: 'task-2', title: 'Revise', status: 'status-1', previousStatus: 'status-gone', rank: 'F' },
+    { id: 'task-3', title: 'Done', status: 'project-1-completed', previousStatus: 'status-1', rank: 'V' },
+    { id: 'task-4', title: 'Lost', status: 'status-2', rank: 'V' },
+    { id: 'task-1', title: 'Copy', status: 'status-1', rank: 'z' },
+  ],
+  conversations: [{ id: 'conversation-1', title: 'Plan', messages: [{ content: 'Hi', role: 'user' }, { content: '', role: 'ai' }] }],
+});
+
+const added = (plan, type) => plan.ops.filter(op => op.type === type && op.operation === 'add').map(op => op.data);
+
+test('gives every item a fresh id and remaps the references to it', () => {
+  const plan = planImport('alice', ARCHIVE, [{ id: 'project-mine', rank: 'V' }], PROFILE);
+  const [project] = added(plan, 'project');
+  const [status] = added(plan, 'status');
+  const tasks = added(plan, 'task');
+
+  const oldIds = ['project-1', 'status-1', 'task-1', 'task-2', 'task-3', 'conversation-1'];
+  assert.ok([project, status, ...tasks, ...plan.conversations].every(item => !oldIds.includes(item.id)));
+  assert.ok(project.rank > 'V', 'after the existing projects');
+  assert.strictEqual(status.project, project.id);
+  // in list order, the virtual statuses follow their project, a missing previous status falls back to the current one
+  assert.deepStrictEqual(tasks.map(task => [task.title, task.status, task.previousStatus]), [
+    ['Revise', status.id, status.id],
+    ['Read', status.id, `${project.id}-completed`],
+    ['Done', `${project.id}-completed`, status.id],
+  ]);
+  assert.ok(tasks[0].rank < tasks[1].rank);
+  assert.deepStrictEqual(plan.messages.map(message => [message.conversationId, message.content]), [[plan.conversations[0].id, 'Hi']]);
+});
+
+test('restores the profile with the imported version of the open project and the views', () => {
+  const plan = planImport('alice', ARCHIVE, [], PROFILE);
+  const [project] = added(plan, 'project');
+  const [{ data: { id, updatedFields: { savedViews, ...fields } } }] = plan.ops.filter(op => op.type === 'userProfile');
+  assert.strictEqual(id, 'profile-1');
+  assert.deepStrictEqual(fields, { nickname: 'Ali', timeZone: 'Europe/Berlin', lastProjectId: project.id });
+  // the view of a project missing from the archive is dropped rather than widened to every project
+  assert.deepStrictEqual(savedViews.map(view => [view.name, view.filter.projects]), [['Urgent biology', [project.id]]]);
+  assert.notStrictEqual(savedViews[0].id, 'view-1');
+  assert.deepStrictEqual(plan.profile.nickname, { from: 'Alice', to: 'Ali' });
+});
+
+test('skips and reports what cannot be imported', () => {
+  const plan = planImport('alice', ARCHIVE, [], PROFILE);
+  assert.deepStrictEqual(plan.skipped, [
+    { type: 'status', id: 'status-2', reason: '`project` points to a project missing from the archive' },
+    { type: 'task', id: 'task-4', reason: '`status` points to a status missing from the archive' },
+    { type: 'task', id: 'task-1', reason: 'Another item of the archive has this id' },
+    { type: 'message', id: null, reason: 'A message needs a `content` and a `role` of "user" or "ai"' },
+  ]);
+  assert.deepStrictEqual(plan.created, { projects: 1, statuses: 1, tasks: 3, conversations: 1, messages: 1 });
+});
+
+test('reads version 1 archives: lists linked by `prev`/`next`, and whole days without `dueHasTime`', () => {
+  const plan = planImport('alice', archive({
+    projects: [{ id: 'project-1', title: 'Biology', prev: null, next: null }],
+    statuses: [{ id: 'status-1', title: 'Now', project: 'project-1', prev: null, next: null }],
+    tasks: [
+      { id: 'task-2', title: 'Second', status: 'status-1', prev: 'task-1', next: null, dueDate: '2026-10-20T15:30:00.000Z' },
+      { id: 'task-1', title: 'First', status: 'status-1', prev: null, next: 'task-2', dueDate: '2026-10-19T00:00:00.000Z' },
+    ],
+  }, 1), [], null);
+  assert.deepStrictEqual(added(plan, 'task').map(task => [task.title, task.dueHasTime]), [['First', false], ['Second', true]]);
+  assert.deepStrictEqual(plan.ops.filter(op => op.type === 'userProfile'), []);
+});
+
+test('rejects what is not an archive this server can read', () => {
+  assert.throws(() => planImport('alice', { format: 'trello' }, [], null), { name: 'ResourceError', message: `Not an archive: \`format\` must be "${ARCHIVE_FORMAT}"` });
+  assert.throws(() => planImport('alice', archive({}, ARCHIVE_VERSION + 1), [], null), /this server reads up to version/);
+  assert.throws(() => planImport('alice', archive({ tasks: {} }), [], null), { message: '`tasks` must be an array' });
+});
@@ -0,0 +1,141 @@
+/**
+ * Boards exported by other apps as previews of a project, see services/boardImport.js:
+ * CSV files, Trello boards and Todoist exports.
+ * Run with `npm test`.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { previewBoard, parseCsv } = require('../services/boardImport');
+
+// the tasks of a preview with the title of their status
+const tasksOf = (board) => board.tasks.map(({ status, ...task }) => ({ ...task, status: board.statuses[status].title }));
+
+test('splits CSV into rows, with quoted commas, quotes and line breaks', () => {
+  assert.deepStrictEqual(parseCsv('\uFEFFtitle,notes\r\n"Read, then write","He said ""go""\nnow"\n\n,\nLast,'), [
+    ['title', 'notes'],
+    ['Read, then write', 'He said "go"\nnow'],
+    ['Last', ''],
+  ]);
+  assert.throws(() => parseCsv('title\n"Unclosed'), { name: 'ResourceError', message: 'The CSV file ends inside a quoted cell' });
+});
+
+test('reads the columns of a CSV file by name, statuses in the order they appear', () => {
+  const board = previewBoard({
+    fileName: 'Biology.csv',
+    content: 'Name,Column,Due-Date,Notes\nRead,Doing,2024-01-31,Chapter 3\nWrite,Done,2024-02-01T14:00:00Z,\nRevise,doing,next week,\n,Doing,,\n',
+  });
+  assert.strictEqual(board.format, 'csv');
+  assert.strictEqual(board.title, 'Biology');
+  assert.deepStrictEqual(board.statuses.map(status => status.title), ['Doing', 'Done']);
+  assert.deepStrictEqual(tasksOf(board), [
+    { title: 'Read', description: 'Chapter 3', dueDate: '2024-01-31T00:00:00.000Z', dueHasTime: false, completed: false, status: 'Doing' },
+    { title: 'Write', description: '', dueDate: '2024-02-01T14:00:00.000Z', dueHasTime: true, completed: false, status: 'Done' },
+    // a date that cannot be read is kept in the description
+    { title: 'Revise', description: 'Due: next week', dueDate: null, dueHasTime: false, completed: false, status: 'Doing' },
+  ]);
+  assert.deepStrictEqual(board.warnings, ['1 row(s) without a title were left out']);
+  assert.throws(() => previewBoard({ content: 'when,where\n1,2', format: 'csv' }), /needs a title column/);
+});
+
+test('reads a Trello board: open lists and cards by position, checklists in the descriptions', () => {
+  const board = previewBoard({
+    content: JSON.stringify({
+      name: 'Thesis',
+      lists: [
+        { id: 'list-2', name: 'Done', pos: 2 },
+        { id: 'list-1', name: 'To do', pos: 1 },
+        { id: 'list-old', name: 'Old', pos: 3, closed: true },
+      ],
+      cards: [
+        { name: 'Outline', idList: 'list-2', pos: 1, dueComplete: true, due: '2024-01-10T09:00:00.000Z' },
+        { name: 'Draft', idList: 'list-1', pos: 2, desc: 'Chapter 1', idChecklists: ['checklist-1'] },
+        { name: 'Sources', idList: 'list-1', pos: 1 },
+        { name: 'Forgotten', idList: 'list-old', pos: 1 },
+        { name: 'Archived', idList: 'list-1', pos: 3, closed: true },
+      ],
+      checklists: [{ id: 'checklist-1', checkItems: [{ name: 'Intro', state: 'complete' }, { name: 'Body', state: 'incomplete' }] }],
+    }),
+  });
+  assert.strictEqual(board.format, 'trello');
+  assert.strictEqual(board.title, 'Thesis');
+  assert.deepStrictEqual(board.statuses.map(status => status.title), ['To do', 'Done']);
+  assert.deepStrictEqual(tasksOf(board).map(task => [task.title, task.status, task.completed, task.dueHasTime]), [
+    ['Outline', 'Done', true, true],
+    ['Sources', 'To do', false, false],
+    ['Draft', 'To do', false, false],
+  ]);
+  assert.strictEqual(board.tasks[2].description, 'Chapter 1\n\n- [x] Intro\n- [ ] Body');
+  assert.deepStrictEqual(board.warnings, [
+    '2 archived card(s) were left out',
+    '1 archived list(s) were left out',
+    '2 checklist item(s) were added to the descriptions of their cards',
+  ]);
+});
+
+test('reads a Todoist CSV export: sections, tasks and their notes', () => {
+  const board = previewBoard({
+    fileName: 'Chores.csv',
+    content: 'TYPE,CONTENT,DESCRIPTION,PRIORITY,INDENT,DATE\n'
+      + 'task,Call the bank,,1,1,2024-03-01\n'
+      + 'section,Weekend,,,,\n'
+      + 'task,Clean,Kitchen first,1,1,every saturday\n'
+      + 'note,Buy soap,,,,\n'
+      + 'task,Windows,,1,2,\n',
+  });
+  assert.strictEqual(board.format, 'todoist-csv');
+  assert.deepStrictEqual(tasksOf(board).map(task => [task.title, task.status, task.description, task.dueDate]), [
+    ['Call the bank', 'To do', '', '2024-03-01T00:00:00.000Z'],
+    ['Clean', 'Weekend', 'Kitchen first\n\nDue: every saturday\n\nBuy soap', null],
+    ['Windows', 'Weekend', '', null],
+  ]);
+  assert.deepStrictEqual(board.warnings, [
+    '1 subtask(s) were added as tasks of their section',
+    '1 due date(s) like "every monday" could not be read and were added to the descriptions',
+  ]);
+});
+
+test('reads a Todoist backup: sections in order, named after their project when there are several', () => {
+  const board = previewBoard({
+    content: JSON.stringify({
+      projects: [{ id: 'p2', name: 'Home', child_order: 2 }, { id: 'p1', name: 'Work', child_order: 1 }, { id: 'p3', name: 'Old', is_archived: true }],
+      sections: [{ id: 's1', project_id: 'p1', name: 'Meetings', section_order: 1 }],
+      items: [
+        { content: 'Dishes', project_id: 'p2', child_order: 1, due: { date: '2024-03-01T18:00:00', is_recurring: true, string: 'every day at 6pm' } },
+        { content: 'Standup', project_id: 'p1', section_id: 's1', child_order: 2, checked: 1 },
+        { content: 'Deleted', project_id: 'p1', child_order: 3, is_deleted: true },
+      ],
+    }),
+  });
+  assert.strictEqual(board.format, 'todoist-json');
+  assert.strictEqual(board.title, 'Todoist');
+  assert.deepStrictEqual(tasksOf(board).map(task => [task.title, task.status, task.completed, task.description]), [
+    ['Dishes', 'Home', false, 'Repeats: every day at 6pm'],
+    ['Standup', 'Work / Meetings', true, ''],
+  ]);
+});
+
+test('answers 400 naming the field when a list of a JSON export is not an array', () => {
+  const cases = [
+    ['trello', { lists: {}, cards: [] }, '`lists` must be an array'],
+    ['trello', { lists: [], cards: [{ name: 'Card', idList: 'list-1', idChecklists: 'checklist-1' }] }, '`idChecklists` of a card must be an array'],
+    ['trello', { lists: [], cards: [{ name: 'Card', idChecklists: ['c1'] }], checklists: [{ id: 'c1', checkItems: 3 }] }, '`checkItems` of a checklist must be an array'],
+    ['todoist-json', { items: 'none' }, '`items` must be an array'],
+    ['todoist-json', { items: [], sections: null, projects: {} }, '`projects` must be an array'],
+  ];
+  for (const [format, data, message] of cases) {
+    assert.throws(() => previewBoard({ content: JSON.stringify(data), format }), (error) => {
+      assert.deepStrictEqual([error.name, error.httpStatus, error.message], ['ResourceError', 400, message]);
+      return true;
+    });
+  }
+});
+
+test('guesses the format from the content, and rejects files that are not boards', () => {
+  assert.strictEqual(previewBoard({ content: '{"lists":[],"cards":[{"name":"A"}]}' }).format, 'trello');
+  assert.strictEqual(previewBoard({ content: '{"items":[{"content":"A"}]}' }).format, 'todoist-json');
+  assert.strictEqual(previewBoard({ content: 'TYPE,CONTENT\ntask,A' }).format, 'todoist-csv');
+  assert.throws(() => previewBoard({ content: '{"cards":' }), { message: 'The file is not valid JSON' });
+  assert.throws(() => previewBoard({ content: '{"board":1}' }), { message: 'The JSON file is neither a Trello board nor a Todoist backup' });
+  assert.throws(() => previewBoard({ content: 'title\n' }), { message: 'The file holds no lists and no tasks' });
+  assert.throws(() => previewBoard({ content: ' ' }), { message: '`content` must be the content of the file' });
+});
@@ -0,0 +1,190 @@
+/**
+ * A bulk payload is applied in one transaction, see services/bulkOperations.js: every op is kept, or none is,
+ * and none if an op was based on an older revision of its item than the one stored.
+ * The models are replaced by an in-memory database whose transactions work on a copy of the data,
+ * committed only if the whole transaction succeeds, like MongoDB does. A write made outside the session is kept either way.
+ * Run with `npm test`.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Task = require('../database/models/tasks');
+const Project = require('../database/models/projects');
+const Status = require('../database/models/statuses');
+const UserProfile = require('../database/models/userProfiles');
+const ChangeCounter = require('../database/models/changeCounters');
+const Tombstone = require('../database/models/tombstones');
+const { applyBulkOps, BulkOperationError, RankIntegrityError, RevisionConflictError } = require('../services/bulkOperations');
+const resourceRoute = require('../utils/resourceRoute');
+
+const MODELS = { task: Task, project: Project, status: Status, userProfile: UserProfile, counter: ChangeCounter, tombstone: Tombstone };
+
+let committed;
+
+const seed = () => ({
+  task: [
+    { id: 'task-1', userId: 'alice', title: 'Read', status: 'status-1', rank: 'V', rev: 0 },
+    { id: 'task-2', userId: 'alice', title: 'Write', status: 'status-1', rank: 'k', rev: 3 },
+  ],
+  project: [{ id: 'project-1', userId: 'alice', title: 'Biology', rank: 'V', rev: 0 }],
+  status: [{ id: 'status-1', userId: 'alice', project: 'project-1', title: 'Now', rank: 'V', rev: 0 }],
+  userProfile: [{ id: 'profile-1', userAuthId: 'alice', rev: 0 }],
+  counter: [{ userId: 'alice', seq: 7 }],
+  tombstone: [],
+});
+
+const matches = (filter) => (doc) => Object.entries(filter).every(([key, value]) =>
+  value?.$in ? value.$in.includes(doc[key]) : doc[key] === value);
+
+// what a query reads and writes: the copy of its transaction, or the committed data
+const dataOf = (session) => session?.working ?? committed;
+
+// a query that runs when awaited, reading with the session given to `.session()`
+const query = (run, session = null) => {
+  const self = {
+    session: (s) => { session = s; return self; },
+    lean: () => self,
+    then: (resolve, reject) => Promise.resolve().then(() => run(session)).then(resolve, reject),
+  };
+  return self;
+};
+
+test.beforeEach(({ mock }) => {
+  committed = seed();
+  mock.method(console, 'log', () => {}); // every applied op is logged
+  mock.method(mongoose, 'startSession', async () => {
+    const session = {
+      working: null,
+      async withTransaction(callback) {
+        session.working = structuredClone(committed);
+        await callback(); // a thrown error leaves the committed data as it was
+        committed = session.working;
+      },
+      async endSession() {},
+    };
+    return session;
+  });
+
+  for (const [name, Model] of Object.entries(MODELS)) {
+    const docs = (session) => dataOf(session)[name];
+    mock.method(Model, 'find', (filter) => query(session => structuredClone(docs(session).filter(matches(filter)))));
+    mock.method(Model, 'create', async (created, { session } = {}) => {
+      docs(session).push(...structuredClone(created));
+      return created;
+    });
+    mock.method(Model, 'findOneAndUpdate', (filter, { $set = {}, $inc = {} }, options = {}) => query(session => {
+      let doc = docs(session).find(matches(filter));
+      if (!doc && !options.upsert) return null;
+      if (!doc) {
+        doc = { ...filter };
+        docs(session).push(doc);
+      }
+      const before = structuredClone(doc);
+      Object.assign(doc, $set);
+      Object.entries($inc).forEach(([key, value]) => { doc[key] = (doc[key] ?? 0) + value; });
+      return structuredClone(options.new ? doc : before);
+    }, options.session));
+    mock.method(Model, 'deleteOne', async (filter, { session } = {}) => {
+      const index = docs(session).findIndex(matches(filter));
+      if (index >= 0) docs(session).splice(index, 1);
+      return { deletedCount: index >= 0 ? 1 : 0 };
+    });
+  }
+});
+
+test('applies every op in order, with one revision bump per document and one change sequence number', async () => {
+  const applied = await applyBulkOps([
+    { type: 'task', operation: 'add', data: { id: 'task-3', title: 'Revise', status: 'status-1', rank: 'y' } },
+    { type: 'task', operation: 'update', data: { id: 'task-2', rev: 3, updatedFields: { title: 'Write up' } } },
+    { type: 'task', operation: 'update', data: { id: 'task-2', updatedFields: { rank: 'z' } } },
+    { type: 'task', operation: 'delete', data: { id: 'task-1', rev: 0 } },
+  ], 'alice');
+
+  assert.deepStrictEqual(applied.map(op => `${op.index} ${op.operation} ${op.id}`), ['0 add task-3', '1 update task-2', '2 update task-2', '3 delete task-1']);
+  assert.deepStrictEqual(committed.task.map(doc => [doc.id, doc.title, doc.rank, doc.rev, doc.changeSeq]), [
+    ['task-2', 'Write up', 'z', 4, 8],
+    ['task-3', 'Revise', 'y', 0, 8],
+  ]);
+  assert.deepStrictEqual(committed.tombstone.map(doc => [doc.type, doc.id, doc.changeSeq]), [['task', 'task-1', 8]]);
+  assert.strictEqual(committed.counter[0].seq, 8);
+});
+
+test('keeps none of the ops when one cannot be applied', async () => {
+  const before = structuredClone(committed);
+  await assert.rejects(applyBulkOps([
+    { type: 'task', operation: 'add', data: { id: 'task-3', title: 'Revise', status: 'status-1', rank: 'y' } },
+    { type: 'task', operation: 'delete', data: { id: 'task-1' } },
+    { type: 'task', operation: 'update', data: { id: 'task-gone', updatedFields: { title: 'Lost' } } },
+  ], 'alice'), (error) => {
+    assert.ok(error instanceof BulkOperationError);
+    assert.strictEqual(error.index, 2);
+    assert.deepStrictEqual(error.op, { type: 'task', operation: 'update', id: 'task-gone' });
+    return true;
+  });
+  assert.deepStrictEqual(committed, before);
+});
+
+test('keeps none of the ops when two items of a list would share a rank', async () => {
+  const before = structuredClone(committed);
+  await assert.rejects(applyBulkOps([
+    { type: 'task', operation: 'update', data: { id: 'task-1', updatedFields: { title: 'Read again' } } },
+    { type: 'task', operation: 'update', data: { id: 'task-2', updatedFields: { rank: 'V' } } },
+  ], 'alice'), (error) => {
+    assert.ok(error instanceof RankIntegrityError);
+    assert.deepStrictEqual(error.problems, [{ type: 'task', group: 'status-1', id: 'task-2', problem: 'same rank as task-1' }]);
+    return true;
+  });
+  assert.deepStrictEqual(committed, before);
+});
+
+test('keeps none of the ops when the other writes of the transaction fail', async () => {
+  const before = structuredClone(committed);
+  await assert.rejects(applyBulkOps(
+    [{ type: 'task', operation: 'update', data: { id: 'task-1', updatedFields: { title: 'Read again' } } }],
+    'alice',
+    async (session) => {
+      await Tombstone.create([{ type: 'task', id: 'task-old', userId: 'alice' }], { session });
+      throw new Error('Disk full');
+    }
+  ), /Disk full/);
+  assert.deepStrictEqual(committed, before);
+});
+
+test('keeps none of the ops when an item changed since the client read it', async () => {
+  const before = structuredClone(committed);
+  await assert.rejects(applyBulkOps([
+    { type: 'task', operation: 'update', data: { id: 'task-1', rev: 0, updatedFields: { title: 'Read again' } } },
+    { type: 'task', operation: 'update', data: { id: 'task-2', rev: 2, updatedFields: { title: 'Write up' } } },
+    { type: 'status', operation: 'delete', data: { id: 'status-gone', rev: 1 } },
+  ], 'alice'), (error) => {
+    assert.ok(error instanceof RevisionConflictError);
+    // the stale items come with their current version, or null if they were deleted
+    assert.deepStrictEqual(error.conflicts, [
+      { type: 'task', id: 'task-2', rev: 2, current: before.task[1] },
+      { type: 'status', id: 'status-gone', rev: 1, current: null },
+    ]);
+    return true;
+  });
+  assert.deepStrictEqual(committed, before);
+});
+
+test('checks the revision of the first op of an item only, and none for ops without one', async () => {
+  await applyBulkOps([
+    { type: 'task', operation: 'update', data: { id: 'task-2', rev: 3, updatedFields: { title: 'Write up' } } },
+    { type: 'task', operation: 'update', data: { id: 'task-2', rev: 0, updatedFields: { rank: 'z' } } },
+    { type: 'task', operation: 'update', data: { id: 'task-1', updatedFields: { title: 'Read again' } } },
+  ], 'alice');
+  assert.deepStrictEqual(committed.task.map(doc => [doc.id, doc.title, doc.rev]), [['task-1', 'Read again', 1], ['task-2', 'Write up', 4]]);
+});
+
+test('answers a stale revision sent to the REST API with 409 and the current items', async ({ mock }) => {
+  const conflicts = [{ type: 'task', id: 'task-2', rev: 2, current: seed().task[1] }];
+  const response = {};
+  const res = {
+    status(code) { response.status = code; return res; },
+    json(body) { response.body = body; return res; },
+  };
+  mock.method(console, 'error', () => {}); // the rejection is logged
+  await resourceRoute(async () => { throw new RevisionConflictError(conflicts); })({ method: 'PATCH', originalUrl: '/api/tasks/task-2' }, res);
+  assert.deepStrictEqual(response, { status: 409, body: { error: 'Some items were changed elsewhere, reload them and try again', conflicts } });
+});
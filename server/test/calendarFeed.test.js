@@ -0,0 +1,98 @@
+/**
+ * The iCalendar feed of the due dates of a user's tasks, see `buildCalendar` in services/calendarFeed.js.
+ * The models are replaced by a project with a few tasks in memory.
+ * Run with `npm test`.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const Project = require('../database/models/projects');
+const Status = require('../database/models/statuses');
+const Task = require('../database/models/tasks');
+const { buildCalendar } = require('../services/calendarFeed');
+
+const UPDATED_AT = new Date('2026-10-01T08:00:00Z');
+
+const PROJECTS = [{ id: 'project-1', title: 'Biology, Year 2', userId: 'alice' }];
+const STATUSES = [{ id: 'status-1', title: 'Now', project: 'project-1', userId: 'alice' }];
+const TASKS = [
+  { id: 'task-1', title: 'Exam', description: 'Room 4; bring ID', status: 'status-1', dueDate: new Date('2026-10-20T00:00:00Z'), dueHasTime: false },
+  { id: 'task-2', title: 'Lab report', status: 'status-1', dueDate: new Date('2026-10-21T15:30:00Z'), dueHasTime: true, recurrence: 'FREQ=WEEKLY;UNTIL=20261130' },
+  { id: 'task-3', title: 'Flashcards', status: 'project-1-completed', dueDate: new Date('2026-10-18T00:00:00Z'), dueHasTime: false },
+  { id: 'task-4', title: 'Old notes', status: 'project-1-deleted', dueDate: new Date('2026-10-18T00:00:00Z'), dueHasTime: false },
+  { id: 'task-5', title: 'Elsewhere', status: 'status-gone', dueDate: new Date('2026-10-18T00:00:00Z'), dueHasTime: false },
+].map(task => ({ userId: 'alice', updatedAt: UPDATED_AT, ...task }));
+
+const lean = (docs) => ({ lean: async () => docs, sort: () => ({ lean: async () => docs }) });
+
+test.beforeEach(({ mock }) => {
+  mock.method(Project, 'find', ({ id }) => lean(PROJECTS.filter(project => id === undefined || project.id === id)));
+  mock.method(Status, 'find', () => lean(STATUSES));
+  mock.method(Task, 'find', () => lean(TASKS));
+});
+
+// the content lines of the entries of a feed, unfolded, by the UID of their task
+const entriesOf = (ics) => {
+  const lines = ics.replace(/\r\n /g, '').split('\r\n');
+  const entries = new Map();
+  let entry = null;
+  for (const line of lines) {
+    if (/^BEGIN:V(EVENT|TODO)$/.test(line)) entry = [];
+    else if (/^END:V(EVENT|TODO)$/.test(line)) {
+      entries.set(entry.find(l => l.startsWith('UID:')).slice(4), entry);
+      entry = null;
+    } else entry?.push(line);
+  }
+  return entries;
+};
+
+test('lists the due dates as events: whole days as dates, times in UTC', async () => {
+  const ics = await buildCalendar('alice');
+  assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+
+  const entries = entriesOf(ics);
+  // trashed tasks, and tasks of a status that no longer exists, are left out
+  assert.deepStrictEqual([...entries.keys()], ['task-1@raccoon-study', 'task-2@raccoon-study', 'task-3@raccoon-study']);
+  const exam = entries.get('task-1@raccoon-study');
+  assert.ok(exam.includes('DTSTART;VALUE=DATE:20261020'));
+  assert.ok(exam.includes('DTSTAMP:20261001T080000Z'));
+  assert.ok(exam.includes('CATEGORIES:Biology\\, Year 2,Now'));
+  assert.ok(exam.includes('DESCRIPTION:Room 4\\; bring ID\\n\\nProject: Biology\\, Year 2\\nStatus: Now\\nhttp://localhost:5173/?project=project-1&task=task-1'));
+  assert.ok(exam.includes('TRANSP:TRANSPARENT'));
+
+  const report = entries.get('task-2@raccoon-study');
+  assert.ok(report.includes('DTSTART:20261021T153000Z'));
+  // the UNTIL of a timed task needs a time too
+  assert.ok(report.includes('RRULE:FREQ=WEEKLY;UNTIL=20261130T235959Z'));
+
+  const flashcards = entries.get('task-3@raccoon-study');
+  assert.ok(flashcards.includes('SUMMARY:✓ Flashcards'));
+  assert.ok(flashcards.includes('CATEGORIES:Biology\\, Year 2,Completed'));
+});
+
+test('lists the due dates as to-dos, completed ones marked so', async () => {
+  const entries = entriesOf(await buildCalendar('alice', { kind: 'todo' }));
+  const exam = entries.get('task-1@raccoon-study');
+  assert.ok(exam.includes('DUE;VALUE=DATE:20261020'));
+  assert.ok(exam.includes('STATUS:NEEDS-ACTION'));
+  assert.ok(!entries.get('task-2@raccoon-study').some(line => line.startsWith('RRULE:')));
+  const flashcards = entries.get('task-3@raccoon-study');
+  assert.ok(flashcards.includes('SUMMARY:Flashcards'));
+  assert.deepStrictEqual(flashcards.slice(-3), ['STATUS:COMPLETED', 'COMPLETED:20261001T080000Z', 'PERCENT-COMPLETE:100']);
+});
+
+test('folds long lines at 75 octets without splitting a character', async ({ mock }) => {
+  const title = 'Überprüfung '.repeat(12);
+  mock.method(Task, 'find', () => lean([{ ...TASKS[0], title }]));
+  const ics = await buildCalendar('alice');
+  for (const line of ics.split('\r\n')) {
+    assert.ok(Buffer.byteLength(line) <= 75, `${line} is at most 75 octets`);
+  }
+  assert.ok(entriesOf(ics).get('task-1@raccoon-study').includes(`SUMMARY:${title}`));
+});
+
+test('names the project of a project feed, and rejects unknown projects and kinds', async () => {
+  assert.match(await buildCalendar('alice', { project: 'project-1' }), /X-WR-CALNAME:Raccoon Study: Biology\\, Year 2\r\n/);
+  await assert.rejects(buildCalendar('alice', { project: 'project-gone' }), { name: 'ResourceError', httpStatus: 404 });
+  await assert.rejects(buildCalendar('alice', { kind: 'journal' }), { name: 'ResourceError', httpStatus: 400, message: '`kind` must be one of event, todo' });
+});
@@ -0,0 +1,92 @@
+/**
+ * The cursors of GET /api/changes and what they return, see services/changeLog.js.
+ * The models are replaced by a few documents in memory, each stamped with the change sequence number that wrote it.
+ * Run with `npm test`.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const Task = require('../database/models/tasks');
+const Project = require('../database/models/projects');
+const Status = require('../database/models/statuses');
+const UserProfile = require('../database/models/userProfiles');
+const ChangeCounter = require('../database/models/changeCounters');
+const Tombstone = require('../database/models/tombstones');
+const { parseCursor, getChangesSince } = require('../services/changeLog');
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+const DAY = 24 * 60 * 60 * 1000;
+
+const DOCUMENTS = [
+  [Task, [
+    { id: 'task-1', userId: 'alice', changeSeq: 3 },
+    { id: 'task-2', userId: 'alice', changeSeq: 6 },
+    { id: 'task-3', userId: 'bob', changeSeq: 9 },
+  ]],
+  [Project, [{ id: 'project-1', userId: 'alice', changeSeq: 1 }]],
+  [Status, [{ id: 'status-1', userId: 'alice', changeSeq: 5 }]],
+  [UserProfile, [{ id: 'profile-1', userAuthId: 'alice', changeSeq: 2 }]],
+  [ChangeCounter, [{ userId: 'alice', seq: 7 }]],
+  [Tombstone, [
+    { type: 'task', id: 'task-old', userId: 'alice', changeSeq: 4 },
+    { type: 'status', id: 'status-old', userId: 'alice', changeSeq: 7 },
+  ]],
+];
+
+const matches = (filter) => (doc) => Object.entries(filter).every(([key, value]) =>
+  value?.$gt !== undefined ? doc[key] > value.$gt : doc[key] === value);
+
+test.beforeEach(({ mock }) => {
+  mock.method(Date, 'now', () => NOW);
+  for (const [Model, docs] of DOCUMENTS) {
+    const lean = (result) => ({ lean: async () => structuredClone(result) });
+    mock.method(Model, 'find', (filter) => lean(docs.filter(matches(filter))));
+    mock.method(Model, 'findOne', (filter) => lean(docs.find(matches(filter)) ?? null));
+  }
+});
+
+const ids = (items) => items.map(item => item.id);
+
+test('reads a cursor as the last change sequence number seen and the time it was issued', () => {
+  assert.deepStrictEqual(parseCursor('42.1730000000000'), { seq: 42, issuedAt: 1730000000000 });
+  for (const cursor of ['42', '42.', '.1730000000000', '-1.1730000000000', '42.17e11', 42, null]) {
+    assert.strictEqual(parseCursor(cursor), null, `${cursor} is rejected`);
+  }
+});
+
+test('returns everything without a cursor, to replace the data of the client', async () => {
+  const changes = await getChangesSince('alice', null);
+  assert.strictEqual(changes.cursor, `7.${NOW}`);
+  assert.strictEqual(changes.reset, true);
+  assert.deepStrictEqual(ids(changes.tasks), ['task-1', 'task-2']);
+  assert.deepStrictEqual(ids(changes.projects), ['project-1']);
+  assert.strictEqual(changes.userProfile.id, 'profile-1');
+  assert.deepStrictEqual(changes.deleted, []); // nothing to delete from data that is replaced
+});
+
+test('returns the items written and deleted after the cursor', async () => {
+  const changes = await getChangesSince('alice', parseCursor(`3.${NOW - DAY}`));
+  assert.strictEqual(changes.reset, false);
+  assert.deepStrictEqual(ids(changes.tasks), ['task-2']);
+  assert.deepStrictEqual(ids(changes.projects), []);
+  assert.deepStrictEqual(ids(changes.statuses), ['status-1']);
+  assert.strictEqual(changes.userProfile, null);
+  assert.deepStrictEqual(changes.deleted.map(({ type, id }) => `${type} ${id}`), ['task task-old', 'status status-old']);
+  assert.strictEqual(changes.cursor, `7.${NOW}`);
+
+  const next = await getChangesSince('alice', parseCursor(changes.cursor));
+  assert.deepStrictEqual([next.tasks, next.statuses, next.deleted, next.userProfile], [[], [], [], null]);
+});
+
+test('returns everything again once the tombstones of a cursor may have expired', async () => {
+  const fresh = await getChangesSince('alice', parseCursor(`6.${NOW - (Tombstone.RETENTION_DAYS - 1) * DAY}`));
+  assert.strictEqual(fresh.reset, false);
+  const stale = await getChangesSince('alice', parseCursor(`6.${NOW - (Tombstone.RETENTION_DAYS + 1) * DAY}`));
+  assert.strictEqual(stale.reset, true);
+  assert.deepStrictEqual(ids(stale.tasks), ['task-1', 'task-2']);
+});
+
+test('starts the cursor of a user who never wrote anything at 0', async () => {
+  const changes = await getChangesSince('carol', null);
+  assert.strictEqual(changes.cursor, `0.${NOW}`);
+  assert.deepStrictEqual([changes.tasks, changes.userProfile], [[], null]);
+});
@@ -0,0 +1,82 @@
+/**
+ * Every op of a bulk payload, or of a REST write, is scoped to the logged in user, see middlewares/checkOwnership.js.
+ * The models are replaced by a few documents of two users in memory.
+ * Run with `npm test`.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const Task = require('../database/models/tasks');
+const Project = require('../database/models/projects');
+const Status = require('../database/models/statuses');
+const UserProfile = require('../database/models/userProfiles');
+const { findRejectedOps } = require('../middlewares/checkOwnership');
+
+const DOCUMENTS = [
+  [Task, [{ id: 'task-a', userId: 'alice' }, { id: 'task-b', userId: 'bob' }]],
+  [Project, [{ id: 'project-a', userId: 'alice' }, { id: 'project-b', userId: 'bob' }]],
+  [Status, [{ id: 'status-a', userId: 'alice' }, { id: 'status-b', userId: 'bob' }]],
+  [UserProfile, [{ id: 'profile-a', userAuthId: 'alice' }, { id: 'profile-b', userAuthId: 'bob' }]],
+];
+
+test.beforeEach(({ mock }) => {
+  for (const [Model, docs] of DOCUMENTS) {
+    mock.method(Model, 'find', async ({ id, ...owner }) => docs.filter(doc =>
+      id.$in.includes(doc.id) && Object.entries(owner).every(([key, value]) => doc[key] === value)));
+  }
+});
+
+const reasons = async (ops) => (await findRejectedOps(ops, 'alice')).map(({ index, reason }) => [index, reason]);
+
+test('lets the user write their own items', async () => {
+  assert.deepStrictEqual(await reasons([
+    { type: 'task', operation: 'update', data: { id: 'task-a', updatedFields: { status: 'status-a', previousStatus: 'project-a-completed' } } },
+    { type: 'status', operation: 'add', data: { id: 'status-new', project: 'project-a' } },
+    { type: 'userProfile', operation: 'update', data: { id: 'profile-a', updatedFields: { lastProjectId: 'project-a' } } },
+    { type: 'project', operation: 'delete', data: { id: 'project-a' } },
+  ]), []);
+});
+
+test('rejects the items of another user as not found', async () => {
+  assert.deepStrictEqual(await reasons([
+    { type: 'task', operation: 'update', data: { id: 'task-b', updatedFields: { title: 'Mine now' } } },
+    { type: 'task', operation: 'delete', data: { id: 'task-b' } },
+    { type: 'userProfile', operation: 'update', data: { id: 'profile-b', updatedFields: { nickname: 'Bob?' } } },
+  ]), [[0, 'Item not found'], [1, 'Item not found'], [2, 'Item not found']]);
+});
+
+test('rejects references to the statuses and projects of another user', async () => {
+  assert.deepStrictEqual(await reasons([
+    { type: 'task', operation: 'update', data: { id: 'task-a', updatedFields: { status: 'status-b' } } },
+    { type: 'task', operation: 'update', data: { id: 'task-a', updatedFields: { status: 'project-b-deleted' } } },
+    { type: 'status', operation: 'add', data: { id: 'status-new', project: 'project-b' } },
+    { type: 'userProfile', operation: 'update', data: { id: 'profile-a', updatedFields: { lastProjectId: 'project-b' } } },
+  ]), [
+    [0, '`status` points to a status that was not found'],
+    [1, '`status` points to a status that was not found'],
+    [2, '`project` points to a project that was not found'],
+    [3, '`lastProjectId` points to a project that was not found'],
+  ]);
+});
+
+test('rejects adds with an id taken by anyone, and changes of the owner', async () => {
+  assert.deepStrictEqual(await reasons([
+    { type: 'task', operation: 'add', data: { id: 'task-b', status: 'status-a' } },
+    { type: 'task', operation: 'update', data: { id: 'task-a', updatedFields: { userId: 'bob' } } },
+    { type: 'userProfile', operation: 'add', data: { id: 'profile-new' } },
+  ]), [
+    [0, 'An item with this id already exists'],
+    [1, 'The id, owner, revision and change sequence of an item cannot be changed'],
+    [2, 'A user profile can only be updated'],
+  ]);
+});
+
+test('follows the ops in order: items added earlier may be used, deleted ones may not', async () => {
+  assert.deepStrictEqual(await reasons([
+    { type: 'project', operation: 'add', data: { id: 'project-new' } },
+    { type: 'status', operation: 'add', data: { id: 'status-new', project: 'project-new' } },
+    { type: 'task', operation: 'add', data: { id: 'task-new', status: 'status-new' } },
+    { type: 'task', operation: 'update', data: { id: 'task-new', updatedFields: { status: 'project-new-completed' } } },
+    { type: 'task', operation: 'delete', data: { id: 'task-a' } },
+    { type: 'task', operation: 'update', data: { id: 'task-a', updatedFields: { title: 'Gone' } } },
+  ]), [[5, 'Item not found']]);
+});
@@ -0,0 +1,90 @@
+/**
+ * The fractional ranks that order tasks, statuses and projects, see utils/rank.js (mirrored by web-client/src/utils/rank.ts).
+ * Run with `npm test`.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  DIGITS, MAX_RANK_LENGTH, isValidRank, rankBetween, evenlySpacedRanks, rankAtIndex, compareByRank, ranksFromLinks,
+} = require('../utils/rank');
+
+// a list sorted by rank, e.g. the tasks of a status
+const ranked = (ids, ranks) => ids.map((id, i) => ({ id, rank: ranks[i] }));
+
+test('finds a short rank strictly between two others', () => {
+  for (const [a, b] of [[null, null], [null, 'V'], ['V', null], ['V', 'W'], ['1', '11'], ['0z', '1'], ['zz', null], ['A', 'A1']]) {
+    const rank = rankBetween(a, b);
+    assert.ok(isValidRank(rank), `${rank} is a valid rank`);
+    assert.ok((a === null || a < rank) && (b === null || rank < b), `${a} < ${rank} < ${b}`);
+  }
+  assert.strictEqual(rankBetween(null, null), 'V');
+  assert.strictEqual(rankBetween('V', 'W'), 'VV');
+});
+
+test('rejects ranks that are invalid or out of order', () => {
+  assert.strictEqual(isValidRank('V0'), false);
+  assert.strictEqual(isValidRank(''), false);
+  assert.strictEqual(isValidRank('V-'), false);
+  assert.throws(() => rankBetween('W', 'V'), /is not before/);
+  assert.throws(() => rankBetween('V', 'V'), /is not before/);
+  assert.throws(() => rankBetween('V0', null), /Invalid rank/);
+});
+
+test('spaces the ranks of a whole list evenly, in order', () => {
+  for (const count of [1, 3, DIGITS.length - 1, DIGITS.length, 500]) {
+    const ranks = evenlySpacedRanks(count);
+    assert.strictEqual(ranks.length, count);
+    assert.ok(ranks.every(isValidRank));
+    assert.ok(ranks.every((rank, i) => i === 0 || ranks[i - 1] < rank), `${count} ranks are sorted`);
+  }
+  assert.deepStrictEqual(evenlySpacedRanks(3), ['F', 'U', 'j']);
+});
+
+test('places an item at the start, middle or end of a list without touching the others', () => {
+  const list = ranked(['a', 'b'], ['F', 'U']);
+  assert.deepStrictEqual(rankAtIndex(list, 0), { rank: '8', rebalanced: [] });
+  assert.deepStrictEqual(rankAtIndex(list, 1), { rank: 'N', rebalanced: [] });
+  assert.deepStrictEqual(rankAtIndex(list, 2), { rank: 'k', rebalanced: [] });
+  assert.deepStrictEqual(rankAtIndex([], 0), { rank: 'V', rebalanced: [] });
+});
+
+test('rebalances the list once the ranks get too long', () => {
+  // insert at the same place until a rank would exceed MAX_RANK_LENGTH
+  let list = ranked(['a', 'b'], ['V', 'W']);
+  let result;
+  for (let i = 0; ; i++) {
+    result = rankAtIndex(list, 1);
+    if (result.rebalanced.length > 0) break;
+    assert.ok(result.rank.length <= MAX_RANK_LENGTH);
+    list = [list[0], { id: `new-${i}`, rank: result.rank }, ...list.slice(1)];
+  }
+
+  // the placed item and the others get evenly spaced ranks, in the same order
+  const ranks = new Map(list.map(item => [item.id, item.rank]));
+  result.rebalanced.forEach(item => ranks.set(item.id, item.rank));
+  const order = [...list.slice(0, 1).map(item => item.id), 'placed', ...list.slice(1).map(item => item.id)];
+  ranks.set('placed', result.rank);
+  const newRanks = order.map(id => ranks.get(id));
+  assert.deepStrictEqual(newRanks, evenlySpacedRanks(order.length));
+  // only the items whose rank changed are returned
+  assert.ok(result.rebalanced.every(item => list.find(other => other.id === item.id).rank !== item.rank));
+});
+
+test('sorts by rank, then by id', () => {
+  const items = [{ id: 'c', rank: 'V' }, { id: 'b', rank: 'W' }, { id: 'a', rank: 'V' }];
+  assert.deepStrictEqual(items.sort(compareByRank).map(item => item.id), ['a', 'c', 'b']);
+});
+
+test('converts linked lists to ranks, keeping broken runs together', () => {
+  const ranks = ranksFromLinks([
+    { id: 'b', prev: 'a', next: 'c', createdAt: '2024-01-02' },
+    { id: 'a', prev: null, next: 'b', createdAt: '2024-01-01' },
+    { id: 'c', prev: 'b', next: null, createdAt: '2024-01-03' },
+    // a run whose head points to a deleted item, and an item left in a loop
+    { id: 'e', prev: 'gone', next: 'f', createdAt: '2024-01-04' },
+    { id: 'f', prev: 'e', next: null, createdAt: '2024-01-05' },
+    { id: 'g', prev: 'g', next: 'g', createdAt: '2024-01-06' },
+  ]);
+  const order = [...ranks].sort((x, y) => (x[1] < y[1] ? -1 : 1)).map(([id]) => id);
+  assert.deepStrictEqual(order, ['a', 'b', 'c', 'e', 'f', 'g']);
+});
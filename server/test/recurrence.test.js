@@ -0,0 +1,64 @@
+/**
+ * The next occurrence of a repeating task, see utils/recurrence.js (mirrored by web-client/src/utils/recurrence.ts):
+ * counted on the calendar of the user's time zone, at the time its clocks show.
+ * Run with `npm test`.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { isValidRecurrence, nextDueDate } = require('../utils/recurrence');
+
+// the date and time a clock of the time zone shows, e.g. '2026-10-25 09:00'
+const wallClock = (date, timeZone) => date.toLocaleString('sv-SE', { timeZone }).slice(0, 16);
+
+test('keeps the time of a timed task across a daylight saving change', () => {
+  // 09:00 in Berlin on Oct 24, the clocks go back on Oct 25
+  const next = nextDueDate('FREQ=DAILY', new Date('2026-10-24T07:00:00Z'), true, 'Europe/Berlin', new Date('2026-10-24T08:00:00Z'));
+  assert.strictEqual(wallClock(next, 'Europe/Berlin'), '2026-10-25 09:00');
+  assert.strictEqual(next.toISOString(), '2026-10-25T08:00:00.000Z');
+});
+
+test('counts weekdays on the calendar of the time zone', () => {
+  // Monday 08:00 in Tokyo is Sunday 23:00 UTC
+  const next = nextDueDate('FREQ=WEEKLY;BYDAY=MO', new Date('2026-10-18T23:00:00Z'), true, 'Asia/Tokyo', new Date('2026-10-19T00:00:00Z'));
+  assert.strictEqual(wallClock(next, 'Asia/Tokyo'), '2026-10-26 08:00');
+});
+
+test('repeats a timed monthly task on its day of the month in the time zone', () => {
+  // the 1st at 08:00 in Tokyo is the last day of the month before in UTC
+  const now = new Date('2026-09-01T00:00:00Z');
+  const dates = [];
+  let due = new Date('2026-09-30T23:00:00Z');
+  for (let i = 0; i < 3; i++) {
+    due = nextDueDate('FREQ=MONTHLY', due, true, 'Asia/Tokyo', now);
+    dates.push(wallClock(due, 'Asia/Tokyo'));
+  }
+  assert.deepStrictEqual(dates, ['2026-11-01 08:00', '2026-12-01 08:00', '2027-01-01 08:00']);
+});
+
+test('moves the 31st to the end of shorter months without drifting', () => {
+  const now = new Date('2026-01-01T00:00:00Z');
+  const dates = [];
+  let due = new Date('2026-01-31T00:00:00Z');
+  for (let i = 0; i < 3; i++) {
+    // a whole day: the rule is pinned to the day it was first due on, like completeTask does
+    due = nextDueDate('FREQ=MONTHLY;BYMONTHDAY=31', due, false, 'America/New_York', now);
+    dates.push(due.toISOString().slice(0, 10));
+  }
+  assert.deepStrictEqual(dates, ['2026-02-28', '2026-03-31', '2026-04-30']);
+});
+
+test('skips the occurrences already past', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+  const timed = nextDueDate('FREQ=DAILY', new Date('2026-10-01T09:00:00Z'), true, 'UTC', now);
+  assert.strictEqual(timed.toISOString(), '2026-10-20T09:00:00.000Z');
+  const wholeDay = nextDueDate('FREQ=DAILY', new Date('2026-10-01T00:00:00Z'), false, 'UTC', now);
+  assert.strictEqual(wholeDay.toISOString(), '2026-10-19T00:00:00.000Z');
+});
+
+test('ends after UNTIL, and rejects unsupported rules', () => {
+  const now = new Date('2026-10-01T00:00:00Z');
+  assert.strictEqual(nextDueDate('FREQ=WEEKLY;UNTIL=20261005', new Date('2026-10-01T00:00:00Z'), false, 'UTC', now), null);
+  assert.strictEqual(isValidRecurrence('FREQ=MONTHLY;BYMONTH=2'), false);
+  assert.strictEqual(isValidRecurrence('FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=29'), true);
+  assert.strictEqual(isValidRecurrence(null), true);
+});
@@ -0,0 +1,77 @@
+/**
+ * When a task is due and its reminders fire in the time zone of the user, see utils/reminders.js and utils/timeZone.js.
+ * Run with `npm test`.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { isValidReminders, dueTime, reminderTimes, describeReminder } = require('../utils/reminders');
+const { isWholeDay, isValidDueHasTime, zonedTimeToUtc } = require('../utils/timeZone');
+
+const wholeDay = (day) => ({ dueDate: new Date(`${day}T00:00:00Z`), dueHasTime: false });
+
+test('makes a whole day due at 9:00 in the time zone of the user, summer or winter', () => {
+  const cases = [
+    ['2026-07-15', 'Europe/Berlin', '2026-07-15T07:00:00.000Z'],
+    ['2026-12-15', 'Europe/Berlin', '2026-12-15T08:00:00.000Z'],
+    ['2026-12-15', 'America/New_York', '2026-12-15T14:00:00.000Z'],
+    ['2026-12-15', 'Asia/Tokyo', '2026-12-15T00:00:00.000Z'],
+    ['2026-12-15', 'Asia/Kolkata', '2026-12-15T03:30:00.000Z'],
+    ['2026-12-15', null, '2026-12-15T09:00:00.000Z'], // no time zone chosen
+  ];
+  for (const [day, timeZone, expected] of cases) {
+    assert.strictEqual(dueTime(wholeDay(day), timeZone).toISOString(), expected, `${day} in ${timeZone}`);
+  }
+});
+
+test('keeps the time of a task due at a time, whatever the time zone', () => {
+  const task = { dueDate: new Date('2026-10-19T16:45:00Z'), dueHasTime: true };
+  for (const timeZone of ['Europe/Berlin', 'Pacific/Auckland', null]) {
+    assert.strictEqual(dueTime(task, timeZone).toISOString(), '2026-10-19T16:45:00.000Z');
+  }
+});
+
+test('counts the reminders back from the due time', () => {
+  const task = { ...wholeDay('2026-10-20'), reminders: [0, 90, 24 * 60] };
+  assert.deepStrictEqual(reminderTimes(task, 'America/Los_Angeles').map(({ offset, remindAt }) => [offset, remindAt.toISOString()]), [
+    [0, '2026-10-20T16:00:00.000Z'],
+    [90, '2026-10-20T14:30:00.000Z'],
+    [1440, '2026-10-19T16:00:00.000Z'],
+  ]);
+  assert.deepStrictEqual(reminderTimes(wholeDay('2026-10-20'), 'UTC'), []);
+});
+
+test('reads tasks saved before `dueHasTime` as whole days when due at midnight UTC', () => {
+  assert.strictEqual(isWholeDay({ dueDate: new Date('2026-10-20T00:00:00Z') }), true);
+  assert.strictEqual(isWholeDay({ dueDate: '2026-10-20T09:00:00.000Z' }), false);
+  assert.strictEqual(isWholeDay({ dueDate: new Date('2026-10-20T00:00:00Z'), dueHasTime: true }), false); // midnight, on purpose
+  assert.strictEqual(dueTime({ dueDate: new Date('2026-10-20T00:00:00Z') }, 'Europe/Berlin').toISOString(), '2026-10-20T07:00:00.000Z');
+});
+
+test('accepts a whole day only at midnight UTC', () => {
+  assert.strictEqual(isValidDueHasTime(new Date('2026-10-20T00:00:00Z'), false), true);
+  assert.strictEqual(isValidDueHasTime(new Date('2026-10-20T22:00:00Z'), false), false);
+  assert.strictEqual(isValidDueHasTime(new Date('2026-10-20T22:00:00Z'), true), true);
+  assert.strictEqual(isValidDueHasTime(null, false), true);
+  assert.strictEqual(isValidDueHasTime(new Date('2026-10-20T00:00:00Z'), 'yes'), false);
+  assert.strictEqual(isValidDueHasTime(new Date('2026-10-20T22:00:00Z'), undefined), true);
+});
+
+test('finds the instant a clock of a time zone shows, on both sides of a daylight saving change', () => {
+  // the clocks of Berlin go back from 3:00 to 2:00 on Oct 25, 2026
+  assert.strictEqual(zonedTimeToUtc(2026, 9, 24, 9, 0, 'Europe/Berlin').toISOString(), '2026-10-24T07:00:00.000Z');
+  assert.strictEqual(zonedTimeToUtc(2026, 9, 25, 9, 0, 'Europe/Berlin').toISOString(), '2026-10-25T08:00:00.000Z');
+  // and the clocks of Sydney go forward on Oct 4, 2026
+  assert.strictEqual(zonedTimeToUtc(2026, 9, 3, 9, 0, 'Australia/Sydney').toISOString(), '2026-10-02T23:00:00.000Z');
+  assert.strictEqual(zonedTimeToUtc(2026, 9, 4, 9, 0, 'Australia/Sydney').toISOString(), '2026-10-03T22:00:00.000Z');
+});
+
+test('checks the reminders sent by a client, and describes them', () => {
+  assert.strictEqual(isValidReminders([0, 15, 1440]), true);
+  assert.strictEqual(isValidReminders([15, 15]), false);
+  assert.strictEqual(isValidReminders([-5]), false);
+  assert.strictEqual(isValidReminders([1.5]), false);
+  assert.strictEqual(isValidReminders([0, 1, 2, 3, 4, 5]), false);
+  assert.strictEqual(isValidReminders(null), false);
+  assert.deepStrictEqual([[0, true], [0, false], [1, false], [120, false], [2880, true]].map(([offset, day]) => describeReminder(offset, day)),
+    ['Due today', 'Due now', 'Due in 1 minute', 'Due in 2 hours', 'Due in 2 days']);
+});
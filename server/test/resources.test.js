@@ -0,0 +1,95 @@
+/**
+ * The checks of the REST API for tasks, statuses and projects, see services/resources.js.
+ * A rejected request is answered with a ResourceError before anything is read or written.
+ * A repeating task completed through the API gets its next occurrence, as in the web-client.
+ * Run with `npm test`.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { ResourceError, parseFields, nextOccurrence, createItem, moveTask, listTasks } = require('../services/resources');
+
+// checks that a call is rejected with a 400 and this message
+const rejects = (promise, message) => assert.rejects(promise, (error) => {
+  assert.ok(error instanceof ResourceError);
+  assert.deepStrictEqual([error.httpStatus, error.message], [400, message]);
+  return true;
+});
+
+test('parses the writable fields of each type', () => {
+  assert.deepStrictEqual(
+    parseFields('task', { title: 'Read', description: '', status: 'status-1', dueDate: '2026-10-19T00:00:00Z' }, ['title', 'status']),
+    { title: 'Read', description: '', status: 'status-1', dueDate: new Date('2026-10-19T00:00:00Z'), dueHasTime: false }
+  );
+  assert.deepStrictEqual(parseFields('task', { dueDate: null }, []), { dueDate: null, dueHasTime: false });
+  assert.deepStrictEqual(parseFields('status', { color: '#e8fdec' }, []), { color: '#e8fdec' });
+  assert.deepStrictEqual(parseFields('project', {}, []), {});
+});
+
+test('rejects unknown, read-only, missing and mistyped fields', () => {
+  const cases = [
+    ['task', { title: 'Read', rank: 'V' }, '`rank` cannot be written'],
+    ['task', { title: 'Read', userId: 'bob' }, '`userId` cannot be written'],
+    ['status', { title: 'Now', status: 'status-1' }, '`status` cannot be written'],
+    ['task', { title: '  ', status: 'status-1' }, '`title` must be a non-empty string'],
+    ['project', { title: 'Biology', description: 42 }, '`description` must be a string'],
+    ['task', { title: 'Read', dueDate: 'next week' }, '`dueDate` must be a date or null'],
+    ['task', { title: 'Read', dueDate: 1760000000000 }, '`dueDate` must be a date or null'],
+    ['task', { title: 'Read' }, '`status` is required'],
+    ['status', { project: 'project-1' }, '`title` is required'],
+  ];
+  for (const [type, fields, message] of cases) {
+    assert.throws(() => parseFields(type, fields, type === 'task' ? ['title', 'status'] : ['title']), { name: 'ResourceError', message });
+  }
+});
+
+test('rejects a body that is not an object, and positions that are not in a list', async () => {
+  await rejects(createItem('project', 'alice', ['Biology']), 'The body must be a JSON object');
+  await rejects(createItem('project', 'alice', null), 'The body must be a JSON object');
+  for (const index of [-1, 1.5, 'middle', '2']) {
+    await rejects(createItem('project', 'alice', { title: 'Biology', index }), '`index` must be a non-negative integer, "start" or "end"');
+  }
+});
+
+test('rejects moves that write other fields or an empty status', async () => {
+  await rejects(moveTask('alice', 'task-1', { status: 'status-1', title: 'Read' }), '`title` cannot be written when moving a task');
+  await rejects(moveTask('alice', 'task-1', { status: '' }), '`status` must be a non-empty string');
+});
+
+test('rejects filters that are sent twice or cannot be read', async () => {
+  await rejects(listTasks('alice', { status: ['status-1', 'status-2'] }), '`status` must be sent once');
+  await rejects(listTasks('alice', { dueBefore: 'soon' }), '`dueBefore` must be a date');
+});
+
+test('adds the next occurrence of a repeating task in its place, unchecked', () => {
+  const task = {
+    id: 'task-2', title: 'Water the plants', description: 'All of them', status: 'status-1', rank: 'V',
+    dueDate: new Date('2026-10-19T07:00:00Z'), dueHasTime: true, recurrence: 'FREQ=WEEKLY;BYDAY=MO', reminders: [30],
+    subtasks: [{ id: 'subtask-1', title: 'Balcony', done: true }], priority: 'high', tags: ['home'],
+  };
+  const list = [{ id: 'task-1', rank: 'F' }, { id: 'task-2', rank: 'V' }, { id: 'task-3', rank: 'k' }];
+  const [op, ...others] = nextOccurrence(task, list, 'Europe/Berlin', new Date('2026-10-19T10:00:00Z'));
+
+  assert.deepStrictEqual(others, []);
+  assert.strictEqual(op.operation, 'add');
+  const { id, subtasks: [subtask], ...data } = op.data;
+  assert.ok(id !== task.id && subtask.id !== 'subtask-1');
+  assert.deepStrictEqual(subtask, { id: subtask.id, title: 'Balcony', done: false });
+  assert.deepStrictEqual(data, {
+    title: 'Water the plants', description: 'All of them', priority: 'high', tags: ['home'], reminders: [30],
+    recurrence: 'FREQ=WEEKLY;BYDAY=MO', dueDate: new Date('2026-10-26T08:00:00Z'), dueHasTime: true, // 9:00 in Berlin, after the clocks went back
+    status: 'status-1', previousStatus: 'status-1', rank: 'V',
+  });
+});
+
+test('adds no occurrence once the repeat rule has ended', () => {
+  const task = { id: 'task-1', title: 'Exam prep', status: 'status-1', dueDate: new Date('2026-10-19T00:00:00Z'), dueHasTime: false, recurrence: 'FREQ=DAILY;UNTIL=20261019' };
+  assert.deepStrictEqual(nextOccurrence(task, [{ id: 'task-1', rank: 'V' }], 'UTC', new Date('2026-10-19T10:00:00Z')), []);
+  assert.deepStrictEqual(nextOccurrence({ ...task, recurrence: null }, [{ id: 'task-1', rank: 'V' }], 'UTC'), []);
+});
+
+test('counts a repeating task without a due date from today in the time zone of the user', () => {
+  const task = { id: 'task-1', title: 'Stretch', status: 'status-1', dueDate: null, recurrence: 'FREQ=DAILY' };
+  // already Oct 20 in Tokyo
+  const [op] = nextOccurrence(task, [{ id: 'task-1', rank: 'V' }], 'Asia/Tokyo', new Date('2026-10-19T20:00:00Z'));
+  assert.deepStrictEqual([op.data.dueDate, op.data.dueHasTime], [new Date('2026-10-21T00:00:00Z'), false]);
+});
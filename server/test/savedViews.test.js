@@ -0,0 +1,70 @@
+/**
+ * The saved views a client may write to the user profile, see utils/savedViews.js,
+ * and the answer to a bulk request with invalid views, see middlewares/validatePayload.js.
+ * Run with `npm test`.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { MAX_VIEWS, DUE_FILTERS, isValidSavedViews } = require('../utils/savedViews');
+const validateBulkPayloadStructure = require('../middlewares/validatePayload');
+
+const FILTER = { due: 'next7', priorities: ['high'], tags: ['exam'], projects: ['project-1'], text: 'chapter' };
+const view = (id, changes = {}, filterChanges = {}) => ({ id, name: `View ${id}`, filter: { ...FILTER, ...filterChanges }, ...changes });
+
+test('accepts views with every due filter, and empty lists that match every task', () => {
+  assert.ok(isValidSavedViews([]));
+  assert.ok(isValidSavedViews(DUE_FILTERS.map(due => view(`view-${due}`, {}, { due }))));
+  assert.ok(isValidSavedViews([view('a1', {}, { priorities: [], tags: [], projects: [], text: '' })]));
+  assert.ok(isValidSavedViews(Array.from({ length: MAX_VIEWS }, (_, i) => view(`view-${i}`))));
+});
+
+test('rejects more than MAX_VIEWS views, duplicate ids, and blank or long names', () => {
+  assert.ok(!isValidSavedViews(Array.from({ length: MAX_VIEWS + 1 }, (_, i) => view(`view-${i}`))));
+  assert.ok(!isValidSavedViews([view('a1'), view('a1')]));
+  assert.ok(!isValidSavedViews([view('')]));
+  assert.ok(!isValidSavedViews([view('a1', { name: '  ' })]));
+  assert.ok(!isValidSavedViews([view('a1', { name: 'x'.repeat(51) })]));
+  assert.ok(!isValidSavedViews([view('a1', { color: 'red' })]));
+  assert.ok(!isValidSavedViews({ a1: view('a1') }));
+  assert.ok(!isValidSavedViews(null));
+});
+
+test('rejects filters with unknown values, duplicates or keys', () => {
+  const filters = [
+    { due: 'tomorrow' },
+    { priorities: ['urgent'] },
+    { priorities: ['high', 'high'] },
+    { tags: ['exam', 'exam'] },
+    { tags: [' '] },
+    { tags: ['x'.repeat(51)] },
+    { tags: Array.from({ length: 21 }, (_, i) => `tag-${i}`) },
+    { projects: 'project-1' },
+    { text: 'x'.repeat(201) },
+    { text: null },
+    { sort: 'dueDate' },
+  ];
+  for (const filterChanges of filters) {
+    assert.ok(!isValidSavedViews([view('a1', {}, filterChanges)]), JSON.stringify(filterChanges));
+  }
+  const { tags, ...withoutTags } = FILTER;
+  assert.ok(!isValidSavedViews([view('a1', { filter: withoutTags })]));
+});
+
+test('answers 400 to a bulk request that writes invalid views to the profile', ({ mock }) => {
+  mock.method(console, 'error', () => {});
+  const run = (savedViews) => {
+    const outcome = {};
+    const res = {
+      status(code) { outcome.status = code; return res; },
+      json(body) { outcome.body = body; return res; },
+    };
+    const ops = [
+      { type: 'task', operation: 'update', data: { id: 'task-1', updatedFields: { title: 'Read' } } },
+      { type: 'userProfile', operation: 'update', data: { id: 'profile-1', updatedFields: { savedViews } } },
+    ];
+    validateBulkPayloadStructure({ body: { ops, backup: { statuses: {}, tasks: {}, projects: {}, userProfile: {} } } }, res, () => { outcome.next = true; });
+    return outcome;
+  };
+  assert.deepStrictEqual(run([view('a1')]), { next: true });
+  assert.deepStrictEqual(run([view('a1', {}, { due: 'someday' })]), { status: 400, body: { error: 'Invalid saved views at index 1' } });
+});
@@ -0,0 +1,96 @@
+/**
+ * Full-text search of the tasks of a user, see services/search.js.
+ * The models are replaced by a few tasks in memory; the fake text index matches whole words only.
+ * Run with `npm test`.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const Project = require('../database/models/projects');
+const Status = require('../database/models/statuses');
+const Task = require('../database/models/tasks');
+const { searchTerms, searchTasks } = require('../services/search');
+
+const LONG_DESCRIPTION = `${'Background reading. '.repeat(10)}The mitosis diagram is on page 40. ${'More notes. '.repeat(10)}`;
+
+const PROJECTS = [
+  { id: 'project-2', title: 'History', rank: 'k' },
+  { id: 'project-1', title: 'Biology', rank: 'F' },
+];
+const STATUSES = [
+  { id: 'status-1', title: 'Now', project: 'project-1' },
+  { id: 'status-2', title: 'Later', project: 'project-2' },
+];
+const TASKS = [
+  { id: 'task-1', title: 'Draw mitosis', status: 'status-1', dueDate: new Date('2026-10-20T00:00:00Z') },
+  { id: 'task-2', title: 'Essay', description: LONG_DESCRIPTION, status: 'project-1-completed' },
+  { id: 'task-3', title: 'Mitosis timeline', status: 'project-2-deleted', dueDate: new Date('2026-10-20T14:00:00Z') },
+  { id: 'task-4', title: 'Mitosis quiz', status: 'status-2', isPending: true }, // only suggested by the assistant
+  { id: 'task-5', title: 'Premitosis', status: 'status-gone' },
+  { id: 'task-6', title: 'Premitosis notes', status: 'status-2' },
+];
+
+const words = (text) => (text ?? '').toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? [];
+
+const query = (docs) => ({
+  sort: () => query(docs),
+  limit: (n) => query(docs.slice(0, n)),
+  lean: async () => docs.map(({ isPending, ...doc }) => doc),
+});
+
+test.beforeEach(({ mock }) => {
+  mock.method(Task, 'find', ({ isPending, id, $text, $or }) => query(TASKS.filter(task =>
+    task.isPending !== isPending.$ne &&
+    !(id?.$nin ?? []).includes(task.id) &&
+    ($text ? $text.$search.split(' ').some(term => [...words(task.title), ...words(task.description)].includes(term))
+      : $or.some(field => Object.entries(field).every(([key, pattern]) => pattern.test(task[key] ?? ''))))
+  )));
+  mock.method(Status, 'find', ({ id }) => query(STATUSES.filter(status => id.$in.includes(status.id))));
+  mock.method(Project, 'find', ({ id }) => query(PROJECTS.filter(project => id.$in.includes(project.id))));
+});
+
+test('splits a query into lower case words without duplicates', () => {
+  assert.deepStrictEqual(searchTerms('  Mitosis, MITOSIS and Zellteilung: 2. Übung!'), ['mitosis', 'and', 'zellteilung', '2', 'übung']);
+  assert.deepStrictEqual(searchTerms('?!'), []);
+});
+
+test('finds tasks of every project, completed and deleted ones included, grouped by project in list order', async () => {
+  const { terms, results } = await searchTasks('alice', { q: 'mitosis' });
+  assert.deepStrictEqual(terms, ['mitosis']);
+  assert.deepStrictEqual(results.map(({ project, tasks }) => [project.title, tasks.map(task => [task.title, task.statusTitle])]), [
+    ['Biology', [['Draw mitosis', 'Now'], ['Essay', 'Completed']]],
+    // whole words first, then tasks that only contain the query, without those of a status that no longer exists
+    ['History', [['Mitosis timeline', 'Deleted'], ['Premitosis notes', 'Later']]],
+  ]);
+  const [{ tasks: [drawing] }, { tasks: [timeline] }] = results;
+  assert.deepStrictEqual([drawing.dueHasTime, drawing.snippet], [false, '']);
+  assert.deepStrictEqual([timeline.dueHasTime, timeline.dueDate], [true, new Date('2026-10-20T14:00:00Z')]);
+});
+
+test('sends the part of a long description around the first match', async () => {
+  const { results: [{ tasks }] } = await searchTasks('alice', { q: 'diagram' });
+  const [essay] = tasks;
+  assert.ok(essay.snippet.startsWith('…') && essay.snippet.endsWith('…'));
+  assert.ok(essay.snippet.includes('The mitosis diagram is on page 40.'));
+  assert.ok(essay.snippet.length <= 122);
+});
+
+test('stops at the limit, and finds nothing without a match', async () => {
+  const { results } = await searchTasks('alice', { q: 'mitosis', limit: '2' });
+  assert.deepStrictEqual(results.flatMap(({ tasks }) => tasks.map(task => task.id)), ['task-1', 'task-2']);
+  assert.deepStrictEqual(await searchTasks('alice', { q: 'photosynthesis' }), { terms: ['photosynthesis'], results: [] });
+  // a query without words is only searched as a part of the titles and descriptions
+  assert.deepStrictEqual(await searchTasks('alice', { q: '??' }), { terms: [], results: [] });
+});
+
+test('rejects a missing or too long query and a limit out of range', async () => {
+  const cases = [
+    [{}, '`q` must be a non-empty string'],
+    [{ q: '  ' }, '`q` must be a non-empty string'],
+    [{ q: 'a'.repeat(201) }, '`q` must be at most 200 characters'],
+    [{ q: 'mitosis', limit: '0' }, '`limit` must be an integer from 1 to 100'],
+    [{ q: 'mitosis', limit: 'all' }, '`limit` must be an integer from 1 to 100'],
+  ];
+  for (const [params, message] of cases) {
+    await assert.rejects(searchTasks('alice', params), { name: 'ResourceError', httpStatus: 400, message });
+  }
+});
@@ -0,0 +1,52 @@
+/**
+ * A project exported as todo.txt, see services/projectExport.js, imports back as the same board,
+ * see services/boardImport.js. Titles may hold `@`, `+` and `key:value` words of their own.
+ * Run with `npm test`.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { toTodoTxt } = require('../services/projectExport');
+const { previewBoard } = require('../services/boardImport');
+
+const TITLES = [
+  'Read chapter 3',
+  'Call mom @home',
+  'Call mom @home +Biology',
+  'Revise for +Biology',
+  'Pay rent due:2024-02-01',
+  'Meet @Anna at 5 desc:later',
+];
+
+const roundTrip = (titles, { dueDate = null, dueHasTime = false, description = '' } = {}) => {
+  const project = { title: 'Biology' };
+  const status = { title: 'To do' };
+  const tasks = titles.map(title => ({
+    task: { title, description, dueDate, dueHasTime, createdAt: '2024-01-20T10:00:00Z', updatedAt: '2024-01-21T10:00:00Z' },
+    completed: false,
+  }));
+  return previewBoard({ content: toTodoTxt(project, [{ status, tasks }]), format: 'todotxt' });
+};
+
+test('keeps the @, + and key:value words of titles', () => {
+  const board = roundTrip(TITLES);
+  assert.strictEqual(board.title, 'Biology');
+  assert.deepStrictEqual(board.statuses.map(status => status.title), ['To do']);
+  assert.deepStrictEqual(board.tasks.map(task => task.title), TITLES);
+});
+
+test('keeps the status, due date and description next to such titles', () => {
+  const board = roundTrip(TITLES, { dueDate: new Date('2024-01-31T00:00:00Z'), description: 'Pages 10-20 @ home' });
+  assert.deepStrictEqual(board.tasks.map(task => task.title), TITLES);
+  for (const task of board.tasks) {
+    assert.strictEqual(board.statuses[task.status].title, 'To do');
+    assert.strictEqual(new Date(task.dueDate).toISOString(), '2024-01-31T00:00:00.000Z');
+    assert.strictEqual(task.dueHasTime, false);
+    assert.strictEqual(task.description, 'Pages 10-20 @ home');
+  }
+});
+
+test('keeps a due time at midnight UTC apart from a whole day', () => {
+  const board = roundTrip(['Hand in essay'], { dueDate: new Date('2024-01-31T00:00:00Z'), dueHasTime: true });
+  assert.strictEqual(new Date(board.tasks[0].dueDate).toISOString(), '2024-01-31T00:00:00.000Z');
+  assert.strictEqual(board.tasks[0].dueHasTime, true);
+});
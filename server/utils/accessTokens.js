@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const AccessToken = require('../database/models/accessTokens');
+const { hashToken } = require('./authTokens');
+
+// every token starts with this, so leaked tokens are easy to recognize, e.g. by secret scanners
+const TOKEN_PREFIX = 'rst_';
+
+// how much of the token is kept in clear, to tell the tokens apart in the settings
+const SHOWN_LENGTH = TOKEN_PREFIX.length + 6;
+
+// the last use is written at most this often per token, so busy scripts do not write on every request
+const LAST_USE_PRECISION = 60 * 1000; // 1 minute
+
+/**
+ * Creates a personal access token. Only the hash is stored, the token is shown to the user once.
+ * @param {string} userId - The owner of the token.
+ * @param {{ name: string, scope: 'read' | 'write', expiresAt: Date | null }} options - What the token is for,
+ *   what it may do, and when it stops working (null for never).
+ * @returns {Promise<{ token: string, accessToken: object }>} the token, and its details as listed in the settings.
+ */
+async function createAccessToken(userId, { name, scope, expiresAt }) {
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+  const created = await AccessToken.create({
+    id: crypto.randomUUID(),
+    userId,
+    name,
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, SHOWN_LENGTH),
+    scope,
+    expiresAt
+  });
+  return { token, accessToken: toPublicAccessToken(created) };
+}
+
+/**
+ * Gets the details of a token that may be sent to the client, without the hash.
+ * @param accessToken - The AccessToken document.
+ */
+function toPublicAccessToken(accessToken) {
+  const { id, name, prefix, scope, expiresAt, lastUsedAt, lastUsedIp, createdAt } = accessToken;
+  return { id, name, prefix, scope, expiresAt, lastUsedAt, lastUsedIp, createdAt };
+}
+
+/**
+ * Looks up the token sent in an `Authorization: Bearer` header.
+ * @param {string} token - The token received from the client.
+ * @returns {Promise<object | null>} the AccessToken document, or null if the token is unknown or expired.
+ */
+async function findAccessToken(token) {
+  if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) {
+    return null;
+  }
+  return AccessToken.findOne({
+    tokenHash: hashToken(token),
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  }).lean();
+}
+
+/**
+ * Remembers when and from where a token was last used, shown in the settings.
+ * @param accessToken - The AccessToken document, as returned by `findAccessToken`.
+ * @param {string} ip - The IP address of the request.
+ */
+async function recordAccessTokenUse(accessToken, ip) {
+  const now = new Date();
+  if (accessToken.lastUsedIp === ip && accessToken.lastUsedAt && now - accessToken.lastUsedAt < LAST_USE_PRECISION) {
+    return;
+  }
+  await AccessToken.updateOne({ id: accessToken.id }, { $set: { lastUsedAt: now, lastUsedIp: ip } });
+}
+
+module.exports = { createAccessToken, toPublicAccessToken, findAccessToken, recordAccessTokenUse };
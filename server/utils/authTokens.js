@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const AuthToken = require('../database/models/authTokens');
+
+const TOKEN_TTL = {
+  verifyEmail: 24 * 60 * 60 * 1000, // 24 hours
+  resetPassword: 60 * 60 * 1000, // 1 hour
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Creates a single-use token for a user. Only the hash is stored,
+ * and older unused tokens of the same purpose are dropped.
+ * @param {string} userId - The ID of the user.
+ * @param {'verifyEmail' | 'resetPassword'} purpose - What the token can be used for.
+ * @returns {Promise<string>} the token, to be sent to the user.
+ */
+async function createAuthToken(userId, purpose) {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await AuthToken.deleteMany({ userId, purpose, usedAt: null });
+  await AuthToken.create({
+    id: crypto.randomUUID(),
+    userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL[purpose])
+  });
+
+  return token;
+}
+
+/**
+ * Uses up a token. Marking it used is atomic, so a token works only once even under concurrent requests.
+ * @param {string} token - The token received from the user.
+ * @param {'verifyEmail' | 'resetPassword'} purpose - What the token is expected to be for.
+ * @returns {Promise<object | null>} the token document, or null if the token is unknown, expired or already used.
+ */
+async function consumeAuthToken(token, purpose) {
+  if (typeof token !== 'string' || token.length === 0) {
+    return null;
+  }
+  const now = new Date();
+  return AuthToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+}
+
+/**
+ * Looks a token up without using it, e.g. to validate a request before the token is consumed.
+ * @param {string} token - The token received from the user.
+ * @param {'verifyEmail' | 'resetPassword'} purpose - What the token is expected to be for.
+ * @returns {Promise<object | null>} the token document, or null if the token is unknown, expired or already used.
+ */
+async function findValidAuthToken(token, purpose) {
+  if (typeof token !== 'string' || token.length === 0) {
+    return null;
+  }
+  return AuthToken.findOne({ tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } });
+}
+
+module.exports = { hashToken, createAuthToken, consumeAuthToken, findValidAuthToken };
@@ -0,0 +1,16 @@
+/**
+ * Emails are stored lower case since signup lowercases them, and looked up as typed once normalized,
+ * an exact match that uses the unique index. Accounts created before kept the email as typed:
+ * run `npm run migrate-emails` once to lowercase them.
+ */
+
+/**
+ * Reads an email typed by the user: trimmed and lower case, '' if it is not a string.
+ * @param {unknown} email
+ * @returns {string}
+ */
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+module.exports = { normalizeEmail };
@@ -0,0 +1,71 @@
+const bcrypt = require('bcryptjs');
+
+const MIN_PASSWORD_LENGTH = 8;
+const SALT_ROUNDS = 12;
+
+/**
+ * Checks how strong a password is.
+ * Mirrors `checkPasswordStrength` in web-client/src/utils/password.ts, keep both in sync.
+ * @param {string} password - The password to be checked.
+ * @param {{ email?: string, phoneNumber?: string }} context - Account info the password must not repeat.
+ * @returns {{ score: number, isStrong: boolean, problems: string[] }} score is 0 (weak) to 4 (strong).
+ */
+function checkPasswordStrength(password, context = {}) {
+  const problems = [];
+  if (typeof password !== 'string' || password.length === 0) {
+    return { score: 0, isStrong: false, problems: ['Password is required'] };
+  }
+
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    problems.push(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+  }
+
+  // count the character classes used: lower case, upper case, digits and symbols
+  const classes = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/].filter(regex => regex.test(password)).length;
+  if (classes < 3) {
+    problems.push('Password must mix at least three of: lower case, upper case, digits and symbols');
+  }
+
+  const lowered = password.toLowerCase();
+  const emailName = context.email ? context.email.split('@')[0].toLowerCase() : '';
+  const phoneDigits = context.phoneNumber ? context.phoneNumber.replace(/\D/g, '') : '';
+  if ((emailName.length >= 3 && lowered.includes(emailName)) || (phoneDigits.length >= 4 && password.includes(phoneDigits))) {
+    problems.push('Password must not contain your email or phone number');
+  }
+
+  let score = Math.min(classes, 3) + (password.length >= 12 ? 1 : 0);
+  if (problems.length > 0) {
+    score = Math.min(score, 2);
+  }
+
+  return { score, isStrong: problems.length === 0, problems };
+}
+
+/**
+ * Hashes a password with a freshly generated bcrypt salt.
+ * @param {string} password - The plain text password.
+ * @returns {Promise<{ pwHash: string, salt: string }>} the hash and the salt used to build it.
+ */
+async function hashPassword(password) {
+  const salt = await bcrypt.genSalt(SALT_ROUNDS);
+  const pwHash = await bcrypt.hash(password, salt);
+  return { pwHash, salt };
+}
+
+/**
+ * Gets the next `pwVersion` of a user, e.g. 'v1' -> 'v2'.
+ * Tokens are signed with the version they were issued under, so changing it revokes them all.
+ * @param {string} pwVersion - The current version.
+ * @returns {string} the next version.
+ */
+function nextPwVersion(pwVersion) {
+  const match = /^v(\d+)$/.exec(pwVersion || '');
+  return match ? `v${Number(match[1]) + 1}` : 'v1';
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  checkPasswordStrength,
+  hashPassword,
+  nextPwVersion,
+};
@@ -0,0 +1,163 @@
+/**
+ * Fractional ranks order the tasks of a status, the statuses of a project, and the projects of a user.
+ * A rank is a string of base-62 digits read as a fraction (0.xxx), so comparing two ranks as plain strings
+ * gives their order, and there is always room for a new rank between two others.
+ * Moving an item only needs a new rank for that item, its neighbours are left alone.
+ *
+ * Mirrors web-client/src/utils/rank.ts, keep both in sync.
+ */
+
+// in ASCII order, so string comparison matches digit comparison
+const DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+// once a new rank gets longer than this, the whole list is given evenly spaced ranks again
+const MAX_RANK_LENGTH = 12;
+
+const RANK_REGEX = /^[0-9A-Za-z]*[1-9A-Za-z]$/;
+
+/**
+ * Checks that a rank only uses base-62 digits and has no trailing zero,
+ * so every position has exactly one rank.
+ * @param {unknown} rank - The rank to be checked.
+ * @returns {boolean}
+ */
+function isValidRank(rank) {
+  return typeof rank === 'string' && RANK_REGEX.test(rank);
+}
+
+/**
+ * Finds the shortest digits strictly between a and b, as fractions.
+ * @param {string} a - The lower bound, '' for 0.
+ * @param {string | null} b - The upper bound, null for 1.
+ */
+function midpoint(a, b) {
+  if (b !== null) {
+    // skip the common prefix, reading missing digits of a as 0
+    let n = 0;
+    while ((a[n] || '0') === b[n]) n++;
+    if (n > 0) {
+      return b.slice(0, n) + midpoint(a.slice(n), b.slice(n));
+    }
+  }
+
+  const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+  const digitB = b !== null ? DIGITS.indexOf(b[0]) : DIGITS.length;
+  if (digitB - digitA > 1) {
+    return DIGITS[Math.round((digitA + digitB) / 2)];
+  }
+  // the first digits are consecutive
+  if (b !== null && b.length > 1) {
+    return b.slice(0, 1);
+  }
+  return DIGITS[digitA] + midpoint(a.slice(1), null);
+}
+
+/**
+ * Gets a rank that sorts between two others.
+ * @param {string | null} a - The rank before, or null for the start of the list.
+ * @param {string | null} b - The rank after, or null for the end of the list.
+ * @returns {string} the new rank.
+ */
+function rankBetween(a, b) {
+  if (a !== null && !isValidRank(a)) throw new Error(`Invalid rank: ${a}`);
+  if (b !== null && !isValidRank(b)) throw new Error(`Invalid rank: ${b}`);
+  if (a !== null && b !== null && a >= b) throw new Error(`Rank ${a} is not before ${b}`);
+  return midpoint(a || '', b);
+}
+
+/**
+ * Gets evenly spaced ranks for a whole list, used for new lists and to rebalance ranks that got too long.
+ * @param {number} count - The number of items in the list.
+ * @returns {string[]} the ranks, in order.
+ */
+function evenlySpacedRanks(count) {
+  let length = 1;
+  while (DIGITS.length ** length <= count) length++;
+  const step = Math.floor(DIGITS.length ** length / (count + 1));
+
+  const ranks = [];
+  for (let i = 1; i <= count; i++) {
+    let value = i * step;
+    let rank = '';
+    for (let d = 0; d < length; d++) {
+      rank = DIGITS[value % DIGITS.length] + rank;
+      value = Math.floor(value / DIGITS.length);
+    }
+    ranks.push(rank.replace(/0+$/, ''));
+  }
+  return ranks;
+}
+
+/**
+ * Gets the rank for an item placed at an index of a sorted list.
+ * Usually only the placed item gets a new rank. If that rank would be longer than MAX_RANK_LENGTH,
+ * the whole list is rebalanced and the other items whose rank changes are returned as well.
+ * @param sortedWithoutItem - The list sorted by rank, without the item being placed. Each has `id` and `rank`.
+ * @param {number} index - Where the item goes, 0 for the start and sortedWithoutItem.length for the end.
+ * @returns {{ rank: string, rebalanced: { id: string, rank: string }[] }} the rank of the placed item,
+ *   and the other items that need a new rank.
+ */
+function rankAtIndex(sortedWithoutItem, index) {
+  const rank = rankBetween(sortedWithoutItem[index - 1]?.rank ?? null, sortedWithoutItem[index]?.rank ?? null);
+  if (rank.length <= MAX_RANK_LENGTH) {
+    return { rank, rebalanced: [] };
+  }
+
+  const ranks = evenlySpacedRanks(sortedWithoutItem.length + 1);
+  const otherRanks = ranks.filter((_, i) => i !== index);
+  const rebalanced = sortedWithoutItem
+    .map((item, i) => ({ id: item.id, rank: otherRanks[i] }))
+    .filter(({ rank }, i) => sortedWithoutItem[i].rank !== rank);
+  return { rank: ranks[index], rebalanced };
+}
+
+/**
+ * Compares two items by rank, then by id so items with the same rank still have a stable order.
+ */
+function compareByRank(a, b) {
+  if (a.rank !== b.rank) return a.rank < b.rank ? -1 : 1;
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+/**
+ * Converts a list ordered by the old `prev`/`next` pointers into ranks.
+ * Broken lists are tolerated: runs that are still linked stay together,
+ * and runs are placed by the creation time of their first item.
+ * @param items - All the items of one list. Each has `id`, `prev`, `next` and optionally `createdAt`.
+ * @returns {Map<string, string>} the rank of each item id.
+ */
+function ranksFromLinks(items) {
+  const byId = new Map(items.map(item => [item.id, item]));
+  const byCreation = [...items].sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
+  // real heads first, then the items whose `prev` is dangling, then everything else
+  const starts = [
+    ...byCreation.filter(item => !item.prev),
+    ...byCreation.filter(item => item.prev && !byId.has(item.prev)),
+    ...byCreation,
+  ];
+
+  const order = [];
+  const visited = new Set();
+  for (const start of starts) {
+    let current = start;
+    while (current && !visited.has(current.id)) {
+      visited.add(current.id);
+      order.push(current.id);
+      current = current.next ? byId.get(current.next) : null;
+    }
+  }
+
+  const ranks = evenlySpacedRanks(order.length);
+  return new Map(order.map((id, index) => [id, ranks[index]]));
+}
+
+module.exports = {
+  DIGITS,
+  MAX_RANK_LENGTH,
+  isValidRank,
+  rankBetween,
+  evenlySpacedRanks,
+  rankAtIndex,
+  compareByRank,
+  ranksFromLinks,
+};
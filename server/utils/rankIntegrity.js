@@ -0,0 +1,98 @@
+const Task = require('../database/models/tasks');
+const Status = require('../database/models/statuses');
+const Project = require('../database/models/projects');
+const { isValidRank, evenlySpacedRanks, compareByRank } = require('./rank');
+
+/**
+ * The types ordered by `rank`, and the field that splits each type into lists:
+ * tasks are ordered within their status, statuses within their project, projects within their user.
+ */
+const ORDERED_LISTS = {
+  task: { model: Task, groupBy: 'status' },
+  status: { model: Status, groupBy: 'project' },
+  project: { model: Project, groupBy: 'userId' },
+};
+
+/**
+ * Thrown when a bulk payload would leave a list without a clear order.
+ * The transaction is aborted, so none of the ops are kept.
+ */
+class RankIntegrityError extends Error {
+  constructor(problems) {
+    super('The operations would break the order of some items');
+    this.name = 'RankIntegrityError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Finds what is wrong with the order of one list: every item needs a valid rank, and no two items may share one.
+ * @param items - All the items of one list, e.g. the tasks of one status. Each has `id` and `rank`.
+ * @returns {{ id: string, problem: string }[]} the problems found, empty if the order is valid.
+ */
+function findRankProblems(items) {
+  const problems = [];
+  const seen = new Map();
+  for (const item of items) {
+    if (!isValidRank(item.rank)) {
+      problems.push({ id: item.id, problem: `invalid rank ${JSON.stringify(item.rank)}` });
+      continue;
+    }
+    if (seen.has(item.rank)) {
+      problems.push({ id: item.id, problem: `same rank as ${seen.get(item.rank)}` });
+    }
+    seen.set(item.rank, item.id);
+  }
+  return problems;
+}
+
+/**
+ * Gives every item of a list a fresh, evenly spaced rank, keeping the current order.
+ * Items without a valid rank go last, by creation time.
+ * @param items - All the items of one list.
+ * @returns {{ id: string, rank: string }[]} the rank changes needed, only for items that change.
+ */
+function repairRanks(items) {
+  const ranked = items.filter(item => isValidRank(item.rank)).sort(compareByRank);
+  const unranked = items.filter(item => !isValidRank(item.rank))
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  const order = [...ranked, ...unranked];
+
+  const ranks = evenlySpacedRanks(order.length);
+  return order
+    .map((item, index) => ({ id: item.id, rank: ranks[index] }))
+    .filter((change, index) => order[index].rank !== change.rank);
+}
+
+/**
+ * Loads lists of a user and checks their order.
+ * @param {string} userId - The owner of the lists.
+ * @param {{ task?: Iterable<string>, status?: Iterable<string>, project?: Iterable<string> }} groups -
+ *   Per type, the lists to check, e.g. `{ task: [statusId] }`. A type left out is not checked.
+ * @param {import('mongoose').ClientSession} [session] - The session to read with, so uncommitted writes are seen.
+ * @returns {Promise<{ type: string, group: string, id: string, problem: string }[]>} the problems found.
+ */
+async function verifyRanks(userId, groups, session) {
+  const problems = [];
+  for (const [type, { model, groupBy }] of Object.entries(ORDERED_LISTS)) {
+    const groupIds = [...(groups[type] || [])];
+    if (groupIds.length === 0) continue;
+
+    const items = await model.find({ userId, [groupBy]: { $in: groupIds } }, { id: 1, rank: 1, [groupBy]: 1 })
+      .session(session || null)
+      .lean();
+    for (const group of groupIds) {
+      findRankProblems(items.filter(item => item[groupBy] === group))
+        .forEach(problem => problems.push({ type, group, ...problem }));
+    }
+  }
+  return problems;
+}
+
+module.exports = {
+  ORDERED_LISTS,
+  RankIntegrityError,
+  findRankProblems,
+  repairRanks,
+  verifyRanks,
+};
@@ -0,0 +1,221 @@
+/**
+ * The repeat rule of a task: a subset of the RRULE of iCalendar (RFC 5545, 3.3.10), without the `RRULE:` prefix,
+ * e.g. `FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH`. Keep in sync with web-client/src/utils/recurrence.ts.
+ * When a repeating task is completed, its next occurrence is added with the due date computed by `nextDueDate`,
+ * by the web-client or by services/resources.js for the REST API.
+ *
+ * Supported parts:
+ * - FREQ (required): DAILY, WEEKLY, MONTHLY or YEARLY
+ * - INTERVAL: every how many days, weeks, months or years, 1 by default
+ * - BYDAY: the days of the week of a weekly rule, e.g. MO,WE,FR
+ * - BYMONTHDAY: the day of the month of a monthly or yearly rule, 1 to 31, or -1 for the last day
+ * - BYMONTH: the month of a yearly rule, 1 to 12
+ * - UNTIL: the last day an occurrence may be due, e.g. 20241231
+ *
+ * A day missing from a month, like the 31st or Feb 29, falls on the last day of the month.
+ * Occurrences are counted on the calendar of the time zone of the user, and a task due at a time keeps the time
+ * its clocks show, e.g. 9:00 in Berlin in summer and in winter.
+ */
+const { zonedParts, zonedTimeToUtc } = require('./timeZone');
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']; // in the order of Date.getUTCDay()
+const MAX_INTERVAL = 1000;
+const MAX_LENGTH = 200;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Reads a repeat rule.
+ * @param {string} rule - e.g. `FREQ=MONTHLY;BYMONTHDAY=-1`.
+ * @returns {{ freq: string, interval: number, byDay?: string[], byMonthDay?: number, byMonth?: number, until?: string } | null}
+ *   the parts of the rule, or null if it is not a supported rule.
+ */
+function parseRecurrence(rule) {
+  if (typeof rule !== 'string' || !rule || rule.length > MAX_LENGTH) {
+    return null;
+  }
+  const parts = new Map();
+  for (const part of rule.split(';')) {
+    const [key, value, ...rest] = part.split('=');
+    if (!value || rest.length || parts.has(key)) {
+      return null;
+    }
+    parts.set(key, value);
+  }
+
+  const parsed = { freq: parts.get('FREQ'), interval: 1 };
+  if (!FREQUENCIES.includes(parsed.freq)) {
+    return null;
+  }
+  for (const [key, value] of parts) {
+    switch (key) {
+      case 'FREQ':
+        break;
+      case 'INTERVAL':
+        parsed.interval = Number(value);
+        if (!/^\d+$/.test(value) || parsed.interval < 1 || parsed.interval > MAX_INTERVAL) return null;
+        break;
+      case 'BYDAY':
+        parsed.byDay = value.split(',');
+        if (parsed.freq !== 'WEEKLY' || !parsed.byDay.every(day => WEEKDAYS.includes(day))) return null;
+        break;
+      case 'BYMONTHDAY':
+        parsed.byMonthDay = Number(value);
+        if ((parsed.freq !== 'MONTHLY' && parsed.freq !== 'YEARLY') || !/^-?\d+$/.test(value) || !(parsed.byMonthDay === -1 || (parsed.byMonthDay >= 1 && parsed.byMonthDay <= 31))) return null;
+        break;
+      case 'BYMONTH':
+        parsed.byMonth = Number(value);
+        if (parsed.freq !== 'YEARLY' || !/^\d+$/.test(value) || parsed.byMonth < 1 || parsed.byMonth > 12) return null;
+        break;
+      case 'UNTIL':
+        parsed.until = value;
+        if (!/^\d{8}$/.test(value)) return null;
+        break;
+      default:
+        return null; // COUNT, BYSETPOS and the others are not supported
+    }
+  }
+  return parsed;
+}
+
+/**
+ * Checks a repeat rule sent by a client: a supported rule, or null for a task that does not repeat.
+ */
+function isValidRecurrence(rule) {
+  return rule === null || parseRecurrence(rule) !== null;
+}
+
+/**
+ * Gets today in a time zone as a whole day is stored: midnight UTC of the day its clocks show, see utils/timeZone.js.
+ * @param {string} timeZone
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+function today(timeZone, now = new Date()) {
+  const { year, month, day } = zonedParts(now, timeZone);
+  return new Date(Date.UTC(year, month, day));
+}
+
+/**
+ * Gets the day of a due date, as midnight UTC: a whole day as it is stored, a time on the day the clocks of
+ * the time zone show then, e.g. 8:00 on Monday in Tokyo is stored as 23:00 UTC on Sunday but falls on Monday.
+ * @param {Date} dueDate
+ * @param {boolean} hasTime - Whether the due date has a time, see `isWholeDay` in utils/timeZone.js.
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+function dueDay(dueDate, hasTime, timeZone) {
+  if (!hasTime) {
+    return new Date(dueDate);
+  }
+  const { year, month, day } = zonedParts(new Date(dueDate), timeZone);
+  return new Date(Date.UTC(year, month, day));
+}
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// the Monday of the week of a date, at midnight UTC
+const weekStart = (date) => Math.floor(date.getTime() / DAY) * DAY - ((date.getUTCDay() + 6) % 7) * DAY;
+
+/**
+ * Finds the first day of an occurrence strictly after a day, both as midnight UTC, see `dueDay`.
+ * Monthly and yearly rules without BYMONTHDAY (and BYMONTH) repeat on the day of the date, see `anchorRecurrence`.
+ */
+function nextOccurrence(recurrence, date) {
+  const { freq, interval, byDay, byMonthDay, byMonth } = recurrence;
+  const [year, month, day] = [date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()];
+
+  switch (freq) {
+    case 'DAILY':
+      return new Date(date.getTime() + interval * DAY);
+    case 'WEEKLY': {
+      if (!byDay?.length) {
+        return new Date(date.getTime() + 7 * interval * DAY);
+      }
+      // the listed days of every `interval`-th week, counted from the week of the date
+      for (let candidate = new Date(date.getTime() + DAY); ; candidate = new Date(candidate.getTime() + DAY)) {
+        const weeks = Math.round((weekStart(candidate) - weekStart(date)) / (7 * DAY));
+        if (weeks % interval === 0 && byDay.includes(WEEKDAYS[candidate.getUTCDay()])) {
+          return candidate;
+        }
+      }
+    }
+    case 'MONTHLY':
+    case 'YEARLY': {
+      // a day missing from a month, like the 31st, falls on its last day
+      const dayIn = (y, m) => {
+        const last = daysInMonth(y, m);
+        return byMonthDay === -1 ? last : Math.min(byMonthDay ?? day, last);
+      };
+      const [months, firstMonth] = freq === 'MONTHLY' ? [interval, month] : [12 * interval, byMonth ? byMonth - 1 : month];
+      for (let k = 0; ; k += months) {
+        const candidate = new Date(Date.UTC(year, firstMonth + k, dayIn(year, firstMonth + k)));
+        if (candidate > date) {
+          return candidate;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Pins a monthly or yearly rule to the day of a due date, see `dueDay`, e.g. `FREQ=MONTHLY` due Jan 31 becomes
+ * `FREQ=MONTHLY;BYMONTHDAY=31`, and `FREQ=YEARLY` due Feb 29 `FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=29`.
+ * Otherwise the next occurrences, computed from the last one, would stay on the day a shorter month cut it to.
+ * @param {string} rule
+ * @param {Date} day - The due day, as midnight UTC.
+ * @returns {string | null} the rule, as is if it already names its day or repeats daily or weekly; null if it is not a supported rule.
+ */
+function anchorRecurrence(rule, day) {
+  const recurrence = parseRecurrence(rule);
+  if (!recurrence) {
+    return null;
+  }
+  let anchored = rule;
+  if (recurrence.freq === 'YEARLY' && !recurrence.byMonth) {
+    anchored += `;BYMONTH=${day.getUTCMonth() + 1}`;
+  }
+  if ((recurrence.freq === 'MONTHLY' || recurrence.freq === 'YEARLY') && !recurrence.byMonthDay) {
+    anchored += `;BYMONTHDAY=${day.getUTCDate()}`;
+  }
+  return anchored;
+}
+
+/**
+ * Computes the due date of the next occurrence of a repeating task: the first occurrence after its due date
+ * that is not in the past, so a task completed late is not followed by overdue copies.
+ * @param {string} rule - The repeat rule of the task, pin it with `anchorRecurrence` for the next occurrence.
+ * @param {Date | null} dueDate - The due date of the completed occurrence, today if it had none.
+ * @param {boolean} hasTime - Whether the due date has a time: then an occurrence is past once its time is, else once its day is.
+ * @param {string} timeZone - The time zone of the user, the occurrences fall on its days and times.
+ * @param {Date} [now] - The current time.
+ * @returns {Date | null} the next due date, or null if the rule is invalid or ended (UNTIL).
+ */
+function nextDueDate(rule, dueDate, hasTime, timeZone, now = new Date()) {
+  const start = dueDate ? dueDay(dueDate, hasTime, timeZone) : today(timeZone, now);
+  const recurrence = parseRecurrence(anchorRecurrence(rule, start));
+  if (!recurrence) {
+    return null;
+  }
+  // a time stays the one the clocks show, whatever daylight saving time does
+  const time = dueDate && hasTime ? zonedParts(new Date(dueDate), timeZone) : null;
+  const dueAt = (day) => (time
+    ? zonedTimeToUtc(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), time.hour, time.minute, timeZone)
+    : day);
+  const past = time ? now : today(timeZone, now); // occurrences before it are skipped
+  let next = nextOccurrence(recurrence, start);
+  while (dueAt(next) < past) {
+    next = nextOccurrence(recurrence, next);
+  }
+
+  if (recurrence.until) {
+    const [year, month, day] = [recurrence.until.slice(0, 4), recurrence.until.slice(4, 6), recurrence.until.slice(6)].map(Number);
+    if (next.getTime() >= Date.UTC(year, month - 1, day + 1)) {
+      return null;
+    }
+  }
+  return dueAt(next);
+}
+
+module.exports = { parseRecurrence, isValidRecurrence, today, dueDay, anchorRecurrence, nextDueDate };
@@ -0,0 +1,68 @@
+/**
+ * The reminders of a task: how many minutes before its due time the user is reminded, e.g. `[0, 60]`
+ * for when it is due and an hour before. Keep in sync with web-client/src/utils/reminders.ts.
+ *
+ * A task due at a time is due then. A task due on a whole day, see utils/timeZone.js, is due at DAY_DUE_HOUR
+ * that day in the time zone of the user, or in UTC if the user has not chosen one.
+ * Reminders are sent by services/reminderScheduler.js.
+ */
+const { isWholeDay, zonedTimeToUtc } = require('./timeZone');
+
+const MAX_REMINDERS = 5;
+const MAX_OFFSET = 4 * 7 * 24 * 60; // 4 weeks, in minutes
+const DAY_DUE_HOUR = 9;
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Checks the reminders of a task sent by a client: at most MAX_REMINDERS distinct whole numbers of minutes,
+ * from 0 to MAX_OFFSET.
+ */
+function isValidReminders(reminders) {
+  return Array.isArray(reminders) &&
+    reminders.length <= MAX_REMINDERS &&
+    reminders.every(offset => Number.isInteger(offset) && offset >= 0 && offset <= MAX_OFFSET) &&
+    new Set(reminders).size === reminders.length;
+}
+
+/**
+ * Gets the time a task is due, the reminders are counted back from it.
+ * @param {{ dueDate: Date, dueHasTime?: boolean }} task - The task, with a due date.
+ * @param {string | null} timeZone - The time zone of the user.
+ * @returns {Date}
+ */
+function dueTime(task, timeZone) {
+  const { dueDate } = task;
+  if (!isWholeDay(task)) {
+    return dueDate;
+  }
+  return zonedTimeToUtc(dueDate.getUTCFullYear(), dueDate.getUTCMonth(), dueDate.getUTCDate(), DAY_DUE_HOUR, 0, timeZone || 'UTC');
+}
+
+/**
+ * Gets when the reminders of a task are due.
+ * @param task - The task, with a due date.
+ * @param {string | null} timeZone - The time zone of the user.
+ * @returns {{ offset: number, remindAt: Date }[]}
+ */
+function reminderTimes(task, timeZone) {
+  const due = dueTime(task, timeZone);
+  return (task.reminders ?? []).map(offset => ({ offset, remindAt: new Date(due.getTime() - offset * MINUTE) }));
+}
+
+/**
+ * Describes a reminder for its notification, e.g. "Due in 15 minutes".
+ * @param {number} offset - The minutes before the due time.
+ * @param {boolean} wholeDay - Whether the task is due on a day rather than at a time.
+ */
+function describeReminder(offset, wholeDay) {
+  if (offset === 0) {
+    return wholeDay ? 'Due today' : 'Due now';
+  }
+  const [amount, unit] = offset % (24 * 60) === 0 ? [offset / (24 * 60), 'day']
+    : offset % 60 === 0 ? [offset / 60, 'hour']
+    : [offset, 'minute'];
+  return `Due in ${amount} ${unit}${amount === 1 ? '' : 's'}`;
+}
+
+module.exports = { MAX_REMINDERS, MAX_OFFSET, DAY_DUE_HOUR, isValidReminders, dueTime, reminderTimes, describeReminder };
@@ -0,0 +1,34 @@
+const { ResourceError } = require('../services/resources');
+const { BulkOperationError, RankIntegrityError, RevisionConflictError } = require('../services/bulkOperations');
+
+/**
+ * Wraps the async handler of a REST route, and answers the errors of services/resources.js
+ * with the same status codes as POST /api/bulk.
+ * @param handler - `async (req, res) => {}`, sends the response on success.
+ */
+function resourceRoute(handler) {
+  return async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      if (error instanceof ResourceError || error instanceof BulkOperationError) {
+        return res.status(error.httpStatus).json({ error: error.message });
+      }
+      if (error instanceof RevisionConflictError) {
+        console.error(`${req.method} ${req.originalUrl} rejected, ${error.conflicts.length} stale revisions`);
+        return res.status(409).json({ error: error.message, conflicts: error.conflicts }); // 409 = conflict
+      }
+      if (error instanceof RankIntegrityError) {
+        console.error(`${req.method} ${req.originalUrl} rolled back, broken order:`, error.problems);
+        return res.status(422).json({ error: error.message, problems: error.problems }); // 422 = unprocessable
+      }
+      if (error.name === 'ValidationError' || error.name === 'StrictModeError' || error.name === 'CastError' || error.code === 11000) {
+        return res.status(400).json({ error: error.message }); // 400 = bad request
+      }
+      console.error(`Error handling ${req.method} ${req.originalUrl}:`, error);
+      return res.status(500).json({ error: 'Internal Server Error' }); // 500 = internal server error
+    }
+  };
+}
+
+module.exports = resourceRoute;
@@ -0,0 +1,68 @@
+/**
+ * The saved views of a user: named filters of the open tasks of every project, shown in the Menubar of the web-client
+ * with the built-in views (Today, Overdue, Next 7 days and No due date), e.g.
+ * `{ id: 'a1', name: 'Exams this week', filter: { due: 'next7', priorities: ['high'], tags: ['exam'], projects: [], text: '' } }`.
+ * An empty list in a filter matches every task. Views are kept in the user profile and written as a whole.
+ * Keep in sync with web-client/src/utils/views.ts, which applies the filters.
+ */
+const { PRIORITIES } = require('./taskDetails');
+
+const MAX_VIEWS = 20;
+const MAX_NAME_LENGTH = 50;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+const MAX_PROJECTS = 100;
+const MAX_TEXT_LENGTH = 200;
+
+// when the tasks are due: any time, today, before today, from today to 7 days from now, or without a due date
+const DUE_FILTERS = ['any', 'today', 'overdue', 'next7', 'none'];
+
+const VIEW_KEYS = ['id', 'name', 'filter'];
+const FILTER_KEYS = ['due', 'priorities', 'tags', 'projects', 'text'];
+
+const isStringList = (list, max, maxLength) => Array.isArray(list) && list.length <= max &&
+  list.every(item => typeof item === 'string' && item.trim() && item.length <= maxLength) &&
+  new Set(list).size === list.length;
+
+const hasOnlyKeys = (object, keys) => typeof object === 'object' && object !== null && !Array.isArray(object) &&
+  Object.keys(object).every(key => keys.includes(key));
+
+/**
+ * Checks the filter of a saved view: every key of FILTER_KEYS, and nothing else.
+ * @returns {boolean}
+ */
+function isValidViewFilter(filter) {
+  return hasOnlyKeys(filter, FILTER_KEYS) &&
+    DUE_FILTERS.includes(filter.due) &&
+    Array.isArray(filter.priorities) && filter.priorities.every(priority => PRIORITIES.includes(priority)) &&
+    new Set(filter.priorities).size === filter.priorities.length &&
+    isStringList(filter.tags, MAX_TAGS, MAX_TAG_LENGTH) &&
+    isStringList(filter.projects, MAX_PROJECTS, Infinity) &&
+    typeof filter.text === 'string' && filter.text.length <= MAX_TEXT_LENGTH;
+}
+
+/**
+ * Checks the saved views sent by a client: at most MAX_VIEWS views with a unique non-empty `id`,
+ * a non-empty `name` and a valid `filter`, and nothing else.
+ * @returns {boolean}
+ */
+function isValidSavedViews(views) {
+  if (!Array.isArray(views) || views.length > MAX_VIEWS) {
+    return false;
+  }
+  const ids = new Set();
+  for (const view of views) {
+    if (
+      !hasOnlyKeys(view, VIEW_KEYS) ||
+      typeof view.id !== 'string' || !view.id || ids.has(view.id) ||
+      typeof view.name !== 'string' || !view.name.trim() || view.name.length > MAX_NAME_LENGTH ||
+      !isValidViewFilter(view.filter)
+    ) {
+      return false;
+    }
+    ids.add(view.id);
+  }
+  return true;
+}
+
+module.exports = { MAX_VIEWS, DUE_FILTERS, isValidSavedViews };
@@ -0,0 +1,38 @@
+/**
+ * The checklist of a task: its sub-items in list order, e.g. `[{ id: 'a1', title: 'Read chapter 3', done: true }]`.
+ * A sub-item has a title only, no due date or status of its own (docs/features.md). The whole list is written at once,
+ * see the checklist of web-client/src/components/Task.tsx.
+ */
+
+const MAX_SUBTASKS = 100;
+const MAX_TITLE_LENGTH = 500;
+
+const SUBTASK_KEYS = ['id', 'title', 'done'];
+
+/**
+ * Checks the checklist of a task sent by a client: an array of sub-items with a unique non-empty `id`,
+ * a non-empty `title` and a boolean `done`, and nothing else.
+ * @param subtasks - The checklist.
+ * @returns {boolean}
+ */
+function isValidSubtasks(subtasks) {
+  if (!Array.isArray(subtasks) || subtasks.length > MAX_SUBTASKS) {
+    return false;
+  }
+  const ids = new Set();
+  for (const subtask of subtasks) {
+    if (
+      typeof subtask !== 'object' || subtask === null ||
+      Object.keys(subtask).some(key => !SUBTASK_KEYS.includes(key)) ||
+      typeof subtask.id !== 'string' || !subtask.id || ids.has(subtask.id) ||
+      typeof subtask.title !== 'string' || !subtask.title.trim() || subtask.title.length > MAX_TITLE_LENGTH ||
+      typeof subtask.done !== 'boolean'
+    ) {
+      return false;
+    }
+    ids.add(subtask.id);
+  }
+  return true;
+}
+
+module.exports = { MAX_SUBTASKS, isValidSubtasks };
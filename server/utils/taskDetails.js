@@ -0,0 +1,60 @@
+/**
+ * The details of a task that help to plan it: its priority, tags, category and estimated duration.
+ * The AI assistant fills them in for the tasks it generates, see ai-service/routes/taskGenerator.js,
+ * and the user edits them on the task card, see web-client/src/components/Task.tsx.
+ *
+ * - priority: 'low', 'medium' or 'high', or null for none (the levels of PRIORITY_CRITERIA in ai-service/config/prompts.js)
+ * - tags: distinct labels, e.g. ['frontend', 'exam']
+ * - category: a free label, e.g. 'research', the AI picks one of TASK_CATEGORIES in ai-service/config/prompts.js
+ * - estimatedDuration: the time the task should take, in minutes
+ */
+
+const PRIORITIES = ['low', 'medium', 'high'];
+const MAX_TAGS = 20;
+const MAX_LABEL_LENGTH = 50; // of a tag or a category
+const MAX_ESTIMATE = 1000 * 60; // 1000 hours, in minutes
+
+/**
+ * Checks a label: a trimmed non-empty string of at most MAX_LABEL_LENGTH characters.
+ */
+function isLabel(value) {
+  return typeof value === 'string' && value !== '' && value === value.trim() && value.length <= MAX_LABEL_LENGTH;
+}
+
+function isValidTags(tags) {
+  if (!Array.isArray(tags) || tags.length > MAX_TAGS || !tags.every(isLabel)) {
+    return false;
+  }
+  return new Set(tags.map(tag => tag.toLowerCase())).size === tags.length; // 'Exam' and 'exam' are the same tag
+}
+
+// the check of each detail, and what is expected, for the error messages
+const TASK_DETAILS = {
+  priority: {
+    isValid: value => value === null || PRIORITIES.includes(value),
+    expected: `one of ${PRIORITIES.map(p => `"${p}"`).join(', ')}, or null`,
+  },
+  tags: {
+    isValid: isValidTags,
+    expected: `an array of at most ${MAX_TAGS} distinct non-empty tags of at most ${MAX_LABEL_LENGTH} characters, without surrounding spaces`,
+  },
+  category: {
+    isValid: value => value === null || isLabel(value),
+    expected: `a non-empty string of at most ${MAX_LABEL_LENGTH} characters, without surrounding spaces, or null`,
+  },
+  estimatedDuration: {
+    isValid: value => value === null || (Number.isInteger(value) && value > 0 && value <= MAX_ESTIMATE),
+    expected: `a whole number of minutes from 1 to ${MAX_ESTIMATE}, or null`,
+  },
+};
+
+/**
+ * Finds the first detail of a task that is sent with an invalid value.
+ * @param fields - The fields of a task sent by a client, the details not sent are not checked.
+ * @returns {string | null} the name of the invalid detail, or null if they are all valid.
+ */
+function findInvalidTaskDetail(fields) {
+  return Object.keys(TASK_DETAILS).find(key => fields[key] !== undefined && !TASK_DETAILS[key].isValid(fields[key])) ?? null;
+}
+
+module.exports = { PRIORITIES, TASK_DETAILS, findInvalidTaskDetail };
@@ -0,0 +1,105 @@
+/**
+ * Time zones are IANA names, e.g. `Europe/Berlin`, as kept in the `timeZone` of the user profile.
+ * Keep in sync with web-client/src/utils/timeZone.ts, which shows due dates in the time zone of the user.
+ *
+ * A due date is stored in UTC with `dueHasTime`, whether the task is due at that time or on a whole day.
+ * A whole day is stored as midnight UTC, the day of the date, whatever the time zone.
+ */
+
+const MAX_LENGTH = 100;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Checks a time zone sent by a client: a name known to this server, or null for the time zone of the browser.
+ */
+function isValidTimeZone(timeZone) {
+  if (timeZone === null) {
+    return true;
+  }
+  if (typeof timeZone !== 'string' || !timeZone || timeZone.length > MAX_LENGTH) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Checks whether a date is midnight UTC, as a whole day is stored.
+ * @param {Date | string} date
+ */
+function isMidnightUtc(date) {
+  return new Date(date).getTime() % DAY === 0;
+}
+
+/**
+ * Checks whether a task is due on a whole day rather than at a time.
+ * Tasks saved before `dueHasTime` existed have none: the web-client stored their days as midnight UTC.
+ * @param {{ dueDate: Date | string, dueHasTime?: boolean }} task - A task with a due date.
+ */
+function isWholeDay({ dueDate, dueHasTime }) {
+  return typeof dueHasTime === 'boolean' ? !dueHasTime : isMidnightUtc(dueDate);
+}
+
+/**
+ * Checks the `dueHasTime` of a task sent by a client: true or false, and false only with a due date at midnight UTC.
+ * @param dueDate - The due date sent with it, undefined if none was sent.
+ * @param dueHasTime - undefined if none was sent.
+ */
+function isValidDueHasTime(dueDate, dueHasTime) {
+  if (dueHasTime === undefined) {
+    return true;
+  }
+  return typeof dueHasTime === 'boolean' && (dueHasTime || dueDate == null || isMidnightUtc(dueDate));
+}
+
+/**
+ * Gets the date and the time a clock of a time zone shows at an instant.
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number }}
+ *   the fields, `month` from 0 to 11 like Date.
+ */
+function zonedParts(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+  }).formatToParts(date).map(part => [part.type, Number(part.value)]));
+  return { year: parts.year, month: parts.month - 1, day: parts.day, hour: parts.hour, minute: parts.minute, second: parts.second };
+}
+
+/**
+ * Gets how far the clocks of a time zone are ahead of UTC at an instant.
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {number} the offset in milliseconds, e.g. 3600000 for Europe/Berlin in winter.
+ */
+function timeZoneOffset(date, timeZone) {
+  const { year, month, day, hour, minute, second } = zonedParts(date, timeZone);
+  return Date.UTC(year, month, day, hour, minute, second) - (date.getTime() - date.getMilliseconds());
+}
+
+/**
+ * Gets the instant a clock of a time zone shows a time. A time skipped by a daylight saving change
+ * is moved forward by the change, e.g. 2:30 becomes 3:30.
+ * @param {number} year
+ * @param {number} month - 0 to 11, like Date.
+ * @param {number} day
+ * @param {number} hour
+ * @param {number} minute
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+function zonedTimeToUtc(year, month, day, hour, minute, timeZone) {
+  const wallClock = Date.UTC(year, month, day, hour, minute);
+  const guess = wallClock - timeZoneOffset(new Date(wallClock), timeZone);
+  // the offset at the result may differ from the one at the guess, around a daylight saving change
+  return new Date(wallClock - timeZoneOffset(new Date(guess), timeZone));
+}
+
+module.exports = { isValidTimeZone, isMidnightUtc, isWholeDay, isValidDueHasTime, zonedParts, timeZoneOffset, zonedTimeToUtc };
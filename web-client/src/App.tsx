@@ -4,7 +4,12 @@ import { BrowserRouter, Routes, Route } from 'react-router-dom';
 
 import Todolist from './components/Todolist.tsx';
 import Login from './components/Login.tsx';
+import Signup from './components/Signup.tsx';
+import ForgotPassword from './components/ForgotPassword.tsx';
+import ResetPassword from './components/ResetPassword.tsx';
+import VerifyEmail from './components/VerifyEmail.tsx';
 import ProtectedPage from './components/ProtectedPage.tsx';
+import Settings from './components/Settings.tsx';
 
 /**
  * Main application component.
@@ -23,11 +28,17 @@ function App() {
         <Route path='/' element={
           <ProtectedPage><Todolist /></ProtectedPage>
         } />
+        <Route path='/settings' element={
+          <ProtectedPage><Settings /></ProtectedPage>
+        } />
         <Route path='/about' element={<div>ABOUT PAGE</div>} />
         <Route path='/intro' element={<div>INTRO PAGE</div>} />
         {/* <Route path='/reset' element={<ResetTestButton />} /> */}
         <Route path='/login' element={<Login />} />
-        <Route path='/signup' element={<div>Signup Page</div>} />
+        <Route path='/signup' element={<Signup />} />
+        <Route path='/forgot-password' element={<ForgotPassword />} />
+        <Route path='/reset-password' element={<ResetPassword />} />
+        <Route path='/verify-email' element={<VerifyEmail />} />
         <Route path='*' element={<div>404 Not Found</div>} />
       </Routes>
     </BrowserRouter>
@@ -14,7 +14,8 @@ import './AIChatPanel.css';
 import { useAppContext } from './AppContext';
 import { createBulkPayload, optimisticUIUpdate, postPayloadToServer, createBackup, restoreBackup } from '../utils/utils';
 import { useNavigate } from 'react-router-dom';
-import type { TaskType } from '../utils/type';
+import type { SubtaskType, TaskType } from '../utils/type';
+import { normalizeCategory, normalizePriority, normalizeTags, parseDuration } from '../utils/taskDetails';
 
 interface ChatMessage {
   message: string;
@@ -26,8 +27,42 @@ interface SuggestedTask {
   title: string;
   description?: string;
   status?: string;
+  subtasks?: GeneratedSubtask[];
+  priority?: string;
+  tags?: string[];
+  category?: string;
+  estimatedDuration?: string; // e.g. "2 hours"
 }
 
+// a subtask generated with a task, see the task schema of ai-service/routes/smartChat.js
+interface GeneratedSubtask {
+  title?: string;
+  description?: string;
+  estimatedDuration?: string;
+}
+
+/**
+ * Turns the generated subtasks of a task into its checklist. A checklist item has a title only,
+ * see server/utils/subtasks.js, so the rest is dropped.
+ */
+const toChecklist = (subtasks: GeneratedSubtask[] | undefined): SubtaskType[] =>
+  (Array.isArray(subtasks) ? subtasks : [])
+    .filter((subtask) => typeof subtask?.title === 'string' && subtask.title.trim())
+    .slice(0, 100)
+    .map((subtask) => ({ id: crypto.randomUUID(), title: subtask.title!.trim().slice(0, 500), done: false }));
+
+/**
+ * Reads the details the AI assistant generated with a task, see server/utils/taskDetails.js.
+ * A detail that cannot be read is left out.
+ */
+const toTaskDetails = (task: SuggestedTask): Pick<TaskType, 'subtasks' | 'priority' | 'tags' | 'category' | 'estimatedDuration'> => ({
+  subtasks: toChecklist(task.subtasks),
+  priority: normalizePriority(task.priority),
+  tags: normalizeTags(task.tags),
+  category: normalizeCategory(task.category),
+  estimatedDuration: parseDuration(task.estimatedDuration),
+});
+
 const AIChatPanel = ({ onClose }: { onClose?: () => void }) => {
   const { states, setStates, actions } = useAppContext();
   const navigate = useNavigate();
@@ -92,22 +127,13 @@ const AIChatPanel = ({ onClose }: { onClose?: () => void }) => {
         ) || currentProjectStatuses[0]; // Fallback to first status of current project
         
         if (targetStatus) {
-          // Get the first task in the target status to insert before it
-          const tasksInStatus = Object.values(states.tasks).filter(task => 
-            task.status === targetStatus.id
-          );
-          
-          // Find the first task (the one with prev: null)
-          const firstTask = tasksInStatus.find(task => task.prev === null);
-
           // Create new task to appear at the TOP of the list
           const newTask = {
             title: aiResponse.task.title,
             description: aiResponse.task.description || '',
+            ...toTaskDetails(aiResponse.task),
             status: targetStatus.id,
             previousStatus: targetStatus.id,
-            prev: null,  // No previous task (will be at top)
-            next: firstTask ? firstTask.id : null,  // Next task is current first task (or null if list is empty)
             userId: states.userProfile.id || ''
           };
 
@@ -116,9 +142,9 @@ const AIChatPanel = ({ onClose }: { onClose?: () => void }) => {
           const backup = createBackup(states, bulkPayload);
 
           try {
-            actions.addTask(newTask, backup, false);
+            actions.addTask(newTask, backup, false, 'start'); // at the TOP of the list
             optimisticUIUpdate(setStates, backup);
-            await postPayloadToServer('/api/bulk', navigate, backup);
+            await postPayloadToServer('/api/bulk', navigate, backup, setStates);
             
             aiMessage.message = `✅ I've added a new task: "${newTask.title}" to your ${targetStatus.title} list.`;
           } catch (error) {
@@ -156,13 +182,12 @@ const AIChatPanel = ({ onClose }: { onClose?: () => void }) => {
       }
 
       // Create task using the existing action system
-      const newTask: Omit<TaskType, 'id'> = {
+      const newTask: Omit<TaskType, 'id' | 'rank'> = {
         title: suggestedTask.title,
         description: suggestedTask.description || '',
+        ...toTaskDetails(suggestedTask),
         status: targetStatus.id,
         previousStatus: targetStatus.id,
-        prev: null,
-        next: null,
         userId: states.userProfile.id || '',
         dueDate: null
       };
@@ -1,7 +1,6 @@
 import '../App.css'
 import './AddNewProject.css'
 
-import type { ProjectType } from '../utils/type.ts'
 import { createBackup, createBulkPayload, optimisticUIUpdate, postPayloadToServer, restoreBackup } from '../utils/utils'
 import { useAppContext } from './AppContext.tsx';
 import { useNavigate } from 'react-router-dom';
@@ -9,9 +8,8 @@ import { useNavigate } from 'react-router-dom';
 /**
  * AddNewProject component allows users to add a new project by typing in an input field.
  * @actions - The actions object containing methods to manipulate projects.
- * @projects - The list of existing projects, used to determine the order of the new project.
  */
-function AddNewProject({ projects }: { projects: [string, ProjectType][] }) {
+function AddNewProject() {
 
   const navigate = useNavigate();
 
@@ -27,8 +25,6 @@ function AddNewProject({ projects }: { projects: [string, ProjectType][] }) {
       if (newProjectTitle) { // Check if the input is not empty
         const newProject = {
           title: newProjectTitle,
-          prev: projects.length > 0 ? projects[projects.length - 1][0] : null, // Set the previous project to the last project in the list or null if no projects exist
-          next: null, // Set the next project to null initially
           userId: states.userProfile.id as string, // Assuming the user ID is available in the states
         };
         
@@ -39,10 +35,10 @@ function AddNewProject({ projects }: { projects: [string, ProjectType][] }) {
         const backup = createBackup(states, bulkPayload); // Create a backup of the current state
         
         try {
-          const id = actions.addProject(newProject, backup, true); // Call the addProject function from actions with the new project
+          const id = actions.addProject(newProject, backup, true, 'end'); // Call the addProject function from actions with the new project, at the end of the list
           actions.focusProject(id, backup); // Focus on the newly added project
           optimisticUIUpdate(setStates, backup);
-          await postPayloadToServer('/api/bulk', navigate, backup);
+          await postPayloadToServer('/api/bulk', navigate, backup, setStates);
         } catch (error) {
           console.error('Error adding project:', error);
           restoreBackup(setStates, backup);
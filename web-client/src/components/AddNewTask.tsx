@@ -35,8 +35,6 @@ function AddNewTask({ status }: { status: StatusId }) {
           title: newTaskTitle,
           status: status,
           previousStatus: status, // for new task, the previous status is the same as the current status
-          prev: null, // 
-          next: null, // if prev and next are null, by default, the task will be added to the end of the list
           userId: states.userProfile.id as string,
         };
 
@@ -45,9 +43,9 @@ function AddNewTask({ status }: { status: StatusId }) {
         const backup = createBackup(states, bulkPayload); // Create a backup of the current state
 
         try {
-          await actions.addTask(newTask, backup, false); // Call the addTask function from actions with the new task
+          await actions.addTask(newTask, backup, false, 'end'); // Call the addTask function from actions with the new task, at the end of the list
           optimisticUIUpdate(setStates, backup); // Optimistically update the UI with the new task
-          await postPayloadToServer('/api/bulk', navigate, backup); // Send the new task to the server
+          await postPayloadToServer('/api/bulk', navigate, backup, setStates); // Send the new task to the server
         }
         catch (error) {
           console.error('Error adding new task:', error);
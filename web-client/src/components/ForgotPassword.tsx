@@ -0,0 +1,74 @@
+import '../App.css';
+import './Login.css';
+import './Signup.css';
+import { useState } from 'react';
+
+/**
+ * The Forgot Password Page component.
+ * Asks the server to mail a password reset link.
+ */
+function ForgotPassword() {
+
+  const [isSent, setIsSent] = useState<boolean>(false);
+  const [errorText, setErrorText] = useState<string | undefined>(undefined);
+
+  const handlePressSend = async (event: React.FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    const email = event.currentTarget.email.value.trim();
+    setErrorText(undefined);
+
+    try {
+      const apiUrl = import.meta.env.VITE_NODE_ENV === 'production'
+        ? import.meta.env.VITE_API_BASE_URL
+        : 'http://localhost:3001';
+
+      const res = await fetch(`${apiUrl}/api/password-reset/request`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ email })
+      });
+      if (!res.ok) {
+        throw new Error(`Failed to request password reset: ${res.statusText}`);
+      }
+      setIsSent(true);
+    } catch (error) {
+      console.error('Error requesting password reset:', error);
+      setErrorText('Could not send the reset link. Please try again.');
+    }
+  };
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        <div className="login-title">Forgot password</div>
+        {isSent ? (
+          <div className="signup-hint">If the email is registered, a reset link is on its way. The link expires in 1 hour.</div>
+        ) : (
+          <form className="login-form" onSubmit={handlePressSend}>
+            <input
+              className="login-input"
+              type="email"
+              id="email"
+              name="email"
+              placeholder="Raccoon@study.com"
+              required
+            />
+            <button className="login-btn" type="submit">Send reset link</button>
+          </form>
+        )}
+        {errorText && (
+          <div className="login-error">
+            {errorText}
+          </div>
+        )}
+        <div className="login-footer">
+          <p><a href="/login">Back to log in</a></p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ForgotPassword
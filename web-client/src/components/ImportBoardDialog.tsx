@@ -0,0 +1,162 @@
+import '../App.css'
+import './ImportBoardDialog.css'
+
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAppContext } from './AppContext.tsx';
+import { createBackup, createBulkPayload, optimisticUIUpdate, postPayloadToServer, restoreBackup } from '../utils/utils.ts';
+import type { BoardPreview } from '../utils/type.ts';
+
+const apiUrl = import.meta.env.VITE_NODE_ENV === 'production'
+  ? import.meta.env.VITE_API_BASE_URL
+  : 'http://localhost:3001';
+
+// the names of the formats of POST /api/import/board
+const FORMAT_NAMES: Record<BoardPreview['format'], string> = {
+  'csv': 'CSV file',
+  'trello': 'Trello board',
+  'todoist-csv': 'Todoist export',
+  'todoist-json': 'Todoist backup',
+  'markdown': 'Markdown file',
+  'todotxt': 'todo.txt file',
+};
+
+// the number of task titles shown under each status of the preview
+const SHOWN_TASKS = 3;
+
+/**
+ * The dialog to import a board from another app: a CSV file, a Trello board export, a Todoist export,
+ * or a project exported as Markdown or todo.txt.
+ * The server reads the file into a preview (POST /api/import/board), which shows how lists map to statuses and
+ * cards to tasks. Nothing is saved until the user accepts it, then the project is added through /api/bulk.
+ * @param onClose - Called when the dialog is closed, after an import or when cancelled.
+ */
+function ImportBoardDialog({ onClose }: { onClose: () => void }) {
+
+  const navigate = useNavigate();
+
+  // Use the AppContext to access the global state and actions
+  const { states, setStates, actions } = useAppContext();
+
+  const [preview, setPreview] = useState<BoardPreview | null>(null);
+  const [title, setTitle] = useState<string>('');
+  const [isLoading, setIsLoading] = useState<boolean>(false);
+  const [errorText, setErrorText] = useState<string | undefined>(undefined);
+
+  const handleFilePicked = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.currentTarget.files?.[0];
+    event.currentTarget.value = ''; // so the same file can be picked again
+    if (!file) {
+      return;
+    }
+    setIsLoading(true);
+    setErrorText(undefined);
+    setPreview(null);
+
+    try {
+      const res = await fetch(`${apiUrl}/api/import/board`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        credentials: 'include', // Include cookies for session management
+        body: JSON.stringify({ content: await file.text(), fileName: file.name })
+      });
+      if (res.status === 401) {
+        navigate('/login');
+        return;
+      }
+      const data = await res.json();
+      if (!res.ok) {
+        setErrorText(data.error || `Could not read ${file.name}.`);
+        return;
+      }
+      setPreview(data);
+      setTitle(data.title);
+    } catch (error) {
+      console.error('Error previewing board:', error);
+      setErrorText(`Could not read ${file.name}. Please try again.`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleImport = async () => {
+    if (!preview || !title.trim()) {
+      return;
+    }
+
+    const bulkPayload = createBulkPayload();
+    const backup = createBackup(states, bulkPayload);
+    try {
+      actions.importBoard(preview, title.trim(), backup);
+      optimisticUIUpdate(setStates, backup);
+      onClose();
+      await postPayloadToServer('/api/bulk', navigate, backup, setStates);
+    } catch (error) {
+      console.error('Error importing board:', error);
+      restoreBackup(setStates, backup);
+    }
+  };
+
+  const completedCount = preview?.tasks.filter((task) => task.completed).length ?? 0;
+
+  return (
+    <div className='importDialogOverlay' onClick={onClose}>
+      <div className='importDialog' onClick={(e) => e.stopPropagation()}>
+        <p className='importDialogTitle'>Import a board</p>
+        <p className='importDialogHint'>
+          Pick a CSV file (with title, description, status and due date columns), a Trello board exported as JSON,
+          a Todoist export, or a Markdown or todo.txt file. Lists, sections and headings become statuses,
+          cards and list items become tasks, in the same order.
+        </p>
+
+        <label className='importDialogButton'>
+          {isLoading ? 'Reading...' : preview ? 'Pick another file...' : 'Pick a file...'}
+          <input type='file' accept='.csv,.json,.md,.markdown,.txt,text/csv,application/json,text/markdown,text/plain' hidden onChange={handleFilePicked} disabled={isLoading} />
+        </label>
+
+        {errorText && <p className='importDialogError'>{errorText}</p>}
+
+        {preview && (
+          <>
+            <p className='importDialogHint'>
+              {FORMAT_NAMES[preview.format]}: {preview.statuses.length} status(es) and {preview.tasks.length} task(s)
+              {completedCount > 0 && `, ${completedCount} of them completed`}, as a new project:
+            </p>
+            <input className='importDialogInput' type='text' value={title} maxLength={100}
+              onChange={(e) => setTitle(e.currentTarget.value)} />
+
+            <div className='importDialogColumns'>
+              {preview.statuses.map((status, index) => {
+                const tasks = preview.tasks.filter((task) => task.status === index && !task.completed);
+                return (
+                  <div key={index} className='importDialogColumn' style={{ backgroundColor: status.color }}>
+                    <p className='importDialogColumnTitle'>{status.title} ({tasks.length})</p>
+                    {tasks.slice(0, SHOWN_TASKS).map((task, i) => (
+                      <p key={i} className='importDialogTask'>{task.title}</p>
+                    ))}
+                    {tasks.length > SHOWN_TASKS && <p className='importDialogMore'>and {tasks.length - SHOWN_TASKS} more</p>}
+                  </div>
+                );
+              })}
+            </div>
+
+            {preview.warnings.length > 0 && (
+              <ul className='importDialogWarnings'>
+                {preview.warnings.map((warning) => <li key={warning}>{warning}</li>)}
+              </ul>
+            )}
+          </>
+        )}
+
+        <div className='importDialogActions'>
+          <button className='importDialogButton' onClick={onClose}>Cancel</button>
+          <button className='importDialogButton primary' onClick={handleImport} disabled={!preview || !title.trim()}>Import</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ImportBoardDialog
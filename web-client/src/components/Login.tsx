@@ -156,6 +156,7 @@ function Login() {
         )}
         <div className="login-footer">
           <p>Don't have an account? <a href="/signup">Sign up</a></p>
+          <p><a href="/forgot-password">Forgot password?</a></p>
           <p><a href="/about">About</a></p>
         </div>
       </div>
@@ -2,10 +2,22 @@ import '../App.css'
 import './Menubar.css'
 
 import ProjectPanel from './ProjectPanel.tsx'
+import ImportBoardDialog from './ImportBoardDialog.tsx'
+import SearchBar from './SearchBar.tsx'
 
 import { useAppContext } from './AppContext.tsx'
+import { useNavigate, useSearchParams } from 'react-router-dom'
+import { useCallback, useEffect, useState } from 'react'
+import { clearOfflineData } from '../data/offlineStore.ts'
+import { markNotificationsRead } from '../data/notifications.ts'
+import { createBackup, createBulkPayload, optimisticUIUpdate, postPayloadToServer, restoreBackup } from '../utils/utils.ts'
+import type { NotificationType } from '../utils/type.ts'
+import { userTimeZone } from '../utils/timeZone.ts'
+import { BUILT_IN_VIEWS, NEW_VIEW_ID, countViewTasks } from '../utils/views.ts'
 
-
+const apiUrl = import.meta.env.VITE_NODE_ENV === 'production'
+  ? import.meta.env.VITE_API_BASE_URL
+  : 'http://localhost:3001';
 
 /**
  * The Menubar component is the left sidebar of the todolist application.
@@ -18,8 +30,84 @@ import { useAppContext } from './AppContext.tsx'
  */
 function Menubar() {
 
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const viewId = searchParams.get('view'); // the view shown in place of the board, see SmartView.tsx
+
   // Use the AppContext to access the global state and actions
-  const { states, setStates } = useAppContext();
+  const { states, setStates, actions } = useAppContext();
+
+  const [showImportDialog, setShowImportDialog] = useState<boolean>(false);
+  const [showNotifications, setShowNotifications] = useState<boolean>(false);
+
+  /**
+   * Opens a task of any project, e.g. a search result: switches to its project, shows the completed or deleted
+   * tasks if it is one of them, and scrolls to and focuses the task.
+   * @param taskId - The task, nothing happens if it was deleted for good since.
+   */
+  const openTask = useCallback(async (taskId: string) => {
+    const task = states.tasks[taskId];
+    if (!task) {
+      return;
+    }
+
+    const projectId = states.statuses[task.status]?.project ?? task.status.replace(/-(completed|deleted)$/, '');
+    if (viewId) {
+      setSearchParams({}); // the task is opened on the board of its project
+    }
+    if (task.status.endsWith('-completed')) {
+      setStates.setShowCompleted(true);
+    } else if (task.status.endsWith('-deleted')) {
+      setStates.setShowDeleted(true);
+    }
+    requestAnimationFrame(() => {
+      setStates.setFocusedItem(task.id);
+      document.getElementById(task.id)?.scrollIntoView({ block: 'center' });
+    });
+
+    if (projectId !== states.userProfile.lastProjectId) {
+      const payload = createBulkPayload();
+      const backup = createBackup(states, payload);
+      try {
+        actions.focusProject(projectId, payload); // Focus on the project of the task
+        optimisticUIUpdate(setStates, payload); // Optimistically update the UI
+        await postPayloadToServer('/api/bulk', navigate, backup, setStates); // Send the focus request
+      } catch (error) {
+        console.error('Error focusing project:', error);
+        restoreBackup(setStates, backup); // Restore the previous state in case of an error
+      }
+    }
+  }, [states, setStates, actions, navigate, viewId, setSearchParams]);
+
+  /**
+   * Opens the task of a notification and marks the notification as read.
+   */
+  const openNotification = useCallback((notification: NotificationType) => {
+    setShowNotifications(false);
+    if (!notification.readAt) {
+      markNotificationsRead(setStates, navigate, [notification.id]);
+    }
+    if (notification.taskId) {
+      openTask(notification.taskId);
+    }
+  }, [openTask, setStates, navigate]);
+
+  // open the notification whose browser notification was clicked, see liveUpdates.ts
+  useEffect(() => {
+    const opening = states.notifications.items.find((notification) => notification.id === states.notifications.opening);
+    if (!states.notifications.opening) {
+      return;
+    }
+    setStates.setNotifications((draft) => {
+      draft.opening = null;
+    });
+    if (opening) {
+      openNotification(opening);
+    }
+  }, [states.notifications.opening, states.notifications.items, openNotification, setStates]);
+
+  const timeZone = userTimeZone(states.userProfile.timeZone); // the views compare due dates in the time zone of the user
+  const views = [...BUILT_IN_VIEWS, ...(states.userProfile.savedViews ?? [])];
 
   /**
    * Handle click event for the delete tasks button.
@@ -68,18 +156,146 @@ function Menubar() {
     }
   };
 
+  /**
+   * Handle click event for the log out buttons.
+   * @param everywhere - Whether to revoke all sessions of the user on every device, not just this one.
+   */
+  const handleLogoutClick = async (everywhere: boolean) => {
+    if (everywhere && !window.confirm('Sign out on all devices? Every open session, including this one, will need to log in again, and your access tokens and calendar feed link stop working.')) {
+      return;
+    }
+
+    try {
+      const res = await fetch(`${apiUrl}/api/logout${everywhere ? '/all' : ''}`, {
+        method: 'POST',
+        credentials: 'include', // Include cookies for session management
+      });
+      if (!res.ok && res.status !== 401) {
+        throw new Error(`Failed to log out: ${res.statusText}`);
+      }
+      await clearOfflineData(); // the next user of this browser must not see or send this user's data
+      navigate('/login');
+    } catch (error) {
+      console.error('Error logging out:', error);
+    }
+  };
+
+  /**
+   * Exports the open project with GET /api/export/project/:id: Markdown is copied, to be pasted into docs and notes,
+   * todo.txt is downloaded. Both can be imported again with Import Board.
+   */
+  const handleExportProjectClick = async (format: 'markdown' | 'todotxt') => {
+    const projectId = states.userProfile.lastProjectId;
+    if (!projectId) {
+      return;
+    }
+
+    try {
+      const res = await fetch(`${apiUrl}/api/export/project/${encodeURIComponent(projectId)}?format=${format}`, {
+        method: 'GET',
+        credentials: 'include', // Include cookies for session management
+      });
+      if (res.status === 401) {
+        navigate('/login');
+        return;
+      }
+      if (!res.ok) {
+        throw new Error(`Failed to export project: ${res.statusText}`);
+      }
+      if (format === 'markdown') {
+        await navigator.clipboard.writeText(await res.text());
+        return;
+      }
+      const fileName = /filename="([^"]+)"/.exec(res.headers.get('Content-Disposition') ?? '')?.[1] ?? 'todo.txt';
+      const url = URL.createObjectURL(await res.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting project:', error);
+    }
+  };
+
   return (
     <>
       <div className='menubarContainer'>
         {/* Logo part 
         // TODO: make a logo */}
-        <div>
+        <div className='menubarHeader'>
           <p className='menubarTitle'>Raccoon Study</p>
+
+          {/* The notifications, e.g. the reminders of tasks, newest first */}
+          <div className='menubarNotifications'>
+            <button className='menubarNotificationsBell'
+              title='Notifications'
+              onClick={() => setShowNotifications(!showNotifications)}>
+              🔔
+              {states.notifications.unread > 0 && (
+                <span className='menubarNotificationsCount'>{states.notifications.unread > 99 ? '99+' : states.notifications.unread}</span>
+              )}
+            </button>
+            {showNotifications && (
+              <div className='menubarNotificationsList'>
+                <div className='menubarNotificationsHeader'>
+                  <p>Notifications</p>
+                  {states.notifications.unread > 0 && (
+                    <button onClick={() => markNotificationsRead(setStates, navigate)}>Mark all as read</button>
+                  )}
+                </div>
+                {states.notifications.items.length === 0 && (
+                  <p className='menubarNotificationsEmpty'>No notifications yet. Add reminders to tasks with a due date.</p>
+                )}
+                {states.notifications.items.map((notification) => (
+                  <div key={notification.id}
+                    className={`menubarNotification${notification.readAt ? '' : ' unread'}`}
+                    onClick={() => openNotification(notification)}>
+                    <p className='menubarNotificationTitle'>{notification.title}</p>
+                    <p className='menubarNotificationBody'>
+                      {notification.body} · {new Date(notification.createdAt).toLocaleString()}
+                    </p>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
         </div>
 
+        {/* Offline indicator, shown while the server cannot be reached or changes wait to be sent */}
+        {(states.syncStatus.offline || states.syncStatus.pending > 0) && (
+          <div className='menubarSyncStatus'>
+            <p>
+              {states.syncStatus.offline ? 'Offline' : 'Syncing'}
+              {states.syncStatus.pending > 0 && ` · ${states.syncStatus.pending} ${states.syncStatus.pending === 1 ? 'change' : 'changes'} pending`}
+            </p>
+          </div>
+        )}
+
         <div className='menubarSearchBar'>
-          <input className="searchInput" type="text" placeholder="Search..." />
-          {/* TODO: Search bar tbd */}
+          <SearchBar onOpenTask={openTask} />
+        </div>
+
+        {/* The views: the open tasks of every project due today, overdue, etc., and the filters saved by the user */}
+        <div className='menubarProjectsHeader'>
+          <p className='menubarProjectsTitle'>Views</p>
+        </div>
+        <div className='menubarViews'>
+          {views.map((view) => {
+            const count = countViewTasks(states.tasks, states.statuses, states.projects, view.filter, timeZone);
+            return (
+              <div key={view.id}
+                className={`menubarView${view.id === viewId ? ' active' : ''}`}
+                onClick={() => setSearchParams({ view: view.id })}>
+                <p className='menubarViewName'>{view.name}</p>
+                {count > 0 && <span className={`menubarViewCount${view.id === 'overdue' ? ' overdue' : ''}`}>{count}</span>}
+              </div>
+            );
+          })}
+          <div className={`menubarView menubarNewView${viewId === NEW_VIEW_ID ? ' active' : ''}`}
+            onClick={() => setSearchParams({ view: NEW_VIEW_ID })}>
+            <p className='menubarViewName'>+ New view</p>
+          </div>
         </div>
 
         {/* The project list */}
@@ -104,14 +320,37 @@ function Menubar() {
             onClick={handleCompletedTasksClick}>
             <p>Completed Tasks</p>
           </div>
-          <div className='menubarBottomItems'>
+          <div className='menubarBottomItems'
+            onClick={() => setShowImportDialog(true)}>
+            <p>Import Board</p>
+          </div>
+          <div className='menubarBottomItems'
+            onClick={() => handleExportProjectClick('markdown')}>
+            <p>Copy Board as Markdown</p>
+          </div>
+          <div className='menubarBottomItems'
+            onClick={() => handleExportProjectClick('todotxt')}>
+            <p>Export Board as todo.txt</p>
+          </div>
+          <div className='menubarBottomItems'
+            onClick={() => navigate('/settings')}>
             <p>Settings</p>
           </div>
           <div className='menubarBottomItems'>
             <p>Help & About</p>
           </div>
+          <div className='menubarBottomItems'
+            onClick={() => handleLogoutClick(false)}>
+            <p>Log out</p>
+          </div>
+          <div className='menubarBottomItems'
+            onClick={() => handleLogoutClick(true)}>
+            <p>Sign out everywhere</p>
+          </div>
         </div>
       </div>
+
+      {showImportDialog && <ImportBoardDialog onClose={() => setShowImportDialog(false)} />}
     </>
   )
 }
@@ -0,0 +1,25 @@
+import './Signup.css';
+
+import { passwordStrengthLabels, type PasswordStrength } from '../utils/password.ts';
+
+/**
+ * Shows the strength of a password as a bar, with the reasons it is not accepted yet.
+ * @param strength - The result of `checkPasswordStrength`.
+ */
+function PasswordStrengthMeter({ strength }: { strength: PasswordStrength }) {
+  return (
+    <div className="signup-strength">
+      <div className="signup-strength-bar">
+        {[0, 1, 2, 3].map((i) => (
+          <div key={i} className={`signup-strength-segment ${i < strength.score ? `score-${strength.score}` : ''}`} />
+        ))}
+      </div>
+      <div className="signup-hint">{passwordStrengthLabels[strength.score]}</div>
+      {strength.problems.map((problem) => (
+        <div key={problem} className="signup-hint invalid">{problem}</div>
+      ))}
+    </div>
+  );
+}
+
+export default PasswordStrengthMeter
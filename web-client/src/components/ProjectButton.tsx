@@ -7,7 +7,7 @@ import type { ProjectType, ProjectId } from '../utils/type'
 import { useAppContext } from './AppContext'
 import { createBackup, createBulkPayload, optimisticUIUpdate, postPayloadToServer, restoreBackup } from '../utils/utils'
 import { motion } from 'motion/react'
-import { useNavigate } from 'react-router-dom'
+import { useNavigate, useSearchParams } from 'react-router-dom'
 
 /**
  * This function is used to get the style of the project button when it is being dragged
@@ -47,22 +47,26 @@ function ProjectButton({
   const [mouseOver, setMouseOver] = useState(false); // State to track if the mouse is over the project button
 
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
 
   // Use the AppContext to access the global state and actions
   const { states, setStates, actions } = useAppContext();
 
   /** Handle click event on the project button. */
-  const handleClick = () => {
+  const handleClick = async () => {
     const payload = createBulkPayload();
     const backup = createBackup(states, payload);
 
     setStates.setShowCompleted(false); // Hide completed tasks when switching projects
     setStates.setShowDeleted(false); // Hide deleted tasks when switching projects
+    if (searchParams.has('view')) {
+      setSearchParams({}); // leave the view of the Menubar for the board
+    }
 
     try {
       actions.focusProject(project[0], payload); // Focus on the clicked project
       optimisticUIUpdate(setStates, payload); // Optimistically update the UI
-      postPayloadToServer('/api/bulk', navigate, payload); // Send the focus request
+      await postPayloadToServer('/api/bulk', navigate, backup, setStates); // Send the focus request
     } catch (error) {
       console.error('Error focusing project:', error);
       restoreBackup(setStates, backup); // Restore the previous state in case of an error
@@ -75,7 +79,7 @@ function ProjectButton({
    * Handle change event for the project title input field.
    * @param e - The change event for the input field.
   */
-  const handlePressEnterAndEscape = (e: React.KeyboardEvent<HTMLInputElement>) => {
+  const handlePressEnterAndEscape = async (e: React.KeyboardEvent<HTMLInputElement>) => {
     const event = e; // Store the current target for later use
     const oldTitle = project[1].title; // Get the old title of the project
     if (event.key === 'Enter') {
@@ -99,7 +103,7 @@ function ProjectButton({
         try {
           actions.updateProject(project[0], { title: newTitle }, payload); // Call the update function from actions with the project ID and new title
           optimisticUIUpdate(setStates, payload); // Optimistically update the UI with the new title
-          postPayloadToServer('/api/bulk', navigate, payload); // Send the update request to the server
+          await postPayloadToServer('/api/bulk', navigate, backup, setStates); // Send the update request to the server
         } catch (error) {
           console.error('Error updating project title:', error);
           restoreBackup(setStates, backup); // Restore the previous state in case of an error
@@ -118,10 +122,10 @@ function ProjectButton({
    * Handle mouse event for the delete button.
    * @param e - The mouse event for the delete button.
    */
-  const handleDeleteButton = (e: React.MouseEvent<HTMLDivElement>) => {
+  const handleDeleteButton = async (e: React.MouseEvent<HTMLDivElement>) => {
     const event = e; // Store the current target for later use
     event.stopPropagation(); // Prevent the click event from propagating to the parent div
-    if (window.confirm(`Are you sure you want to delete the project: ${project[1].title}? You cannot undo this action and all tasks will gone!`)) {
+    if (window.confirm(`Are you sure you want to delete the project: ${project[1].title}? All its statuses and tasks will be deleted too.`)) {
 
       // handle changing of the current project ID
       // if project deleted and there are still projects left,
@@ -135,7 +139,7 @@ function ProjectButton({
       try {
         actions.deleteProject(project[0], backup); // Call the delete function from actions with the project ID
         optimisticUIUpdate(setStates, backup); // Optimistically update the UI with the deleted project
-        postPayloadToServer('/api/bulk', navigate, backup); // Send the delete request to the server
+        await postPayloadToServer('/api/bulk', navigate, backup, setStates); // Send the delete request to the server
         console.log('tasks after deletion', JSON.stringify(states.projects));
       } catch (error) {
         console.error('Error deleting project:', error);
@@ -176,7 +180,7 @@ function ProjectButton({
         }}
         className={`projectButton`}
         style={{
-          border: currentProjectID === project[0] ? '1px solid #b6b6b6ff' : '1px solid transparent',
+          border: currentProjectID === project[0] && !searchParams.has('view') ? '1px solid #b6b6b6ff' : '1px solid transparent',
           boxShadow: isEditing ? 'rgba(49, 49, 49, 0.5) 0px 0px 0px 2px' : 'none',
         }}
         onClick={handleClick}
@@ -4,7 +4,7 @@ import './ProjectPanel.css';
 import ProjectButton from './ProjectButton.tsx';
 import type { ProjectType } from '../utils/type.ts';
 import AddNewProject from './AddNewProject.tsx';
-import { sortChain } from '../utils/utils.ts';
+import { sortByRank } from '../utils/utils.ts';
 import { useAppContext } from './AppContext.tsx';
 
 /**
@@ -17,13 +17,11 @@ function ProjectPanel() {
   const { states } = useAppContext();
 
   /**
-   * Get the projects sorted
-   * This function find the first project that has no previous project (prev === null),
-   * and then iteratively find the next project by following the next link.
+   * Get the projects sorted by rank.
    * @returns An array of ProjectItem sorted.
    */
 
-  const projectsSorted = sortChain(states.projects) as [string, ProjectType][];
+  const projectsSorted = sortByRank(states.projects) as [string, ProjectType][];
 
   // Note: ref: it is specially required by the Droppable component.
   // {...provided.droppableProps}: these are the props required by the Droppable component to make the project panel droppable.
@@ -40,7 +38,7 @@ function ProjectPanel() {
           ))}
 
           {/* AddNewProject is added at the end of the project list */}
-          <AddNewProject projects={projectsSorted} />
+          <AddNewProject />
         </div>
       </div>
     </>
@@ -12,10 +12,17 @@ export default function ProtectedPage({ children }: { children: React.ReactNode
         ? import.meta.env.VITE_API_BASE_URL 
         : 'http://localhost:3001';
         
-        const res = await fetch(`${apiUrl}/api/me`, {
-          method: 'GET',
-          credentials: 'include', // Include cookies for session management
-        });
+        let res: Response;
+        try {
+          res = await fetch(`${apiUrl}/api/me`, {
+            method: 'GET',
+            credentials: 'include', // Include cookies for session management
+          });
+        } catch (error) {
+          // the server cannot be reached, stay on the page in offline mode
+          console.warn('Server unreachable, cannot check the session:', error);
+          return;
+        }
         if (!res.ok) {
           throw new Error('Unauthorized access, redirecting to login');
         }
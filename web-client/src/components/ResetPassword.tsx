@@ -0,0 +1,117 @@
+import '../App.css';
+import './Login.css';
+import './Signup.css';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { useState } from 'react';
+
+import { checkPasswordStrength } from '../utils/password.ts';
+import PasswordStrengthMeter from './PasswordStrengthMeter.tsx';
+
+/**
+ * The Reset Password Page component, opened from the link in the reset mail.
+ * Sets a new password with the token from the link; every session of the user is signed out.
+ */
+function ResetPassword() {
+
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [password, setPassword] = useState<string>('');
+  const [confirmPassword, setConfirmPassword] = useState<string>('');
+  const [isSubmitting, setIsSubmitting] = useState<boolean>(false);
+  const [errorText, setErrorText] = useState<string | undefined>(undefined);
+
+  // the email is unknown here, the server checks the password against it again
+  const strength = checkPasswordStrength(password);
+  const isPasswordConfirmed = password === confirmPassword;
+  const canReset = !!token && strength.isStrong && isPasswordConfirmed && !isSubmitting;
+
+  const handlePressReset = async (event: React.FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    if (!canReset) {
+      return;
+    }
+    setIsSubmitting(true);
+    setErrorText(undefined);
+
+    try {
+      const apiUrl = import.meta.env.VITE_NODE_ENV === 'production'
+        ? import.meta.env.VITE_API_BASE_URL
+        : 'http://localhost:3001';
+
+      const res = await fetch(`${apiUrl}/api/password-reset/confirm`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ token, password })
+      });
+      if (res.ok) {
+        navigate('/login');
+      } else {
+        const errorData = await res.json();
+        setErrorText(errorData.problems?.join(' ') || errorData.message || 'Could not reset the password.');
+      }
+    } catch (error) {
+      console.error('Error resetting password:', error);
+      setErrorText('Could not reset the password. Please try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        <div className="login-title">Reset password</div>
+        {!token ? (
+          <div className="login-error">This reset link is incomplete. Please open the link from the mail again.</div>
+        ) : (
+          <form className="login-form" onSubmit={handlePressReset}>
+            <input
+              className="login-input"
+              type="password"
+              id="password"
+              name="password"
+              placeholder="New password"
+              autoComplete="new-password"
+              value={password}
+              onChange={(e) => setPassword(e.currentTarget.value)}
+              required
+            />
+            {password && <PasswordStrengthMeter strength={strength} />}
+            <input
+              className={`login-input ${confirmPassword && !isPasswordConfirmed ? 'invalid' : ''}`}
+              type="password"
+              id="confirmPassword"
+              name="confirmPassword"
+              placeholder="Confirm new password"
+              autoComplete="new-password"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.currentTarget.value)}
+              required
+            />
+            {confirmPassword && !isPasswordConfirmed && (
+              <div className="signup-hint invalid">Passwords do not match.</div>
+            )}
+            <button className="login-btn" type="submit" disabled={!canReset}>
+              {isSubmitting ? 'Saving...' : 'Set new password'}
+            </button>
+          </form>
+        )}
+        {errorText && (
+          <div className="login-error">
+            {errorText}
+          </div>
+        )}
+        <div className="login-footer">
+          <p><a href="/forgot-password">Request a new link</a></p>
+          <p><a href="/login">Back to log in</a></p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ResetPassword
@@ -0,0 +1,168 @@
+import '../App.css'
+import './SearchBar.css'
+
+import { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import type { SearchResult } from '../utils/type.ts';
+import { highlightParts } from '../utils/search.ts';
+
+const apiUrl = import.meta.env.VITE_NODE_ENV === 'production'
+  ? import.meta.env.VITE_API_BASE_URL
+  : 'http://localhost:3001';
+
+// how long the query has to stay unchanged before it is searched, in milliseconds
+const SEARCH_DELAY = 250;
+
+/**
+ * Shows a text with its matches of the search terms highlighted.
+ */
+function Highlighted({ text, terms }: { text: string; terms: string[] }) {
+  return (
+    <>
+      {highlightParts(text, terms).map((part, index) => (
+        part.match ? <mark key={index} className='searchMatch'>{part.text}</mark> : <span key={index}>{part.text}</span>
+      ))}
+    </>
+  );
+}
+
+/**
+ * The search bar of the Menubar: searches the titles and descriptions of the tasks of every project, completed and
+ * deleted ones included, with GET /api/search while the user types. The results drop down under it, grouped by project,
+ * with the matches highlighted; they are picked with the mouse, or with the arrow keys and Enter.
+ * @param onOpenTask - Called with the id of the picked task, to switch to its project and focus it.
+ */
+function SearchBar({ onOpenTask }: { onOpenTask: (taskId: string) => void }) {
+
+  const navigate = useNavigate();
+
+  const [query, setQuery] = useState<string>('');
+  const [terms, setTerms] = useState<string[]>([]);
+  const [results, setResults] = useState<SearchResult[] | null>(null); // null until the query is searched
+  const [isOpen, setIsOpen] = useState<boolean>(false);
+  const [activeIndex, setActiveIndex] = useState<number>(0); // in the tasks of every group, in order
+  const [errorText, setErrorText] = useState<string | undefined>(undefined);
+
+  // search the query once the user stops typing, a newer query cancels the older search
+  useEffect(() => {
+    setResults(null);
+    setErrorText(undefined);
+    setActiveIndex(0);
+    if (!query.trim()) {
+      return;
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const res = await fetch(`${apiUrl}/api/search?q=${encodeURIComponent(query.trim())}`, {
+          method: 'GET',
+          credentials: 'include', // Include cookies for session management
+          signal: controller.signal,
+        });
+        if (res.status === 401) {
+          navigate('/login');
+          return;
+        }
+        if (!res.ok) {
+          throw new Error(`Failed to search: ${res.statusText}`);
+        }
+        const data = await res.json() as { terms: string[]; results: SearchResult[] };
+        setTerms(data.terms);
+        setResults(data.results);
+      } catch (error) {
+        if (controller.signal.aborted) {
+          return;
+        }
+        console.error('Error searching tasks:', error);
+        setErrorText(navigator.onLine ? 'Could not search, please try again.' : 'Search needs a connection.');
+      }
+    }, SEARCH_DELAY);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [query, navigate]);
+
+  const foundTasks = (results ?? []).flatMap((group) => group.tasks);
+
+  /**
+   * Opens a task found and closes the results.
+   */
+  const handlePick = (taskId: string) => {
+    setIsOpen(false);
+    onOpenTask(taskId);
+  };
+
+  /**
+   * Handles the arrow keys, Enter and Escape in the search input.
+   * @param e - The keyboard event, auto-generated by React.
+   */
+  const handleKeyboard = (e: React.KeyboardEvent<HTMLInputElement>) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault(); // keep the cursor in place
+      setIsOpen(true);
+      if (foundTasks.length > 0) {
+        setActiveIndex((index) => (index + (e.key === 'ArrowDown' ? 1 : -1) + foundTasks.length) % foundTasks.length);
+      }
+    } else if (e.key === 'Enter' && foundTasks[activeIndex]) {
+      handlePick(foundTasks[activeIndex].id);
+      e.currentTarget.blur();
+    } else if (e.key === 'Escape') {
+      if (isOpen && query) {
+        setIsOpen(false);
+      } else {
+        setQuery('');
+        e.currentTarget.blur();
+      }
+    }
+  };
+
+  let taskIndex = 0; // the index of each task shown, to match `activeIndex`
+
+  return (
+    <div className='searchBar'>
+      <input className="searchInput"
+        type="search"
+        placeholder="Search..."
+        value={query}
+        onChange={(e) => {
+          setQuery(e.currentTarget.value);
+          setIsOpen(true);
+        }}
+        onFocus={() => setIsOpen(true)}
+        onBlur={() => setIsOpen(false)}
+        onKeyDown={handleKeyboard}
+      />
+
+      {isOpen && query.trim() && (
+        // mouse down would blur the input and close the results before the click
+        <div className='searchResults' onMouseDown={(e) => e.preventDefault()}>
+          {errorText && <p className='searchMessage'>{errorText}</p>}
+          {!errorText && results === null && <p className='searchMessage'>Searching…</p>}
+          {results?.length === 0 && <p className='searchMessage'>No tasks found</p>}
+          {results?.map((group) => (
+            <div key={group.project.id} className='searchGroup'>
+              <p className='searchGroupTitle'>{group.project.title}</p>
+              {group.tasks.map((task) => {
+                const index = taskIndex++;
+                return (
+                  <div key={task.id}
+                    className={`searchResult${index === activeIndex ? ' active' : ''}`}
+                    onClick={() => handlePick(task.id)}
+                    onMouseEnter={() => setActiveIndex(index)}>
+                    <p className='searchResultTitle'><Highlighted text={task.title} terms={terms} /></p>
+                    {task.snippet && <p className='searchResultSnippet'><Highlighted text={task.snippet} terms={terms} /></p>}
+                    <p className='searchResultStatus'>{task.statusTitle}</p>
+                  </div>
+                );
+              })}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SearchBar
@@ -0,0 +1,564 @@
+import '../App.css';
+import './Login.css';
+import './Settings.css';
+import { useNavigate } from 'react-router-dom';
+import { useEffect, useState } from 'react';
+
+import type { AccessToken, CalendarFeed, ImportReport, ProjectType, UserProfileData } from '../utils/type.ts';
+import { supportedTimeZones, userTimeZone } from '../utils/timeZone.ts';
+import { requestNotificationPermission } from '../data/notifications.ts';
+
+// the expiry choices of a new token, in days, null for no expiry
+const EXPIRY_OPTIONS: { label: string; days: number | null }[] = [
+  { label: '7 days', days: 7 },
+  { label: '30 days', days: 30 },
+  { label: '90 days', days: 90 },
+  { label: '1 year', days: 365 },
+  { label: 'No expiry', days: null },
+];
+
+const apiUrl = import.meta.env.VITE_NODE_ENV === 'production'
+  ? import.meta.env.VITE_API_BASE_URL
+  : 'http://localhost:3001';
+
+const formatDate = (date: string | null, fallback: string) => date ? new Date(date).toLocaleString() : fallback;
+
+const formatCounts = (created: ImportReport['created']) => Object.entries(created)
+  .map(([type, count]) => `${count} ${type}`)
+  .join(', ');
+
+/**
+ * The Settings Page component.
+ * Lists the personal access tokens of the user, used by scripts and integrations as `Authorization: Bearer <token>`,
+ * with when and from where each was last used, and lets the user create and revoke them.
+ * Also backs up the account as an archive of GET /api/export, and restores one with POST /api/import,
+ * checked with a dry run first, and manages the secret link of the calendar feed of due dates.
+ * The time zone due dates and reminders follow is saved in the profile with PATCH /api/profile.
+ */
+function Settings() {
+
+  const navigate = useNavigate();
+
+  const [accessTokens, setAccessTokens] = useState<AccessToken[] | null>(null); // null while loading
+  const [name, setName] = useState<string>('');
+  const [scope, setScope] = useState<AccessToken['scope']>('read');
+  const [expiryIndex, setExpiryIndex] = useState<number>(1);
+  const [createdToken, setCreatedToken] = useState<string | null>(null); // shown once, right after creating it
+  const [isSubmitting, setIsSubmitting] = useState<boolean>(false);
+  const [errorText, setErrorText] = useState<string | undefined>(undefined);
+  const [archive, setArchive] = useState<{ name: string; content: unknown } | null>(null); // the file picked for import
+  const [importReport, setImportReport] = useState<ImportReport | null>(null);
+  const [isImporting, setIsImporting] = useState<boolean>(false);
+  const [backupError, setBackupError] = useState<string | undefined>(undefined);
+  const [calendarFeed, setCalendarFeed] = useState<CalendarFeed | null | undefined>(undefined); // undefined while loading
+  const [feedPath, setFeedPath] = useState<string | null>(null); // shown once, right after creating the link
+  const [feedProjects, setFeedProjects] = useState<ProjectType[]>([]);
+  const [feedProjectId, setFeedProjectId] = useState<string>(''); // '' for every project
+  const [feedAsTodos, setFeedAsTodos] = useState<boolean>(false);
+  const [feedError, setFeedError] = useState<string | undefined>(undefined);
+  const [profile, setProfile] = useState<UserProfileData | null>(null); // null while loading
+  const [notificationPermission, setNotificationPermission] = useState<NotificationPermission | 'unsupported'>(
+    'Notification' in window ? Notification.permission : 'unsupported'
+  );
+  const [reminderError, setReminderError] = useState<string | undefined>(undefined);
+
+  useEffect(() => {
+    const loadAccessTokens = async () => {
+      try {
+        const res = await fetch(`${apiUrl}/api/access-tokens`, {
+          method: 'GET',
+          credentials: 'include', // Include cookies for session management
+        });
+        if (res.status === 401) {
+          navigate('/login');
+          return;
+        }
+        if (!res.ok) {
+          throw new Error(`Failed to load access tokens: ${res.statusText}`);
+        }
+        setAccessTokens((await res.json()).accessTokens);
+      } catch (error) {
+        console.error('Error loading access tokens:', error);
+        setErrorText('Could not load your access tokens. Please try again later.');
+      }
+    };
+    const loadCalendarFeed = async () => {
+      try {
+        const [feedRes, projectsRes] = await Promise.all([
+          fetch(`${apiUrl}/api/calendar-feed`, { method: 'GET', credentials: 'include' }),
+          fetch(`${apiUrl}/api/projects`, { method: 'GET', credentials: 'include' }),
+        ]);
+        if (!feedRes.ok || !projectsRes.ok) {
+          throw new Error(`Failed to load calendar feed: ${feedRes.statusText || projectsRes.statusText}`);
+        }
+        setCalendarFeed((await feedRes.json()).calendarFeed);
+        setFeedProjects((await projectsRes.json()).projects);
+      } catch (error) {
+        console.error('Error loading calendar feed:', error);
+        setFeedError('Could not load your calendar feed. Please try again later.');
+      }
+    };
+    const loadProfile = async () => {
+      try {
+        const res = await fetch(`${apiUrl}/api/profile`, { method: 'GET', credentials: 'include' });
+        if (!res.ok) {
+          throw new Error(`Failed to load profile: ${res.statusText}`);
+        }
+        setProfile((await res.json()).profile);
+      } catch (error) {
+        console.error('Error loading profile:', error);
+        setReminderError('Could not load your time zone. Please try again later.');
+      }
+    };
+    loadAccessTokens();
+    loadCalendarFeed();
+    loadProfile();
+  }, [navigate]);
+
+  const handleCreate = async (event: React.FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    if (!name.trim() || isSubmitting) {
+      return;
+    }
+    setIsSubmitting(true);
+    setErrorText(undefined);
+
+    try {
+      const res = await fetch(`${apiUrl}/api/access-tokens`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        credentials: 'include', // Include cookies for session management
+        body: JSON.stringify({ name: name.trim(), scope, expiresInDays: EXPIRY_OPTIONS[expiryIndex].days })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setErrorText(data.error || 'Could not create the access token.');
+        return;
+      }
+      setCreatedToken(data.token);
+      setAccessTokens((tokens) => [data.accessToken, ...(tokens ?? [])]);
+      setName('');
+    } catch (error) {
+      console.error('Error creating access token:', error);
+      setErrorText('Could not create the access token. Please try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleRevoke = async (accessToken: AccessToken) => {
+    if (!window.confirm(`Revoke "${accessToken.name}"? Scripts using it will stop working right away.`)) {
+      return;
+    }
+    setErrorText(undefined);
+
+    try {
+      const res = await fetch(`${apiUrl}/api/access-tokens/${encodeURIComponent(accessToken.id)}`, {
+        method: 'DELETE',
+        credentials: 'include', // Include cookies for session management
+      });
+      if (!res.ok && res.status !== 404) {
+        throw new Error(`Failed to revoke access token: ${res.statusText}`);
+      }
+      setAccessTokens((tokens) => (tokens ?? []).filter((t) => t.id !== accessToken.id));
+    } catch (error) {
+      console.error('Error revoking access token:', error);
+      setErrorText('Could not revoke the access token. Please try again.');
+    }
+  };
+
+  const handleCreateFeed = async () => {
+    if (calendarFeed && !window.confirm('Reset the link? Calendars subscribed to the current link will stop updating.')) {
+      return;
+    }
+    setFeedError(undefined);
+
+    try {
+      const res = await fetch(`${apiUrl}/api/calendar-feed`, {
+        method: 'POST',
+        credentials: 'include', // Include cookies for session management
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setFeedError(data.error || 'Could not create the calendar link.');
+        return;
+      }
+      setCalendarFeed(data.calendarFeed);
+      setFeedPath(data.path);
+    } catch (error) {
+      console.error('Error creating calendar feed:', error);
+      setFeedError('Could not create the calendar link. Please try again.');
+    }
+  };
+
+  const handleDeleteFeed = async () => {
+    if (!window.confirm('Turn the calendar feed off? Subscribed calendars will stop updating.')) {
+      return;
+    }
+    setFeedError(undefined);
+
+    try {
+      const res = await fetch(`${apiUrl}/api/calendar-feed`, {
+        method: 'DELETE',
+        credentials: 'include', // Include cookies for session management
+      });
+      if (!res.ok && res.status !== 404) {
+        throw new Error(`Failed to delete calendar feed: ${res.statusText}`);
+      }
+      setCalendarFeed(null);
+      setFeedPath(null);
+    } catch (error) {
+      console.error('Error deleting calendar feed:', error);
+      setFeedError('Could not turn the calendar feed off. Please try again.');
+    }
+  };
+
+  // the link of the feed with the chosen filters, see GET /api/calendar-feed/<token>.ics
+  const feedParams = new URLSearchParams({
+    ...(feedProjectId && { project: feedProjectId }),
+    ...(feedAsTodos && { kind: 'todo' }),
+  }).toString();
+  const feedUrl = feedPath && `${new URL(feedPath, apiUrl)}${feedParams && `?${feedParams}`}`;
+
+  /**
+   * Saves the time zone of the profile, '' for the one of the browser.
+   */
+  const handleTimeZoneChange = async (timeZone: string) => {
+    if (!profile) {
+      return;
+    }
+    setReminderError(undefined);
+    try {
+      const res = await fetch(`${apiUrl}/api/profile`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        credentials: 'include', // Include cookies for session management
+        body: JSON.stringify({ timeZone: timeZone || null, rev: profile.rev })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setReminderError(res.status === 409 ? 'Your profile was changed elsewhere, reload the page and try again.' : data.error || 'Could not save your time zone.');
+        return;
+      }
+      setProfile(data.profile);
+    } catch (error) {
+      console.error('Error saving time zone:', error);
+      setReminderError('Could not save your time zone. Please try again later.');
+    }
+  };
+
+  const handleAllowNotifications = async () => {
+    setNotificationPermission(await requestNotificationPermission());
+  };
+
+  const handleExport = async () => {
+    setBackupError(undefined);
+    try {
+      const res = await fetch(`${apiUrl}/api/export`, {
+        method: 'GET',
+        credentials: 'include', // Include cookies for session management
+      });
+      if (!res.ok) {
+        throw new Error(`Failed to export: ${res.statusText}`);
+      }
+      const fileName = /filename="([^"]+)"/.exec(res.headers.get('Content-Disposition') ?? '')?.[1] ?? 'raccoon-study.json';
+      const url = URL.createObjectURL(await res.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting account:', error);
+      setBackupError('Could not export your data. Please try again later.');
+    }
+  };
+
+  /**
+   * Sends the picked archive to POST /api/import.
+   * @param dryRun - Only get the report of what would be imported.
+   * @param content - The archive, the picked one by default.
+   */
+  const postArchive = async (dryRun: boolean, content = archive?.content) => {
+    setIsImporting(true);
+    setBackupError(undefined);
+    try {
+      const res = await fetch(`${apiUrl}/api/import${dryRun ? '?dryRun=true' : ''}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        credentials: 'include', // Include cookies for session management
+        body: JSON.stringify(content)
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setBackupError(data.error || 'Could not import the file.');
+        setArchive(null);
+        return;
+      }
+      setImportReport(data);
+      if (!dryRun) {
+        setArchive(null);
+      }
+    } catch (error) {
+      console.error('Error importing archive:', error);
+      setBackupError('Could not import the file. Please try again.');
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const handleArchivePicked = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.currentTarget.files?.[0];
+    event.currentTarget.value = ''; // so the same file can be picked again
+    if (!file) {
+      return;
+    }
+    setImportReport(null);
+    try {
+      const content = JSON.parse(await file.text());
+      setArchive({ name: file.name, content });
+      await postArchive(true, content);
+    } catch (error) {
+      console.error('Error reading archive:', error);
+      setBackupError(`${file.name} is not a JSON file.`);
+    }
+  };
+
+  return (
+    <div className="login-container">
+      <div className="login-card settings-card">
+        <div className="login-title">Settings</div>
+
+        <section className="settings-section">
+          <h2 className="settings-heading">Personal access tokens</h2>
+          <p className="settings-hint">
+            Scripts and integrations send a token as <code>Authorization: Bearer &lt;token&gt;</code> to use the API
+            (see <code>/api/openapi.json</code>). Read-only tokens cannot change anything.
+            Resetting your password or signing out everywhere revokes every token.
+          </p>
+
+          <form className="settings-form" onSubmit={handleCreate}>
+            <input
+              className="login-input"
+              type="text"
+              placeholder="Token name, e.g. backup script"
+              maxLength={100}
+              value={name}
+              onChange={(e) => setName(e.currentTarget.value)}
+              required
+            />
+            <div className="settings-row">
+              <select className="settings-select" value={scope} onChange={(e) => setScope(e.currentTarget.value as AccessToken['scope'])}>
+                <option value="read">Read only</option>
+                <option value="write">Read and write</option>
+              </select>
+              <select className="settings-select" value={expiryIndex} onChange={(e) => setExpiryIndex(Number(e.currentTarget.value))}>
+                {EXPIRY_OPTIONS.map((option, i) => (
+                  <option key={option.label} value={i}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            <button className="login-btn" type="submit" disabled={!name.trim() || isSubmitting}>
+              {isSubmitting ? 'Creating...' : 'Create token'}
+            </button>
+          </form>
+
+          {createdToken && (
+            <div className="settings-newToken">
+              <p>Copy your new token now, it will not be shown again.</p>
+              <div className="settings-row">
+                <code className="settings-tokenValue">{createdToken}</code>
+                <button className="settings-smallBtn" onClick={() => navigator.clipboard.writeText(createdToken)}>Copy</button>
+                <button className="settings-smallBtn" onClick={() => setCreatedToken(null)}>Done</button>
+              </div>
+            </div>
+          )}
+
+          {errorText && (
+            <div className="login-error">
+              {errorText}
+            </div>
+          )}
+
+          {accessTokens === null ? (
+            !errorText && <p className="settings-hint">Loading...</p>
+          ) : accessTokens.length === 0 ? (
+            <p className="settings-hint">You have no access tokens yet.</p>
+          ) : (
+            <ul className="settings-tokenList">
+              {accessTokens.map((accessToken) => (
+                <li key={accessToken.id} className="settings-token">
+                  <div className="settings-tokenInfo">
+                    <p className="settings-tokenName">
+                      {accessToken.name}
+                      <span className="settings-badge">{accessToken.scope === 'read' ? 'read only' : 'read and write'}</span>
+                    </p>
+                    <p className="settings-tokenDetails"><code>{accessToken.prefix}…</code> · created {formatDate(accessToken.createdAt, '')} · expires {formatDate(accessToken.expiresAt, 'never')}</p>
+                    <p className="settings-tokenDetails">
+                      {accessToken.lastUsedAt
+                        ? `Last used ${formatDate(accessToken.lastUsedAt, '')} from ${accessToken.lastUsedIp ?? 'an unknown address'}`
+                        : 'Never used'}
+                    </p>
+                  </div>
+                  <button className="settings-smallBtn danger" onClick={() => handleRevoke(accessToken)}>Revoke</button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+
+        <section className="settings-section">
+          <h2 className="settings-heading">Backup</h2>
+          <p className="settings-hint">
+            Export your projects, statuses, tasks, profile and AI conversations as a file. Importing a file adds its content
+            to your account, next to what is already there, so it can also move your data from another account.
+          </p>
+
+          <div className="settings-row">
+            <button className="settings-smallBtn" onClick={handleExport}>Export my data</button>
+            <label className="settings-smallBtn">
+              Import a file...
+              <input type="file" accept="application/json,.json" hidden onChange={handleArchivePicked} disabled={isImporting} />
+            </label>
+          </div>
+
+          {importReport && (
+            <div className="settings-newToken">
+              <p>
+                {importReport.dryRun
+                  ? `${archive?.name ?? 'The file'} would add ${formatCounts(importReport.created)}.`
+                  : `Imported ${formatCounts(importReport.created)}.`}
+              </p>
+              {Object.keys(importReport.profile).length > 0 && (
+                <p>
+                  {importReport.dryRun ? 'Your profile would get' : 'Your profile got'} the
+                  {' '}{Object.keys(importReport.profile).join(', ')} of the file.
+                </p>
+              )}
+              {importReport.skipped.length > 0 && (
+                <p>
+                  {importReport.skipped.length} item(s) {importReport.dryRun ? 'would be' : 'were'} skipped:
+                  {' '}{importReport.skipped.slice(0, 3).map((item) => `${item.type} ${item.id ?? ''} (${item.reason})`).join('; ')}
+                  {importReport.skipped.length > 3 && '...'}
+                </p>
+              )}
+              {importReport.dryRun && archive && (
+                <div className="settings-row">
+                  <button className="settings-smallBtn" onClick={() => postArchive(false)} disabled={isImporting}>
+                    {isImporting ? 'Importing...' : 'Import'}
+                  </button>
+                  <button className="settings-smallBtn" onClick={() => { setArchive(null); setImportReport(null); }}>Cancel</button>
+                </div>
+              )}
+            </div>
+          )}
+
+          {backupError && (
+            <div className="login-error">
+              {backupError}
+            </div>
+          )}
+        </section>
+
+        <section className="settings-section">
+          <h2 className="settings-heading">Reminders</h2>
+          <p className="settings-hint">
+            Due times are shown in your time zone, and reminders are sent by it. A task due on a day without a time
+            is due at 9:00 that day. Reminders show up under the bell of the menu, and as browser notifications if you allow them.
+          </p>
+
+          <div className="settings-row">
+            <select className="settings-select" value={profile?.timeZone ?? ''} disabled={!profile}
+              onChange={(e) => handleTimeZoneChange(e.currentTarget.value)}>
+              <option value="">Browser time zone ({userTimeZone(null)})</option>
+              {supportedTimeZones().map((timeZone) => (
+                <option key={timeZone} value={timeZone}>{timeZone.replace(/_/g, ' ')}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="settings-row">
+            {notificationPermission === 'default' && (
+              <button className="settings-smallBtn" onClick={handleAllowNotifications}>Allow browser notifications</button>
+            )}
+            {notificationPermission === 'granted' && <p className="settings-hint">Browser notifications are on.</p>}
+            {notificationPermission === 'denied' && (
+              <p className="settings-hint">Browser notifications are blocked, allow them in the site settings of your browser.</p>
+            )}
+            {notificationPermission === 'unsupported' && <p className="settings-hint">This browser cannot show notifications.</p>}
+          </div>
+
+          {reminderError && (
+            <div className="login-error">
+              {reminderError}
+            </div>
+          )}
+        </section>
+
+        <section className="settings-section">
+          <h2 className="settings-heading">Calendar feed</h2>
+          <p className="settings-hint">
+            Subscribe to your due dates from Google Calendar, Apple Calendar or Outlook with a secret link.
+            Anyone with the link can see your tasks that have a due date, so reset it if it leaks.
+            Resetting your password or signing out everywhere turns the feed off.
+          </p>
+
+          <div className="settings-row">
+            <button className="settings-smallBtn" onClick={handleCreateFeed} disabled={calendarFeed === undefined}>
+              {calendarFeed ? 'Reset the link' : 'Create a link'}
+            </button>
+            {calendarFeed && <button className="settings-smallBtn danger" onClick={handleDeleteFeed}>Turn off</button>}
+          </div>
+
+          {calendarFeed && (
+            <p className="settings-tokenDetails">
+              <code>{calendarFeed.prefix}…</code> · created {formatDate(calendarFeed.createdAt, '')} ·
+              {' '}{calendarFeed.lastFetchedAt ? `last read ${formatDate(calendarFeed.lastFetchedAt, '')}` : 'never read yet'}
+            </p>
+          )}
+
+          {feedUrl && (
+            <div className="settings-newToken">
+              <p>Copy your calendar link now, it will not be shown again.</p>
+              <div className="settings-row">
+                <select className="settings-select" value={feedProjectId} onChange={(e) => setFeedProjectId(e.currentTarget.value)}>
+                  <option value="">Every project</option>
+                  {feedProjects.map((project) => (
+                    <option key={project.id} value={project.id}>{project.title}</option>
+                  ))}
+                </select>
+                <label>
+                  <input type="checkbox" checked={feedAsTodos} onChange={(e) => setFeedAsTodos(e.currentTarget.checked)} /> As to-dos
+                </label>
+              </div>
+              <div className="settings-row">
+                <code className="settings-tokenValue">{feedUrl}</code>
+                <button className="settings-smallBtn" onClick={() => navigator.clipboard.writeText(feedUrl)}>Copy</button>
+                <a className="settings-smallBtn" href={feedUrl.replace(/^https?:/, 'webcal:')}>Subscribe</a>
+                <button className="settings-smallBtn" onClick={() => setFeedPath(null)}>Done</button>
+              </div>
+            </div>
+          )}
+
+          {feedError && (
+            <div className="login-error">
+              {feedError}
+            </div>
+          )}
+        </section>
+
+        <div className="login-footer">
+          <p><a href="/">Back to your tasks</a></p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Settings
@@ -0,0 +1,203 @@
+import '../App.css';
+import './Login.css';
+import './Signup.css';
+import { useNavigate } from 'react-router-dom';
+import { useState } from 'react';
+import 'react-phone-number-input/style.css';
+import PhoneInput from 'react-phone-number-input';
+import { isValidPhoneNumber } from 'react-phone-number-input'
+
+import { checkPasswordStrength } from '../utils/password.ts';
+import PasswordStrengthMeter from './PasswordStrengthMeter.tsx';
+
+/**
+ * The Signup Page component.
+ * Creates a new account, checks whether the email and phone number are free,
+ * and shows the password strength before the create button can be used.
+ */
+function Signup() {
+
+  const navigate = useNavigate();
+
+  const [email, setEmail] = useState<string>('');
+  const [phoneNumber, setPhoneNumber] = useState<string | undefined>(undefined);
+  const [password, setPassword] = useState<string>('');
+  const [confirmPassword, setConfirmPassword] = useState<string>('');
+  const [isEmailAvailable, setIsEmailAvailable] = useState<boolean | null>(null); // null: not checked yet
+  const [isPhoneNumberAvailable, setIsPhoneNumberAvailable] = useState<boolean | null>(null);
+  const [isSubmitting, setIsSubmitting] = useState<boolean>(false);
+  const [errorText, setErrorText] = useState<string | undefined>(undefined);
+
+  const apiUrl = import.meta.env.VITE_NODE_ENV === 'production'
+    ? import.meta.env.VITE_API_BASE_URL
+    : 'http://localhost:3001';
+
+  const isEmailValid = /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+  const isPhoneNumberValid = isValidPhoneNumber(phoneNumber || '');
+  const strength = checkPasswordStrength(password, { email, phoneNumber });
+  const isPasswordConfirmed = password === confirmPassword;
+
+  const canCreate = isEmailValid && isEmailAvailable !== false &&
+    isPhoneNumberValid && isPhoneNumberAvailable !== false &&
+    strength.isStrong && isPasswordConfirmed && !isSubmitting;
+
+  /**
+   * Asks the server whether the email or phone number is already registered.
+   * @param field - The field to be checked.
+   * @param value - The value of the field.
+   */
+  const checkAvailability = async (field: 'email' | 'phoneNumber', value: string) => {
+    try {
+      const res = await fetch(`${apiUrl}/api/signup/availability?${field}=${encodeURIComponent(value)}`, {
+        method: 'GET',
+        credentials: 'include',
+      });
+      if (!res.ok) {
+        throw new Error(`Failed to check availability: ${res.statusText}`);
+      }
+      const data = await res.json();
+      if (field === 'email') {
+        setIsEmailAvailable(data.emailAvailable);
+      } else {
+        setIsPhoneNumberAvailable(data.phoneNumberAvailable);
+      }
+    } catch (error) {
+      console.error('Error checking availability:', error);
+    }
+  };
+
+  const handlePressSignup = async (event: React.FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    if (!canCreate) {
+      return;
+    }
+
+    const nickname = event.currentTarget.nickname.value.trim();
+    setIsSubmitting(true);
+    setErrorText(undefined);
+
+    try {
+      const res = await fetch(`${apiUrl}/api/signup`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        credentials: 'include', // Include cookies, the server logs the new user in right away
+        body: JSON.stringify({ email, phoneNumber, password, nickname })
+      });
+      if (res.ok) {
+        navigate('/');
+      } else {
+        const errorData = await res.json();
+        console.error('Signup failed:', errorData);
+        if (res.status === 409) {
+          if (errorData.field === 'email') setIsEmailAvailable(false);
+          if (errorData.field === 'phoneNumber') setIsPhoneNumberAvailable(false);
+        }
+        setErrorText(errorData.problems?.join(' ') || errorData.message || 'Signup failed. Please try again.');
+      }
+    } catch (error) {
+      console.error('Error during signup:', error);
+      setErrorText('Signup failed. Please check your connection and try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        <div className="login-title">Sign up</div>
+        <form className="login-form" onSubmit={handlePressSignup}>
+          <input
+            className="login-input"
+            type="text"
+            id="nickname"
+            name="nickname"
+            placeholder="Nickname (optional)"
+          />
+          <input
+            className={`login-input ${email && (!isEmailValid || isEmailAvailable === false) ? 'invalid' : ''}`}
+            type="email"
+            id="email"
+            name="email"
+            placeholder="Raccoon@study.com"
+            value={email}
+            onChange={(e) => {
+              setEmail(e.currentTarget.value.trim());
+              setIsEmailAvailable(null);
+            }}
+            onBlur={() => {
+              if (isEmailValid) checkAvailability('email', email);
+            }}
+            required
+          />
+          {isEmailAvailable === false && (
+            <div className="signup-hint invalid">This email is already registered. <a href="/login">Log in</a> instead?</div>
+          )}
+          <div className="login-input-wrapper">
+            <PhoneInput
+              className={`login-phone-input ${!phoneNumber || (isPhoneNumberValid && isPhoneNumberAvailable !== false) ? 'valid' : 'invalid'}`}
+              defaultCountry="US"
+              placeholder="Phone number"
+              value={phoneNumber}
+              onChange={(value) => {
+                setPhoneNumber(value);
+                setIsPhoneNumberAvailable(null);
+              }}
+              onBlur={() => {
+                if (phoneNumber && isPhoneNumberValid) checkAvailability('phoneNumber', phoneNumber);
+              }}
+              name="phoneNumber"
+              id="phoneNumber"
+              required
+            />
+          </div>
+          {isPhoneNumberAvailable === false && (
+            <div className="signup-hint invalid">This phone number is already registered.</div>
+          )}
+          <input
+            className="login-input"
+            type="password"
+            id="password"
+            name="password"
+            placeholder="Password"
+            autoComplete="new-password"
+            value={password}
+            onChange={(e) => setPassword(e.currentTarget.value)}
+            required
+          />
+          {password && <PasswordStrengthMeter strength={strength} />}
+          <input
+            className={`login-input ${confirmPassword && !isPasswordConfirmed ? 'invalid' : ''}`}
+            type="password"
+            id="confirmPassword"
+            name="confirmPassword"
+            placeholder="Confirm password"
+            autoComplete="new-password"
+            value={confirmPassword}
+            onChange={(e) => setConfirmPassword(e.currentTarget.value)}
+            required
+          />
+          {confirmPassword && !isPasswordConfirmed && (
+            <div className="signup-hint invalid">Passwords do not match.</div>
+          )}
+          <button className="login-btn" type="submit" disabled={!canCreate}>
+            {isSubmitting ? 'Creating...' : 'Create account'}
+          </button>
+        </form>
+        {errorText && (
+          <div className="login-error">
+            {errorText}
+          </div>
+        )}
+        <div className="login-footer">
+          <p>Already have an account? <a href="/login">Log in</a></p>
+          <p><a href="/about">About</a></p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Signup
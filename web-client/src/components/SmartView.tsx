@@ -0,0 +1,267 @@
+import '../App.css'
+import './TodoColumn.css'
+import './SmartView.css'
+
+import Task from './Task.tsx';
+import type { ProjectId, SavedView, TaskPriority, ViewFilter } from '../utils/type.ts';
+import { Droppable } from '@hello-pangea/dnd';
+import { useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { useAppContext } from './AppContext.tsx';
+import { createBackup, createBulkPayload, optimisticUIUpdate, postPayloadToServer, restoreBackup, sortByRank } from '../utils/utils.ts';
+import { PRIORITIES, normalizeTags } from '../utils/taskDetails.ts';
+import { userTimeZone } from '../utils/timeZone.ts';
+import { DUE_FILTERS, MAX_VIEWS, MAX_VIEW_NAME_LENGTH, NEW_VIEW_ID, emptyViewFilter, findView, viewGroups } from '../utils/views.ts';
+import { AnimatePresence } from 'motion/react';
+
+/**
+ * SmartView shows a view of the Menubar in place of the columns of the open project: the open tasks of every project
+ * that match its filter, one column per project. The tasks are the usual task cards, so they can be completed,
+ * rescheduled and edited in place, but not dragged.
+ * The filter can be changed and saved as a named view, or into the saved view shown.
+ * @param viewId - The id of a built-in or saved view, see views.ts, or NEW_VIEW_ID for a view not saved yet.
+ */
+function SmartView({ viewId }: { viewId: string }) {
+
+  const navigate = useNavigate();
+  const [, setSearchParams] = useSearchParams();
+
+  // Use the AppContext to access the global state and actions
+  const { states, setStates, actions } = useAppContext();
+
+  const savedViews = states.userProfile.savedViews ?? [];
+  const view = viewId === NEW_VIEW_ID ? undefined : findView(viewId, savedViews);
+  const isSavedView = savedViews.some((saved) => saved.id === viewId);
+
+  const [filter, setFilter] = useState<ViewFilter>(view?.filter ?? emptyViewFilter());
+  const [tagsText, setTagsText] = useState<string>(filter.tags.join(', ')); // the tags as typed, read on blur
+  const [name, setName] = useState<string>(isSavedView && view ? view.name : '');
+  const [errorText, setErrorText] = useState<string | undefined>(undefined);
+
+  if (viewId !== NEW_VIEW_ID && !view) {
+    return (
+      <div className='todoColumnCard smartViewFilterCard'>
+        <h1 className='todoColumnTitle'>View not found</h1>
+        <p className='smartViewMessage'>This view was deleted, pick another one in the menu.</p>
+      </div>
+    );
+  }
+
+  const timeZone = userTimeZone(states.userProfile.timeZone); // due dates are compared in the time zone of the user
+  const groups = viewGroups(states.tasks, states.statuses, states.projects, filter, timeZone);
+  const projectsSorted = sortByRank(states.projects);
+
+  const isChanged = !isSavedView || name.trim() !== view?.name || JSON.stringify(filter) !== JSON.stringify(view?.filter);
+
+  /**
+   * Writes the saved views of the user profile, see actions.saveViews.
+   * @returns whether they were saved.
+   */
+  const writeSavedViews = async (views: SavedView[]): Promise<boolean> => {
+    const payload = createBulkPayload();
+    const backup = createBackup(states, payload);
+    try {
+      actions.saveViews(views, payload);
+      optimisticUIUpdate(setStates, payload); // Optimistically update the UI
+      await postPayloadToServer('/api/bulk', navigate, backup, setStates); // Send the update to the server
+      return true;
+    } catch (error) {
+      console.error('Error saving views:', error);
+      restoreBackup(setStates, backup); // Restore the previous state in case of an error
+      setErrorText('Could not save the view, please try again.');
+      return false;
+    }
+  };
+
+  /**
+   * Saves the filter: into the saved view shown, or as a new saved view that is shown next.
+   */
+  const handleSave = async () => {
+    const trimmedName = name.trim();
+    if (!trimmedName) {
+      setErrorText('Give the view a name first.');
+      return;
+    }
+    if (!isSavedView && savedViews.length >= MAX_VIEWS) {
+      setErrorText(`You can save up to ${MAX_VIEWS} views, delete one first.`);
+      return;
+    }
+    setErrorText(undefined);
+    const saved: SavedView = { id: isSavedView ? viewId : crypto.randomUUID(), name: trimmedName, filter };
+    const views = isSavedView
+      ? savedViews.map((other) => (other.id === viewId ? saved : other))
+      : [...savedViews, saved];
+    if (await writeSavedViews(views) && !isSavedView) {
+      setSearchParams({ view: saved.id }); // show the new view
+    }
+  };
+
+  /**
+   * Deletes the saved view shown, and goes back to the board.
+   */
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the view "${view?.name}"? Its tasks are kept.`)) {
+      return;
+    }
+    if (await writeSavedViews(savedViews.filter((other) => other.id !== viewId))) {
+      setSearchParams({});
+    }
+  };
+
+  /**
+   * Leaves the view for the board of a project.
+   */
+  const handleOpenBoard = async (projectId: ProjectId) => {
+    setStates.setShowCompleted(false); // Hide completed tasks when switching projects
+    setStates.setShowDeleted(false); // Hide deleted tasks when switching projects
+    setSearchParams({});
+    if (projectId === states.userProfile.lastProjectId) {
+      return;
+    }
+
+    const payload = createBulkPayload();
+    const backup = createBackup(states, payload);
+    try {
+      actions.focusProject(projectId, payload); // Focus on the project of the column
+      optimisticUIUpdate(setStates, payload); // Optimistically update the UI
+      await postPayloadToServer('/api/bulk', navigate, backup, setStates); // Send the focus request
+    } catch (error) {
+      console.error('Error focusing project:', error);
+      restoreBackup(setStates, backup); // Restore the previous state in case of an error
+    }
+  };
+
+  /**
+   * Adds or removes an item of a list of the filter, e.g. a priority.
+   */
+  const toggleInFilter = <K extends 'priorities' | 'projects'>(key: K, item: ViewFilter[K][number], checked: boolean) => {
+    setFilter((current) => ({
+      ...current,
+      [key]: checked ? [...current[key], item] : (current[key] as string[]).filter((other) => other !== item),
+    }));
+  };
+
+  return (
+    <>
+      {/* The filter of the view, and saving it */}
+      <div className='todoColumnCard smartViewFilterCard'>
+        <h1 className='todoColumnTitle'>{view?.name ?? 'New view'}</h1>
+
+        <label className='smartViewField'>
+          <span>Due</span>
+          <select value={filter.due} onChange={(e) => setFilter({ ...filter, due: e.currentTarget.value as ViewFilter['due'] })}>
+            {DUE_FILTERS.map((due) => (
+              <option key={due.value} value={due.value}>{due.label}</option>
+            ))}
+          </select>
+        </label>
+
+        <div className='smartViewField'>
+          <span>Priority</span>
+          <div className='smartViewChoices'>
+            {PRIORITIES.map((priority: TaskPriority) => (
+              <label key={priority}>
+                <input type='checkbox'
+                  checked={filter.priorities.includes(priority)}
+                  onChange={(e) => toggleInFilter('priorities', priority, e.currentTarget.checked)} />
+                {priority}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <label className='smartViewField'>
+          <span>Tags</span>
+          <input type='text'
+            placeholder='Any tag, e.g. exam, biology'
+            value={tagsText}
+            onChange={(e) => setTagsText(e.currentTarget.value)}
+            onBlur={() => {
+              const tags = normalizeTags(tagsText);
+              setTagsText(tags.join(', '));
+              setFilter({ ...filter, tags });
+            }} />
+        </label>
+
+        <details className='smartViewField smartViewProjects'>
+          <summary>
+            <span>Projects</span> {filter.projects.length === 0 ? 'All projects' : `${filter.projects.length} selected`}
+          </summary>
+          <div className='smartViewChoices'>
+            {projectsSorted.map(([projectId, project]) => (
+              <label key={projectId}>
+                <input type='checkbox'
+                  checked={filter.projects.includes(projectId)}
+                  onChange={(e) => toggleInFilter('projects', projectId, e.currentTarget.checked)} />
+                {project.title}
+              </label>
+            ))}
+          </div>
+        </details>
+
+        <label className='smartViewField'>
+          <span>Text</span>
+          <input type='search'
+            placeholder='In titles and descriptions'
+            maxLength={200}
+            value={filter.text}
+            onChange={(e) => setFilter({ ...filter, text: e.currentTarget.value })} />
+        </label>
+
+        <div className='smartViewSave'>
+          <input type='text'
+            placeholder='View name'
+            maxLength={MAX_VIEW_NAME_LENGTH}
+            value={name}
+            onChange={(e) => setName(e.currentTarget.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                handleSave();
+              }
+            }} />
+          <button disabled={!isChanged} onClick={handleSave}>{isSavedView ? 'Save' : 'Save as view'}</button>
+          {isSavedView && <button className='smartViewDelete' onClick={handleDelete}>Delete</button>}
+        </div>
+        {errorText && <p className='smartViewMessage'>{errorText}</p>}
+      </div>
+
+      {groups.length === 0 && (
+        <div className='todoColumnCard smartViewFilterCard'>
+          <p className='smartViewMessage'>No open tasks match this view.</p>
+        </div>
+      )}
+
+      {/* One column per project, in list order */}
+      {groups.map(({ project, tasks }) => (
+        <div key={project[0]} className='todoColumnCard smartViewGroup'>
+          <div className='taskList'>
+            <div className='smartViewGroupHeader'>
+              <h1 className='todoColumnTitle'>{project[1].title}</h1>
+              <button title='Open the board of the project' onClick={() => handleOpenBoard(project[0])}>Open board</button>
+            </div>
+
+            <div className='todoColumnContent'>
+              {/* the cards are draggables, which need a droppable, but tasks are not dropped in views */}
+              <Droppable droppableId={`view-${project[0]}`} type='task' isDropDisabled>
+                {(provided) => (
+                  <div className='taskListContainer'
+                    ref={provided.innerRef}
+                    {...provided.droppableProps}>
+                    <AnimatePresence mode="popLayout" initial={false}>
+                      {tasks.map((task) => (
+                        <Task key={task[0]} task={task} tasks={tasks} inView />
+                      ))}
+                    </AnimatePresence>
+                    {provided.placeholder}
+                  </div>
+                )}
+              </Droppable>
+            </div>
+          </div>
+        </div>
+      ))}
+    </>
+  )
+}
+
+export default SmartView
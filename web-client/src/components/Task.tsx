@@ -1,10 +1,14 @@
 import '../App.css'
 import './Task.css'
-import type { TaskType, TaskId } from '../utils/type.ts'
+import type { TaskType, TaskId, SubtaskType } from '../utils/type.ts'
 import { Draggable } from '@hello-pangea/dnd';
 import React, { useRef, useEffect, useState } from 'react';
 import { useAppContext } from './AppContext.tsx';
 import { createBackup, createBulkPayload, optimisticUIUpdate, postPayloadToServer, restoreBackup } from '../utils/utils.ts';
+import { describeRecurrence, parseRecurrence, recurrencePresets } from '../utils/recurrence.ts';
+import { PRIORITIES, TASK_CATEGORIES, formatDuration, normalizeCategory, normalizePriority, normalizeTags, parseDuration } from '../utils/taskDetails.ts';
+import { fromDueDateInputs, isOverdue, isWholeDay, toDueDateInputs, userTimeZone } from '../utils/timeZone.ts';
+import { MAX_REMINDERS, describeReminder, reminderPresets } from '../utils/reminders.ts';
 
 import { motion } from 'motion/react';
 import { useNavigate } from 'react-router-dom';
@@ -34,8 +38,10 @@ function getStyle(style: any, snapshot: any) {
  * This component represents a single task (a task card) in the task list.
  * @param taskInfo - The information of the task, defined in App.tsx.
  * @param actions - The object containing actions, defined in App.tsx.
+ * @param inView - Whether the task is listed in a view of the Menubar, see SmartView.tsx, rather than in a column of
+ * the open project: it is shown whatever its project, and cannot be dragged.
  */
-function Task({ task, tasks, }: { task: [TaskId, TaskType], tasks: [TaskId, TaskType][], }) {
+function Task({ task, tasks, inView = false }: { task: [TaskId, TaskType], tasks: [TaskId, TaskType][], inView?: boolean }) {
 
   const navigate = useNavigate();
 
@@ -51,9 +57,12 @@ function Task({ task, tasks, }: { task: [TaskId, TaskType], tasks: [TaskId, Task
   const [textAreaDescHeight, setTextAreaDescHeight] = useState<number | null>(null); // State to manage the height of the description textarea
   const [isExiting, setIsExiting] = useState<boolean>(false); // State to manage exit animation
   const [exitingToStatus, setExitingToStatus] = useState<string | null>(null); // Track which status we're exiting to
+  const [isEditingCustomRule, setIsEditingCustomRule] = useState<boolean>(false); // State to show the input of a custom repeat rule
 
   function shouldDisplay() {
-    if (task[1].status.endsWith('-deleted') && !states.showDeleted) {
+    if (inView) {
+      return true; // the view already picked its tasks
+    } else if (task[1].status.endsWith('-deleted') && !states.showDeleted) {
       return false; // If the task is deleted and showDeleted is false, do not display
     } else if (task[1].status.endsWith('-completed') && !states.showCompleted) {
       return false; // If the task is completed and showCompleted is false, do not display
@@ -88,8 +97,9 @@ function Task({ task, tasks, }: { task: [TaskId, TaskType], tasks: [TaskId, Task
    * and deletes the task when Backspace or Delete is pressed.
    * @param e - The keyboard event, auto-generated by React.
    */
-  const handleTitleKeyboard = (e: React.KeyboardEvent<HTMLTextAreaElement>) => {
+  const handleTitleKeyboard = async (e: React.KeyboardEvent<HTMLTextAreaElement>) => {
     const event = e; // Store the current target for later use
+    const currentTarget = event.currentTarget; // React clears event.currentTarget once the handler awaits
     if (event.key === 'Enter') {
       console.log('Enter pressed');
       event.preventDefault(); // Prevent default Enter key behavior (adding a new line)
@@ -98,17 +108,17 @@ function Task({ task, tasks, }: { task: [TaskId, TaskType], tasks: [TaskId, Task
       const bulkPayload = createBulkPayload();
       const backup = createBackup(states, bulkPayload);
       try {
-        actions.updateTask({ id: task[0], updatedFields: { title: event.currentTarget.value } }, backup);
+        actions.updateTask({ id: task[0], updatedFields: { title: currentTarget.value } }, backup);
         optimisticUIUpdate(setStates, backup); // Optimistically update the UI with the new task title
-        postPayloadToServer('/api/bulk', navigate, backup); // Send the update to the server
+        await postPayloadToServer('/api/bulk', navigate, backup, setStates); // Send the update to the server
       } catch (error) {
         console.error('Error updating task title:', error);
         // If the request fails, restore the previous state from the backup
         restoreBackup(setStates, backup);
       }
 
-      event.currentTarget.blur(); // Remove focus from the input field
-      console.log(`update title: ${event.currentTarget.title}`)
+      currentTarget.blur(); // Remove focus from the input field
+      console.log(`update title: ${currentTarget.title}`)
     }
     if (event.key === 'Escape' && event.currentTarget.value !== '') {
       // Handle Escape key press logic here
@@ -134,7 +144,7 @@ function Task({ task, tasks, }: { task: [TaskId, TaskType], tasks: [TaskId, Task
       try {
         actions.updateTask({ id: task[0], updatedFields: { title: currentTarget.value } }, backup); // Update the task title
         optimisticUIUpdate(setStates, backup); // Optimistically update the UI with the new task title
-        postPayloadToServer('/api/bulk', navigate, backup); // Send the update to the server
+        await postPayloadToServer('/api/bulk', navigate, backup, setStates); // Send the update to the server
       } catch (error) {
         console.error('Error updating task title:', error);
         // If the request fails, restore the previous state from the backup
@@ -162,7 +172,7 @@ function Task({ task, tasks, }: { task: [TaskId, TaskType], tasks: [TaskId, Task
       try {
         actions.updateTask({ id: task[0], updatedFields: { description: currentTarget.value } }, backup); // Update the task description
         optimisticUIUpdate(setStates, backup); // Optimistically update the UI with the new task description
-        postPayloadToServer('/api/bulk', navigate, backup);
+        await postPayloadToServer('/api/bulk', navigate, backup, setStates);
       } catch (error) {
         console.error('Error updating task description:', error);
         // If the request fails, restore the previous state from the backup
@@ -194,7 +204,7 @@ function Task({ task, tasks, }: { task: [TaskId, TaskType], tasks: [TaskId, Task
       try {
         actions.updateTask({ id: task[0], updatedFields: { description: event.currentTarget.value } }, backup); // Update the task description
         optimisticUIUpdate(setStates, backup); // Optimistically update the UI with the new task description
-        postPayloadToServer('/api/bulk', navigate, backup); // Send the update to the server
+        await postPayloadToServer('/api/bulk', navigate, backup, setStates); // Send the update to the server
       } catch (error) {
         console.error('Error updating task description:', error);
         // If the request fails, restore the previous state from the backup
@@ -229,7 +239,7 @@ function Task({ task, tasks, }: { task: [TaskId, TaskType], tasks: [TaskId, Task
         try {
           actions.hardDeleteTask(task[0], backup);
           optimisticUIUpdate(setStates, backup);
-          postPayloadToServer('/api/bulk', navigate, backup); // Send the delete request to the server
+          await postPayloadToServer('/api/bulk', navigate, backup, setStates); // Send the delete request to the server
 
         } catch (error) {
           console.error('Error deleting task:', error);
@@ -249,9 +259,10 @@ function Task({ task, tasks, }: { task: [TaskId, TaskType], tasks: [TaskId, Task
       const backup = createBackup(states, bulkPayload);
 
       try {
-        actions.moveTask(task[0], `${states.userProfile.lastProjectId}-deleted`, 'end', backup, false); // Move the task to the end of the deleted list
+        const projectId = states.statuses[task[1].status]?.project ?? states.userProfile.lastProjectId; // a task listed in a view may be of another project
+        actions.moveTask(task[0], `${projectId}-deleted`, 'end', backup, false); // Move the task to the end of the deleted list
         optimisticUIUpdate(setStates, backup); // Optimistically update the UI with the new task status
-        postPayloadToServer('/api/bulk', navigate, backup); // Send the update to the server
+        await postPayloadToServer('/api/bulk', navigate, backup, setStates); // Send the update to the server
       } catch (error) {
         console.error('Error moving task to deleted status:', error);
         // If the request fails, restore the previous state from the backup
@@ -278,9 +289,9 @@ function Task({ task, tasks, }: { task: [TaskId, TaskType], tasks: [TaskId, Task
       const backup = createBackup(states, bulkPayload);
 
       try {
-        actions.moveTask(task[0], `${states.userProfile.lastProjectId}-completed`, 'end', backup, false); // Move the task to the end of the completed list
+        actions.completeTask(task[0], backup); // Move the task to the end of the completed list, a repeating task is followed by its next occurrence
         optimisticUIUpdate(setStates, backup); // Optimistically update the UI with the new task status
-        postPayloadToServer('/api/bulk', navigate, backup); // Send the update to the server
+        await postPayloadToServer('/api/bulk', navigate, backup, setStates); // Send the update to the server
       } catch (error) {
         console.error('Error moving task to completed status:', error);
         // If the request fails, restore the previous state from the backup
@@ -308,7 +319,7 @@ function Task({ task, tasks, }: { task: [TaskId, TaskType], tasks: [TaskId, Task
     try {
       actions.moveTask(task[0], task[1].previousStatus, 'end', backup, false); // Move the task to the end of the todo list
       optimisticUIUpdate(setStates, backup); // Optimistically update the UI with the new task status
-      postPayloadToServer('/api/bulk', navigate, backup); // Send the update to the server
+      await postPayloadToServer('/api/bulk', navigate, backup, setStates); // Send the update to the server
     } catch (error) {
       console.error('Error restoring task:', error);
       // If the request fails, restore the previous state from the backup
@@ -316,27 +327,29 @@ function Task({ task, tasks, }: { task: [TaskId, TaskType], tasks: [TaskId, Task
     }
   };
 
+  const timeZone = userTimeZone(states.userProfile.timeZone); // due times are shown in the time zone of the user
+  const dueInputs = toDueDateInputs(task[1].dueDate, task[1].dueHasTime, timeZone);
+
   /**
-   * Handles changes to the due date input field.
-   * @param e - The change event, auto-generated by React.
+   * Saves the due date typed in the date and time inputs, see utils/timeZone.ts.
+   * Nothing is sent if it has not changed.
+   * @param date - The day, `YYYY-MM-DD`, '' to remove the due date.
+   * @param time - The time in the time zone of the user, '' for the whole day.
    */
-  const handleDueDateChange = async (e: React.ChangeEvent<HTMLInputElement>) => {
-    const event = e; // Store the current target for later use
-    const currentTarget = event.currentTarget; // Store the current target for later use
+  const handleDueDateChange = async (date: string, time: string) => {
+    const { dueDate, dueHasTime } = fromDueDateInputs(date, time, timeZone);
+    if (date === dueInputs.date && time === dueInputs.time) {
+      return;
+    }
 
     // Create a bulk payload and backup for the update operation
     const bulkPayload = createBulkPayload();
     const backup = createBackup(states, bulkPayload);
 
     try {
-      if (!currentTarget.value) {// If the due date input is cleared, set the due date to null
-        actions.updateTask({ id: task[0], updatedFields: { dueDate: null } }, backup);
-
-      } else {
-        actions.updateTask({ id: task[0], updatedFields: { dueDate: new Date(currentTarget.value) } }, backup);
-      }
+      actions.updateTask({ id: task[0], updatedFields: { dueDate, dueHasTime } }, backup);
       optimisticUIUpdate(setStates, backup); // Optimistically update the UI with the new due date
-      postPayloadToServer('/api/bulk', navigate, backup); // Send the update to the server
+      await postPayloadToServer('/api/bulk', navigate, backup, setStates); // Send the update to the server
     } catch (error) {
       console.error('Error updating task due date:', error);
       // If the request fails, restore the previous state from the backup
@@ -344,6 +357,202 @@ function Task({ task, tasks, }: { task: [TaskId, TaskType], tasks: [TaskId, Task
     }
   };
 
+  /**
+   * Sets the repeat rule of the task, see utils/recurrence.ts.
+   * @param rule - The new rule, null for a task that does not repeat.
+   */
+  const handleRecurrenceChange = async (rule: string | null) => {
+    if (rule === (task[1].recurrence ?? null)) {
+      return;
+    }
+
+    // Create a bulk payload and backup for the update operation
+    const bulkPayload = createBulkPayload();
+    const backup = createBackup(states, bulkPayload);
+
+    try {
+      actions.updateTask({ id: task[0], updatedFields: { recurrence: rule } }, backup);
+      optimisticUIUpdate(setStates, backup); // Optimistically update the UI with the new rule
+      await postPayloadToServer('/api/bulk', navigate, backup, setStates); // Send the update to the server
+    } catch (error) {
+      console.error('Error updating task repeat rule:', error);
+      // If the request fails, restore the previous state from the backup
+      restoreBackup(setStates, backup);
+    }
+  };
+
+  /**
+   * Handles the input of a custom repeat rule, applied with Enter or when it loses focus.
+   * An invalid rule is reverted to the current one.
+   * @param e - The event, auto-generated by React.
+   */
+  const handleCustomRuleDone = (e: React.FocusEvent<HTMLInputElement> | React.KeyboardEvent<HTMLInputElement>) => {
+    const currentTarget = e.currentTarget; // Store the current target for later use
+    const rule = currentTarget.value.trim().replace(/^RRULE:/i, '').toUpperCase();
+    if (!rule) {
+      handleRecurrenceChange(null);
+      setIsEditingCustomRule(false);
+    } else if (parseRecurrence(rule)) {
+      handleRecurrenceChange(rule);
+      setIsEditingCustomRule(false);
+    } else {
+      console.warn(`Unsupported repeat rule: ${rule}`);
+      currentTarget.value = task[1].recurrence ?? '';
+    }
+  };
+
+  /**
+   * Saves the priority, tags, category or estimated duration of the task, see utils/taskDetails.ts.
+   * Nothing is sent if they have not changed.
+   * @param updatedFields - The changed details.
+   */
+  const handleDetailsChange = async (updatedFields: Pick<Partial<TaskType>, 'priority' | 'tags' | 'category' | 'estimatedDuration'>) => {
+    const changed = Object.entries(updatedFields).some(([key, value]) =>
+      JSON.stringify(value ?? null) !== JSON.stringify(task[1][key as keyof TaskType] ?? (key === 'tags' ? [] : null)));
+    if (!changed) {
+      return;
+    }
+
+    // Create a bulk payload and backup for the update operation
+    const bulkPayload = createBulkPayload();
+    const backup = createBackup(states, bulkPayload);
+
+    try {
+      actions.updateTask({ id: task[0], updatedFields }, backup);
+      optimisticUIUpdate(setStates, backup); // Optimistically update the UI with the new details
+      await postPayloadToServer('/api/bulk', navigate, backup, setStates); // Send the update to the server
+    } catch (error) {
+      console.error('Error updating task details:', error);
+      // If the request fails, restore the previous state from the backup
+      restoreBackup(setStates, backup);
+    }
+  };
+
+  /**
+   * Handles the input of the estimated duration, applied when it loses focus.
+   * An estimate that cannot be read is reverted to the current one, an empty one removes it.
+   * @param e - The focus event, auto-generated by React.
+   */
+  const handleEstimateLostFocus = (e: React.FocusEvent<HTMLInputElement>) => {
+    const currentTarget = e.currentTarget; // Store the current target for later use
+    if (!currentTarget.value.trim()) {
+      handleDetailsChange({ estimatedDuration: null });
+      return;
+    }
+    const minutes = parseDuration(currentTarget.value);
+    if (minutes === null) {
+      console.warn(`Unsupported estimate: ${currentTarget.value}`);
+      currentTarget.value = task[1].estimatedDuration ? formatDuration(task[1].estimatedDuration) : '';
+    } else {
+      currentTarget.value = formatDuration(minutes);
+      handleDetailsChange({ estimatedDuration: minutes });
+    }
+  };
+
+  const tags = task[1].tags ?? [];
+
+  const reminders = task[1].reminders ?? [];
+  const isDueOnDay = !task[1].dueDate || isWholeDay(new Date(task[1].dueDate), task[1].dueHasTime);
+
+  /**
+   * Saves the reminders of the task, see utils/reminders.ts.
+   * @param updatedReminders - The new reminders, in any order.
+   */
+  const handleRemindersChange = async (updatedReminders: number[]) => {
+    // Create a bulk payload and backup for the update operation
+    const bulkPayload = createBulkPayload();
+    const backup = createBackup(states, bulkPayload);
+
+    try {
+      actions.updateTask({ id: task[0], updatedFields: { reminders: [...updatedReminders].sort((a, b) => a - b) } }, backup);
+      optimisticUIUpdate(setStates, backup); // Optimistically update the UI with the new reminders
+      await postPayloadToServer('/api/bulk', navigate, backup, setStates); // Send the update to the server
+    } catch (error) {
+      console.error('Error updating task reminders:', error);
+      // If the request fails, restore the previous state from the backup
+      restoreBackup(setStates, backup);
+    }
+  };
+
+  const subtasks = task[1].subtasks ?? [];
+  const doneSubtasks = subtasks.filter((subtask) => subtask.done).length;
+
+  /**
+   * Saves the checklist of the task, the whole list is written at once.
+   * @param checklist - The new checklist, in list order.
+   */
+  const handleSubtasksChange = async (checklist: SubtaskType[]) => {
+    // Create a bulk payload and backup for the update operation
+    const bulkPayload = createBulkPayload();
+    const backup = createBackup(states, bulkPayload);
+
+    try {
+      actions.updateTask({ id: task[0], updatedFields: { subtasks: checklist } }, backup);
+      optimisticUIUpdate(setStates, backup); // Optimistically update the UI with the new checklist
+      await postPayloadToServer('/api/bulk', navigate, backup, setStates); // Send the update to the server
+    } catch (error) {
+      console.error('Error updating task checklist:', error);
+      // If the request fails, restore the previous state from the backup
+      restoreBackup(setStates, backup);
+    }
+  };
+
+  /**
+   * Handles keyboard events on the input of a new checklist item: Enter adds it at the end of the list,
+   * Escape clears the input.
+   * @param e - The keyboard event, auto-generated by React.
+   */
+  const handleNewSubtaskKeyboard = (e: React.KeyboardEvent<HTMLInputElement>) => {
+    const currentTarget = e.currentTarget; // Store the current target for later use
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      const title = currentTarget.value.trim();
+      if (title) {
+        handleSubtasksChange([...subtasks, { id: crypto.randomUUID(), title, done: false }]);
+        currentTarget.value = ''; // Keep the input focused, to add the next item
+      }
+    }
+    if (e.key === 'Escape') {
+      currentTarget.value = '';
+      currentTarget.blur();
+    }
+  };
+
+  /**
+   * Handles focus lost event on the title of a checklist item: saves it if it has changed.
+   * An empty title is reverted, an item is removed with its delete button.
+   * @param e - The focus event, auto-generated by React.
+   * @param id - The ID of the item.
+   */
+  const handleSubtaskTitleLostFocus = (e: React.FocusEvent<HTMLInputElement>, id: string) => {
+    const currentTarget = e.currentTarget; // Store the current target for later use
+    const subtask = subtasks.find((item) => item.id === id);
+    const title = currentTarget.value.trim();
+    if (!subtask || !title) {
+      currentTarget.value = subtask?.title ?? '';
+    } else if (title !== subtask.title) {
+      handleSubtasksChange(subtasks.map((item) => (item.id === id ? { ...item, title } : item)));
+    }
+  };
+
+  /**
+   * Moves a checklist item one place up or down.
+   * @param index - The index of the item.
+   * @param offset - -1 to move it up, 1 to move it down.
+   */
+  const handleMoveSubtask = (index: number, offset: -1 | 1) => {
+    const target = index + offset;
+    if (target < 0 || target >= subtasks.length) {
+      return;
+    }
+    const reordered = [...subtasks];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    handleSubtasksChange(reordered);
+  };
+
+  const presets = recurrencePresets(task[1].dueDate, !isDueOnDay, timeZone);
+  const isCustomRule = isEditingCustomRule || (!!task[1].recurrence && !presets.some((preset) => preset.rule === task[1].recurrence));
+
   const textAreaRefDesc = useRef<HTMLTextAreaElement>(null);
   const textAreaRefTitle = useRef<HTMLTextAreaElement>(null);
 
@@ -374,9 +583,7 @@ function Task({ task, tasks, }: { task: [TaskId, TaskType], tasks: [TaskId, Task
     }
   }, [textAreaRefTitle.current?.style.height, textAreaRefDesc.current?.style.height]); // This effect runs whenever the text area heights change
 
-  const today = new Date();
-  const dueDate = new Date();
-  dueDate.setDate(today.getDate() - 1);
+  const overdue = isOverdue(task[1].dueDate, task[1].dueHasTime, timeZone);
 
   const [onMouseEnter, setOnMouseEnter] = useState<boolean>(false); // State to manage mouse enter event
 
@@ -389,7 +596,7 @@ function Task({ task, tasks, }: { task: [TaskId, TaskType], tasks: [TaskId, Task
   // ...provided.dragHandleProps: these are the props required by the Draggable component to make the <div> draggable.
   // style: this is used to apply the draggable styles to the task element. See getStyle function above.
   return (
-    <Draggable draggableId={task[0]} index={tasks.indexOf(task)} >
+    <Draggable draggableId={task[0]} index={tasks.indexOf(task)} isDragDisabled={inView} >
       {
         (provided, snapshot) => {
           const isDragging = snapshot.isDragging || snapshot.isDropAnimating || states.justDragged;
@@ -507,19 +714,215 @@ function Task({ task, tasks, }: { task: [TaskId, TaskType], tasks: [TaskId, Task
                   />
 
                   <input type='date'
+                    key={`dueDate-${dueInputs.date}`} // shows the saved day again after a change made elsewhere
                     className='taskDueDate'
-                    defaultValue={task[1].dueDate ? new Date(task[1].dueDate).toISOString().slice(0, 10) : undefined}
-                    onChange={handleDueDateChange}
+                    defaultValue={dueInputs.date || undefined}
+                    onChange={(e) => handleDueDateChange(e.currentTarget.value, dueInputs.time)}
                     style={{
-                      color: task[1].dueDate && task[1].dueDate < dueDate ? 'red' : '',
-                      fontWeight: task[1].dueDate && task[1].dueDate < dueDate ? 'normal' : '',
-                      opacity: task[1].dueDate && task[1].dueDate < dueDate ? '1' : '',
+                      color: overdue ? 'red' : '',
+                      fontWeight: overdue ? 'normal' : '',
+                      opacity: overdue ? '1' : '',
                       pointerEvents: isFocusing ? 'auto' : 'none',
                     }}
                     readOnly={!isFocusing}
                   />
-
-                  {/* TODO: add subtasks function: click to drop down subtasks, subtasks can be added, deleted, updated, dragged */}
+                  {/* the due time, in the time zone of the user, only shown on tasks due at a time until the task is focused */}
+                  {(isFocusing || dueInputs.time) && (
+                    <input type='time'
+                      key={`dueTime-${dueInputs.date}-${dueInputs.time}`}
+                      className='taskDueDate taskDueTime'
+                      defaultValue={dueInputs.time}
+                      title={`Due time (${timeZone}), empty for the whole day`}
+                      onBlur={(e) => handleDueDateChange(dueInputs.date, e.currentTarget.value)}
+                      onKeyDown={(e) => { if (e.key === 'Enter') e.currentTarget.blur(); }}
+                      style={{
+                        color: overdue ? 'red' : '',
+                        fontWeight: overdue ? 'normal' : '',
+                        opacity: overdue ? '1' : '',
+                        pointerEvents: isFocusing ? 'auto' : 'none',
+                      }}
+                      readOnly={!isFocusing}
+                      disabled={!dueInputs.date}
+                    />
+                  )}
+
+                  {/* the repeat rule, only shown on repeating tasks until the task is focused */}
+                  {(isFocusing || task[1].recurrence) && (
+                    <select className='taskRecurrence'
+                      value={isCustomRule ? 'custom' : task[1].recurrence ?? ''}
+                      title={describeRecurrence(task[1].recurrence)}
+                      onChange={(e) => {
+                        const value = e.currentTarget.value;
+                        setIsEditingCustomRule(value === 'custom');
+                        if (value !== 'custom') {
+                          handleRecurrenceChange(value || null);
+                        }
+                      }}
+                      style={{
+                        pointerEvents: isFocusing ? 'auto' : 'none',
+                      }}
+                      disabled={task[1].status.endsWith('-completed') || task[1].status.endsWith('-deleted')}
+                    >
+                      <option value=''>Does not repeat</option>
+                      {presets.map((preset) => (
+                        <option key={preset.rule} value={preset.rule}>{preset.label}</option>
+                      ))}
+                      <option value='custom'>{isCustomRule && task[1].recurrence ? describeRecurrence(task[1].recurrence) : 'Custom...'}</option>
+                    </select>
+                  )}
+                  {isFocusing && isCustomRule && (
+                    <input type='text'
+                      className='taskRecurrenceRule'
+                      defaultValue={task[1].recurrence ?? ''}
+                      placeholder='FREQ=WEEKLY;INTERVAL=2;BYDAY=MO'
+                      onBlur={handleCustomRuleDone}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') {
+                          handleCustomRuleDone(e);
+                        }
+                      }}
+                    />
+                  )}
+
+                  {/* the priority, category, estimate and tags: badges on the card, inputs once the task is focused */}
+                  {!isFocusing && (task[1].priority || task[1].category || task[1].estimatedDuration || tags.length > 0 || (task[1].dueDate && reminders.length > 0)) && (
+                    <div className='taskBadges'>
+                      {task[1].priority && (
+                        <span className={`taskBadge taskPriority-${task[1].priority}`} title='Priority'>{task[1].priority}</span>
+                      )}
+                      {task[1].category && <span className='taskBadge' title='Category'>{task[1].category}</span>}
+                      {task[1].estimatedDuration && (
+                        <span className='taskBadge' title='Estimated duration'>⏱ {formatDuration(task[1].estimatedDuration)}</span>
+                      )}
+                      {tags.map((tag) => <span key={tag} className='taskBadge taskTag'>#{tag}</span>)}
+                      {task[1].dueDate && reminders.length > 0 && (
+                        <span className='taskBadge' title={reminders.map((offset) => describeReminder(offset, isDueOnDay)).join(', ')}>
+                          🔔 {reminders.length}
+                        </span>
+                      )}
+                    </div>
+                  )}
+                  {/* the reminders, which need a due date */}
+                  {isFocusing && task[1].dueDate && (
+                    <div className='taskReminders' onDoubleClick={(e) => e.stopPropagation()}>
+                      {reminders.map((offset) => (
+                        <span key={offset} className='taskBadge taskReminder'>
+                          🔔 {describeReminder(offset, isDueOnDay)}
+                          <button className='taskReminderRemove' title='Remove reminder'
+                            onClick={() => handleRemindersChange(reminders.filter((other) => other !== offset))}>×</button>
+                        </span>
+                      ))}
+                      {reminders.length < MAX_REMINDERS && (
+                        <select className='taskDetail'
+                          value=''
+                          title='Add a reminder'
+                          onChange={(e) => handleRemindersChange([...reminders, Number(e.currentTarget.value)])}
+                        >
+                          <option value=''>Add a reminder</option>
+                          {reminderPresets(reminders, isDueOnDay).map((preset) => (
+                            <option key={preset.offset} value={preset.offset}>{preset.label}</option>
+                          ))}
+                        </select>
+                      )}
+                    </div>
+                  )}
+                  {isFocusing && (
+                    <div className='taskDetails' onDoubleClick={(e) => e.stopPropagation()}>
+                      <select className='taskDetail'
+                        value={task[1].priority ?? ''}
+                        title='Priority'
+                        onChange={(e) => handleDetailsChange({ priority: normalizePriority(e.currentTarget.value) })}
+                      >
+                        <option value=''>No priority</option>
+                        {PRIORITIES.map((priority) => (
+                          <option key={priority} value={priority}>{priority[0].toUpperCase() + priority.slice(1)} priority</option>
+                        ))}
+                      </select>
+                      <input type='text'
+                        key={`category-${task[1].category ?? ''}`} // shows the saved value again after it was cleaned up
+                        className='taskDetail'
+                        defaultValue={task[1].category ?? ''}
+                        placeholder='Category'
+                        title='Category'
+                        list={`${task[0]}-categories`}
+                        maxLength={50}
+                        onBlur={(e) => handleDetailsChange({ category: normalizeCategory(e.currentTarget.value) })}
+                        onKeyDown={(e) => { if (e.key === 'Enter') e.currentTarget.blur(); }}
+                      />
+                      <datalist id={`${task[0]}-categories`}>
+                        {TASK_CATEGORIES.map((category) => <option key={category} value={category} />)}
+                      </datalist>
+                      <input type='text'
+                        key={`estimate-${task[1].estimatedDuration ?? ''}`}
+                        className='taskDetail taskEstimate'
+                        defaultValue={task[1].estimatedDuration ? formatDuration(task[1].estimatedDuration) : ''}
+                        placeholder='Estimate, e.g. 1h 30m'
+                        title='Estimated duration'
+                        onBlur={handleEstimateLostFocus}
+                        onKeyDown={(e) => { if (e.key === 'Enter') e.currentTarget.blur(); }}
+                      />
+                      <input type='text'
+                        key={`tags-${tags.join(',')}`}
+                        className='taskDetail taskTags'
+                        defaultValue={tags.join(', ')}
+                        placeholder='Tags, separated by commas'
+                        title='Tags'
+                        onBlur={(e) => handleDetailsChange({ tags: normalizeTags(e.currentTarget.value) })}
+                        onKeyDown={(e) => { if (e.key === 'Enter') e.currentTarget.blur(); }}
+                      />
+                    </div>
+                  )}
+
+                  {/* the checklist: its progress on the card, the items once the task is focused */}
+                  {!isFocusing && subtasks.length > 0 && (
+                    <div className='taskSubtaskProgress'
+                      title={`${doneSubtasks} of ${subtasks.length} checklist items done`}
+                      style={{ opacity: doneSubtasks === subtasks.length ? 1 : '' }}
+                    >
+                      ☑ {doneSubtasks}/{subtasks.length}
+                    </div>
+                  )}
+                  {isFocusing && (
+                    <ul className='taskSubtasks' onDoubleClick={(e) => e.stopPropagation()}>
+                      {subtasks.map((subtask, index) => (
+                        <li key={subtask.id} className='taskSubtask'>
+                          <input type='checkbox'
+                            checked={subtask.done}
+                            onChange={() => handleSubtasksChange(subtasks.map((item) => (item.id === subtask.id ? { ...item, done: !item.done } : item)))}
+                          />
+                          <input type='text'
+                            className='taskSubtaskTitle'
+                            defaultValue={subtask.title}
+                            onBlur={(e) => handleSubtaskTitleLostFocus(e, subtask.id)}
+                            onKeyDown={(e) => {
+                              if (e.key === 'Enter') {
+                                e.currentTarget.blur(); // Saved when it loses focus
+                              }
+                              if (e.key === 'Escape') {
+                                e.currentTarget.value = subtask.title; // Restore the previous value
+                                e.currentTarget.blur();
+                              }
+                            }}
+                            style={{ textDecoration: subtask.done ? 'line-through' : '' }}
+                            maxLength={500}
+                          />
+                          <button className='taskSubtaskButton' title='Move up' disabled={index === 0} onClick={() => handleMoveSubtask(index, -1)}>↑</button>
+                          <button className='taskSubtaskButton' title='Move down' disabled={index === subtasks.length - 1} onClick={() => handleMoveSubtask(index, 1)}>↓</button>
+                          <button className='taskSubtaskButton' title='Delete' onClick={() => handleSubtasksChange(subtasks.filter((item) => item.id !== subtask.id))}>×</button>
+                        </li>
+                      ))}
+                      {subtasks.length < 100 && (
+                        <li className='taskSubtask'>
+                          <input type='text'
+                            className='taskSubtaskTitle taskNewSubtask'
+                            placeholder='Add a checklist item...'
+                            onKeyDown={handleNewSubtaskKeyboard}
+                            maxLength={500}
+                          />
+                        </li>
+                      )}
+                    </ul>
+                  )}
 
                 </div>
                 <div className="deleteTaskButton"
@@ -5,7 +5,7 @@ import AddNewTask from './AddNewTask.tsx';
 import type { TaskType, StatusId, TaskId, TaskData } from '../utils/type.ts';
 import Task from './Task.tsx';
 import { Droppable } from '@hello-pangea/dnd';
-import { sortChain } from '../utils/utils.ts';
+import { sortByRank } from '../utils/utils.ts';
 import { useAppContext } from './AppContext.tsx';
 import { motion, AnimatePresence } from 'motion/react';
 
@@ -33,7 +33,7 @@ function TodoColumn({
 
   const tasks = Object.fromEntries(Object.entries(states.tasks).filter(([, task]) => (task as TaskType).status === status));
   console.log("tasks in TodoColumn", tasks);
-  const tasksSorted = sortChain(tasks as TaskData) as [TaskId, TaskType][];
+  const tasksSorted = sortByRank(tasks as TaskData) as [TaskId, TaskType][];
 
   console.log("status", status);
 
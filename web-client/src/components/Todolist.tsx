@@ -4,10 +4,12 @@ import './TaskDropArea.css';
 
 import Menubar from './Menubar.tsx'
 import TodoColumn from './TodoColumn.tsx'
+import SmartView from './SmartView.tsx'
 import AIChatPanel from './AIChatPanel.tsx'
+import UndoToast from './UndoToast.tsx'
 
 import type { StatusData, StatusType } from '../utils/type.ts'
-import { sortChain } from '../utils/utils.ts';
+import { sortByRank, applyQueuedPayloads, flushOutbox } from '../utils/utils.ts';
 import { useEffect } from 'react';
 
 
@@ -15,11 +17,17 @@ import { useEffect } from 'react';
 import { createStatesAndSetStates } from '../utils/states.ts';
 import { createActions } from '../utils/actions.ts';
 import { DragDropContext } from '@hello-pangea/dnd';
-import { loadAllData } from '../data/loadInitData.ts'
+import { loadAllData, getSyncCursor } from '../data/loadInitData.ts'
+import { subscribeToChanges } from '../data/liveUpdates.ts';
+import { loadNotifications } from '../data/notifications.ts';
+import { saveSnapshot } from '../data/offlineStore.ts';
 import { AppContext } from '../components/AppContext.tsx';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { motion } from 'motion/react';
 
+// how long the data has to stay unchanged before it is saved as the offline snapshot
+const SNAPSHOT_DELAY = 1000;
+
 /**
  * Todolist component represents the main todo list interface.
  * It displays the task columns and handles the overall state and actions.
@@ -36,8 +44,15 @@ function Todolist() {
   const appContextValue = { states, setStates, actions };
 
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const viewId = searchParams.get('view'); // a view of the Menubar, e.g. /?view=today, shown in place of the columns
 
   useEffect(() => {
+    // a link to a task, e.g. from the calendar feed: /?project=<projectId>&task=<taskId>
+    const linkParams = new URLSearchParams(window.location.search);
+    const linkedProjectId = linkParams.get('project');
+    const linkedTaskId = linkParams.get('task');
+
     loadAllData(navigate).then((d) => {
       setStates.setTasks(draft => {
         Object.assign(draft, d.taskData);
@@ -73,9 +88,29 @@ function Todolist() {
           draft.lastProjectId = d.userProfileData.lastProjectId; // Set a default last project ID for testing
           draft.avatarUrl = d.userProfileData.avatarUrl; // Set a default avatar URL for testing
           draft.language = d.userProfileData.language; // Set a default language for testing
+          draft.timeZone = d.userProfileData.timeZone ?? null; // The time zone due dates are shown in
+          draft.savedViews = d.userProfileData.savedViews ?? []; // The named filters of the Menubar
+          draft.rev = d.userProfileData.rev; // The revision the profile updates are based on
+          if (linkedProjectId && d.projectData[linkedProjectId]) {
+            draft.lastProjectId = linkedProjectId; // open the project of the link
+          }
           console.log("User profile loaded successfully.");
         }
       });
+      if (linkedTaskId && d.taskData[linkedTaskId]) {
+        if (d.taskData[linkedTaskId].status.endsWith('-completed')) {
+          setStates.setShowCompleted(true);
+        }
+        setStates.setFocusedItem(linkedTaskId);
+        requestAnimationFrame(() => document.getElementById(linkedTaskId)?.scrollIntoView({ block: 'center' }));
+      }
+      if (linkedProjectId || linkedTaskId) {
+        navigate('/', { replace: true }); // so reloading the page does not jump back to the task
+      }
+    }).then(async () => {
+      // show the changes still waiting in the offline outbox, then try to send them
+      await applyQueuedPayloads(setStates);
+      await flushOutbox(setStates, navigate);
     }).catch((error) => {
       console.error('Error loading initial data:', error);
       // Optionally, you can load test data here if the initial data loading fails
@@ -83,8 +118,30 @@ function Todolist() {
       // loadTestProjects().then(projects => setStates.setProjects(projects));
       // loadTestStatuses().then(statuses => setStates.setStatuses(statuses));
     });
+
+    loadNotifications(setStates, navigate);
+
+    // apply the changes made in other tabs and on other devices from now on
+    return subscribeToChanges(setStates, navigate);
   }, []);
 
+  // keep the last known data for offline startups, only while it matches the server, the outbox is replayed on top of it
+  useEffect(() => {
+    if (!states.userProfile.id || states.syncStatus.pending > 0) {
+      return;
+    }
+    const timer = setTimeout(() => {
+      saveSnapshot({
+        taskData: states.tasks,
+        projectData: states.projects,
+        statusData: states.statuses,
+        userProfileData: states.userProfile,
+        cursor: getSyncCursor()
+      }).catch((error) => console.error('Error saving offline snapshot:', error));
+    }, SNAPSHOT_DELAY);
+    return () => clearTimeout(timer);
+  }, [states.tasks, states.projects, states.statuses, states.userProfile, states.syncStatus.pending]);
+
   // handle clicking on out of the focused item
   useEffect(() => {
     if (states.focusedItem) {
@@ -105,7 +162,7 @@ function Todolist() {
   const statusesInProject = Object.fromEntries(
     Object.entries(states.statuses).filter(([, status]) => (status as StatusType).project === states.userProfile.lastProjectId)
   ) as StatusData;
-  const statusesSorted = sortChain(statusesInProject);
+  const statusesSorted = sortByRank(statusesInProject);
   console.log("states.userProfile.lastProjectId", states.userProfile.lastProjectId);
   console.log("states.statuses", states.statuses);
   console.log("statusesInProject", statusesInProject);
@@ -128,19 +185,21 @@ function Todolist() {
               flexShrink: "0",
             }}></div>
 
-            {states.showDeleted && (
+            {viewId && <SmartView key={viewId} viewId={viewId} />}
+
+            {!viewId && states.showDeleted && (
               <TodoColumn key={`${states.userProfile.lastProjectId}-deleted`} title="Deleted"
                 bgColor="#ffcce6"
                 status={`${states.userProfile.lastProjectId}-deleted`}
               />
             )}
-            {states.showCompleted && (
+            {!viewId && states.showCompleted && (
               <TodoColumn key={`${states.userProfile.lastProjectId}-completed`} title="Completed"
                 bgColor="#e6f2ff"
                 status={`${states.userProfile.lastProjectId}-completed`}
               />
             )}
-            {statusesSorted.map(([_, status]) => (
+            {!viewId && statusesSorted.map(([, status]) => (
               <TodoColumn key={status.id} title={status.title}
                 bgColor={status.color}
                 status={status.id}
@@ -162,6 +221,9 @@ function Todolist() {
           {/* This panel is used to interact with the AI chat feature, which can help users with task management and organization. */}
           {/* //TODO: implement the AI chat feature in future */}
           <AIChatPanel />
+
+          {/* The undo toast after destructive changes, and the undo/redo shortcuts */}
+          <UndoToast />
         </div>
       </DragDropContext>
     </AppContext.Provider >
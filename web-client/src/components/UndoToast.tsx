@@ -0,0 +1,69 @@
+import '../App.css'
+import './UndoToast.css'
+
+import { useEffect } from 'react';
+import { useAppContext } from './AppContext.tsx';
+import { useNavigate } from 'react-router-dom';
+
+/**
+ * Checks if a keyboard event happens in a text field, where ctrl+z should undo the typing instead.
+ */
+const isEditingText = (target: EventTarget | null) => {
+  return target instanceof HTMLElement
+    && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable);
+}
+
+/**
+ * UndoToast shows an undo button after destructive changes, like deleting a project, a status or a task.
+ * It also handles the undo/redo shortcuts of the board: ctrl+z, and ctrl+shift+z or ctrl+y (cmd on macOS).
+ * The toast hides itself once its CSS animation ends.
+ */
+function UndoToast() {
+
+  const navigate = useNavigate();
+
+  // Use the AppContext to access the global state and actions
+  const { states, setStates, actions } = useAppContext();
+
+  // handle the undo/redo shortcuts
+  useEffect(() => {
+    const handleKeyDown = (event: KeyboardEvent) => {
+      if (!(event.ctrlKey || event.metaKey) || isEditingText(event.target)) {
+        return;
+      }
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        actions.undo(navigate);
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        actions.redo(navigate);
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [actions, navigate]);
+
+  const hideToast = () => {
+    setStates.setHistory((draft) => {
+      draft.toast = null;
+    });
+  };
+
+  if (!states.history.toast) {
+    return null;
+  }
+
+  return (
+    // the key restarts the animation for every new message
+    <div className='undoToast' key={states.history.toast + states.history.undo.length} onAnimationEnd={hideToast}>
+      <p className='undoToastMessage'>{states.history.toast}</p>
+      <button className='undoToastButton' onClick={() => actions.undo(navigate)}>Undo</button>
+    </div>
+  );
+}
+
+export default UndoToast
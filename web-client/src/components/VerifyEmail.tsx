@@ -0,0 +1,102 @@
+import '../App.css';
+import './Login.css';
+import './Signup.css';
+import { useSearchParams } from 'react-router-dom';
+import { useEffect, useRef, useState } from 'react';
+
+/**
+ * The Verify Email Page component, opened from the link in the verification mail.
+ * Confirms the token from the link, or lets a logged in user request a new mail.
+ */
+function VerifyEmail() {
+
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [result, setResult] = useState<'pending' | 'verified' | 'failed' | 'resent'>('pending');
+  const [errorText, setErrorText] = useState<string | undefined>(undefined);
+  const hasConfirmed = useRef<boolean>(false); // tokens are single-use, StrictMode must not confirm twice
+
+  const apiUrl = import.meta.env.VITE_NODE_ENV === 'production'
+    ? import.meta.env.VITE_API_BASE_URL
+    : 'http://localhost:3001';
+
+  useEffect(() => {
+    if (!token) {
+      setResult('failed');
+      return;
+    }
+    if (hasConfirmed.current) {
+      return;
+    }
+    hasConfirmed.current = true;
+
+    const confirm = async () => {
+      try {
+        const res = await fetch(`${apiUrl}/api/verify-email/confirm`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ token })
+        });
+        if (res.ok) {
+          setResult('verified');
+        } else {
+          const errorData = await res.json();
+          setErrorText(errorData.message);
+          setResult('failed');
+        }
+      } catch (error) {
+        console.error('Error verifying email:', error);
+        setResult('failed');
+      }
+    };
+    confirm();
+  }, [token, apiUrl]);
+
+  /**
+   * Handle click event for the resend button, only works when logged in.
+   */
+  const handleResendClick = async () => {
+    try {
+      const res = await fetch(`${apiUrl}/api/verify-email/request`, {
+        method: 'POST',
+        credentials: 'include', // Include cookies for session management
+      });
+      if (res.status === 401) {
+        setErrorText('Please log in first, then request a new verification mail.');
+        return;
+      }
+      if (!res.ok) {
+        throw new Error(`Failed to resend verification mail: ${res.statusText}`);
+      }
+      setResult('resent');
+    } catch (error) {
+      console.error('Error resending verification mail:', error);
+      setErrorText('Could not send a new verification mail. Please try again.');
+    }
+  };
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        <div className="login-title">Verify email</div>
+        {result === 'pending' && <div className="signup-hint">Verifying...</div>}
+        {result === 'verified' && <div className="signup-hint">Your email is verified, thank you!</div>}
+        {result === 'resent' && <div className="signup-hint">A new verification mail is on its way.</div>}
+        {result === 'failed' && (
+          <>
+            <div className="login-error">{errorText || 'This verification link is invalid or has expired.'}</div>
+            <button className="login-btn" type="button" onClick={handleResendClick}>Send a new link</button>
+          </>
+        )}
+        <div className="login-footer">
+          <p><a href="/">Go to my tasks</a></p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default VerifyEmail
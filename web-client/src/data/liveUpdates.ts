@@ -0,0 +1,102 @@
+import type { BulkPayload, NotificationType, TaskType } from '../utils/type.ts';
+import type { SetStates } from '../utils/states.ts';
+import { CLIENT_ID, createBulkPayload, optimisticUIUpdate, flushOutbox } from '../utils/utils.ts';
+import { syncChanges } from './loadInitData.ts';
+import { addNotification, applyNotificationsRead, loadNotifications, showBrowserNotification } from './notifications.ts';
+import type { NavigateFunction } from 'react-router-dom';
+
+/**
+ * Turns the dates of the task ops back into Date objects, JSON only carries them as strings.
+ */
+const reviveDates = (ops: BulkPayload['ops']): BulkPayload['ops'] => ops.map((op) => {
+  if (op.type !== 'task') return op;
+  if (op.operation === 'add') {
+    const task = op.data as TaskType;
+    return { ...op, data: { ...task, dueDate: task.dueDate ? new Date(task.dueDate) : undefined } };
+  }
+  if (op.operation === 'update' && 'updatedFields' in op.data && 'dueDate' in op.data.updatedFields) {
+    const { dueDate } = op.data.updatedFields as Partial<TaskType>;
+    return { ...op, data: { ...op.data, updatedFields: { ...op.data.updatedFields, dueDate: dueDate ? new Date(dueDate) : undefined } } };
+  }
+  return op;
+});
+
+// how often the changes are fetched from /api/changes, in case a live update was missed
+const SYNC_INTERVAL = 5 * 60 * 1000;
+
+/**
+ * Listens to GET /api/events and applies the changes made in other tabs, on other devices or by the AI chat,
+ * through the same `optimisticUIUpdate` path as local changes.
+ * The browser reconnects by itself when the stream drops; changes pushed while disconnected are lost,
+ * so once the stream is back the offline outbox is sent and the changes since the last sync are fetched,
+ * which is also done every few minutes.
+ * New notifications, e.g. the reminders of tasks, are added to the state and shown as browser notifications.
+ * The stream also drives the offline indicator, together with the browser's online and offline events.
+ * @param setStates - The state setters.
+ * @param navigate - The navigate function, used to redirect to the login page on 401 while reloading.
+ * @returns A function that closes the stream.
+ */
+export const subscribeToChanges = (setStates: SetStates, navigate: NavigateFunction): (() => void) => {
+  const apiUrl = import.meta.env.VITE_NODE_ENV === 'production'
+    ? import.meta.env.VITE_API_BASE_URL
+    : 'http://localhost:3001';
+
+  const source = new EventSource(`${apiUrl}/api/events?clientId=${encodeURIComponent(CLIENT_ID)}`, { withCredentials: true });
+  let disconnected = false;
+
+  source.addEventListener('ops', (event) => {
+    const { ops } = JSON.parse((event as MessageEvent).data) as { ops: BulkPayload['ops'] };
+    console.log(`liveUpdates: received ${ops.length} op(s)`);
+    optimisticUIUpdate(setStates, { ...createBulkPayload(), ops: reviveDates(ops) });
+  });
+
+  source.addEventListener('notification', (event) => {
+    const { notification } = JSON.parse((event as MessageEvent).data) as { notification: NotificationType };
+    addNotification(setStates, notification);
+    showBrowserNotification(notification, () => setStates.setNotifications((draft) => {
+      draft.opening = notification.id;
+    }));
+  });
+
+  source.addEventListener('notifications-read', (event) => {
+    const { ids, readAt, unread } = JSON.parse((event as MessageEvent).data) as { ids: string[] | null; readAt: string; unread: number };
+    applyNotificationsRead(setStates, ids, readAt, unread);
+  });
+
+  source.addEventListener('open', () => {
+    setStates.setSyncStatus((draft) => {
+      draft.offline = false;
+    });
+    if (disconnected) {
+      disconnected = false;
+      flushOutbox(setStates, navigate).then(() => syncChanges(setStates, navigate));
+      loadNotifications(setStates, navigate);
+    }
+  });
+
+  source.addEventListener('error', () => {
+    disconnected = true; // the browser retries, unless the server refused the stream
+    if (source.readyState === EventSource.CLOSED) {
+      console.warn('liveUpdates: the server closed the stream, live updates are off until the page is reloaded');
+    } else {
+      setStates.setSyncStatus((draft) => {
+        draft.offline = true;
+      });
+    }
+  });
+
+  const handleOnline = () => flushOutbox(setStates, navigate);
+  const handleOffline = () => setStates.setSyncStatus((draft) => {
+    draft.offline = true;
+  });
+  window.addEventListener('online', handleOnline);
+  window.addEventListener('offline', handleOffline);
+  const syncTimer = setInterval(() => syncChanges(setStates, navigate), SYNC_INTERVAL);
+
+  return () => {
+    source.close();
+    clearInterval(syncTimer);
+    window.removeEventListener('online', handleOnline);
+    window.removeEventListener('offline', handleOffline);
+  };
+}
@@ -1,101 +1,224 @@
-
 import type { ProjectData, StatusData, TaskData, UserProfileData, TaskType, ProjectType, StatusType } from '../utils/type.ts';
+import type { SetStates } from '../utils/states.ts';
+import type { NavigateFunction } from 'react-router-dom';
+import { loadSnapshot, countQueuedPayloads } from './offlineStore.ts';
 
 // const devUserId = import.meta.env.VITE_DEV_USERID; // TODO: after development, remove this line and use the user ID from the server
 // if (!devUserId) {
 //   console.error('VITE_DEV_USERID 没有被设置，在 .env 文件中设置一个默认的用户 ID： VITE_DEV_USERID=your_default_user_id');
 // }
 
-export async function loadAllData(navigate: any): Promise<{ taskData: TaskData, projectData: ProjectData, statusData: StatusData, userProfileData: UserProfileData }> {
+type AllData = { taskData: TaskData, projectData: ProjectData, statusData: StatusData, userProfileData: UserProfileData };
 
-  // console.log("loadAllData called with devUserId:", devUserId);
-  
-  try {
-    let taskData: TaskData = {};
-    let projectData: ProjectData = {};
-    let statusData: StatusData = {};
-    let userProfileData: UserProfileData = {
-      id: null,
-      nickname: null,
-      lastProjectId: null,
-      avatarUrl: null,
-      language: null
-    };
-    
-    const apiUrl = import.meta.env.VITE_NODE_ENV === 'production' 
-  ? import.meta.env.VITE_API_BASE_URL 
+/**
+ * The response of `/api/changes`, see server/services/changeLog.js.
+ */
+type ChangeSet = {
+  cursor: string;
+  reset: boolean; // everything was sent, replace the data rather than merge
+  tasks: TaskType[];
+  projects: ProjectType[];
+  statuses: StatusType[];
+  userProfile: UserProfileData | null; // null if unchanged
+  deleted: { type: 'task' | 'project' | 'status', id: string }[];
+};
+
+// the cursor of the data in the state, sent as `since` to get what changed after it
+let syncCursor: string | undefined;
+
+/**
+ * The cursor of the data currently in the state, saved with the offline snapshot.
+ */
+export const getSyncCursor = (): string | undefined => syncCursor;
+
+const emptyUserProfile = (): UserProfileData => ({ id: null, nickname: null, lastProjectId: null, avatarUrl: null, language: null, timeZone: null });
+
+const toTask = (task: TaskType): TaskType => ({
+  id: task.id,
+  title: task.title,
+  dueDate: task.dueDate ? new Date(task.dueDate) : undefined,
+  dueHasTime: task.dueHasTime,
+  reminders: task.reminders,
+  recurrence: task.recurrence,
+  description: task.description,
+  subtasks: task.subtasks,
+  priority: task.priority,
+  tags: task.tags,
+  category: task.category,
+  estimatedDuration: task.estimatedDuration,
+  status: task.status,
+  previousStatus: task.previousStatus,
+  rank: task.rank,
+  userId: task.userId,
+  rev: task.rev,
+});
+
+const toProject = (project: ProjectType): ProjectType => ({
+  id: project.id,
+  title: project.title,
+  description: project.description,
+  rank: project.rank,
+  userId: project.userId,
+  rev: project.rev,
+});
+
+const toStatus = (status: StatusType): StatusType => ({
+  id: status.id,
+  title: status.title,
+  description: status.description,
+  color: status.color,
+  project: status.project,
+  rank: status.rank,
+  userId: status.userId,
+  rev: status.rev,
+});
+
+const toUserProfile = (userProfile: UserProfileData): UserProfileData => ({
+  id: userProfile.id,
+  nickname: userProfile.nickname,
+  lastProjectId: userProfile.lastProjectId,
+  avatarUrl: userProfile.avatarUrl,
+  language: userProfile.language,
+  timeZone: userProfile.timeZone ?? null,
+  savedViews: userProfile.savedViews ?? [],
+  rev: userProfile.rev
+});
+
+/**
+ * Removes the deleted items from a record and puts the changed ones in, or replaces it entirely on a reset.
+ * Works on plain objects and on immer drafts.
+ */
+const mergeItems = <T extends { id: string }>(items: Record<string, T>, changed: T[], deletedIds: string[], reset: boolean) => {
+  if (reset) {
+    Object.keys(items).forEach((id) => delete items[id]);
+  }
+  deletedIds.forEach((id) => delete items[id]);
+  changed.forEach((item) => {
+    items[item.id] = item;
+  });
+}
+
+const deletedIdsOf = (changes: ChangeSet, type: ChangeSet['deleted'][number]['type']): string[] =>
+  changes.deleted.filter((d) => d.type === type).map((d) => d.id);
+
+/**
+ * Fetches what changed since a cursor from `/api/changes`, or everything without a cursor.
+ * @param navigate - The navigate function, used to redirect to the login page on 401.
+ * @param since - The cursor of the data the changes are applied to.
+ * @returns The changes, or null if the server cannot be reached.
+ */
+const fetchChanges = async (navigate: NavigateFunction, since?: string): Promise<ChangeSet | null> => {
+  const apiUrl = import.meta.env.VITE_NODE_ENV === 'production'
+  ? import.meta.env.VITE_API_BASE_URL
   : 'http://localhost:3001';
+  const query = since ? `?since=${encodeURIComponent(since)}` : '';
 
-    const res = await fetch(`${apiUrl}/api/getAll`, {
+  let res: Response;
+  try {
+    res = await fetch(`${apiUrl}/api/changes${query}`, {
       method: 'GET',
       headers: {
         'Content-Type': 'application/json',
       },
       credentials: 'include', // Include cookies for session management
     });
+  } catch (error) {
+    console.warn('Server unreachable:', error);
+    return null;
+  }
 
-    if (!res.ok) {
-      if (res.status === 401) {
-        navigate('/login');
-        throw new Error('Unauthorized access, redirecting to login');
-      } else {
-        throw new Error(`Failed to add task`);
-      }
+  if (!res.ok) {
+    if (res.status === 401) {
+      navigate('/login');
+      throw new Error('Unauthorized access, redirecting to login');
+    } else {
+      throw new Error(`Failed to load changes`);
     }
-    let { tasks, projects, statuses, userProfile } = await res.json();
-
-    (tasks as TaskType[]).map((task: TaskType) => {
-      (taskData as TaskData)[task.id] = {
-        id: task.id,
-        title: task.title,
-        dueDate: task.dueDate ? new Date(task.dueDate) : undefined,
-        description: task.description,
-        status: task.status,
-        previousStatus: task.previousStatus,
-        prev: task.prev,
-        next: task.next,
-        userId: task.userId,
-      };
-      setTimeout(() => {
-        document.getElementById(task.id)?.classList.remove('hide');
-      }, 10); // Ensure the task is added to the state after the initial render
-    });
+  }
+  return await res.json();
+}
 
-    (projects as ProjectType[]) = projects.map((project: ProjectType) => {
-      (projectData as ProjectData)[project.id] = {
-        id: project.id,
-        title: project.title,
-        description: project.description,
-        prev: project.prev,
-        next: project.next,
-        userId: project.userId,
-      };
-    });
+/**
+ * Loads the tasks, projects, statuses and user profile of the logged in user.
+ * The last snapshot saved in IndexedDB is loaded first and only what changed since it is fetched from `/api/changes`,
+ * see offlineStore.ts; without a snapshot, or when the server says it is too old, everything is fetched.
+ * If the server cannot be reached, the snapshot is returned as is.
+ * @param navigate - The navigate function, used to redirect to the login page on 401.
+ * @param useSnapshot - Whether to start from the snapshot, false to fetch everything.
+ */
+export async function loadAllData(navigate: NavigateFunction, useSnapshot = true): Promise<AllData> {
+
+  // console.log("loadAllData called with devUserId:", devUserId);
 
-    (statuses as StatusType[]) = statuses.map((status: StatusType) => {
-      (statusData as StatusData)[status.id] = {
-        id: status.id,
-        title: status.title,
-        description: status.description,
-        color: status.color,
-        project: status.project,
-        prev: status.prev,
-        next: status.next,
-        userId: status.userId,
-      };
+  try {
+    const snapshot = await loadSnapshot().catch((error) => {
+      console.warn('Error loading offline snapshot:', error);
+      return null;
     });
+    const base = useSnapshot && snapshot?.cursor ? snapshot : null;
 
-    (userProfileData as UserProfileData) = {
-      id: userProfile.id,
-      nickname: userProfile.nickname,
-      lastProjectId: userProfile.lastProjectId,
-      avatarUrl: userProfile.avatarUrl,
-      language: userProfile.language
-    };
+    const changes = await fetchChanges(navigate, base?.cursor);
+    if (!changes) {
+      if (!snapshot) {
+        throw new Error('Server unreachable and no offline snapshot saved');
+      }
+      console.warn('Server unreachable, showing the last saved data');
+      syncCursor = snapshot.cursor;
+      return snapshot;
+    }
+
+    const reset = changes.reset || !base;
+    const taskData: TaskData = reset ? {} : { ...base.taskData };
+    const projectData: ProjectData = reset ? {} : { ...base.projectData };
+    const statusData: StatusData = reset ? {} : { ...base.statusData };
+    let userProfileData: UserProfileData = reset ? emptyUserProfile() : base.userProfileData;
+
+    mergeItems(taskData, changes.tasks.map(toTask), deletedIdsOf(changes, 'task'), false);
+    mergeItems(projectData, changes.projects.map(toProject), deletedIdsOf(changes, 'project'), false);
+    mergeItems(statusData, changes.statuses.map(toStatus), deletedIdsOf(changes, 'status'), false);
+    if (changes.userProfile) {
+      userProfileData = toUserProfile(changes.userProfile);
+    }
+    syncCursor = changes.cursor;
+
+    Object.keys(taskData).forEach((id) => {
+      setTimeout(() => {
+        document.getElementById(id)?.classList.remove('hide');
+      }, 10); // Ensure the task is added to the state after the initial render
+    });
 
     return { taskData, projectData, statusData, userProfileData };
   } catch (error) {
-    console.error('Error loading test tasks:', error);
-    return { taskData: {}, projectData: {}, statusData: {}, userProfileData: { id: null, nickname: null, lastProjectId: null, avatarUrl: null, language: null } };
+    console.error('Error loading the initial data:', error);
+    return { taskData: {}, projectData: {}, statusData: {}, userProfileData: emptyUserProfile() };
+  }
+}
+
+/**
+ * Fetches what changed on the server since the data was loaded and applies it to the state,
+ * to catch up on changes the live updates missed.
+ * Skipped while changes wait in the offline outbox, they are applied optimistically and the server versions would undo them.
+ * @param setStates - The state setters.
+ * @param navigate - The navigate function, used to redirect to the login page on 401.
+ */
+export const syncChanges = async (setStates: SetStates, navigate: NavigateFunction) => {
+  const since = syncCursor;
+  if (!since || await countQueuedPayloads().catch(() => 0) > 0) {
+    return;
+  }
+  try {
+    const changes = await fetchChanges(navigate, since);
+    if (!changes || syncCursor !== since) {
+      return; // unreachable, or the data was reloaded meanwhile
+    }
+    setStates.setTasks((draft) => mergeItems(draft, changes.tasks.map(toTask), deletedIdsOf(changes, 'task'), changes.reset));
+    setStates.setProjects((draft) => mergeItems(draft, changes.projects.map(toProject), deletedIdsOf(changes, 'project'), changes.reset));
+    setStates.setStatuses((draft) => mergeItems(draft, changes.statuses.map(toStatus), deletedIdsOf(changes, 'status'), changes.reset));
+    if (changes.userProfile) {
+      setStates.setUserProfile(toUserProfile(changes.userProfile));
+    }
+    syncCursor = changes.cursor;
+  } catch (error) {
+    console.error('Error syncing changes:', error);
   }
-}
\ No newline at end of file
+}
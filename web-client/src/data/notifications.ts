@@ -0,0 +1,150 @@
+import type { NotificationType } from '../utils/type.ts';
+import type { SetStates } from '../utils/states.ts';
+import { CLIENT_ID } from '../utils/utils.ts';
+import type { NavigateFunction } from 'react-router-dom';
+
+const apiUrl = import.meta.env.VITE_NODE_ENV === 'production'
+  ? import.meta.env.VITE_API_BASE_URL
+  : 'http://localhost:3001';
+
+// how many notifications are kept in the state, as many as GET /api/notifications sends
+const MAX_NOTIFICATIONS = 50;
+
+/**
+ * Loads the latest notifications from GET /api/notifications, e.g. the reminders sent while the app was closed.
+ * Notifications are only kept online, so nothing is shown while the server cannot be reached.
+ * @param setStates - The state setters.
+ * @param navigate - The navigate function, used to redirect to the login page on 401.
+ */
+export const loadNotifications = async (setStates: SetStates, navigate: NavigateFunction): Promise<void> => {
+  try {
+    const res = await fetch(`${apiUrl}/api/notifications`, {
+      method: 'GET',
+      credentials: 'include', // Include cookies for session management
+    });
+    if (res.status === 401) {
+      navigate('/login');
+      return;
+    }
+    if (!res.ok) {
+      throw new Error(`Failed to load notifications: ${res.statusText}`);
+    }
+    const { notifications, unread } = await res.json() as { notifications: NotificationType[]; unread: number };
+    setStates.setNotifications((draft) => {
+      draft.items = notifications;
+      draft.unread = unread;
+    });
+  } catch (error) {
+    console.warn('Error loading notifications:', error);
+  }
+};
+
+/**
+ * Adds a notification pushed by the server over GET /api/events, see liveUpdates.ts.
+ */
+export const addNotification = (setStates: SetStates, notification: NotificationType) => {
+  setStates.setNotifications((draft) => {
+    if (draft.items.some((item) => item.id === notification.id)) {
+      return;
+    }
+    draft.items.unshift(notification);
+    draft.items.splice(MAX_NOTIFICATIONS);
+    if (!notification.readAt) {
+      draft.unread += 1;
+    }
+  });
+};
+
+/**
+ * Marks notifications as read in the state, when another client read them.
+ * @param ids - The notifications read, null for every one.
+ * @param readAt - When they were read.
+ * @param unread - How many notifications are still unread.
+ */
+export const applyNotificationsRead = (setStates: SetStates, ids: string[] | null, readAt: string, unread: number) => {
+  setStates.setNotifications((draft) => {
+    draft.items.forEach((item) => {
+      if ((!ids || ids.includes(item.id)) && !item.readAt) {
+        item.readAt = readAt;
+      }
+    });
+    draft.unread = unread;
+  });
+};
+
+/**
+ * Marks notifications as read with POST /api/notifications/read, shown at once and corrected by the unread count
+ * the server sends back.
+ * @param ids - The notifications to mark, every unread one by default.
+ */
+export const markNotificationsRead = async (setStates: SetStates, navigate: NavigateFunction, ids?: string[]): Promise<void> => {
+  setStates.setNotifications((draft) => {
+    const readAt = new Date().toISOString();
+    draft.items.forEach((item) => {
+      if ((!ids || ids.includes(item.id)) && !item.readAt) {
+        item.readAt = readAt;
+        draft.unread = Math.max(0, draft.unread - 1);
+      }
+    });
+    if (!ids) {
+      draft.unread = 0;
+    }
+  });
+
+  try {
+    const res = await fetch(`${apiUrl}/api/notifications/read`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Client-Id': CLIENT_ID, // the other clients are told over GET /api/events
+      },
+      credentials: 'include', // Include cookies for session management
+      body: JSON.stringify(ids ? { ids } : {}),
+    });
+    if (res.status === 401) {
+      navigate('/login');
+      return;
+    }
+    if (!res.ok) {
+      throw new Error(`Failed to mark notifications as read: ${res.statusText}`);
+    }
+    const { unread } = await res.json() as { unread: number };
+    setStates.setNotifications((draft) => {
+      draft.unread = unread;
+    });
+  } catch (error) {
+    console.error('Error marking notifications as read:', error);
+  }
+};
+
+/**
+ * Shows a notification as a browser notification, if the user allowed them, see `requestNotificationPermission`.
+ * Every open tab gets the notification, the browser shows it once as they share its id as tag.
+ * @param onClick - Called when the user clicks the browser notification, after the tab is focused.
+ */
+export const showBrowserNotification = (notification: NotificationType, onClick: () => void) => {
+  if (!('Notification' in window) || Notification.permission !== 'granted') {
+    return;
+  }
+  try {
+    const browserNotification = new Notification(notification.title, { body: notification.body, tag: notification.id });
+    browserNotification.onclick = () => {
+      window.focus();
+      onClick();
+      browserNotification.close();
+    };
+  } catch (error) {
+    console.warn('Error showing browser notification:', error); // e.g. mobile browsers, which only show them from a service worker
+  }
+};
+
+/**
+ * Asks the user to allow browser notifications.
+ * @returns the permission, 'unsupported' if the browser has no notifications.
+ */
+export const requestNotificationPermission = async (): Promise<NotificationPermission | 'unsupported'> => {
+  if (!('Notification' in window)) {
+    return 'unsupported';
+  }
+  return Notification.permission === 'default' ? await Notification.requestPermission() : Notification.permission;
+};
@@ -0,0 +1,123 @@
+import type { BulkPayload, TaskData, ProjectData, StatusData, UserProfileData } from '../utils/type.ts';
+
+/**
+ * IndexedDB storage for offline mode:
+ * - the outbox, bulk payloads that could not reach the server yet, replayed in order by `flushOutbox`.
+ * - the snapshot, the last known data, loaded at startup with only the changes since its cursor fetched on top,
+ *   or shown as is when the server is unreachable.
+ */
+
+const DB_NAME = 'raccoon-study-offline';
+const DB_VERSION = 1;
+const OUTBOX = 'outbox';
+const SNAPSHOT = 'snapshot';
+const SNAPSHOT_KEY = 'latest';
+
+export type QueuedPayload = {
+  key: number; // assigned by IndexedDB, in the order the payloads were queued
+  ops: BulkPayload['ops']; // stamped with their revisions when queued
+  queuedAt: number;
+  serverErrors?: number; // how many times the server failed with a 5xx on it, see flushOutbox
+};
+
+export type OfflineSnapshot = {
+  taskData: TaskData;
+  projectData: ProjectData;
+  statusData: StatusData;
+  userProfileData: UserProfileData;
+  cursor?: string; // the `/api/changes` cursor the data is up to date with
+};
+
+let database: Promise<IDBDatabase> | null = null;
+
+const openDatabase = (): Promise<IDBDatabase> => {
+  database ??= new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(OUTBOX, { keyPath: 'key', autoIncrement: true });
+      request.result.createObjectStore(SNAPSHOT);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      database = null; // try again next time
+      reject(request.error);
+    };
+  });
+  return database;
+}
+
+/**
+ * Runs one request against an object store and resolves with its result.
+ */
+const runRequest = async <T>(storeName: string, mode: IDBTransactionMode, makeRequest: (store: IDBObjectStore) => IDBRequest<T>): Promise<T> => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const request = makeRequest(db.transaction(storeName, mode).objectStore(storeName));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Adds the ops of a payload to the end of the outbox.
+ * @param ops - The ops, already stamped with the revisions they are based on.
+ */
+export const queueOps = async (ops: BulkPayload['ops']): Promise<void> => {
+  await runRequest(OUTBOX, 'readwrite', (store) => store.add({ ops, queuedAt: Date.now() }));
+}
+
+/**
+ * Gets the queued payloads, oldest first.
+ */
+export const getQueuedPayloads = (): Promise<QueuedPayload[]> => {
+  return runRequest(OUTBOX, 'readonly', (store) => store.getAll() as IDBRequest<QueuedPayload[]>);
+}
+
+/**
+ * Counts the queued payloads.
+ */
+export const countQueuedPayloads = (): Promise<number> => {
+  return runRequest(OUTBOX, 'readonly', (store) => store.count());
+}
+
+/**
+ * Counts one more server error on a queued payload.
+ * @param payload - The queued payload, as read from the outbox.
+ * @returns how many server errors it has had.
+ */
+export const recordServerError = async (payload: QueuedPayload): Promise<number> => {
+  const serverErrors = (payload.serverErrors ?? 0) + 1;
+  await runRequest(OUTBOX, 'readwrite', (store) => store.put({ ...payload, serverErrors }));
+  return serverErrors;
+}
+
+/**
+ * Removes a payload from the outbox, once the server applied or rejected it.
+ * @param key - The key of the queued payload.
+ */
+export const removeQueuedPayload = async (key: number): Promise<void> => {
+  await runRequest(OUTBOX, 'readwrite', (store) => store.delete(key));
+}
+
+/**
+ * Saves the data currently shown, replacing the previous snapshot.
+ */
+export const saveSnapshot = async (snapshot: OfflineSnapshot): Promise<void> => {
+  await runRequest(SNAPSHOT, 'readwrite', (store) => store.put(snapshot, SNAPSHOT_KEY));
+}
+
+/**
+ * Loads the last saved snapshot.
+ * @returns The snapshot, or undefined if none was saved yet.
+ */
+export const loadSnapshot = (): Promise<OfflineSnapshot | undefined> => {
+  return runRequest(SNAPSHOT, 'readonly', (store) => store.get(SNAPSHOT_KEY) as IDBRequest<OfflineSnapshot | undefined>);
+}
+
+/**
+ * Removes the outbox and the snapshot, so the next user of this browser does not see or send them.
+ */
+export const clearOfflineData = async (): Promise<void> => {
+  await runRequest(OUTBOX, 'readwrite', (store) => store.clear());
+  await runRequest(SNAPSHOT, 'readwrite', (store) => store.clear());
+}
@@ -1,8 +1,42 @@
-import type { TaskId, TaskType, ProjectId, ProjectType, StatusId, StatusType, BulkPayload, UserId } from "./type.ts";
+import type { TaskId, TaskType, ProjectId, ProjectType, StatusId, StatusType, BulkPayload, UserId, HistoryEntry, BoardPreview, SavedView } from "./type.ts";
 import type { States, SetStates } from "./states.ts";
-import { sortChain, createBulkPayload, optimisticUIUpdate, postPayloadToServer, createBackup, restoreBackup } from './utils.ts';
+import { sortByRank, createBulkPayload, optimisticUIUpdate, postPayloadToServer, createBackup, restoreBackup } from './utils.ts';
+import { rankAtIndex, evenlySpacedRanks } from './rank.ts';
+import { anchorRecurrence, dueDay, nextDueDate, today } from './recurrence.ts';
+import { isWholeDay, userTimeZone } from './timeZone.ts';
 import type { DragDropContextProps, DragStart, DragUpdate, DropResult, ResponderProvided } from '@hello-pangea/dnd';
 import { animate } from 'motion';
+import type { NavigateFunction } from 'react-router-dom';
+
+/**
+ * Converts an index into a list to a number. "start" or a negative index is 0, "end" or an index past the end is the length.
+ * @param index - The index to be converted. It can be a number, "start", or "end".
+ * @param length - The length of the list, without the item being placed.
+ */
+const toListIndex = (index: number | "start" | "end", length: number): number => {
+  if (index === "start") return 0;
+  if (index === "end") return length;
+  return Math.min(Math.max(index, 0), length);
+}
+
+// set while an undo or redo is on its way to the server, so a repeated shortcut does not apply the same entry twice
+let historyBusy = false;
+
+/**
+ * Adds the rank updates of a rebalanced list to the bulk payload. See `rankAtIndex`.
+ * @param type - The type of the items.
+ * @param rebalanced - The items that got a new rank.
+ * @param bulkPayload - The bulk payload to be used for the update operations.
+ */
+const pushRebalancedRanks = (type: 'task' | 'status' | 'project', rebalanced: { id: string; rank: string }[], bulkPayload: BulkPayload) => {
+  for (const { id, rank } of rebalanced) {
+    bulkPayload.ops.push({
+      type,
+      operation: 'update',
+      data: { id, updatedFields: { rank } }
+    });
+  }
+}
 
 export const createActions = (states: States, setStates: SetStates): Actions => {
 
@@ -10,69 +44,31 @@ export const createActions = (states: States, setStates: SetStates): Actions =>
    * Function to add new tasks to the task list.
    * It generates unique IDs for the new tasks, adds them to the tasks state,
    * Notice: this function only add tasks to one status bar, not multiple status bars.
-   * @param newTask - The new task items to be added - without an ID - ID will be generated automatically. next and prev can be both null if added to last. Specific prev or next to insert at desired position.
+   * @param newTask - The new task items to be added - without an ID and a rank - both will be generated automatically.
    * @param bulkPayload - The bulk payload to be used for the add operation.
+   * @param addWithAnimation - Whether to add animation when adding the task.
+   * @param index - Where to insert the task in its status. It can be a number, "start", or "end". Default is "end".
    */
-  const addTask = (newTask: Omit<TaskType, 'id'>, bulkPayload: BulkPayload, addWithAnimation: boolean = false): TaskId => {
+  const addTask = (newTask: Omit<TaskType, 'id' | 'rank'>, bulkPayload: BulkPayload, addWithAnimation: boolean = false, index: number | "start" | "end" = "end"): TaskId => {
     const id = crypto.randomUUID(); // Generate a unique ID for the new task
     const targetStatusExistingTasks = Object.fromEntries(Object.entries(states.tasks).filter(([_, t]) => t.status === newTask.status));
-    const sortedTargetStatusTasks = sortChain(targetStatusExistingTasks);
-    // Generate a unique ID for the new task:
+    const sortedTargetStatusTasks = sortByRank(targetStatusExistingTasks);
+
+    // rank the new task at the requested position:
+    const { rank, rebalanced } = rankAtIndex(sortedTargetStatusTasks, toListIndex(index, sortedTargetStatusTasks.length));
     const newTaskWithId: TaskType = ({
       ...newTask,
-      id: id
+      id: id,
+      rank: rank
     });
 
-    // find the index based on provided newTask.prev or newTask.next
-    let index: number = 0;
-    if (newTaskWithId.prev && sortedTargetStatusTasks.map(task => task[0]).includes(newTaskWithId.prev)) {
-      index = sortedTargetStatusTasks.findIndex(task => task[0] === newTaskWithId.prev) + 1;
-    } else if (newTaskWithId.next && sortedTargetStatusTasks.map(task => task[0]).includes(newTaskWithId.next)) {
-      index = sortedTargetStatusTasks.findIndex(task => task[0] === newTaskWithId.next);
-    } else {
-      index = sortedTargetStatusTasks.length; // Default to the end of the tasks
-    }
-
-    // set the prev and next correctly:
-    if (index === 0) {
-      newTaskWithId.prev = null; // No previous task
-      newTaskWithId.next = sortedTargetStatusTasks.length > 0 ? sortedTargetStatusTasks[0][0] : null; // First task in the status
-    } else if (index === sortedTargetStatusTasks.length) {
-      newTaskWithId.prev = sortedTargetStatusTasks[sortedTargetStatusTasks.length - 1][0]; // Last task in the status
-      newTaskWithId.next = null; // No next task
-    } else {
-      newTaskWithId.prev = sortedTargetStatusTasks[index - 1][0]; // Previous task in the status
-      newTaskWithId.next = sortedTargetStatusTasks[index][0]; // Next task in the status
-    }
-
     // add to payload:
     bulkPayload.ops.push({
       type: 'task',
       operation: 'add',
       data: newTaskWithId
     });
-
-    // update surrounding tasks' prev and next:
-    if (newTaskWithId.prev) {
-      bulkPayload.ops.push({
-        type: 'task',
-        operation: 'update',
-        data: {
-          id: newTaskWithId.prev,
-          updatedFields: { next: newTaskWithId.id }
-        }
-      });
-    };
-    if (newTaskWithId.next) {
-      bulkPayload.ops.push({
-        type: 'task',
-        operation: 'update',
-        data: {
-          id: newTaskWithId.next,
-          updatedFields: { prev: newTaskWithId.id }
-        }
-      });
-    };
+    pushRebalancedRanks('task', rebalanced, bulkPayload);
 
     // make the project top:
     const statusData = states.statuses[newTaskWithId.status];
@@ -134,9 +130,6 @@ export const createActions = (states: States, setStates: SetStates): Actions =>
       throw new Error(`Task with id ${id} not found. Cannot hard delete.`);
     }
 
-    const deletedTaskPrev = task.prev;
-    const deletedTaskNext = task.next;
-
     // Add the task to the bulk payload for hard delete
     bulkPayload.ops.push({
       type: 'task',
@@ -144,28 +137,6 @@ export const createActions = (states: States, setStates: SetStates): Actions =>
       data: { id: id }
     });
 
-
-    if (deletedTaskPrev) {
-      bulkPayload.ops.push({
-        type: 'task',
-        operation: 'update',
-        data: {
-          id: deletedTaskPrev,
-          updatedFields: { next: deletedTaskNext } // Update the next task of the previous task
-        }
-      });
-    }
-    if (deletedTaskNext) {
-      bulkPayload.ops.push({
-        type: 'task',
-        operation: 'update',
-        data: {
-          id: deletedTaskNext,
-          updatedFields: { prev: deletedTaskPrev } // Update the previous task of the next task
-        }
-      });
-    }
-
     // make the project top:
     const statusData = states.statuses[task.status];
     if (statusData && statusData.project) {
@@ -196,108 +167,37 @@ export const createActions = (states: States, setStates: SetStates): Actions =>
       throw new Error(`Task with id ${id} does not exist.`);
     }
 
-    // get the target status chain
-    const targetStatusChain = Object.fromEntries(Object.entries(states.tasks).filter(([_, task]) => task.status === targetStatusId));
-    const sortedTargetChainWithoutTask = sortChain(targetStatusChain).filter(task => task[0] !== id); // Exclude the task being moved
+    // get the target status list
+    const targetStatusTasks = Object.fromEntries(Object.entries(states.tasks).filter(([_, task]) => task.status === targetStatusId));
+    const sortedTargetTasks = sortByRank(targetStatusTasks);
+    const sortedTargetTasksWithoutTask = sortedTargetTasks.filter(task => task[0] !== id); // Exclude the task being moved
 
     // convert index to a number if it's a string. If index is out of bounds, set it to the start or end of the tasks.
-    if (index === "start" || index as number < 0) {
-      index = 0;
-    } else if (index === "end" || index as number >= sortedTargetChainWithoutTask.length) {
-      index = sortedTargetChainWithoutTask.length; // Set index to the end of the tasks
-    }
+    const targetIndex = toListIndex(index, sortedTargetTasksWithoutTask.length);
 
     // check if the task is not moving
-    if (states.tasks[id].status === targetStatusId && index === Object.keys(sortedTargetChainWithoutTask).indexOf(id)) { // Task is not moving
-      console.log(`Task with id ${id} is already at index ${index}. No action taken.`);
+    const isSameStatus = states.tasks[id].status === targetStatusId;
+    if (isSameStatus && sortedTargetTasks.findIndex(task => task[0] === id) === targetIndex) { // Task is not moving
+      console.log(`Task with id ${id} is already at index ${targetIndex}. No action taken.`);
       return;
     }
 
-    // find task's new prev and next:
-    let newPrev: TaskId | null = null;
-    let newNext: TaskId | null = null;
-
-    if (sortedTargetChainWithoutTask.length === 0) {
-      newPrev = null;
-      newNext = null;
-    } else if (index === 0) {
-      newPrev = null; // No previous task
-      newNext = sortedTargetChainWithoutTask[0][0]; // First task in the status
-    } else if (index >= sortedTargetChainWithoutTask.length) {
-      newPrev = sortedTargetChainWithoutTask[sortedTargetChainWithoutTask.length - 1][0]; // Last task in the status
-      newNext = null; // No next task
-    } else {
-      newPrev = sortedTargetChainWithoutTask[index - 1][0]; // Previous task in the status
-      newNext = sortedTargetChainWithoutTask[index][0]; // Next task in the status
-    }
-
-    // update the task's status and prev/next:
+    // only the moved task gets a new rank, unless the list has to be rebalanced
+    const { rank, rebalanced } = rankAtIndex(sortedTargetTasksWithoutTask, targetIndex);
     bulkPayload.ops.push({
       type: 'task',
       operation: 'update',
       data: {
         id: id,
-        updatedFields: {
+        updatedFields: isSameStatus ? { rank } : {
           status: targetStatusId, // Update the status to the target status
           previousStatus: states.tasks[id].status, // Keep the previous status for reference
-          prev: newPrev, // Will be updated later
-          next: newNext // Will be updated later
+          rank
         }
       }
     });
+    pushRebalancedRanks('task', rebalanced, bulkPayload);
 
-
-    // find old surrounding tasks' prev and next:
-    const oldPrevTask = states.tasks[id].prev;
-    const oldNextTask = states.tasks[id].next;
-
-    // update surrounding tasks' prev and next:
-    if (oldPrevTask) {
-      bulkPayload.ops.push({
-        type: 'task',
-        operation: 'update',
-        data: {
-          id: oldPrevTask,
-          updatedFields: { next: oldNextTask } // Update the next task of the old previous task
-        }
-      });
-    }
-    if (oldNextTask) {
-      bulkPayload.ops.push({
-        type: 'task',
-        operation: 'update',
-        data: {
-          id: oldNextTask,
-          updatedFields: { prev: oldPrevTask } // Update the previous task of the old next task
-        }
-      });
-    }
-
-    // find new surrounding tasks' prev and next:
-    const newPrevTask = sortedTargetChainWithoutTask[index - 1] ? sortedTargetChainWithoutTask[index - 1][0] : null; // Previous task in the target status
-    const newNextTask = sortedTargetChainWithoutTask[index] ? sortedTargetChainWithoutTask[index][0] : null; // Next task in the target status
-
-    // update new surrounding tasks' prev and next:
-    if (newPrevTask) {
-      bulkPayload.ops.push({
-        type: 'task',
-        operation: 'update',
-        data: {
-          id: newPrevTask,
-          updatedFields: { next: id } // Update the next task of the new previous task
-        }
-      });
-    }
-    if (newNextTask) {
-      bulkPayload.ops.push({
-        type: 'task',
-        operation: 'update',
-        data: {
-          id: newNextTask,
-          updatedFields: { prev: id } // Update the previous task of the new next task
-        }
-      });
-    }
     if (moveWithAnimation) {
       requestAnimationFrame(() => {
         const el = document.getElementById(id);
@@ -325,6 +225,52 @@ export const createActions = (states: States, setStates: SetStates): Actions =>
   };
 
 
+  /**
+   * Completes a task: moves it to the end of the completed tasks of its project.
+   * A repeating task is followed by its next occurrence, with the next due date and its checklist unchecked,
+   * in the status and at the position the completed task had.
+   * @param id - The ID of the task to complete.
+   * @param bulkPayload - The bulk payload to be used for the operations.
+   * @returns the ID of the next occurrence, or null if the task does not repeat or its rule has ended.
+   */
+  const completeTask = (id: TaskId, bulkPayload: BulkPayload): TaskId | null => {
+    const task = states.tasks[id];
+    if (!task) {
+      throw new Error(`Task with id ${id} does not exist.`);
+    }
+    const projectId = states.statuses[task.status]?.project ?? states.userProfile.lastProjectId;
+
+    // rank the next occurrence before the task leaves its list, so it takes the place of the task
+    const timeZone = userTimeZone(states.userProfile.timeZone); // the occurrences fall on the days and times of the user
+    const dueHasTime = Boolean(task.dueDate && !isWholeDay(new Date(task.dueDate), task.dueHasTime));
+    const day = task.dueDate ? dueDay(task.dueDate, dueHasTime, timeZone) : today(timeZone);
+    const rule = task.recurrence ? anchorRecurrence(task.recurrence, day) : null; // so the day does not drift, e.g. from the 31st to the 28th
+    const nextDue = rule ? nextDueDate(rule, task.dueDate, dueHasTime, timeZone) : null;
+    let nextId: TaskId | null = null;
+    if (nextDue) {
+      const index = sortByRank(Object.fromEntries(Object.entries(states.tasks).filter(([, t]) => t.status === task.status)))
+        .findIndex(([taskId]) => taskId === id);
+      nextId = addTask({
+        title: task.title,
+        description: task.description,
+        subtasks: task.subtasks?.map((subtask) => ({ ...subtask, id: crypto.randomUUID(), done: false })), // the same checklist, unchecked
+        priority: task.priority,
+        tags: task.tags,
+        category: task.category,
+        estimatedDuration: task.estimatedDuration,
+        dueDate: nextDue,
+        dueHasTime,
+        reminders: task.reminders,
+        recurrence: rule,
+        status: task.status,
+        previousStatus: task.status,
+        userId: task.userId,
+      }, bulkPayload, false, index);
+    }
+    moveTask(id, `${projectId}-completed`, 'end', bulkPayload, false);
+    return nextId;
+  };
+
   const focusProject = (projectId: ProjectId | null, bulkPayload: BulkPayload) => {
     bulkPayload.ops.push({
       type: 'userProfile',
@@ -338,83 +284,52 @@ export const createActions = (states: States, setStates: SetStates): Actions =>
     });
   }
 
+  /**
+   * Function to save the named views of the Menubar, see views.ts. The whole list is written at once.
+   * @param savedViews - The saved views, in menu order.
+   * @param bulkPayload - The bulk payload to be used for the update operation.
+   */
+  const saveViews = (savedViews: SavedView[], bulkPayload: BulkPayload) => {
+    bulkPayload.ops.push({
+      type: 'userProfile',
+      operation: 'update',
+      data: {
+        id: states.userProfile.id as UserId,
+        updatedFields: { savedViews }
+      }
+    });
+  }
+
   /**
    * Function to add a new status to the status list.
    * It generates a unique ID for the new status, adds it to the statuses state,
-   * and maintains the linked list order.
-   * @param newStatus - The new status item to be added - without an ID - ID will be generated automatically.
+   * and ranks it within the statuses of its project.
+   * @param newStatus - The new status item to be added - without an ID and a rank - both will be generated automatically.
    * @param bulkPayload - The bulk payload to be used for the add operation.
    * @param addWithAnimation - Whether to add animation when adding the status.
+   * @param index - Where to insert the status in its project. It can be a number, "start", or "end". Default is "end".
    * @returns The ID of the newly added status.
    */
-  const addStatus = (newStatus: Omit<StatusType, 'id'>, bulkPayload: BulkPayload, addWithAnimation: boolean = false): StatusId => {
+  const addStatus = (newStatus: Omit<StatusType, 'id' | 'rank'>, bulkPayload: BulkPayload, addWithAnimation: boolean = false, index: number | "start" | "end" = "end"): StatusId => {
     const id = crypto.randomUUID(); // Generate a unique ID for the new status
     const projectStatuses = Object.fromEntries(Object.entries(states.statuses).filter(([_, s]) => s.project === newStatus.project));
-    const sortedProjectStatuses = sortChain(projectStatuses);
-    
-    // Generate a unique ID for the new status:
+    const sortedProjectStatuses = sortByRank(projectStatuses);
+
+    // rank the new status at the requested position:
+    const { rank, rebalanced } = rankAtIndex(sortedProjectStatuses, toListIndex(index, sortedProjectStatuses.length));
     const newStatusWithId: StatusType = ({
       ...newStatus,
-      id: id
+      id: id,
+      rank: rank
     });
 
-    // If prev and next are explicitly provided, use them directly
-    // Otherwise, calculate the position based on the current status chain
-    if (newStatus.prev !== undefined && newStatus.next !== undefined) {
-      // User explicitly provided prev and next, use them as-is
-      // No need to recalculate
-    } else {
-      // Calculate position when prev/next are not fully specified
-      let index: number = 0;
-      if (newStatusWithId.prev && sortedProjectStatuses.map(status => status[0]).includes(newStatusWithId.prev)) {
-        index = sortedProjectStatuses.findIndex(status => status[0] === newStatusWithId.prev) + 1;
-      } else if (newStatusWithId.next && sortedProjectStatuses.map(status => status[0]).includes(newStatusWithId.next)) {
-        index = sortedProjectStatuses.findIndex(status => status[0] === newStatusWithId.next);
-      } else {
-        index = sortedProjectStatuses.length; // Default to the end of the statuses
-      }
-
-      // set the prev and next correctly:
-      if (index === 0) {
-        newStatusWithId.prev = null; // No previous status
-        newStatusWithId.next = sortedProjectStatuses.length > 0 ? sortedProjectStatuses[0][0] : null; // First status in the project
-      } else if (index === sortedProjectStatuses.length) {
-        newStatusWithId.prev = sortedProjectStatuses[sortedProjectStatuses.length - 1][0]; // Last status in the project
-        newStatusWithId.next = null; // No next status
-      } else {
-        newStatusWithId.prev = sortedProjectStatuses[index - 1][0]; // Previous status in the project
-        newStatusWithId.next = sortedProjectStatuses[index][0]; // Next status in the project
-      }
-    }
-
     // add to payload:
     bulkPayload.ops.push({
       type: 'status',
       operation: 'add',
       data: newStatusWithId
     });
-
-    // update surrounding statuses' prev and next:
-    if (newStatusWithId.prev) {
-      bulkPayload.ops.push({
-        type: 'status',
-        operation: 'update',
-        data: {
-          id: newStatusWithId.prev,
-          updatedFields: { next: newStatusWithId.id }
-        }
-      });
-    };
-    if (newStatusWithId.next) {
-      bulkPayload.ops.push({
-        type: 'status',
-        operation: 'update',
-        data: {
-          id: newStatusWithId.next,
-          updatedFields: { prev: newStatusWithId.id }
-        }
-      });
-    };
+    pushRebalancedRanks('status', rebalanced, bulkPayload);
 
     console.log(`addStatus: payload: ${JSON.stringify(bulkPayload)}`);
     if (addWithAnimation) {
@@ -442,11 +357,7 @@ export const createActions = (states: States, setStates: SetStates): Actions =>
       throw new Error(`Status with id ${statusId} not found. Cannot delete.`);
     }
 
-    const deletedStatus = states.statuses[statusId];
-    const deletedStatusPrev = deletedStatus.prev;
-    const deletedStatusNext = deletedStatus.next;
-
-    console.log(`deleteStatus: Deleting status with id ${statusId}, prev: ${deletedStatusPrev}, next: ${deletedStatusNext}`);
+    console.log(`deleteStatus: Deleting status with id ${statusId}`);
 
     // Add the deleted status to the bulk payload
     bulkPayload.ops.push({
@@ -455,28 +366,6 @@ export const createActions = (states: States, setStates: SetStates): Actions =>
       data: { id: statusId }
     });
 
-    // update the prev and next of the surrounding statuses:
-    if (deletedStatusPrev) {
-      bulkPayload.ops.push({
-        type: 'status',
-        operation: 'update',
-        data: {
-          id: deletedStatusPrev,
-          updatedFields: { next: deletedStatusNext } // Update the next status of the previous status
-        }
-      });
-    }
-    if (deletedStatusNext) {
-      bulkPayload.ops.push({
-        type: 'status',
-        operation: 'update',
-        data: {
-          id: deletedStatusNext,
-          updatedFields: { prev: deletedStatusPrev } // Update the previous status of the next status
-        }
-      });
-    }
-
     // Also delete all tasks in the status
     const tasksInStatus = Object.entries(states.tasks).filter(([_, task]) => {
       return task.status === statusId && task.userId === states.userProfile.id;
@@ -493,64 +382,32 @@ export const createActions = (states: States, setStates: SetStates): Actions =>
   /**
    * Function to add a new project to the project list.
    * It generates a unique ID for the new project, adds it to the projects state,
-   * and reindexs the projects based on their order.
-   * @param newProject - The new project item to be added. next and prev can be null if added to last. Specific prev or next to insert at desired position.
+   * and ranks it among the other projects.
+   * @param newProject - The new project item to be added - without an ID and a rank - both will be generated automatically.
+   * @param index - Where to insert the project. It can be a number, "start", or "end". Default is "end".
    * @returns The ID of the newly added project.
    */
-  const addProject = (newProject: Omit<ProjectType, 'id'>, bulkPayload: BulkPayload, addWithAnimation: boolean = false): ProjectId => {
+  const addProject = (newProject: Omit<ProjectType, 'id' | 'rank'>, bulkPayload: BulkPayload, addWithAnimation: boolean = false, index: number | "start" | "end" = "end"): ProjectId => {
 
-    // Generate a unique ID for the new project:
+    // Sort the existing projects
+    const sortedProjects = sortByRank(states.projects);
+
+    // Generate a unique ID for the new project, and rank it at the requested position:
     const id = crypto.randomUUID();
+    const { rank, rebalanced } = rankAtIndex(sortedProjects, toListIndex(index, sortedProjects.length));
     const newProjectWithId: ProjectType = {
       id,
-      ...newProject
+      ...newProject,
+      rank
     };
 
-    // Sort the existing projects
-    const sortedProjects = sortChain(states.projects);
-
-    let index: number = 0;
-    if (newProjectWithId.prev && sortedProjects.map(task => task[0]).includes(newProjectWithId.prev)) {
-      index = sortedProjects.findIndex(task => task[0] === newProjectWithId.prev) + 1;
-    } else if (newProjectWithId.next && sortedProjects.map(task => task[0]).includes(newProjectWithId.next)) {
-      index = sortedProjects.findIndex(task => task[0] === newProjectWithId.next);
-    } else {
-      index = sortedProjects.length; // Default to the end of the tasks
-    }
-
-    // set the prev and next correctly:
-    newProjectWithId.prev = sortedProjects[index - 1]?.[0] || null;
-    newProjectWithId.next = sortedProjects[index]?.[0] || null;
-
-
     // Add the new project to the bulk payload:
     bulkPayload.ops.push({
       type: 'project',
       operation: 'add',
       data: newProjectWithId
     });
-
-    // Update surrounding projects' prev and next:
-    if (newProjectWithId.prev) {
-      bulkPayload.ops.push({
-        type: 'project',
-        operation: 'update',
-        data: {
-          id: newProjectWithId.prev,
-          updatedFields: { next: newProjectWithId.id }
-        }
-      });
-    }
-    if (newProjectWithId.next) {
-      bulkPayload.ops.push({
-        type: 'project',
-        operation: 'update',
-        data: {
-          id: newProjectWithId.next,
-          updatedFields: { prev: newProjectWithId.id }
-        }
-      });
-    }
+    pushRebalancedRanks('project', rebalanced, bulkPayload);
 
     focusProject(newProjectWithId.id, bulkPayload); // Focus on the new project
 
@@ -561,42 +418,23 @@ export const createActions = (states: States, setStates: SetStates): Actions =>
       { title: "Later", description: "Future tasks", color: "#fff8e8" }
     ];
 
-    // Create statuses with proper linking
-    const statusIds: StatusId[] = [];
-    for (let i = 0; i < defaultStatuses.length; i++) {
-      const statusData = defaultStatuses[i];
-      const statusId = crypto.randomUUID(); // Pre-generate the ID
-      statusIds.push(statusId);
-      
-      const prevStatusId = i > 0 ? statusIds[i - 1] : null;
-      
+    // Create statuses in order
+    const statusRanks = evenlySpacedRanks(defaultStatuses.length);
+    defaultStatuses.forEach((statusData, i) => {
       bulkPayload.ops.push({
         type: 'status',
         operation: 'add',
         data: {
-          id: statusId,
+          id: crypto.randomUUID(),
           title: statusData.title,
           description: statusData.description,
           color: statusData.color,
           project: newProjectWithId.id,
-          prev: prevStatusId,
-          next: null, // Will be set correctly in the next loop
+          rank: statusRanks[i],
           userId: states.userProfile.id as UserId
         }
       });
-    }
-
-    // Now update the next pointers
-    for (let i = 0; i < statusIds.length - 1; i++) {
-      bulkPayload.ops.push({
-        type: 'status',
-        operation: 'update',
-        data: {
-          id: statusIds[i],
-          updatedFields: { next: statusIds[i + 1] }
-        }
-      });
-    }
+    });
 
     if (addWithAnimation) {
       requestAnimationFrame(() => {
@@ -611,12 +449,81 @@ export const createActions = (states: States, setStates: SetStates): Actions =>
     return id; // Return the ID of the newly added project
   };
 
+  /**
+   * Function to add a board imported from another app, see POST /api/import/board.
+   * Adds a project at the end of the project list with the statuses of the board instead of the default ones,
+   * and the tasks of every status in the order of the board. Completed tasks go to the completed tasks of the project.
+   * @param board - The preview of the board.
+   * @param title - The title of the new project.
+   * @param bulkPayload - The bulk payload to be used for the add operations.
+   * @returns The ID of the new project.
+   */
+  const importBoard = (board: BoardPreview, title: string, bulkPayload: BulkPayload): ProjectId => {
+    const userId = states.userProfile.id as UserId;
+    const sortedProjects = sortByRank(states.projects);
+    const projectId = crypto.randomUUID();
+    const { rank, rebalanced } = rankAtIndex(sortedProjects, sortedProjects.length);
+    bulkPayload.ops.push({
+      type: 'project',
+      operation: 'add',
+      data: { id: projectId, title, rank, userId }
+    });
+    pushRebalancedRanks('project', rebalanced, bulkPayload);
+    focusProject(projectId, bulkPayload); // Focus on the new project
+
+    // Create the statuses in order
+    const statusIds = board.statuses.map(() => crypto.randomUUID());
+    const statusRanks = evenlySpacedRanks(board.statuses.length);
+    board.statuses.forEach((status, i) => {
+      bulkPayload.ops.push({
+        type: 'status',
+        operation: 'add',
+        data: { id: statusIds[i], title: status.title, description: '', color: status.color, project: projectId, rank: statusRanks[i], userId }
+      });
+    });
+
+    // Create the tasks of each list in order, each list ranked on its own
+    const lists = new Map<StatusId, BoardPreview['tasks']>();
+    board.tasks.forEach((task) => {
+      const list = task.completed ? `${projectId}-completed` : statusIds[task.status];
+      lists.set(list, [...(lists.get(list) ?? []), task]);
+    });
+    lists.forEach((tasks, list) => {
+      const taskRanks = evenlySpacedRanks(tasks.length);
+      tasks.forEach((task, i) => {
+        bulkPayload.ops.push({
+          type: 'task',
+          operation: 'add',
+          data: {
+            id: crypto.randomUUID(),
+            title: task.title,
+            description: task.description,
+            dueDate: task.dueDate ? new Date(task.dueDate) : null,
+            dueHasTime: task.dueHasTime,
+            status: list,
+            previousStatus: statusIds[task.status], // where a completed task goes back to when restored
+            rank: taskRanks[i],
+            userId
+          }
+        });
+      });
+    });
+
+    return projectId;
+  };
+
+  /**
+   * Function to move a project to a new position in the project list.
+   * Only the moved project gets a new rank, unless the list has to be rebalanced.
+   * @param id - The ID of the project to be moved.
+   * @param index - The index to move the project to.
+   * @param bulkPayload - The bulk payload to be used for the move operation.
+   */
   const moveProject = (id: ProjectId, index: number, bulkPayload: BulkPayload) => {
-    const sortedProjects = sortChain(states.projects);
+    const sortedProjects = sortByRank(states.projects);
     const currentProjectIndex = sortedProjects.findIndex(([projectId, _]) => projectId === id);
     const sortedProjectsWithoutMovedProject = sortedProjects.filter(project => project[0] !== id); // Exclude the project being moved
 
-    // rebuild the linked list array for the projects, inserting the project at the specified index.
     if (currentProjectIndex === -1) {
       throw new Error(`Project with id ${id} not found.`);
     }
@@ -624,91 +531,21 @@ export const createActions = (states: States, setStates: SetStates): Actions =>
       throw new Error(`Index ${index} is out of bounds for the project list.`);
     }
 
-
-
-    // Note: we need to at most update 5 projects:
-    // 1. The project being moved
-    // 2. The project before the destination position (if exists)
-    // 3. The project after the destination position (if exists)
-    // 4. The project before the origin position (if exists)
-    // 5. The project after the origin position (if exists)
-    //
-    // the project being moved, has prev and next. Whatever the destination is,
-    // that is because if it is moved to the end or start, the prev and next will be updated to null.
-    // however, the rest four projects may not exist, so we need to check if they exist before updating them.
-
-    // get prev and next projectIds of the origin position:
-    const originProjectPrev = states.projects[id].prev;
-    const originProjectNext = states.projects[id].next;
-
-    // get prev and next projectIds of the destination position:
-    const newProjectPrev = index === 0 ? null : sortedProjectsWithoutMovedProject[index - 1][0]; // If moving to the start, prev is null
-    const newProjectNext = index === sortedProjectsWithoutMovedProject.length ? null : sortedProjectsWithoutMovedProject[index][0]; // If moving to the end, next is null
-
-    if (originProjectNext === newProjectNext && originProjectPrev === newProjectPrev) {
+    if (currentProjectIndex === index) {
       console.log(`move Project: Project with id ${id} is already at index ${index}. No action taken.`);
       return; // No need to move if the project is already at the desired index
     }
-    // update the moved project's prev and next, even if there is a project in front of the destination -- the prev is just null:
+
+    const { rank, rebalanced } = rankAtIndex(sortedProjectsWithoutMovedProject, index);
     bulkPayload.ops.push({
       type: 'project',
       operation: 'update',
       data: {
         id,
-        updatedFields: {
-          prev: newProjectPrev,
-          next: newProjectNext
-        }
+        updatedFields: { rank }
       }
     });
-
-    // if there is a project before the origin position:
-    if (originProjectPrev) { // if before move, the project has a previous project
-      bulkPayload.ops.push({
-        type: 'project',
-        operation: 'update',
-        data: {
-          id: originProjectPrev,
-          updatedFields: { next: originProjectNext }
-        }
-      });
-    };
-
-    // if there is a project after the origin position:
-    if (originProjectNext) { // if before move, the project has a next project
-      bulkPayload.ops.push({
-        type: 'project',
-        operation: 'update',
-        data: {
-          id: originProjectNext,
-          updatedFields: { prev: originProjectPrev }
-        }
-      });
-    };
-
-    // when there is a project before the destination position:
-    if (newProjectPrev) {
-      bulkPayload.ops.push({
-        type: 'project',
-        operation: 'update',
-        data: {
-          id: newProjectPrev,
-          updatedFields: { next: id }
-        }
-      });
-    };
-
-    // when there is a project after the destination position:
-    if (newProjectNext) {
-      bulkPayload.ops.push({
-        type: 'project',
-        operation: 'update',
-        data: {
-          id: newProjectNext,
-          updatedFields: { prev: id }
-        }
-      });
-    };
+    pushRebalancedRanks('project', rebalanced, bulkPayload);
   };
 
   /**
@@ -746,11 +583,12 @@ export const createActions = (states: States, setStates: SetStates): Actions =>
       throw new Error(`Project with id ${projectId} not found. Cannot delete.`);
     }
 
-    const deletedProject = states.projects[projectId];
-    const deletedProjectPrev = deletedProject.prev;
-    const deletedProjectNext = deletedProject.next;
+    // the project shown before the deleted one, focused next if the deleted project is open
+    const sortedProjects = sortByRank(states.projects);
+    const deletedProjectIndex = sortedProjects.findIndex(([id, _]) => id === projectId);
+    const previousProjectId = sortedProjects[deletedProjectIndex - 1]?.[0] ?? null;
 
-    console.log(`deleteProject: Deleting project with id ${projectId}, prev: ${deletedProjectPrev}, next: ${deletedProjectNext}`);
+    console.log(`deleteProject: Deleting project with id ${projectId}, previous project: ${previousProjectId}`);
 
     // Add the deleted project to the bulk payload
     bulkPayload.ops.push({
@@ -759,28 +597,6 @@ export const createActions = (states: States, setStates: SetStates): Actions =>
       data: { id: projectId }
     });
 
-    // update the prev and next of the surrounding projects:
-    if (deletedProjectPrev) {
-      bulkPayload.ops.push({
-        type: 'project',
-        operation: 'update',
-        data: {
-          id: deletedProjectPrev,
-          updatedFields: { next: deletedProjectNext } // Update the next project of the previous project
-        }
-      });
-    }
-    if (deletedProjectNext) {
-      bulkPayload.ops.push({
-        type: 'project',
-        operation: 'update',
-        data: {
-          id: deletedProjectNext,
-          updatedFields: { prev: deletedProjectPrev } // Update the previous project of the next project
-        }
-      });
-    }
-
     // Also delete all tasks in the project
     const tasksInProject = Object.entries(states.tasks).filter(([_, task]) => {
       const taskStatus = states.statuses[task.status];
@@ -807,7 +623,7 @@ export const createActions = (states: States, setStates: SetStates): Actions =>
     }
 
     if (states.userProfile.lastProjectId === projectId) {
-      focusProject(deletedProjectPrev as ProjectId, bulkPayload); // Focus on the previous project if it exists
+      focusProject(previousProjectId, bulkPayload); // Focus on the previous project if it exists
     }
   };
 
@@ -876,7 +692,7 @@ export const createActions = (states: States, setStates: SetStates): Actions =>
 
   /**
    * Function to handle the end of a drag and drop event for the DragDropContext - hello-pangea/dnd.
-   * It updates the task or project chain based on the drag result.
+   * It gives the dragged task or project a new rank based on the drag result.
    */
   const onDragEnd: DragDropContextProps['onDragEnd'] = async (result: DropResult, navigate: any) => {
     // handle "task" type drag and drop
@@ -894,7 +710,7 @@ export const createActions = (states: States, setStates: SetStates): Actions =>
           try {
             moveTask(taskId, resultStatus, result.destination!.index, backup, false);
             optimisticUIUpdate(setStates, backup); // Optimistically update the UI with the new task order
-            postPayloadToServer('/api/bulk', navigate, backup); // Send the update to the server
+            await postPayloadToServer('/api/bulk', navigate, backup, setStates); // Send the update to the server
           } catch (error) {
             console.error('Error updating task:', error);
             restoreBackup(setStates, backup);
@@ -1029,7 +845,7 @@ export const createActions = (states: States, setStates: SetStates): Actions =>
           try {
             moveProject(projectId, result.destination!.index, backup);
             optimisticUIUpdate(setStates, backup); // Optimistically update the UI with the new project order
-            postPayloadToServer('/api/bulk', navigate, backup); // Send the update to the server
+            await postPayloadToServer('/api/bulk', navigate, backup, setStates); // Send the update to the server
           } catch (error) {
             console.error('Error updating project:', error);
             restoreBackup(setStates, backup); // Restore the previous state in case of an error
@@ -1069,6 +885,61 @@ export const createActions = (states: States, setStates: SetStates): Actions =>
   };
 
 
+  /**
+   * Sends one side of a history entry to the server, and moves the entry to the other stack once it is applied.
+   * If the server rejects it, the UI is restored and the entry stays where it was.
+   * If the user discards it over a conflict, the entry is dropped, it no longer matches the data.
+   * @param entry - The entry to be undone or redone.
+   * @param direction - 'undo' sends the inverse ops, 'redo' sends the ops again.
+   * @param navigate - The navigate function, used to redirect to the login page on 401.
+   */
+  const applyHistoryEntry = async (entry: HistoryEntry, direction: 'undo' | 'redo', navigate: NavigateFunction) => {
+    const bulkPayload = createBulkPayload();
+    bulkPayload.ops.push(...(direction === 'undo' ? entry.inverseOps : entry.ops));
+    bulkPayload.skipHistory = true;
+    const backup = createBackup(states, bulkPayload);
+
+    historyBusy = true;
+    try {
+      optimisticUIUpdate(setStates, backup);
+      const result = await postPayloadToServer('/api/bulk', navigate, backup, setStates);
+      setStates.setHistory((draft) => {
+        const [from, to] = direction === 'undo' ? [draft.undo, draft.redo] : [draft.redo, draft.undo];
+        const index = from.findIndex((e) => e.id === entry.id);
+        if (index !== -1) from.splice(index, 1);
+        if (!result.discarded) to.push(entry);
+        draft.toast = null;
+      });
+    } catch (error) {
+      console.error(`Error during ${direction}:`, error);
+      restoreBackup(setStates, backup);
+    } finally {
+      historyBusy = false;
+    }
+  }
+
+  /**
+   * Undoes the latest change, by sending its inverse ops through /api/bulk so the server is reverted too.
+   * @param navigate - The navigate function, used to redirect to the login page on 401.
+   */
+  const undo = async (navigate: NavigateFunction) => {
+    const entry = states.history.undo[states.history.undo.length - 1];
+    if (entry && !historyBusy) {
+      await applyHistoryEntry(entry, 'undo', navigate);
+    }
+  }
+
+  /**
+   * Redoes the latest undone change, by sending its ops through /api/bulk again.
+   * @param navigate - The navigate function, used to redirect to the login page on 401.
+   */
+  const redo = async (navigate: NavigateFunction) => {
+    const entry = states.history.redo[states.history.redo.length - 1];
+    if (entry && !historyBusy) {
+      await applyHistoryEntry(entry, 'redo', navigate);
+    }
+  }
+
   /**
    * Function to handle the start of a drag and drop event for the DragDropContext - hello-pangea/dnd.
    * It sets the dragged task ID if the draggable type is 'task'.
@@ -1086,13 +957,18 @@ export const createActions = (states: States, setStates: SetStates): Actions =>
     updateTask,
     hardDeleteTask,
     moveTask,
+    completeTask,
     focusProject,
+    saveViews,
     addStatus,
     deleteStatus,
     addProject,
+    importBoard,
     updateProject,
     moveProject,
     deleteProject,
+    undo,
+    redo,
     onDragEnd,
     onDragStart,
     onDragUpdate,
@@ -1101,17 +977,22 @@ export const createActions = (states: States, setStates: SetStates): Actions =>
 
 
 export type Actions = {
-  addTask: (newTask: Omit<TaskType, 'id'>, bulkPayload: BulkPayload, addWithAnimation?: boolean) => TaskId; // Returns the ID of the newly added task
+  addTask: (newTask: Omit<TaskType, 'id' | 'rank'>, bulkPayload: BulkPayload, addWithAnimation?: boolean, index?: number | "start" | "end") => TaskId; // Returns the ID of the newly added task
   updateTask: (updatePayloads: { id: TaskId; updatedFields: Partial<TaskType> }, bulkPayload: BulkPayload) => void; // Accepts an array of update payloads, each containing the task ID and the fields to be updated
   hardDeleteTask: (id: TaskId, bulkPayload: BulkPayload) => void;
   moveTask: (id: TaskId, targetStatusId: StatusId, index: number | "start" | "end", bulkPayload: BulkPayload, moveWithAnimation?: boolean) => void;
+  completeTask: (id: TaskId, bulkPayload: BulkPayload) => TaskId | null; // Returns the ID of the next occurrence of a repeating task
   focusProject: (projectId: ProjectId | null, bulkPayload: BulkPayload) => void; // Focuses on a specific project, updating the user profile with the last interacted project ID
-  addStatus: (newStatus: Omit<StatusType, 'id'>, bulkPayload: BulkPayload, addWithAnimation?: boolean) => StatusId; // Returns the ID of the newly added status
+  saveViews: (savedViews: SavedView[], bulkPayload: BulkPayload) => void; // Replaces the saved views of the user profile
+  addStatus: (newStatus: Omit<StatusType, 'id' | 'rank'>, bulkPayload: BulkPayload, addWithAnimation?: boolean, index?: number | "start" | "end") => StatusId; // Returns the ID of the newly added status
   deleteStatus: (statusId: StatusId, bulkPayload: BulkPayload) => void; // Deletes a status and all tasks in it
-  addProject: (newProject: Omit<ProjectType, 'id'>, bulkPayload: BulkPayload, addWithAnimation?: boolean) => ProjectId; // Returns the ID of the newly added project
+  addProject: (newProject: Omit<ProjectType, 'id' | 'rank'>, bulkPayload: BulkPayload, addWithAnimation?: boolean, index?: number | "start" | "end") => ProjectId; // Returns the ID of the newly added project
+  importBoard: (board: BoardPreview, title: string, bulkPayload: BulkPayload) => ProjectId; // Returns the ID of the new project
   updateProject: (id: ProjectId, updatedFields: Partial<ProjectType>, bulkPayload: BulkPayload) => void;
   moveProject: (id: ProjectId, index: number, bulkPayload: BulkPayload) => void;
   deleteProject: (projectId: ProjectId, bulkPayload: BulkPayload) => void;
+  undo: (navigate: NavigateFunction) => Promise<void>; // Reverts the latest change, on the server too
+  redo: (navigate: NavigateFunction) => Promise<void>; // Applies the latest undone change again
   onDragEnd: (result: DropResult, provided: ResponderProvided) => void;
   onDragStart: (start: DragStart, provided: ResponderProvided) => void;
   onDragUpdate: (update: DragUpdate, provided: ResponderProvided) => void;
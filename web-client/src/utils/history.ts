@@ -0,0 +1,119 @@
+import type { BulkPayload, HistoryEntry } from './type.ts';
+import type { SetStates } from './states.ts';
+
+// older changes are forgotten once the undo stack is this long
+const MAX_HISTORY_LENGTH = 50;
+
+type Op = BulkPayload['ops'][number];
+type Item = Record<string, unknown> & { id: string };
+
+// the order in which the inverse ops are sent, so parents exist before their children are added
+// and children are gone before their parents are deleted
+const ADD_ORDER: Op['type'][] = ['project', 'status', 'task'];
+const DELETE_ORDER: Op['type'][] = ['task', 'status', 'project'];
+
+/**
+ * Gets an item from the backup of a payload.
+ */
+const itemInBackup = (backup: BulkPayload['backup'], type: Op['type'], id: string): Item | undefined => {
+  switch (type) {
+    case 'task': return backup.tasks[id] as Item | undefined;
+    case 'project': return backup.projects[id] as Item | undefined;
+    case 'status': return backup.statuses[id] as Item | undefined;
+    case 'userProfile': return backup.userProfile.id === id ? backup.userProfile as Item : undefined;
+  }
+}
+
+/**
+ * Computes the ops that revert a payload, from the items in its backup.
+ * Every item the payload touches is compared before and after the whole payload:
+ * added items are deleted, deleted items are added back, and the updated fields are set back to their old values.
+ * @param payload - The payload, with the backup taken before its ops were applied.
+ * @returns The inverse ops: adds first, then updates, then deletes, see ADD_ORDER and DELETE_ORDER.
+ */
+export const invertPayload = (payload: BulkPayload): BulkPayload['ops'] => {
+  const touched = new Map<string, { type: Op['type']; id: string; before?: Item; after?: Item; fields: Set<string> }>();
+
+  payload.ops.forEach((op) => {
+    const id = op.data.id as string;
+    const key = `${op.type}:${id}`;
+    if (!touched.has(key)) {
+      const before = itemInBackup(payload.backup, op.type, id);
+      touched.set(key, { type: op.type, id, before, after: before, fields: new Set() });
+    }
+    const item = touched.get(key)!;
+
+    if (op.operation === 'add') {
+      item.after = op.data as Item;
+    } else if (op.operation === 'update' && item.after) {
+      const { updatedFields } = op.data as { updatedFields: Record<string, unknown> };
+      item.after = { ...item.after, ...updatedFields };
+      Object.keys(updatedFields).forEach((field) => item.fields.add(field));
+    } else if (op.operation === 'delete') {
+      item.after = undefined;
+    }
+  });
+
+  const adds: Op[] = [];
+  const updates: Op[] = [];
+  const deletes: Op[] = [];
+  touched.forEach(({ type, id, before, after, fields }) => {
+    if (before && !after) {
+      const data = { ...before };
+      delete data.rev; // the server starts added items at revision 0
+      adds.push({ type, operation: 'add', data } as Op);
+    } else if (!before && after) {
+      deletes.push({ type, operation: 'delete', data: { id } });
+    } else if (before && after && fields.size > 0) {
+      // fields the item did not have are cleared with null, as JSON drops undefined
+      const updatedFields = Object.fromEntries([...fields].map((field) => [field, before[field] ?? null]));
+      updates.push({ type, operation: 'update', data: { id, updatedFields } } as Op);
+    }
+  });
+
+  adds.sort((a, b) => ADD_ORDER.indexOf(a.type) - ADD_ORDER.indexOf(b.type));
+  deletes.sort((a, b) => DELETE_ORDER.indexOf(a.type) - DELETE_ORDER.indexOf(b.type));
+  return [...adds, ...updates, ...deletes];
+}
+
+/**
+ * Describes a destructive payload for the undo toast.
+ * @returns The message, or null if the payload deletes nothing.
+ */
+const describeDeletion = (payload: BulkPayload): string | null => {
+  const deleted = DELETE_ORDER.slice().reverse()
+    .map((type) => payload.ops.find((op) => op.type === type && op.operation === 'delete'))
+    .find((op) => op !== undefined);
+  if (!deleted) {
+    return null;
+  }
+  const title = itemInBackup(payload.backup, deleted.type, deleted.data.id as string)?.title;
+  const name = deleted.type === 'task' ? 'Task' : deleted.type === 'status' ? 'Status' : 'Project';
+  return title ? `${name} "${title}" deleted` : `${name} deleted`;
+}
+
+/**
+ * Records a payload sent to the server as a new entry of the undo stack, and clears the redo stack.
+ * Payloads that only change the user profile (e.g. switching projects) are not board operations and are not recorded.
+ * If the payload deletes a project, a status or a task, the undo toast is shown.
+ * @param setStates - The state setters.
+ * @param payload - The payload, with the backup taken before its ops were applied.
+ */
+export const recordHistory = (setStates: SetStates, payload: BulkPayload) => {
+  if (payload.skipHistory || payload.ops.every((op) => op.type === 'userProfile')) {
+    return;
+  }
+  const inverseOps = invertPayload(payload);
+  if (inverseOps.length === 0) {
+    return;
+  }
+
+  const entry: HistoryEntry = { id: crypto.randomUUID(), ops: payload.ops, inverseOps };
+  const toast = describeDeletion(payload);
+  setStates.setHistory((draft) => {
+    draft.undo.push(entry);
+    draft.undo.splice(0, draft.undo.length - MAX_HISTORY_LENGTH);
+    draft.redo = [];
+    draft.toast = toast;
+  });
+}
@@ -0,0 +1,49 @@
+export const MIN_PASSWORD_LENGTH = 8;
+
+export type PasswordStrength = {
+  score: number; // 0 (weak) to 4 (strong)
+  isStrong: boolean; // Whether the password is accepted by the server
+  problems: string[]; // Human readable reasons why the password is not accepted
+};
+
+/**
+ * Checks how strong a password is.
+ * Mirrors `checkPasswordStrength` in server/utils/password.js, keep both in sync.
+ * @param password - The password to be checked.
+ * @param context - Account info the password must not repeat.
+ * @returns The score, whether the password is strong enough, and the problems found.
+ *
+ * 检查密码强度，需要与服务器端 server/utils/password.js 保持一致。
+ */
+export const checkPasswordStrength = (password: string, context: { email?: string; phoneNumber?: string } = {}): PasswordStrength => {
+  const problems: string[] = [];
+  if (!password) {
+    return { score: 0, isStrong: false, problems: ['Password is required'] };
+  }
+
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    problems.push(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+  }
+
+  // count the character classes used: lower case, upper case, digits and symbols
+  const classes = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/].filter(regex => regex.test(password)).length;
+  if (classes < 3) {
+    problems.push('Password must mix at least three of: lower case, upper case, digits and symbols');
+  }
+
+  const lowered = password.toLowerCase();
+  const emailName = context.email ? context.email.split('@')[0].toLowerCase() : '';
+  const phoneDigits = context.phoneNumber ? context.phoneNumber.replace(/\D/g, '') : '';
+  if ((emailName.length >= 3 && lowered.includes(emailName)) || (phoneDigits.length >= 4 && password.includes(phoneDigits))) {
+    problems.push('Password must not contain your email or phone number');
+  }
+
+  let score = Math.min(classes, 3) + (password.length >= 12 ? 1 : 0);
+  if (problems.length > 0) {
+    score = Math.min(score, 2);
+  }
+
+  return { score, isStrong: problems.length === 0, problems };
+}
+
+export const passwordStrengthLabels = ['Very weak', 'Weak', 'Fair', 'Good', 'Strong'];
@@ -0,0 +1,100 @@
+/**
+ * Fractional ranks order the tasks of a status, the statuses of a project, and the projects of a user.
+ * A rank is a string of base-62 digits read as a fraction (0.xxx), so comparing two ranks as plain strings
+ * gives their order, and there is always room for a new rank between two others.
+ * Moving an item only needs a new rank for that item, its neighbours are left alone.
+ *
+ * Mirrors server/utils/rank.js, keep both in sync.
+ */
+
+// in ASCII order, so string comparison matches digit comparison
+const DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+// once a new rank gets longer than this, the whole list is given evenly spaced ranks again
+export const MAX_RANK_LENGTH = 12;
+
+/**
+ * Finds the shortest digits strictly between a and b, as fractions.
+ * @param a - The lower bound, '' for 0.
+ * @param b - The upper bound, null for 1.
+ */
+const midpoint = (a: string, b: string | null): string => {
+  if (b !== null) {
+    // skip the common prefix, reading missing digits of a as 0
+    let n = 0;
+    while ((a[n] || '0') === b[n]) n++;
+    if (n > 0) {
+      return b.slice(0, n) + midpoint(a.slice(n), b.slice(n));
+    }
+  }
+
+  const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+  const digitB = b !== null ? DIGITS.indexOf(b[0]) : DIGITS.length;
+  if (digitB - digitA > 1) {
+    return DIGITS[Math.round((digitA + digitB) / 2)];
+  }
+  // the first digits are consecutive
+  if (b !== null && b.length > 1) {
+    return b.slice(0, 1);
+  }
+  return DIGITS[digitA] + midpoint(a.slice(1), null);
+}
+
+/**
+ * Gets a rank that sorts between two others.
+ * @param a - The rank before, or null for the start of the list.
+ * @param b - The rank after, or null for the end of the list.
+ * @returns The new rank.
+ */
+export const rankBetween = (a: string | null, b: string | null): string => {
+  if (a !== null && b !== null && a >= b) {
+    throw new Error(`Rank ${a} is not before ${b}`);
+  }
+  return midpoint(a || '', b);
+}
+
+/**
+ * Gets evenly spaced ranks for a whole list, used for new lists and to rebalance ranks that got too long.
+ * @param count - The number of items in the list.
+ * @returns The ranks, in order.
+ */
+export const evenlySpacedRanks = (count: number): string[] => {
+  let length = 1;
+  while (DIGITS.length ** length <= count) length++;
+  const step = Math.floor(DIGITS.length ** length / (count + 1));
+
+  const ranks: string[] = [];
+  for (let i = 1; i <= count; i++) {
+    let value = i * step;
+    let rank = '';
+    for (let d = 0; d < length; d++) {
+      rank = DIGITS[value % DIGITS.length] + rank;
+      value = Math.floor(value / DIGITS.length);
+    }
+    ranks.push(rank.replace(/0+$/, ''));
+  }
+  return ranks;
+}
+
+/**
+ * Gets the rank for an item placed at an index of a sorted list.
+ * Usually only the placed item gets a new rank. If that rank would be longer than MAX_RANK_LENGTH,
+ * the whole list is rebalanced and the other items whose rank changes are returned as well.
+ * @param sortedWithoutItem - The list sorted by rank, without the item being placed. [[ID, item], ...]
+ * @param index - Where the item goes, 0 for the start and sortedWithoutItem.length for the end.
+ * @returns The rank of the placed item, and the other items that need a new rank.
+ */
+export const rankAtIndex = <T extends { rank: string }>(sortedWithoutItem: [string, T][], index: number): { rank: string; rebalanced: { id: string; rank: string }[] } => {
+  const rank = rankBetween(sortedWithoutItem[index - 1]?.[1].rank ?? null, sortedWithoutItem[index]?.[1].rank ?? null);
+  if (rank.length <= MAX_RANK_LENGTH) {
+    return { rank, rebalanced: [] };
+  }
+
+  const ranks = evenlySpacedRanks(sortedWithoutItem.length + 1);
+  const otherRanks = ranks.filter((_, i) => i !== index);
+  const rebalanced = sortedWithoutItem
+    .map(([id], i) => ({ id, rank: otherRanks[i] }))
+    .filter(({ rank }, i) => sortedWithoutItem[i][1].rank !== rank);
+  console.log(`rankAtIndex: rank too long, rebalancing ${rebalanced.length} items`);
+  return { rank: ranks[index], rebalanced };
+}
@@ -0,0 +1,257 @@
+/**
+ * The repeat rule of a task: a subset of the RRULE of iCalendar (RFC 5545), without the `RRULE:` prefix,
+ * e.g. `FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH`. When a repeating task is completed, its next occurrence is added
+ * with the due date computed here.
+ *
+ * Supported parts: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, BYDAY (weekly), BYMONTHDAY (monthly and yearly,
+ * -1 for the last day), BYMONTH (yearly) and UNTIL (YYYYMMDD, the last day an occurrence may be due).
+ * A day missing from a month, like the 31st or Feb 29, falls on the last day of the month.
+ * Occurrences are counted on the calendar of the time zone of the user, and a task due at a time keeps the time
+ * its clocks show, e.g. 9:00 in Berlin in summer and in winter.
+ *
+ * Mirrors server/utils/recurrence.js, which checks the rules sent to the server, keep both in sync.
+ */
+
+import { zonedParts, zonedTimeToUtc } from './timeZone.ts';
+
+export type Recurrence = {
+  freq: 'DAILY' | 'WEEKLY' | 'MONTHLY' | 'YEARLY';
+  interval: number;
+  byDay?: string[]; // e.g. ['MO', 'TH']
+  byMonthDay?: number; // 1 to 31, or -1 for the last day of the month
+  byMonth?: number; // 1 to 12
+  until?: string; // e.g. '20241231'
+};
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']; // in the order of Date.getUTCDay()
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MAX_INTERVAL = 1000;
+const MAX_LENGTH = 200;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Reads a repeat rule.
+ * @param rule - e.g. `FREQ=MONTHLY;BYMONTHDAY=-1`.
+ * @returns the parts of the rule, or null if it is not a supported rule.
+ */
+export const parseRecurrence = (rule: string | null | undefined): Recurrence | null => {
+  if (typeof rule !== 'string' || !rule || rule.length > MAX_LENGTH) {
+    return null;
+  }
+  const parts = new Map<string, string>();
+  for (const part of rule.split(';')) {
+    const [key, value, ...rest] = part.split('=');
+    if (!value || rest.length || parts.has(key)) {
+      return null;
+    }
+    parts.set(key, value);
+  }
+
+  const freq = parts.get('FREQ') as Recurrence['freq'];
+  if (!FREQUENCIES.includes(freq)) {
+    return null;
+  }
+  const parsed: Recurrence = { freq, interval: 1 };
+  for (const [key, value] of parts) {
+    switch (key) {
+      case 'FREQ':
+        break;
+      case 'INTERVAL':
+        parsed.interval = Number(value);
+        if (!/^\d+$/.test(value) || parsed.interval < 1 || parsed.interval > MAX_INTERVAL) return null;
+        break;
+      case 'BYDAY':
+        parsed.byDay = value.split(',');
+        if (freq !== 'WEEKLY' || !parsed.byDay.every((day) => WEEKDAYS.includes(day))) return null;
+        break;
+      case 'BYMONTHDAY':
+        parsed.byMonthDay = Number(value);
+        if ((freq !== 'MONTHLY' && freq !== 'YEARLY') || !/^-?\d+$/.test(value) || !(parsed.byMonthDay === -1 || (parsed.byMonthDay >= 1 && parsed.byMonthDay <= 31))) return null;
+        break;
+      case 'BYMONTH':
+        parsed.byMonth = Number(value);
+        if (freq !== 'YEARLY' || !/^\d+$/.test(value) || parsed.byMonth < 1 || parsed.byMonth > 12) return null;
+        break;
+      case 'UNTIL':
+        parsed.until = value;
+        if (!/^\d{8}$/.test(value)) return null;
+        break;
+      default:
+        return null; // COUNT, BYSETPOS and the others are not supported
+    }
+  }
+  return parsed;
+};
+
+/**
+ * Gets today in a time zone as a whole day is stored: midnight UTC of the day its clocks show, see timeZone.ts.
+ */
+export const today = (timeZone: string, now: Date = new Date()): Date => {
+  const { year, month, day } = zonedParts(now, timeZone);
+  return new Date(Date.UTC(year, month, day));
+};
+
+/**
+ * Gets the day of a due date, as midnight UTC: a whole day as it is stored, a time on the day the clocks of
+ * the time zone show then, e.g. 8:00 on Monday in Tokyo is stored as 23:00 UTC on Sunday but falls on Monday.
+ * @param hasTime - Whether the due date has a time, see `isWholeDay` in timeZone.ts.
+ */
+export const dueDay = (dueDate: Date, hasTime: boolean, timeZone: string): Date => {
+  if (!hasTime) {
+    return new Date(dueDate);
+  }
+  const { year, month, day } = zonedParts(new Date(dueDate), timeZone);
+  return new Date(Date.UTC(year, month, day));
+};
+
+const daysInMonth = (year: number, month: number) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// the Monday of the week of a date, at midnight UTC
+const weekStart = (date: Date) => Math.floor(date.getTime() / DAY) * DAY - ((date.getUTCDay() + 6) % 7) * DAY;
+
+/**
+ * Finds the first day of an occurrence strictly after a day, both as midnight UTC, see `dueDay`.
+ * Monthly and yearly rules without BYMONTHDAY (and BYMONTH) repeat on the day of the date, see `anchorRecurrence`.
+ */
+const nextOccurrence = (recurrence: Recurrence, date: Date): Date => {
+  const { freq, interval, byDay, byMonthDay, byMonth } = recurrence;
+  const [year, month, day] = [date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()];
+
+  switch (freq) {
+    case 'DAILY':
+      return new Date(date.getTime() + interval * DAY);
+    case 'WEEKLY': {
+      if (!byDay?.length) {
+        return new Date(date.getTime() + 7 * interval * DAY);
+      }
+      // the listed days of every `interval`-th week, counted from the week of the date
+      for (let candidate = new Date(date.getTime() + DAY); ; candidate = new Date(candidate.getTime() + DAY)) {
+        const weeks = Math.round((weekStart(candidate) - weekStart(date)) / (7 * DAY));
+        if (weeks % interval === 0 && byDay.includes(WEEKDAYS[candidate.getUTCDay()])) {
+          return candidate;
+        }
+      }
+    }
+    case 'MONTHLY':
+    case 'YEARLY': {
+      // a day missing from a month, like the 31st, falls on its last day
+      const dayIn = (y: number, m: number) => {
+        const last = daysInMonth(y, m);
+        return byMonthDay === -1 ? last : Math.min(byMonthDay ?? day, last);
+      };
+      const [months, firstMonth] = freq === 'MONTHLY' ? [interval, month] : [12 * interval, byMonth ? byMonth - 1 : month];
+      for (let k = 0; ; k += months) {
+        const candidate = new Date(Date.UTC(year, firstMonth + k, dayIn(year, firstMonth + k)));
+        if (candidate > date) {
+          return candidate;
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Pins a monthly or yearly rule to the day of a due date, see `dueDay`, e.g. `FREQ=MONTHLY` due Jan 31 becomes
+ * `FREQ=MONTHLY;BYMONTHDAY=31`, and `FREQ=YEARLY` due Feb 29 `FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=29`.
+ * Otherwise the next occurrences, computed from the last one, would stay on the day a shorter month cut it to.
+ * @returns the rule, as is if it already names its day or repeats daily or weekly; null if it is not a supported rule.
+ */
+export const anchorRecurrence = (rule: string | null | undefined, day: Date): string | null => {
+  const recurrence = parseRecurrence(rule);
+  if (!recurrence) {
+    return null;
+  }
+  const date = new Date(day);
+  let anchored = rule as string;
+  if (recurrence.freq === 'YEARLY' && !recurrence.byMonth) {
+    anchored += `;BYMONTH=${date.getUTCMonth() + 1}`;
+  }
+  if ((recurrence.freq === 'MONTHLY' || recurrence.freq === 'YEARLY') && !recurrence.byMonthDay) {
+    anchored += `;BYMONTHDAY=${date.getUTCDate()}`;
+  }
+  return anchored;
+};
+
+/**
+ * Computes the due date of the next occurrence of a repeating task: the first occurrence after its due date
+ * that is not in the past, so a task completed late is not followed by overdue copies.
+ * @param rule - The repeat rule of the task, pin it with `anchorRecurrence` for the next occurrence.
+ * @param dueDate - The due date of the completed occurrence, today if it had none.
+ * @param hasTime - Whether the due date has a time: then an occurrence is past once its time is, else once its day is.
+ * @param timeZone - The time zone of the user, the occurrences fall on its days and times.
+ * @param now - The current time.
+ * @returns the next due date, or null if the rule is invalid or ended (UNTIL).
+ */
+export const nextDueDate = (
+  rule: string | null | undefined, dueDate: Date | null | undefined, hasTime: boolean, timeZone: string, now: Date = new Date()
+): Date | null => {
+  const start = dueDate ? dueDay(dueDate, hasTime, timeZone) : today(timeZone, now);
+  const recurrence = parseRecurrence(anchorRecurrence(rule, start));
+  if (!recurrence) {
+    return null;
+  }
+  // a time stays the one the clocks show, whatever daylight saving time does
+  const time = dueDate && hasTime ? zonedParts(new Date(dueDate), timeZone) : null;
+  const dueAt = (day: Date) => (time
+    ? zonedTimeToUtc(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), time.hour, time.minute, timeZone)
+    : day);
+  const past = time ? now : today(timeZone, now); // occurrences before it are skipped
+  let next = nextOccurrence(recurrence, start);
+  while (dueAt(next) < past) {
+    next = nextOccurrence(recurrence, next);
+  }
+
+  if (recurrence.until) {
+    const [year, month, day] = [recurrence.until.slice(0, 4), recurrence.until.slice(4, 6), recurrence.until.slice(6)].map(Number);
+    if (next.getTime() >= Date.UTC(year, month - 1, day + 1)) {
+      return null;
+    }
+  }
+  return dueAt(next);
+};
+
+/**
+ * Describes a repeat rule for the user, e.g. "Every 2 weeks on Mon, Thu".
+ */
+export const describeRecurrence = (rule: string | null | undefined): string => {
+  const recurrence = parseRecurrence(rule);
+  if (!recurrence) {
+    return 'Does not repeat';
+  }
+  const { freq, interval, byDay, byMonthDay, byMonth, until } = recurrence;
+  const unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' }[freq];
+  let text = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+  if (byDay?.length) {
+    text += ` on ${WEEKDAYS.filter((day) => byDay.includes(day)).map((day) => WEEKDAY_NAMES[WEEKDAYS.indexOf(day)]).join(', ')}`;
+  }
+  if (byMonth) {
+    const monthName = new Date(Date.UTC(2000, byMonth - 1, 1)).toLocaleString('en-US', { month: 'short', timeZone: 'UTC' });
+    text += byMonthDay === -1 ? ` on the last day of ${monthName}` : ` on ${monthName} ${byMonthDay ?? ''}`.trimEnd();
+  } else if (byMonthDay) {
+    text += byMonthDay === -1 ? ' on the last day' : ` on day ${byMonthDay}`;
+  }
+  if (until) {
+    text += ` until ${until.slice(0, 4)}-${until.slice(4, 6)}-${until.slice(6)}`;
+  }
+  return text;
+};
+
+/**
+ * The rules offered in the repeat menu of a task, based on the day of its due date (today if it has none).
+ * @param hasTime - Whether the due date has a time, see `dueDay`.
+ * @param timeZone - The time zone of the user.
+ * @returns the rules with their labels, in menu order.
+ */
+export const recurrencePresets = (dueDate: Date | null | undefined, hasTime: boolean, timeZone: string): { rule: string; label: string }[] => {
+  const date = dueDate ? dueDay(dueDate, hasTime, timeZone) : today(timeZone);
+  const rules = [
+    'FREQ=DAILY',
+    'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR',
+    `FREQ=WEEKLY;BYDAY=${WEEKDAYS[date.getUTCDay()]}`,
+    `FREQ=MONTHLY;BYMONTHDAY=${date.getUTCDate()}`,
+    'FREQ=YEARLY',
+  ];
+  return rules.map((rule) => ({ rule, label: describeRecurrence(rule) }));
+};
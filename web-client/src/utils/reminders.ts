@@ -0,0 +1,40 @@
+/**
+ * The reminders of a task: how many minutes before its due time the user is reminded, e.g. `[0, 60]`.
+ * A task due on a day, without a time, is due at DAY_DUE_HOUR that day in the time zone of the user.
+ * Mirrors server/utils/reminders.js, which checks and sends them, keep both in sync.
+ */
+
+export const MAX_REMINDERS = 5;
+export const DAY_DUE_HOUR = 9;
+
+const HOUR = 60;
+const DAY = 24 * HOUR;
+
+// the reminders offered when adding one, in menu order
+const REMINDER_OFFSETS = [0, 5, 15, 30, HOUR, 2 * HOUR, DAY, 2 * DAY, 7 * DAY];
+const DAY_REMINDER_OFFSETS = [0, DAY, 2 * DAY, 7 * DAY]; // for a task due on a day
+
+/**
+ * Describes a reminder, e.g. "15 minutes before".
+ * @param offset - The minutes before the due time.
+ * @param wholeDay - Whether the task is due on a day rather than at a time.
+ */
+export const describeReminder = (offset: number, wholeDay: boolean): string => {
+  if (offset === 0) {
+    return wholeDay ? `On the day, ${DAY_DUE_HOUR}:00` : 'At the due time';
+  }
+  const [amount, unit] = offset % DAY === 0 ? [offset / DAY, 'day']
+    : offset % HOUR === 0 ? [offset / HOUR, 'hour']
+    : [offset, 'minute'];
+  return `${amount} ${unit}${amount === 1 ? '' : 's'} before`;
+};
+
+/**
+ * Lists the reminders that can be added to a task, those it has not got yet.
+ * @param reminders - The reminders of the task.
+ * @param wholeDay - Whether the task is due on a day rather than at a time.
+ */
+export const reminderPresets = (reminders: number[], wholeDay: boolean): { offset: number; label: string }[] =>
+  (wholeDay ? DAY_REMINDER_OFFSETS : REMINDER_OFFSETS)
+    .filter((offset) => !reminders.includes(offset))
+    .map((offset) => ({ offset, label: describeReminder(offset, wholeDay) }));
@@ -0,0 +1,28 @@
+/**
+ * Highlighting the results of the task search of the Menubar, see GET /api/search and server/services/search.js.
+ */
+
+/**
+ * Splits a query into the words searched, lower case and without duplicates.
+ * Mirrors `searchTerms` in server/services/search.js.
+ */
+export const searchTerms = (query: string): string[] =>
+  [...new Set(query.toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? [])];
+
+/**
+ * Splits a text into the parts that match a search term and those that do not, to highlight the matches.
+ * A term matches anywhere in a word, so the forms of a word found by the server ("study" in "studying") are highlighted too.
+ * @param text - e.g. the title of a task.
+ * @param terms - The search terms, as sent back by the server.
+ * @returns the parts in order, joined they are the text.
+ */
+export const highlightParts = (text: string, terms: string[]): { text: string; match: boolean }[] => {
+  if (!text || terms.length === 0) {
+    return [{ text, match: false }];
+  }
+  // the longest terms first, so "notes" wins over "no"
+  const pattern = new RegExp(`(${[...terms].sort((a, b) => b.length - a.length).map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'giu');
+  return text.split(pattern)
+    .filter((part) => part !== '')
+    .map((part) => ({ text: part, match: terms.includes(part.toLowerCase()) }));
+};
@@ -1,5 +1,5 @@
 import { useImmer, type Updater } from "use-immer";
-import type { TaskData, ProjectData, UserProfileData, StatusData, TaskId, ProjectId } from "./type";
+import type { TaskData, ProjectData, UserProfileData, StatusData, TaskId, ProjectId, SyncStatus, History, Notifications } from "./type";
 
 export const createStatesAndSetStates = (): [States, SetStates] => {
 
@@ -11,7 +11,9 @@ export const createStatesAndSetStates = (): [States, SetStates] => {
     nickname: null,
     lastProjectId: null,
     avatarUrl: null,
-    language: null
+    language: null,
+    timeZone: null,
+    savedViews: []
   };
 
   const [tasks, setTasks] = useImmer<TaskData>({}); // Initial tasks data loaded from testTaskData
@@ -22,6 +24,9 @@ export const createStatesAndSetStates = (): [States, SetStates] => {
   const [showCompleted, setShowCompleted] = useImmer<boolean>(false);
   const [justDragged, setJustDragged] = useImmer<boolean>(false); // State to manage the dragging state of tasks
   const [focusedItem, setFocusedItem] = useImmer<TaskId | ProjectId | null>(null); // State to manage the focused task ID
+  const [syncStatus, setSyncStatus] = useImmer<SyncStatus>({ offline: !navigator.onLine, pending: 0 });
+  const [history, setHistory] = useImmer<History>({ undo: [], redo: [], toast: null }); // State to manage the undo/redo stacks
+  const [notifications, setNotifications] = useImmer<Notifications>({ items: [], unread: 0, opening: null }); // State to manage the notifications list
 
   const states: States = {
     tasks,
@@ -31,7 +36,10 @@ export const createStatesAndSetStates = (): [States, SetStates] => {
     showDeleted,
     showCompleted,
     justDragged,
-    focusedItem
+    focusedItem,
+    syncStatus,
+    history,
+    notifications
   };
 
   const setStates: SetStates = {
@@ -42,7 +50,10 @@ export const createStatesAndSetStates = (): [States, SetStates] => {
     setShowDeleted,
     setShowCompleted,
     setJustDragged,
-    setFocusedItem
+    setFocusedItem,
+    setSyncStatus,
+    setHistory,
+    setNotifications
   };
 
   return [states, setStates];
@@ -57,6 +68,9 @@ export type States = {
   showCompleted: boolean; // State to manage the visibility of completed tasks, optional for future use
   justDragged: boolean; // State to manage the dragging state of tasks
   focusedItem: TaskId | ProjectId | null; // State to manage the focused task or project ID
+  syncStatus: SyncStatus; // State to manage the offline indicator
+  history: History; // State to manage the undo/redo stacks and the undo toast
+  notifications: Notifications; // State to manage the notifications list, e.g. the reminders of tasks
 };
 
 export type SetStates = {
@@ -68,4 +82,7 @@ export type SetStates = {
   setShowCompleted: Updater<boolean>; // Optional action to toggle the visibility of completed tasks, for future use
   setJustDragged: Updater<boolean>; // Action to manage the just dragged state of tasks
   setFocusedItem: Updater<TaskId | ProjectId | null>; // Action to manage the focused task or project ID
+  setSyncStatus: Updater<SyncStatus>; // Action to manage the offline indicator
+  setHistory: Updater<History>; // Action to manage the undo/redo stacks and the undo toast
+  setNotifications: Updater<Notifications>; // Action to manage the notifications list
 };
\ No newline at end of file
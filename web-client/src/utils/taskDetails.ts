@@ -0,0 +1,102 @@
+/**
+ * The details of a task that help to plan it: its priority, tags, category and estimated duration (in minutes).
+ * Mirrors server/utils/taskDetails.js, which checks them, keep both in sync.
+ */
+import type { TaskPriority } from './type.ts';
+
+export const PRIORITIES: TaskPriority[] = ['high', 'medium', 'low']; // in menu order
+
+const MAX_TAGS = 20;
+const MAX_LABEL_LENGTH = 50; // of a tag or a category
+const MAX_ESTIMATE = 1000 * 60; // in minutes
+
+// the categories the AI assistant picks from, see TASK_CATEGORIES in ai-service/config/prompts.js, offered as suggestions
+export const TASK_CATEGORIES = [
+  'development', 'design', 'research', 'planning', 'testing',
+  'documentation', 'meeting', 'maintenance', 'learning', 'communication',
+];
+
+// minutes per unit, a day is a working day and a week a working week, as in "1 day" of work
+const DURATION_UNITS: [RegExp, number][] = [
+  [/^(m|mins?|minutes?)$/, 1],
+  [/^(h|hrs?|hours?)$/, 60],
+  [/^(d|days?)$/, 8 * 60],
+  [/^(w|wks?|weeks?)$/, 5 * 8 * 60],
+];
+
+/**
+ * Reads an estimated duration typed by the user or generated by the AI assistant.
+ * @param text - e.g. `90`, `45m`, `1h 30m`, `1.5 hours`, `2-3 days` (the upper bound is kept).
+ * @returns the duration in minutes, or null if it cannot be read or is out of range.
+ */
+export const parseDuration = (text: string | null | undefined): number | null => {
+  if (typeof text !== 'string') {
+    return null;
+  }
+  const normalized = text.trim().toLowerCase()
+    .replace(/(\d+(?:\.\d+)?)\s*(?:-|–|to)\s*(\d+(?:\.\d+)?)/g, '$2') // a range, e.g. "2-3 hours"
+    .replace(/^(about|around|approx\.?|approximately|~)\s*/, '');
+  if (/^\d+$/.test(normalized)) {
+    const minutes = Number(normalized);
+    return minutes > 0 && minutes <= MAX_ESTIMATE ? minutes : null;
+  }
+
+  const parts = [...normalized.matchAll(/(\d+(?:\.\d+)?)\s*([a-z]+)/g)];
+  if (!parts.length || normalized.replace(/(\d+(?:\.\d+)?)\s*([a-z]+)/g, '').replace(/\band\b|[\s,]/g, '') !== '') {
+    return null;
+  }
+  let minutes = 0;
+  for (const [, amount, unit] of parts) {
+    const perUnit = DURATION_UNITS.find(([pattern]) => pattern.test(unit))?.[1];
+    if (!perUnit) {
+      return null;
+    }
+    minutes += Number(amount) * perUnit;
+  }
+  minutes = Math.round(minutes);
+  return minutes > 0 && minutes <= MAX_ESTIMATE ? minutes : null;
+};
+
+/**
+ * Formats an estimated duration, e.g. "1h 30m", read back by `parseDuration`.
+ * @param minutes - The duration in minutes.
+ */
+export const formatDuration = (minutes: number): string => {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return [hours && `${hours}h`, rest && `${rest}m`].filter(Boolean).join(' ');
+};
+
+/**
+ * Reads tags typed by the user or generated by the AI assistant: trimmed, without a leading `#`,
+ * and without duplicates, compared without case.
+ * @param tags - The tags, or a comma-separated list of them, e.g. `exam, #biology`.
+ * @returns at most 20 tags.
+ */
+export const normalizeTags = (tags: string | string[] | null | undefined): string[] => {
+  const list = typeof tags === 'string' ? tags.split(',') : Array.isArray(tags) ? tags : [];
+  const normalized: string[] = [];
+  for (const tag of list) {
+    const cleaned = typeof tag === 'string' ? tag.trim().replace(/^#+/, '').slice(0, MAX_LABEL_LENGTH).trim() : '';
+    if (cleaned && !normalized.some((other) => other.toLowerCase() === cleaned.toLowerCase())) {
+      normalized.push(cleaned);
+    }
+  }
+  return normalized.slice(0, MAX_TAGS);
+};
+
+/**
+ * Reads a category: trimmed, null if empty.
+ */
+export const normalizeCategory = (category: string | null | undefined): string | null => {
+  const cleaned = typeof category === 'string' ? category.trim().slice(0, MAX_LABEL_LENGTH).trim() : '';
+  return cleaned || null;
+};
+
+/**
+ * Reads a priority, null if it is not one of PRIORITIES.
+ */
+export const normalizePriority = (priority: string | null | undefined): TaskPriority | null => {
+  const cleaned = typeof priority === 'string' ? priority.trim().toLowerCase() : '';
+  return PRIORITIES.find((p) => p === cleaned) ?? null;
+};
@@ -0,0 +1,125 @@
+/**
+ * Due dates are stored in UTC and shown in the time zone of the user profile, or of the browser if none is chosen.
+ * `dueHasTime` tells whether a task is due at that time or on a whole day; a whole day is stored as midnight UTC,
+ * the day of the date, whatever the time zone.
+ * Mirrors server/utils/timeZone.js, keep both in sync.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Gets the time zone due dates are shown in.
+ * @param timeZone - The time zone of the user profile, null for the one of the browser.
+ */
+export const userTimeZone = (timeZone: string | null | undefined): string =>
+  timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+/**
+ * Lists the time zones the user can choose from, e.g. `Europe/Berlin`.
+ */
+export const supportedTimeZones = (): string[] => {
+  const intl = Intl as typeof Intl & { supportedValuesOf?: (key: 'timeZone') => string[] }; // ES2022, not in the lib of tsconfig
+  return intl.supportedValuesOf?.('timeZone') ?? [userTimeZone(null)]; // older browsers only know the time zone of the browser
+};
+
+/**
+ * Checks whether a task is due on a whole day rather than at a time.
+ * Tasks saved before `dueHasTime` existed have none: their days were stored as midnight UTC.
+ */
+export const isWholeDay = (dueDate: Date, dueHasTime: boolean | undefined): boolean =>
+  dueHasTime === undefined ? new Date(dueDate).getTime() % DAY === 0 : !dueHasTime;
+
+/**
+ * Gets the date and the time a clock of a time zone shows at an instant.
+ * @returns the fields, `month` from 0 to 11 like Date.
+ */
+export const zonedParts = (date: Date, timeZone: string) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+  }).formatToParts(date).map((part) => [part.type, Number(part.value)]));
+  return { year: parts.year, month: parts.month - 1, day: parts.day, hour: parts.hour, minute: parts.minute, second: parts.second };
+};
+
+/**
+ * Gets how far the clocks of a time zone are ahead of UTC at an instant, in milliseconds.
+ */
+const timeZoneOffset = (date: Date, timeZone: string): number => {
+  const { year, month, day, hour, minute, second } = zonedParts(date, timeZone);
+  return Date.UTC(year, month, day, hour, minute, second) - (date.getTime() - date.getMilliseconds());
+};
+
+/**
+ * Gets the instant a clock of a time zone shows a time. A time skipped by a daylight saving change
+ * is moved forward by the change, e.g. 2:30 becomes 3:30.
+ * @param month - 0 to 11, like Date.
+ */
+export const zonedTimeToUtc = (year: number, month: number, day: number, hour: number, minute: number, timeZone: string): Date => {
+  const wallClock = Date.UTC(year, month, day, hour, minute);
+  const guess = wallClock - timeZoneOffset(new Date(wallClock), timeZone);
+  // the offset at the result may differ from the one at the guess, around a daylight saving change
+  return new Date(wallClock - timeZoneOffset(new Date(guess), timeZone));
+};
+
+const pad = (value: number) => String(value).padStart(2, '0');
+
+/**
+ * Gets the values of the date and time inputs of a due date.
+ * @returns the day, `YYYY-MM-DD`, and the time, `HH:MM` in the time zone or '' for a whole day.
+ */
+export const toDueDateInputs = (
+  dueDate: Date | null | undefined, dueHasTime: boolean | undefined, timeZone: string
+): { date: string; time: string } => {
+  if (!dueDate) {
+    return { date: '', time: '' };
+  }
+  if (isWholeDay(dueDate, dueHasTime)) {
+    return { date: dueDate.toISOString().slice(0, 10), time: '' };
+  }
+  const { year, month, day, hour, minute } = zonedParts(dueDate, timeZone);
+  return { date: `${year}-${pad(month + 1)}-${pad(day)}`, time: `${pad(hour)}:${pad(minute)}` };
+};
+
+/**
+ * Reads the values of the date and time inputs of a due date.
+ * @param date - The day, `YYYY-MM-DD`, '' for no due date.
+ * @param time - The time, `HH:MM` in the time zone, '' for a whole day.
+ * @returns the due date to store, null for none, and whether it has a time.
+ */
+export const fromDueDateInputs = (date: string, time: string, timeZone: string): { dueDate: Date | null; dueHasTime: boolean } => {
+  const [year, month, day] = date.split('-').map(Number);
+  if (!year || !month || !day) {
+    return { dueDate: null, dueHasTime: false };
+  }
+  const [hour, minute] = time.split(':').map(Number);
+  if (!time || Number.isNaN(hour) || Number.isNaN(minute)) {
+    return { dueDate: new Date(Date.UTC(year, month - 1, day)), dueHasTime: false };
+  }
+  return { dueDate: zonedTimeToUtc(year, month - 1, day, hour, minute, timeZone), dueHasTime: true };
+};
+
+/**
+ * Gets the day a clock of a time zone shows, `YYYY-MM-DD`, as the date input of a due date.
+ * @param offsetDays - Days to add, e.g. 1 for tomorrow.
+ */
+export const todayIn = (timeZone: string, now: Date = new Date(), offsetDays: number = 0): string => {
+  const { year, month, day } = zonedParts(now, timeZone);
+  return new Date(Date.UTC(year, month, day + offsetDays)).toISOString().slice(0, 10);
+};
+
+/**
+ * Checks whether a task is overdue: due on a day before today, or at a time already past, in the time zone.
+ */
+export const isOverdue = (
+  dueDate: Date | null | undefined, dueHasTime: boolean | undefined, timeZone: string, now: Date = new Date()
+): boolean => {
+  if (!dueDate) {
+    return false;
+  }
+  if (!isWholeDay(dueDate, dueHasTime)) {
+    return dueDate.getTime() < now.getTime();
+  }
+  const { year, month, day } = zonedParts(now, timeZone);
+  return dueDate.getTime() < Date.UTC(year, month, day);
+};
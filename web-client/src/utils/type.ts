@@ -7,18 +7,36 @@
 export type TaskType = {
   id: TaskId; // Unique identifier for the task
   title: string;
-  dueDate?: Date | null;
+  dueDate?: Date | null; // in UTC, midnight UTC for a whole day, see timeZone.ts
+  dueHasTime?: boolean; // whether the task is due at the time of `dueDate` rather than on its day, see timeZone.ts
+  reminders?: number[]; // minutes before the due time, see reminders.ts
+  recurrence?: string | null; // the repeat rule, e.g. FREQ=WEEKLY;BYDAY=MO, see recurrence.ts
   description?: string;
+  subtasks?: SubtaskType[]; // the checklist, in list order
+  priority?: TaskPriority | null;
+  tags?: string[];
+  category?: string | null; // e.g. 'research', see taskDetails.ts
+  estimatedDuration?: number | null; // in minutes
   status: string;
   previousStatus: string;
-  prev: TaskId | null;
-  next: TaskId | null;
+  rank: string; // fractional rank, the order within its list, see rank.ts
   userId: UserId;
   isPending?: boolean; // Whether this is a pending AI-suggested task
+  rev?: number; // server revision, bumped on every saved change. Missing for items the server has not sent yet
 };
 export type TaskId = string;
+export type TaskPriority = 'low' | 'medium' | 'high';
 export type TaskData = Record<TaskId, TaskType>;
 
+/**
+ * SubtaskType is a sub-item of the checklist of a task: a title only, see server/utils/subtasks.js.
+ */
+export type SubtaskType = {
+  id: string; // unique within the checklist
+  title: string;
+  done: boolean;
+};
+
 
 /**
  * TodoColumnProps defines the properties for the TodoColumn component.
@@ -46,9 +64,9 @@ export type ProjectType = {
   id: ProjectId; // Unique identifier for the project
   title: string;
   description?: string;
-  prev: ProjectId | null;
-  next: ProjectId | null;
+  rank: string; // fractional rank, the order within its list, see rank.ts
   userId: UserId;
+  rev?: number; // server revision, bumped on every saved change
 };
 export type ProjectId = string;
 export type ProjectData = Record<ProjectId, ProjectType>;
@@ -62,11 +80,81 @@ export type UserProfileData = {
   lastProjectId: ProjectId | null; // The last project ID the user interacted with
   avatarUrl: string | null; // The avatar URL of the user, can be null if not set;
   language: string | null; // The language preference of the user, can be null if not set
+  timeZone?: string | null; // The time zone due dates are shown in, null for the one of the browser
+  savedViews?: SavedView[]; // the named filters of the Menubar, see views.ts
+  rev?: number; // server revision, bumped on every saved change
 };
 
 // UserId is a semantic identifier that uniquely identifies a user in the application.
 export type UserId = string;
 
+/**
+ * A filter of the open tasks of every project, see views.ts. An empty list matches every task.
+ */
+export type ViewFilter = {
+  due: 'any' | 'today' | 'overdue' | 'next7' | 'none';
+  priorities: TaskPriority[];
+  tags: string[]; // a task matches if it has one of them
+  projects: ProjectId[];
+  text: string; // searched in the title and the description
+};
+
+/**
+ * A view of the Menubar: a built-in one, e.g. Today, or one saved by the user with a name.
+ */
+export type SavedView = {
+  id: string;
+  name: string;
+  filter: ViewFilter;
+};
+
+/**
+ * A notification of the user, e.g. the reminder of a task, as sent by GET /api/notifications.
+ */
+export type NotificationType = {
+  id: string;
+  type: 'reminder';
+  title: string; // the title of the task
+  body: string; // e.g. "Due in 15 minutes"
+  taskId: TaskId | null;
+  projectId: ProjectId | null;
+  readAt: string | null; // null while unread
+  createdAt: string;
+};
+
+/**
+ * The latest notifications, newest first, and how many notifications are unread, shown in the Menubar.
+ */
+export type Notifications = {
+  items: NotificationType[];
+  unread: number;
+  opening: string | null; // the notification to open, set when its browser notification is clicked, see Menubar.tsx
+};
+
+/**
+ * The tasks found by GET /api/search in one project, see SearchBar.tsx.
+ */
+export type SearchResult = {
+  project: { id: ProjectId; title: string };
+  tasks: {
+    id: TaskId;
+    title: string;
+    snippet: string; // the part of the description around the first match
+    status: StatusId; // `<projectId>-completed` or `<projectId>-deleted` for completed and deleted tasks
+    statusTitle: string;
+    dueDate: string | null;
+    dueHasTime: boolean;
+  }[];
+};
+
+/**
+ * Whether the server can be reached, and how many payloads wait in the offline outbox, shown in the Menubar.
+ */
+export type SyncStatus = {
+  offline: boolean;
+  pending: number; // payloads queued in IndexedDB, see offlineStore.ts
+};
+
 /**
  * Status represents a single status in the todo list.
  */
@@ -76,9 +164,9 @@ export type StatusType = {
   description: string;
   color: string;
   project: ProjectId; // The project to which this status belongs
-  prev: StatusId | null;
-  next: StatusId | null;
+  rank: string; // fractional rank, the order within its list, see rank.ts
   userId: UserId;
+  rev?: number; // server revision, bumped on every saved change
 }
 export type StatusId = string;
 export type StatusData = Record<StatusId, StatusType>;
@@ -91,12 +179,13 @@ export type BulkPayload = {
 
     TaskType | ProjectType | StatusType | UserProfileData | // New items to be added
 
-    { id: TaskId; updatedFields: Partial<Omit<TaskType, 'userId'>> } | // Update payloads for tasks, projects, and statuses
-    { id: ProjectId; updatedFields: Partial<Omit<ProjectType, 'userId'>> } |
-    { id: StatusId; updatedFields: Partial<Omit<StatusType, 'userId'>> } |
-    { id: UserId; updatedFields: Partial<Omit<UserProfileData, 'id'>> } | // Update payload for user profile
+    // Update payloads for tasks, projects, and statuses. `rev` is the revision the update is based on, see postPayloadToServer
+    { id: TaskId; rev?: number; updatedFields: Partial<Omit<TaskType, 'userId' | 'rev'>> } |
+    { id: ProjectId; rev?: number; updatedFields: Partial<Omit<ProjectType, 'userId' | 'rev'>> } |
+    { id: StatusId; rev?: number; updatedFields: Partial<Omit<StatusType, 'userId' | 'rev'>> } |
+    { id: UserId; rev?: number; updatedFields: Partial<Omit<UserProfileData, 'id' | 'rev'>> } | // Update payload for user profile
 
-    {id: TaskId} | {id: ProjectId} | {id: StatusId}; // Ids for deletion
+    {id: TaskId; rev?: number} | {id: ProjectId; rev?: number} | {id: StatusId; rev?: number}; // Ids for deletion
 
   }[];
   backup: {
@@ -105,4 +194,99 @@ export type BulkPayload = {
     projects: ProjectData;
     userProfile: UserProfileData
   }; // Backup of the current state before changes, and use for undo functionality
-}
\ No newline at end of file
+  skipHistory?: boolean; // set on the payloads of undo and redo themselves, so they are not recorded as new changes
+}
+
+/**
+ * The response of POST /api/bulk, listing the ops the server applied in order.
+ * The server applies a payload in one transaction, so a failed payload has no applied ops.
+ */
+export type BulkResult = {
+  applied: {
+    index: number;
+    type: BulkPayload['ops'][number]['type'];
+    operation: BulkPayload['ops'][number]['operation'];
+    id: string;
+  }[];
+  discarded?: boolean; // true if the payload conflicted with changes made elsewhere and the user chose to keep those
+  queued?: boolean; // true if the server could not be reached and the payload waits in the offline outbox
+}
+
+/**
+ * One change of the undo/redo history, see history.ts.
+ */
+export type HistoryEntry = {
+  id: string;
+  ops: BulkPayload['ops']; // the ops of the change, sent again to redo it
+  inverseOps: BulkPayload['ops']; // the ops that revert the change, sent to undo it
+};
+
+/**
+ * The undo/redo stacks, newest last, and the message of the undo toast shown after destructive changes.
+ */
+export type History = {
+  undo: HistoryEntry[];
+  redo: HistoryEntry[];
+  toast: string | null;
+};
+
+/**
+ * A document changed elsewhere since the client read it, as reported by POST /api/bulk with 409.
+ */
+export type BulkConflict = {
+  type: BulkPayload['ops'][number]['type'];
+  id: string;
+  rev: number; // the revision the client sent
+  current: TaskType | ProjectType | StatusType | UserProfileData | null; // the server version, null if it was deleted
+}
+/**
+ * A personal access token, as listed by GET /api/access-tokens. The token itself is only shown once, when it is created.
+ */
+export type AccessToken = {
+  id: string;
+  name: string;
+  prefix: string; // the start of the token, to tell tokens apart
+  scope: 'read' | 'write';
+  expiresAt: string | null; // null if the token does not expire
+  lastUsedAt: string | null;
+  lastUsedIp: string | null;
+  createdAt: string;
+}
+
+/**
+ * The calendar feed of the user, as returned by GET /api/calendar-feed. Its link is only shown once, when it is created.
+ */
+export type CalendarFeed = {
+  id: string;
+  prefix: string; // the start of the token in the link
+  lastFetchedAt: string | null; // when a calendar app last read the feed
+  createdAt: string;
+}
+
+/**
+ * The report of POST /api/import: what was imported, or would be for a dry run.
+ */
+export type ImportReport = {
+  dryRun: boolean;
+  created: { projects: number; statuses: number; tasks: number; conversations: number; messages: number };
+  profile: Record<string, { from: string | null; to: string }>; // the profile fields changed
+  skipped: { type: string; id: string | null; reason: string }[]; // the items that cannot be imported
+}
+
+/**
+ * A board exported by another app (CSV, Trello, Todoist), as read by POST /api/import/board.
+ */
+export type BoardPreview = {
+  format: 'csv' | 'trello' | 'todoist-csv' | 'todoist-json' | 'markdown' | 'todotxt';
+  title: string; // the title of the project to be created
+  statuses: { title: string; color: string }[]; // in order
+  tasks: {
+    title: string;
+    description: string;
+    dueDate: string | null;
+    dueHasTime: boolean;
+    status: number; // the index of the status in `statuses`
+    completed: boolean;
+  }[]; // in order within each status
+  warnings: string[]; // what could not be imported as is
+}
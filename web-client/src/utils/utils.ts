@@ -1,34 +1,26 @@
 
-import type { TaskType, ProjectType, BulkPayload, UserProfileData } from './type.ts';
+import type { TaskType, ProjectType, StatusType, BulkPayload, BulkResult, BulkConflict, UserProfileData } from './type.ts';
 import type { States, SetStates } from './states.ts';
+import type { NavigateFunction } from 'react-router-dom';
+import { loadAllData } from '../data/loadInitData.ts';
+import { queueOps, getQueuedPayloads, countQueuedPayloads, removeQueuedPayload, recordServerError } from '../data/offlineStore.ts';
+import { recordHistory } from './history.ts';
 
 
 /**
- * Sorts a chain of items based on their "prev" and "next" links.
- * @param chain - The chain of items to be sorted. Record<string, { prev: string | null; next: string | null; }> where each key is an item ID and the value contains item information including "prev" and "next" links.
- * @returns The sorted chain of items. [[ID, itemInfo], ...]
+ * Sorts items by their rank, see rank.ts. Items with the same rank are sorted by ID, so the order is stable.
+ * @param items - The items to be sorted. Record<string, { id: string; rank: string }> where each key is an item ID.
+ * @returns The sorted items. [[ID, itemInfo], ...]
  * 
- * 整理一个链表数组，基于它们的 "prev" 和 "next" 链接。
- * @param chain - 需要被排序的链表数组。Record<string, { prev: string | null; next: string | null; }>，其中每个键是一个项目 ID，值包含项目信息，包括 "prev" 和 "next" 链接。
- * @returns 返回排序后的链表数组。[[ID, itemInfo], ...]
+ * 按 rank 排序项目，rank 相同时按 ID 排序，保证顺序稳定。
+ * @param items - 需要被排序的项目。Record<string, { id: string; rank: string }>，其中每个键是一个项目 ID。
+ * @returns 返回排序后的项目数组。[[ID, itemInfo], ...]
  */
-export const sortChain = <T extends { id: string; prev: string | null; next: string | null }>(chain: Record<string, T>) => {
-  const firstItem = Object.entries(chain).find(([_, chainInfo]) => chainInfo.prev === null)?.[0] ?? null;
-  const sortedChain: [string, T][] = [];
-  if (firstItem) {
-    let index = 0;
-    let currentItemID: string | null = firstItem;
-    while (currentItemID) {
-      const itemInfo: any = chain[currentItemID];
-      sortedChain.push([currentItemID, itemInfo] as [string, T]);
-      currentItemID = itemInfo.next;
-      index++;
-    }
-    if (index !== Object.keys(chain).length) {
-      console.warn(`sortChain: The chain is not complete. Expected ${Object.keys(chain).length} items, but found ${index} items.`);
-    }
-  }
-  return sortedChain;
+export const sortByRank = <T extends { id: string; rank: string }>(items: Record<string, T>): [string, T][] => {
+  return Object.entries(items).sort(([idA, a], [idB, b]) => {
+    if (a.rank !== b.rank) return a.rank < b.rank ? -1 : 1;
+    return idA < idB ? -1 : idA > idB ? 1 : 0;
+  });
 }
 
 
@@ -159,22 +151,33 @@ export const restoreBackup = (setStates: SetStates, backupPayload: BulkPayload)
 /**
  * Optimistically updates the UI state based on the provided bulk payload.
  * This function applies the changes described in the payload to the current state.
+ * Revisions follow the server: new items start at 0, and every updated item is bumped once per payload.
  * @param setState - The state setter function to update the UI state.
  * @param payload - The bulk payload containing operations to be applied.
  */
 export const optimisticUIUpdate = async (setState: SetStates, payload: BulkPayload) => {
+  const revised = new Set<string>(); // `type:id` of the items whose revision was already bumped
+  const bumpRevision = (type: string, id: string, item: { rev?: number } | undefined) => {
+    if (!item || revised.has(`${type}:${id}`)) return;
+    revised.add(`${type}:${id}`);
+    item.rev = (item.rev ?? 0) + 1;
+  };
+
   payload.ops.forEach((op) => {
     if (op.type === 'task') {
       setState.setTasks((draft) => {
         const taskId = (op.data as TaskType).id;
         if (op.operation === 'add') {
           draft[taskId] = {
-            ...op.data as TaskType
+            ...op.data as TaskType,
+            rev: 0
           };
+          revised.add(`task:${taskId}`);
         } else if (op.operation === 'update') {
           const { id, updatedFields } = op.data as { id: string; updatedFields: Partial<TaskType> };
           if (draft[id]) {
             Object.assign(draft[id], updatedFields);
+            bumpRevision('task', id, draft[id]);
           }
         } else if (op.operation === 'delete') {
           delete draft[taskId];
@@ -185,12 +188,15 @@ export const optimisticUIUpdate = async (setState: SetStates, payload: BulkPaylo
         const projectId = (op.data as ProjectType).id;
         if (op.operation === 'add') {
           draft[projectId] = {
-            ...op.data as ProjectType
+            ...op.data as ProjectType,
+            rev: 0
           };
+          revised.add(`project:${projectId}`);
         } else if (op.operation === 'update') {
           const { id, updatedFields } = op.data as { id: string; updatedFields: Partial<ProjectType> };
           if (draft[id]) {
             Object.assign(draft[id], updatedFields);
+            bumpRevision('project', id, draft[id]);
           }
         } else if (op.operation === 'delete') {
           delete draft[projectId];
@@ -200,11 +206,13 @@ export const optimisticUIUpdate = async (setState: SetStates, payload: BulkPaylo
       setState.setStatuses((draft) => {
         if (op.operation === 'add') {
           const statusData = op.data as any; // Temporarily use any to avoid type issues
-          draft[statusData.id] = { ...statusData };
+          draft[statusData.id] = { ...statusData, rev: 0 };
+          revised.add(`status:${statusData.id}`);
         } else if (op.operation === 'update') {
           const { id, updatedFields } = op.data as { id: string; updatedFields: any };
           if (draft[id]) {
             Object.assign(draft[id], updatedFields);
+            bumpRevision('status', id, draft[id]);
           }
         } else if (op.operation === 'delete') {
           const { id } = op.data as { id: string };
@@ -216,6 +224,7 @@ export const optimisticUIUpdate = async (setState: SetStates, payload: BulkPaylo
         if (op.operation === 'update') {
           const { id, updatedFields } = op.data as { id: string; updatedFields: Partial<Omit<UserProfileData, 'id'>> };
           Object.assign(draft, updatedFields);
+          bumpRevision('userProfile', id, draft);
           console.log(`optimisticUIUpdate: user profile updated: ${id}`);
         } else {
           throw new Error(`optimisticUIUpdate: only 'update' operation is supported for userProfile, but got ${op.operation}`);
@@ -225,7 +234,107 @@ export const optimisticUIUpdate = async (setState: SetStates, payload: BulkPaylo
   });
 }
 
-export const postPayloadToServer = async (api: string, navigate: any, payload: BulkPayload) => {
+// identifies this tab, so the server does not push the tab's own changes back to it, see liveUpdates.ts
+export const CLIENT_ID = crypto.randomUUID();
+
+// how many times a payload is sent again after the user chose to reapply it over a conflict
+const MAX_CONFLICT_RETRIES = 3;
+
+/**
+ * Stamps the update and delete ops with the revision each item had in the backup,
+ * i.e. the version the change was made on, so the server can tell if it changed in the meantime.
+ * @param payload - The bulk payload to be sent.
+ * @returns A copy of the payload with `rev` set on the ops. Items without a known revision are not stamped.
+ */
+const withRevisions = (payload: BulkPayload): BulkPayload => {
+  const { backup } = payload;
+  const revisionOf = (type: BulkPayload['ops'][number]['type'], id: string): number | undefined => {
+    switch (type) {
+      case 'task': return backup.tasks[id]?.rev;
+      case 'project': return backup.projects[id]?.rev;
+      case 'status': return backup.statuses[id]?.rev;
+      case 'userProfile': return backup.userProfile.id === id ? backup.userProfile.rev : undefined;
+    }
+  };
+
+  return {
+    ...payload,
+    ops: payload.ops.map((op) => {
+      if (op.operation === 'add') return op;
+      const rev = revisionOf(op.type, op.data.id as string);
+      return rev === undefined ? op : { ...op, data: { ...op.data, rev } } as BulkPayload['ops'][number];
+    })
+  };
+}
+
+/**
+ * Builds a backup with the server versions of the conflicting items, and without the items deleted elsewhere.
+ * @param backup - The backup of the payload that conflicted.
+ * @param conflicts - The conflicts reported by the server.
+ * @returns The refreshed backup.
+ */
+const refreshBackup = (backup: BulkPayload['backup'], conflicts: BulkConflict[]): BulkPayload['backup'] => {
+  const refreshed = {
+    tasks: { ...backup.tasks },
+    projects: { ...backup.projects },
+    statuses: { ...backup.statuses },
+    userProfile: backup.userProfile
+  };
+
+  conflicts.forEach(({ type, id, current }) => {
+    if (type === 'task') {
+      if (!current) {
+        delete refreshed.tasks[id];
+        return;
+      }
+      const task = current as TaskType;
+      refreshed.tasks[id] = { ...task, dueDate: task.dueDate ? new Date(task.dueDate) : undefined };
+    } else if (type === 'project') {
+      if (current) refreshed.projects[id] = current as ProjectType;
+      else delete refreshed.projects[id];
+    } else if (type === 'status') {
+      if (current) refreshed.statuses[id] = current as StatusType;
+      else delete refreshed.statuses[id];
+    } else if (type === 'userProfile' && current) {
+      const { nickname, lastProjectId, avatarUrl, language, timeZone, savedViews, rev } = current as UserProfileData;
+      refreshed.userProfile = { id, nickname, lastProjectId, avatarUrl, language, timeZone, savedViews, rev };
+    }
+  });
+  return refreshed;
+}
+
+/**
+ * Sends a bulk payload to the server.
+ * The server applies the whole payload in one transaction, so when this throws nothing was saved
+ * and the caller should call `restoreBackup` to roll back its optimistic update.
+ *
+ * If the server cannot be reached, the payload is queued in the offline outbox instead, and the optimistic update stays.
+ * While the outbox is not empty, new payloads are queued behind it so the server gets them in order, see `flushOutbox`.
+ *
+ * Update and delete ops are sent with the revision of their item in `payload.backup`. If another tab or device
+ * changed one of those items first, the server answers 409 with its current versions. The UI is then reset to those
+ * versions and the user chooses to reapply the change on top of them, or to discard it.
+ * Either way `payload.backup` is replaced by the refreshed versions, so a later `restoreBackup` does not bring back stale items.
+ *
+ * Payloads that were applied or queued are recorded in the undo history, unless `payload.skipHistory` is set.
+ * @param api - The API path, e.g. '/api/bulk'.
+ * @param navigate - The navigate function, used to redirect to the login page on 401.
+ * @param payload - The bulk payload to be sent.
+ * @param setStates - The state setters, used to resolve conflicts and to show the offline indicator.
+ * @param attempt - How many times the payload was already reapplied after a conflict.
+ * @returns The ops the server applied. `discarded` is set if the user discarded the change after a conflict,
+ * `queued` if it waits in the outbox.
+ * @throws If the request fails or the server rejects the payload.
+ */
+export const postPayloadToServer = async (api: string, navigate: any, payload: BulkPayload, setStates: SetStates, attempt = 0): Promise<BulkResult> => {
+  const result = await sendPayload(api, navigate, payload, setStates, attempt);
+  if (attempt === 0 && !result.discarded) {
+    recordHistory(setStates, payload); // after conflicts, the backup holds the versions the change was reapplied on
+  }
+  return result;
+}
+
+const sendPayload = async (api: string, navigate: NavigateFunction, payload: BulkPayload, setStates: SetStates, attempt: number): Promise<BulkResult> => {
   // 构建完整的 API URL
   const apiUrl = import.meta.env.VITE_NODE_ENV === 'production' 
     ? import.meta.env.VITE_API_BASE_URL 
@@ -234,23 +343,215 @@ export const postPayloadToServer = async (api: string, navigate: any, payload: B
   const fullApiUrl = `${apiUrl}${api}`;
 
   try {
-    const res = await fetch(fullApiUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      credentials: 'include', // Include cookies for session management
-      body: JSON.stringify(payload)
-    });
+    const stamped = withRevisions(payload);
+    const pending = await countQueuedPayloads().catch(() => 0); // without IndexedDB there is no outbox to wait for
+    if (pending > 0) {
+      return await queuePayload(stamped, navigate, setStates);
+    }
+
+    let res: Response;
+    try {
+      res = await fetch(fullApiUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Client-Id': CLIENT_ID,
+        },
+        credentials: 'include', // Include cookies for session management
+        body: JSON.stringify(stamped)
+      });
+    } catch (error) {
+      console.warn('Server unreachable, queuing bulk update:', error);
+      return await queuePayload(stamped, navigate, setStates);
+    }
     if (!res.ok) {
       if (res.status === 401) {
         navigate('/login');
         throw new Error('Unauthorized access, redirecting to login');
       } else {
-        throw new Error(`Failed to send bulk update: ${res.statusText}`);
+        const errorData = await res.json().catch(() => ({}));
+        if (res.status === 409 && Array.isArray(errorData.conflicts) && attempt < MAX_CONFLICT_RETRIES) {
+          return await resolveConflicts(api, navigate, payload, errorData.conflicts, setStates, attempt);
+        }
+        throw new Error(`Failed to send bulk update: ${errorData.error || res.statusText}`);
       }
     }
+    return await res.json() as BulkResult;
   } catch (error) {
     console.error('Error sending bulk update:', error);
+    throw error; // let the caller restore its backup
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Resets the UI to the server versions of the conflicting items, then reapplies or discards the payload as the user chooses.
+ * Ops on items deleted elsewhere are dropped when reapplying.
+ */
+const resolveConflicts = async (api: string, navigate: NavigateFunction, payload: BulkPayload, conflicts: BulkConflict[], setStates: SetStates, attempt: number): Promise<BulkResult> => {
+  console.warn(`postPayloadToServer: ${conflicts.length} item(s) were changed elsewhere`, conflicts);
+  payload.backup = refreshBackup(payload.backup, conflicts);
+  restoreBackup(setStates, payload);
+
+  const deleted = new Set(conflicts.filter(({ current }) => !current).map(({ type, id }) => `${type}:${id}`));
+  const reapply = window.confirm(
+    `${conflicts.length} item(s) were changed in another tab or on another device.\n` +
+    'OK: apply your change on top of the latest version.\nCancel: discard your change and keep the latest version.'
+  );
+  if (!reapply) {
+    return { applied: [], discarded: true };
+  }
+
+  const retry: BulkPayload = {
+    ...payload,
+    ops: payload.ops.filter((op) => !deleted.has(`${op.type}:${op.data.id}`))
+  };
+  optimisticUIUpdate(setStates, retry);
+  try {
+    return await postPayloadToServer(api, navigate, retry, setStates, attempt + 1);
+  } finally {
+    payload.backup = retry.backup; // refreshed again if the retry conflicted too
+  }
+}
+
+// how long to wait before sending the outbox again while the server is unreachable
+const OUTBOX_RETRY_DELAY = 30 * 1000;
+// how many times the server may fail with a 5xx on a queued payload before it is dropped, so it cannot block the outbox
+const MAX_OUTBOX_SERVER_ERRORS = 5;
+// the tabs of a browser share the outbox, the lock keeps them from sending the same payload twice
+const OUTBOX_LOCK = 'raccoon-study-outbox';
+
+let flushing: Promise<void> | null = null;
+let retryTimer: ReturnType<typeof setTimeout> | null = null;
+
+/**
+ * Adds a payload to the offline outbox, and tries to send the outbox.
+ * @returns A result with no applied ops, marked as `queued`.
+ */
+const queuePayload = async (payload: BulkPayload, navigate: NavigateFunction, setStates: SetStates): Promise<BulkResult> => {
+  await queueOps(payload.ops);
+  const pending = await countQueuedPayloads();
+  setStates.setSyncStatus((draft) => {
+    draft.pending = pending;
+  });
+  flushOutbox(setStates, navigate);
+  return { applied: [], queued: true };
+}
+
+/**
+ * Sends the payloads of the offline outbox to the server, oldest first, one at a time.
+ * Stops at the first payload that cannot reach the server, and tries again later.
+ * Payloads the server rejects (e.g. because the items were changed or removed elsewhere in the meantime) are dropped,
+ * the user is told, and the data is reloaded so the UI matches the database again. So are payloads the server keeps
+ * failing on with a 5xx, after MAX_OUTBOX_SERVER_ERRORS tries, so the later ones can still be sent.
+ * Only one flush runs at a time, across the tabs of this browser. Calling this during a flush returns the running one.
+ * @param setStates - The state setters.
+ * @param navigate - The navigate function, used to redirect to the login page on 401.
+ */
+export const flushOutbox = (setStates: SetStates, navigate: NavigateFunction): Promise<void> => {
+  const send = () => sendOutbox(setStates, navigate);
+  flushing ??= ('locks' in navigator ? navigator.locks.request(OUTBOX_LOCK, send) : send()).finally(() => {
+    flushing = null;
+  });
+  return flushing;
+}
+
+const sendOutbox = async (setStates: SetStates, navigate: NavigateFunction) => {
+  if (retryTimer) {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+  }
+  const apiUrl = import.meta.env.VITE_NODE_ENV === 'production'
+    ? import.meta.env.VITE_API_BASE_URL
+    : 'http://localhost:3001';
+
+  let rejected = 0;
+  let failed = 0;
+  let queued = await getQueuedPayloads();
+  while (queued.length > 0) {
+    const [next] = queued;
+    let res: Response | null = null;
+    try {
+      res = await fetch(`${apiUrl}/api/bulk`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Client-Id': CLIENT_ID,
+        },
+        credentials: 'include', // Include cookies for session management
+        body: JSON.stringify({ ...createBulkPayload(), ops: next.ops })
+      });
+    } catch (error) {
+      console.warn('flushOutbox: server unreachable:', error);
+    }
+
+    if (res && res.status >= 500 && await recordServerError(next) >= MAX_OUTBOX_SERVER_ERRORS) {
+      console.error(`flushOutbox: change queued at ${new Date(next.queuedAt).toLocaleString()} failed ${MAX_OUTBOX_SERVER_ERRORS} times on the server, dropped:`, res.statusText);
+      failed++;
+    } else if (!res || res.status >= 500) {
+      // try again later, without losing the payload
+      const pending = queued.length;
+      setStates.setSyncStatus((draft) => {
+        draft.offline = true;
+        draft.pending = pending;
+      });
+      retryTimer = setTimeout(() => flushOutbox(setStates, navigate), OUTBOX_RETRY_DELAY);
+      return;
+    } else if (res.status === 401) {
+      navigate('/login'); // the outbox is kept and sent after logging in again
+      return;
+    } else if (!res.ok) {
+      const errorData = await res.json().catch(() => ({}));
+      console.error(`flushOutbox: change queued at ${new Date(next.queuedAt).toLocaleString()} was rejected:`, errorData.error || res.statusText);
+      rejected++;
+    }
+
+    await removeQueuedPayload(next.key);
+    queued = await getQueuedPayloads();
+    const pending = queued.length;
+    setStates.setSyncStatus((draft) => {
+      draft.offline = false;
+      draft.pending = pending;
+    });
+  }
+
+  if (rejected > 0) {
+    window.alert(`${rejected} change(s) made while offline could not be saved, the items were changed or removed elsewhere. The latest version is shown instead.`);
+  }
+  if (failed > 0) {
+    window.alert(`${failed} change(s) made while offline could not be saved, the server kept failing on them. The latest version is shown instead.`);
+  }
+  if (rejected > 0 || failed > 0) {
+    await reloadAllData(setStates, navigate);
+  }
+}
+
+/**
+ * Shows the changes still waiting in the offline outbox on top of the loaded data.
+ * @param setStates - The state setters.
+ */
+export const applyQueuedPayloads = async (setStates: SetStates) => {
+  const queued = await getQueuedPayloads();
+  queued.forEach(({ ops }) => optimisticUIUpdate(setStates, { ...createBulkPayload(), ops }));
+  setStates.setSyncStatus((draft) => {
+    draft.pending = queued.length;
+  });
+}
+
+/**
+ * Replaces the whole state with a fresh copy from the server, e.g. after changes may have been missed,
+ * then shows the changes still waiting in the outbox on top.
+ * @param setStates - The state setters.
+ * @param navigate - The navigate function, used to redirect to the login page on 401.
+ */
+export const reloadAllData = async (setStates: SetStates, navigate: NavigateFunction) => {
+  const d = await loadAllData(navigate, false);
+  if (!d.userProfileData.id) {
+    return; // loading failed, keep what is shown rather than emptying the board
+  }
+  setStates.setTasks(d.taskData);
+  setStates.setProjects(d.projectData);
+  setStates.setStatuses(d.statusData);
+  setStates.setUserProfile(d.userProfileData);
+  await applyQueuedPayloads(setStates);
+  console.log('reloadAllData: reloaded all data');
+}
@@ -0,0 +1,121 @@
+/**
+ * The views of the Menubar: the open tasks of every project that match a filter, grouped by project.
+ * The built-in views filter by due date; the user can save other filters with a name, see `savedViews` of the user profile.
+ * Mirrors server/utils/savedViews.js, which checks the saved views, keep both in sync.
+ */
+import type { ProjectId, ProjectType, ProjectData, SavedView, StatusData, TaskData, TaskId, TaskType, ViewFilter } from './type.ts';
+import { isOverdue, todayIn, toDueDateInputs } from './timeZone.ts';
+import { sortByRank } from './utils.ts';
+
+export const MAX_VIEWS = 20;
+export const MAX_VIEW_NAME_LENGTH = 50;
+
+// the choices of the due date of a filter, in menu order
+export const DUE_FILTERS: { value: ViewFilter['due']; label: string }[] = [
+  { value: 'any', label: 'Any due date' },
+  { value: 'today', label: 'Due today' },
+  { value: 'overdue', label: 'Overdue' },
+  { value: 'next7', label: 'Due in the next 7 days' },
+  { value: 'none', label: 'No due date' },
+];
+
+/**
+ * Creates a filter that matches every open task.
+ */
+export const emptyViewFilter = (): ViewFilter => ({ due: 'any', priorities: [], tags: [], projects: [], text: '' });
+
+// the views every user has, their ids cannot clash with the random ids of saved views
+export const BUILT_IN_VIEWS: SavedView[] = [
+  { id: 'today', name: 'Today', filter: { ...emptyViewFilter(), due: 'today' } },
+  { id: 'overdue', name: 'Overdue', filter: { ...emptyViewFilter(), due: 'overdue' } },
+  { id: 'next7', name: 'Next 7 days', filter: { ...emptyViewFilter(), due: 'next7' } },
+  { id: 'nodue', name: 'No due date', filter: { ...emptyViewFilter(), due: 'none' } },
+];
+
+// the id of the view that is not saved yet, shown by "New view" in the Menubar
+export const NEW_VIEW_ID = 'new';
+
+/**
+ * Finds a view by its id, among the built-in views and the saved ones.
+ * @returns the view, or undefined if there is none, e.g. a saved view deleted on another device.
+ */
+export const findView = (viewId: string, savedViews: SavedView[] | undefined): SavedView | undefined =>
+  BUILT_IN_VIEWS.find((view) => view.id === viewId) ?? savedViews?.find((view) => view.id === viewId);
+
+/**
+ * Checks whether the due date of a task matches the due filter, in the time zone of the user.
+ * Today and the next 7 days include the tasks due earlier today; the next 7 days end 7 days after today.
+ */
+const matchesDue = (task: TaskType, due: ViewFilter['due'], timeZone: string, now: Date): boolean => {
+  switch (due) {
+    case 'any': return true;
+    case 'none': return !task.dueDate;
+    case 'overdue': return isOverdue(task.dueDate, task.dueHasTime, timeZone, now);
+  }
+  if (!task.dueDate) {
+    return false;
+  }
+  const day = toDueDateInputs(task.dueDate, task.dueHasTime, timeZone).date;
+  const today = todayIn(timeZone, now);
+  return due === 'today' ? day === today : day >= today && day <= todayIn(timeZone, now, 7);
+};
+
+/**
+ * Checks whether a task matches a filter. Every part of the filter has to match; an empty list matches every task.
+ * @param projectId - The project of the task.
+ */
+export const matchesViewFilter = (task: TaskType, projectId: ProjectId, filter: ViewFilter, timeZone: string, now: Date = new Date()): boolean => {
+  if (!matchesDue(task, filter.due, timeZone, now)) {
+    return false;
+  }
+  if (filter.priorities.length > 0 && !(task.priority && filter.priorities.includes(task.priority))) {
+    return false;
+  }
+  if (filter.tags.length > 0) {
+    const tags = filter.tags.map((tag) => tag.toLowerCase());
+    if (!(task.tags ?? []).some((tag) => tags.includes(tag.toLowerCase()))) {
+      return false;
+    }
+  }
+  if (filter.projects.length > 0 && !filter.projects.includes(projectId)) {
+    return false;
+  }
+  const text = filter.text.trim().toLowerCase();
+  return !text || task.title.toLowerCase().includes(text) || (task.description ?? '').toLowerCase().includes(text);
+};
+
+/**
+ * Lists the open tasks of every project that match a filter: not completed, deleted or only suggested by the AI assistant.
+ * @returns the groups of the projects with matching tasks, in list order, the tasks of each by due date (the ones
+ *   without a due date last), then in list order.
+ */
+export const viewGroups = (
+  tasks: TaskData, statuses: StatusData, projects: ProjectData, filter: ViewFilter, timeZone: string, now: Date = new Date()
+): { project: [ProjectId, ProjectType]; tasks: [TaskId, TaskType][] }[] => {
+  const tasksByProject = new Map<ProjectId, [TaskId, TaskType][]>();
+  for (const [id, task] of sortByRank(tasks) as [TaskId, TaskType][]) {
+    const projectId = statuses[task.status]?.project; // completed and deleted tasks are in virtual statuses
+    if (!projectId || !projects[projectId] || task.isPending || !matchesViewFilter(task, projectId, filter, timeZone, now)) {
+      continue;
+    }
+    let projectTasks = tasksByProject.get(projectId);
+    if (!projectTasks) {
+      projectTasks = [];
+      tasksByProject.set(projectId, projectTasks);
+    }
+    projectTasks.push([id, task]);
+  }
+  const dueTime = (task: TaskType) => (task.dueDate ? new Date(task.dueDate).getTime() : Number.MAX_SAFE_INTEGER);
+  return (sortByRank(projects) as [ProjectId, ProjectType][])
+    .filter(([id]) => tasksByProject.has(id))
+    .map((project) => ({
+      project,
+      tasks: tasksByProject.get(project[0])!.sort(([, a], [, b]) => dueTime(a) - dueTime(b)), // a stable sort keeps the list order
+    }));
+};
+
+/**
+ * Counts the open tasks of every project that match a filter, shown next to the views in the Menubar.
+ */
+export const countViewTasks = (tasks: TaskData, statuses: StatusData, projects: ProjectData, filter: ViewFilter, timeZone: string): number =>
+  viewGroups(tasks, statuses, projects, filter, timeZone).reduce((count, group) => count + group.tasks.length, 0);